@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * canvascripter-cli.js
+ *
+ * Starts the app as the headless command line runner (see src/main/cli.js) and
+ * exits with its exit code. Packaged builds can run the app executable with
+ * `--cli` directly instead.
+ *
+ *   npx canvascripter delete-unpublished-assignments --course 123 --profile district-prod --yes
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+// From Node, the electron package resolves to the path of the Electron binary
+const electron = require('electron');
+
+const child = spawn(electron, [path.join(__dirname, '..'), '--cli', ...process.argv.slice(2)], {
+    stdio: 'inherit',
+    windowsHide: true
+});
+
+child.on('error', (error) => {
+    console.error(`Could not start Electron: ${error.message}`);
+    process.exit(2);
+});
+
+child.on('close', (code, signal) => {
+    process.exit(code ?? (signal ? 1 : 0));
+});
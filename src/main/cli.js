@@ -0,0 +1,334 @@
+/**
+ * Headless command line runner
+ *
+ * Runs the operations from the AI assistant catalog (aiAssistantHandlers
+ * OPERATION_MAP) without opening a window, e.g. from a scheduled task:
+ *
+ *   canvascripter delete-unpublished-assignments --course 123 --profile district-prod --yes
+ *
+ * main.js starts the app in this mode when `--cli` is on the command line. The
+ * same IPC handlers as the GUI are registered and the operation goes through
+ * `ai-assistant:executeOperation`, so the CLI does exactly what the assistant does.
+ *
+ * The result is written to stdout (or --out) as JSON or CSV. Everything else the
+ * handlers print goes to stderr so stdout can be piped.
+ *
+ * Exit codes: 0 success, 1 the operation failed or some items failed, 2 usage
+ * or configuration error.
+ * @module cli
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csvExporter = require('../shared/csvExporter');
+
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2
+};
+
+// Flags that configure the runner; every other flag becomes an operation parameter
+const RUNNER_FLAGS = ['format', 'out', 'profile', 'domain', 'token', 'yes', 'dry-run', 'quiet', 'params', 'help'];
+const BOOLEAN_FLAGS = ['yes', 'dry-run', 'quiet', 'help'];
+
+// Short flag names for the parameters the catalog uses most
+const PARAM_ALIASES = {
+    course: 'courseId',
+    user: 'userId',
+    account: 'accountId',
+    group: 'groupId'
+};
+
+/**
+ * Arguments after `--cli`, or null when the app was started normally
+ * @param {string[]} argv - process.argv
+ * @returns {string[]|null}
+ */
+function getCliArgs(argv) {
+    const index = argv.indexOf('--cli');
+    return index === -1 ? null : argv.slice(index + 1);
+}
+
+function toCamelCase(flag) {
+    return flag.replace(/-([a-z0-9])/g, (_, ch) => ch.toUpperCase());
+}
+
+function coerceValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+}
+
+/**
+ * Split command line arguments into the command, runner options and operation parameters
+ * @param {string[]} args - Arguments after `--cli`
+ * @returns {{ command: string|null, options: Object, parameters: Object }}
+ * @throws {Error} On a flag without a value or invalid --params JSON
+ */
+function parseArgs(args) {
+    const options = { format: 'json', out: null, profile: null, domain: null, token: null, yes: false, dryRun: false, quiet: false, help: false };
+    const parameters = {};
+    let command = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            if (command) throw new Error(`Unexpected argument "${arg}"`);
+            command = arg;
+            continue;
+        }
+
+        let [flag, value] = arg.slice(2).split(/=(.*)/s);
+        if (value === undefined && !BOOLEAN_FLAGS.includes(flag)) {
+            const next = args[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                throw new Error(`--${flag} needs a value`);
+            }
+            value = next;
+            i++;
+        }
+
+        if (RUNNER_FLAGS.includes(flag)) {
+            if (flag === 'params') {
+                Object.assign(parameters, readParams(value));
+            } else {
+                options[toCamelCase(flag)] = BOOLEAN_FLAGS.includes(flag) ? value !== 'false' : value;
+            }
+        } else {
+            parameters[PARAM_ALIASES[flag] || toCamelCase(flag)] = coerceValue(value);
+        }
+    }
+
+    options.format = String(options.format).toLowerCase();
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error('--format must be json or csv');
+    }
+    return { command, options, parameters };
+}
+
+// --params takes inline JSON or a path to a JSON file, for array parameters like contentIds
+function readParams(value) {
+    const text = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`--params is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Usage text listing every catalog operation
+ * @param {Object} catalog - OPERATION_MAP
+ * @returns {string}
+ */
+function formatUsage(catalog) {
+    const width = Math.max(...Object.keys(catalog).map(name => name.length));
+    const operations = Object.entries(catalog)
+        .map(([name, op]) => {
+            const required = op.requiredParams.filter(param => param !== 'domain' && param !== 'token');
+            return `  ${name.padEnd(width)}  ${op.description}${required.length ? ` [${required.join(', ')}]` : ''}`;
+        })
+        .join('\n');
+
+    return `Usage: canvascripter <operation> [--profile <name> | --domain <domain>] [parameters]
+
+Options:
+  --profile <name>     Use a saved instance profile (domain and encrypted token)
+  --domain <domain>    Canvas domain (or CANVAS_DOMAIN)
+  --token <token>      API token (or CANVAS_TOKEN; prefer a profile)
+  --format json|csv    Output format (default json)
+  --out <file>         Write the result to a file instead of stdout
+  --dry-run            Preview destructive operations without changing anything
+  --yes                Required to change a production profile
+  --params <json|file> Extra parameters as JSON, e.g. for arrays
+  --quiet              Do not print progress to stderr
+
+Parameters are passed as --name value, e.g. --course 123 --before-date 2024-01-01.
+--course, --user, --account and --group are short for courseId, userId, accountId and groupId.
+
+Exit codes: 0 success, 1 the operation or some items failed, 2 usage or configuration error.
+
+Operations:
+${operations}
+`;
+}
+
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Flat rows for CSV output. Batch results get one row per item, queries one row
+ * per record and anything else a single row. Every row has every column because
+ * csvExporter takes its header from the first row.
+ * @param {*} result - `result` from ai-assistant:executeOperation
+ * @returns {Array<Object>}
+ */
+function getResultRows(result) {
+    let rows;
+    if (result?.dryRun) {
+        rows = result.targets || [];
+    } else if (Array.isArray(result?.successful) || Array.isArray(result?.failed)) {
+        rows = [
+            ...(Array.isArray(result.successful) ? result.successful : []).map(item => ({ status: 'succeeded', id: item?.id, reason: '', value: item?.value ?? item })),
+            ...(Array.isArray(result.failed) ? result.failed : []).map(item => ({ status: 'failed', id: item?.id, reason: item?.reason, value: item?.status }))
+        ];
+    } else if (Array.isArray(result)) {
+        rows = result.map(item => (item !== null && typeof item === 'object' ? item : { value: item }));
+    } else if (result !== null && typeof result === 'object') {
+        const list = Object.values(result).find(Array.isArray);
+        rows = list && list.length > 0 ? getResultRows(list) : [result];
+    } else {
+        rows = [{ value: result }];
+    }
+
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(col => { if (!columns.includes(col)) columns.push(col); }));
+    return rows.map(row => Object.fromEntries(columns.map(col => [col, toCell(row[col])])));
+}
+
+/**
+ * Exit code for an executeOperation response
+ * @param {{ success: boolean, result?: * }} response
+ * @returns {number}
+ */
+function getExitCode(response) {
+    if (!response?.success) return EXIT_CODES.FAILURE;
+    const failed = response.result?.failed;
+    if (Array.isArray(failed) ? failed.length > 0 : Number(failed) > 0) return EXIT_CODES.FAILURE;
+    if (Number(response.result?.failedCount) > 0) return EXIT_CODES.FAILURE;
+    return EXIT_CODES.SUCCESS;
+}
+
+async function writeOutput(response, { format, out, command }) {
+    if (format === 'csv') {
+        const rows = getResultRows(response.success ? response.result : { failed: [{ id: command, reason: response.error }] });
+        const filePath = path.resolve(out || `${command}-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+        if (rows.length > 0) {
+            await csvExporter.exportToCSV(rows, filePath);
+        } else {
+            fs.writeFileSync(filePath, '');
+        }
+        process.stderr.write(`Wrote ${rows.length} row(s) to ${filePath}\n`);
+        return;
+    }
+
+    const json = JSON.stringify({ operation: command, ...response }, null, 2);
+    if (out) {
+        fs.writeFileSync(path.resolve(out), json + '\n');
+        process.stderr.write(`Wrote result to ${path.resolve(out)}\n`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+/**
+ * Run one catalog operation and write its result
+ * @param {string[]} args - Arguments after `--cli`
+ * @param {Object} deps
+ * @param {Electron.IpcMain} deps.ipcMain - The Electron IPC main instance
+ * @param {Function} deps.registerHandlers - (window) => void; registers the IPC handlers against a headless window
+ * @param {Object} deps.catalog - OPERATION_MAP
+ * @param {Object} deps.dryRun - Dry-run state
+ * @param {Function} deps.resolveProfile - (nameOrId) => { profile, token } | null
+ * @param {Function} deps.findProfileForDomain - (domain) => profile | null
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(args, { ipcMain, registerHandlers, catalog, dryRun, resolveProfile, findProfileForDomain }) {
+    let parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${formatUsage(catalog)}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const { command, options, parameters } = parsed;
+    if (options.help || !command || command === 'help') {
+        process.stdout.write(formatUsage(catalog));
+        return command || options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+    if (!catalog[command]) {
+        process.stderr.write(`Unknown operation "${command}". Run with --help to list operations.\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    let token = options.token || process.env.CANVAS_TOKEN || null;
+    let domain = options.domain || parameters.domain || process.env.CANVAS_DOMAIN || null;
+    if (options.profile) {
+        const resolved = resolveProfile(options.profile);
+        if (!resolved) {
+            process.stderr.write(`Profile "${options.profile}" was not found or its token could not be decrypted.\n`);
+            return EXIT_CODES.USAGE;
+        }
+        domain = options.domain || resolved.profile.domain;
+        token = options.token || resolved.token;
+    }
+    if (!domain || !token) {
+        process.stderr.write('A domain and token are required. Use --profile, or --domain with CANVAS_TOKEN.\n');
+        return EXIT_CODES.USAGE;
+    }
+
+    // Stands in for the renderer: progress updates are printed, everything else is dropped
+    const sender = {
+        id: 0,
+        isDestroyed: () => false,
+        send: (channel, payload) => {
+            if (options.quiet || !payload) return;
+            if (typeof payload.processed === 'number' && payload.total) {
+                process.stderr.write(`${payload.label || channel}: ${payload.processed}/${payload.total}\n`);
+            } else if (typeof payload === 'number') {
+                process.stderr.write(`${channel}: ${Math.round(payload)}%\n`);
+            }
+        }
+    };
+    registerHandlers({ isDestroyed: () => false, webContents: sender });
+
+    const operationParams = { ...parameters, domain };
+    const event = { sender, senderFrame: null, reply: () => { } };
+    const invoke = (channel, data) => ipcMain._invokeHandlers.get(channel)(event, data);
+
+    const details = await invoke('ai-assistant:getOperationDetails', { operation: command, parameters: operationParams });
+    if (!details.success) {
+        process.stderr.write(`${details.error}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    dryRun.setEnabled(options.dryRun);
+    // Scheduled jobs have nobody to click the confirmation, so production needs --yes
+    let refused = false;
+    dryRun.setRunCheck(async (operation, data) => {
+        const profile = findProfileForDomain(dryRun.getTargetDomain(data));
+        if (profile?.environment !== 'production' || options.yes) return true;
+        process.stderr.write(`${operation} targets production profile "${profile.name}". Re-run with --yes to confirm, or --dry-run to preview.\n`);
+        refused = true;
+        return false;
+    });
+
+    const response = await invoke('ai-assistant:executeOperation', {
+        operation: command,
+        parameters: operationParams,
+        token,
+        confirmed: true
+    });
+
+    if (refused) return EXIT_CODES.USAGE;
+
+    await writeOutput(response, { ...options, command });
+    if (!response.success) {
+        process.stderr.write(`${command} failed: ${response.error}\n`);
+    }
+    return getExitCode(response);
+}
+
+module.exports = {
+    EXIT_CODES,
+    getCliArgs,
+    parseArgs,
+    formatUsage,
+    getResultRows,
+    getExitCode,
+    runCli
+};
@@ -3598,4 +3598,4 @@ If the request is unclear or unsupported, set confidence to 0 and explain in sum
     });
 }
 
-module.exports = { registerAIAssistantHandlers };
+module.exports = { registerAIAssistantHandlers, OPERATION_MAP };
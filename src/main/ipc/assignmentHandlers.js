@@ -11,6 +11,9 @@ const assignmentGroups = require('../../shared/canvas-api/assignment_groups');
 const assignments = require('../../shared/canvas-api/assignments');
 const { batchHandler } = require('../../shared/batchHandler');
 const { serializeErrorForIPC } = require('../../shared/errorUtils');
+const jobJournal = require('../state/jobJournal');
+const dryRun = require('../state/dryRun');
+const snapshotStore = require('../../shared/snapshotStore');
 
 // ==================== State Management ====================
 
@@ -23,6 +26,56 @@ const deleteEmptyAssignmentGroupsCancelFlags = new Map();
 const createAssignmentGroupsCancelFlags = new Map();
 const combinedFetchControllers = new Map(); // AbortController instances
 
+// ==================== Dry Run Previews ====================
+
+const describeDeleteAssignments = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.assignments || []).map(a => ({
+        type: 'assignment',
+        id: a?.id || a,
+        name: a?.name || '',
+        course_id: data.course_id
+    }))
+});
+
+// Called with a single groupID or a batch in data.content; data.url is the assignment groups endpoint
+const describeDeleteEmptyAssignmentGroups = async (data) => {
+    const groups = Array.isArray(data.content) ? data.content : (data.groupID ? [{ _id: data.groupID }] : []);
+    const urlMatch = String(data.url || '').match(/^https?:\/\/([^/]+)\/api\/v1\/courses\/([^/]+)/);
+    return {
+        action: 'delete',
+        domain: urlMatch ? urlMatch[1] : (data.domain || ''),
+        targets: groups.map(group => ({
+            type: 'assignment_group',
+            id: group._id || group.id,
+            name: group.name || '',
+            course_id: urlMatch ? urlMatch[2] : ''
+        }))
+    };
+};
+
+const describeUpdateAssignmentsBulk = async (data) => {
+    const changes = Object.keys(data.payload || {}).join(' ');
+    return {
+        action: 'update',
+        domain: data.domain,
+        targets: (Array.isArray(data.assignment_ids) ? data.assignment_ids : []).map(id => ({
+            type: 'assignment',
+            id,
+            course_id: data.course_id,
+            changes
+        }))
+    };
+};
+
+// The group is deleted together with every assignment in it
+const describeDeleteAssignmentGroupAssignments = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: [{ type: 'assignment_group', id: data.group_id, course_id: data.course_id, with_assignments: 'yes' }]
+});
+
 /**
  * Register all assignment-related IPC handlers
  * @param {Electron.IpcMain} ipcMain - Electron IPC main process
@@ -128,9 +181,9 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
 
     /**
      * Delete multiple assignments with progress tracking
-     * Supports cancellation via operationId
+     * Supports cancellation via operationId and is journaled so it can be resumed
      */
-    ipcMain.handle('axios:deleteAssignments', async (event, data) => {
+    ipcMain.handle('axios:deleteAssignments', jobJournal.resumable('axios:deleteAssignments', dryRun.guard('axios:deleteAssignments', describeDeleteAssignments, async (event, data) => {
         console.log('assignmentHandlers.js > deleteAssignments');
         console.log('Received operation ID:', data.operationId);
 
@@ -146,7 +199,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
         }
 
         let completedRequests = 0;
-        let totalRequests = data.number;
+        let totalRequests = data.assignments.length;
 
         const updateProgress = () => {
             completedRequests++;
@@ -164,24 +217,46 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
             }
         };
 
+        const journal = jobJournal.openJob(data, {
+            operation: 'axios:deleteAssignments',
+            inputs: { domain: data.domain, course_id: data.course_id },
+            itemsField: 'assignments',
+            items: data.assignments.map(a => ({ key: a?.id || a, value: a }))
+        });
+
+        // Snapshots of everything deleted here are undone together
+        const snapshotOperationId = snapshotStore.beginOperation({
+            label: `Delete ${data.assignments.length} assignment(s)`,
+            domain: data.domain,
+            course_id: data.course_id
+        });
+
         let requests = [];
         for (let i = 0; i < data.assignments.length; i++) {
             const requestData = {
                 domain: data.domain,
                 token: data.token,
                 course_id: data.course_id,
-                id: data.assignments[i]?.id || data.assignments[i]
+                id: data.assignments[i]?.id || data.assignments[i],
+                snapshotOperationId
             };
-            requests.push({ id: i + 1, request: () => request(requestData) });
+            requests.push({ id: i + 1, journalKey: requestData.id, request: () => request(requestData) });
         }
 
         // Cancellation check function for batchHandler
         const isCancelled = operationId ? () => operationCancelFlags.get(operationId) === true : null;
 
-        const batchResponse = await batchHandler(requests, getBatchConfig({ isCancelled, operationId }));
+        let batchResponse;
+        try {
+            batchResponse = await batchHandler(requests, getBatchConfig({ isCancelled, operationId, domain: data.domain, journal }));
+        } catch (error) {
+            if (journal) journal.finish('failed');
+            throw error;
+        }
 
         // Check if operation was cancelled
         const wasCancelled = operationId && operationCancelFlags.get(operationId) === true;
+        if (journal) journal.finish(wasCancelled ? 'cancelled' : 'completed');
 
         // Clean up cancellation flag
         if (operationId) {
@@ -189,8 +264,8 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
         }
 
         console.log(`Finished deleting assignments. ${wasCancelled ? '(Cancelled)' : ''}`);
-        return { ...batchResponse, cancelled: wasCancelled };
-    });
+        return { ...batchResponse, cancelled: wasCancelled, jobId: journal?.jobId || null };
+    })));
 
     ipcMain.handle('axios:getCourseAssignments', async (_event, data) => {
         console.log('assignmentHandlers.js > getCourseAssignments');
@@ -202,7 +277,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
         }
     });
 
-    ipcMain.handle('axios:updateAssignmentsBulk', async (_event, data) => {
+    ipcMain.handle('axios:updateAssignmentsBulk', dryRun.guard('axios:updateAssignmentsBulk', describeUpdateAssignmentsBulk, async (_event, data) => {
         console.log('assignmentHandlers.js > updateAssignmentsBulk');
 
         const assignmentIds = Array.isArray(data.assignment_ids) ? data.assignment_ids : [];
@@ -242,7 +317,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
         } catch (error) {
             throw serializeErrorForIPC(error);
         }
-    });
+    }));
 
     /**
      * Cancel delete operations for the current sender
@@ -274,7 +349,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
      * Delete empty assignment groups
      * Supports both single group deletion and batch deletion
      */
-    ipcMain.handle('axios:deleteEmptyAssignmentGroups', async (event, data) => {
+    ipcMain.handle('axios:deleteEmptyAssignmentGroups', dryRun.guard('axios:deleteEmptyAssignmentGroups', describeDeleteEmptyAssignmentGroups, async (event, data) => {
         console.log('assignmentHandlers.js > deleteEmptyAssignmentGroups');
 
         const senderId = event.sender.id;
@@ -352,7 +427,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
                 deleteEmptyAssignmentGroupsCancelFlags.delete(senderId);
             }
         }
-    });
+    }));
 
     /**
      * Create multiple assignment groups with progress tracking
@@ -460,7 +535,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
     /**
      * Delete assignment group and all its assignments
      */
-    ipcMain.handle('axios:deleteAssignmentGroupAssignments', async (event, data) => {
+    ipcMain.handle('axios:deleteAssignmentGroupAssignments', dryRun.guard('axios:deleteAssignmentGroupAssignments', describeDeleteAssignmentGroupAssignments, async (event, data) => {
         console.log('assignmentHandlers.js > deleteAssignmentGroupAssignments');
 
         try {
@@ -470,7 +545,7 @@ function registerAssignmentHandlers(ipcMain, logDebug, mainWindow, getBatchConfi
             console.error('deleteAssignmentGroupAssignments failed:', error?.message || String(error));
             throw serializeErrorForIPC(error);
         }
-    });
+    }));
 
     // ==================== Assignment Query Operations ====================
 
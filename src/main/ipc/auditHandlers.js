@@ -0,0 +1,65 @@
+/**
+ * IPC Handlers for the operation audit log: browsing and exporting history
+ * @module ipc/auditHandlers
+ */
+
+const fs = require('fs');
+const { dialog } = require('electron');
+const auditLog = require('../state/auditLog');
+const csvExporter = require('../../shared/csvExporter');
+
+const DEFAULT_LIST_LIMIT = 500;
+
+/**
+ * Register audit log IPC handlers
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Parent window for the save dialog
+ */
+function registerAuditHandlers(ipcMain, logDebug, mainWindow) {
+    // Filtered entries (newest first) plus the values the filter dropdowns offer
+    ipcMain.handle('audit:list', async (_event, data = {}) => {
+        const all = auditLog.list();
+        const entries = all.filter(entry => auditLog.matchesFilters(entry, data.filters));
+        const limit = Number(data.limit) || DEFAULT_LIST_LIMIT;
+        return {
+            total: all.length,
+            matched: entries.length,
+            entries: entries.slice(0, limit),
+            operations: [...new Set(all.map(entry => entry.operation))].sort(),
+            domains: [...new Set(all.map(entry => entry.domain).filter(Boolean))].sort()
+        };
+    });
+
+    // Every entry matching the filters, as CSV (one row per operation) or JSON
+    ipcMain.handle('audit:export', async (_event, data = {}) => {
+        const format = data.format === 'json' ? 'json' : 'csv';
+        const entries = auditLog.list(data.filters);
+        if (entries.length === 0) {
+            throw new Error('No history entries match the current filters');
+        }
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Operation History',
+            defaultPath: `canvascripter-history-${stamp}.${format}`,
+            filters: format === 'json'
+                ? [{ name: 'JSON Files', extensions: ['json'] }]
+                : [{ name: 'CSV Files', extensions: ['csv'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { cancelled: true };
+        }
+
+        if (format === 'json') {
+            const exported = { exportedAt: new Date().toISOString(), filters: data.filters || {}, count: entries.length, entries };
+            fs.writeFileSync(result.filePath, JSON.stringify(exported, null, 2), 'utf8');
+        } else {
+            await csvExporter.exportToCSV(auditLog.toRows(entries), result.filePath);
+        }
+        logDebug('[audit:export] Exported history', { format, count: entries.length });
+        return { cancelled: false, filePath: result.filePath, count: entries.length };
+    });
+}
+
+module.exports = { registerAuditHandlers };
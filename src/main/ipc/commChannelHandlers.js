@@ -25,6 +25,8 @@ const { getCommChannels } = require('../../shared/canvas-api/users');
 const { batchHandler } = require('../../shared/batchHandler');
 const { serializeErrorForIPC } = require('../../shared/errorUtils');
 const { waitFunc, removeBlanks } = require('../../shared/utilities');
+const jobJournal = require('../state/jobJournal');
+const dryRun = require('../state/dryRun');
 
 // Global state for suppressed emails
 let suppressedEmails = [];
@@ -117,6 +119,70 @@ function progressDone(mainWindow) {
     } catch { }
 }
 
+/**
+ * Unique email addresses in uploaded reset contents (a list, or text split on lines and commas)
+ * @param {string|Array<string>} fileContents
+ * @returns {Array<string>}
+ */
+function parseResetEmails(fileContents) {
+    let rawEmailItems;
+    if (Array.isArray(fileContents)) {
+        rawEmailItems = fileContents;
+    } else if (typeof fileContents === 'string') {
+        rawEmailItems = fileContents.split(/\r?\n|\r|\,/);
+    } else {
+        throw new TypeError('Unsupported fileContents type for resetEmails');
+    }
+
+    return Array.from(new Set(
+        removeBlanks(rawEmailItems)
+            .map((email) => String(email).trim())
+            .filter((email) => email.includes('@'))
+    ));
+}
+
+const describeResetCommChannel = async (data) => ({
+    action: 'reset',
+    domain: data.domain,
+    targets: [{ type: 'communication_channel', id: String(data.email || '').trim(), region: data.region || '' }]
+});
+
+// The emails come from the uploaded contents, a file selected earlier, or (when
+// neither is given) a file chosen in a dialog once the reset actually runs
+const describeResetEmails = async (data) => {
+    let fileContents = data.fileContents;
+    if (!fileContents && data.selectionId) {
+        fileContents = [...resetUploadSelections.values()].find(selected => selected.selectionId === data.selectionId)?.fileContents;
+    }
+    if (!fileContents) {
+        return {
+            action: 'reset',
+            domain: data.domain,
+            targets: [{ type: 'email_file', id: '', action: 'skip', reason: 'The emails are read from a file chosen when the reset runs' }]
+        };
+    }
+    return {
+        action: 'reset',
+        domain: data.domain,
+        targets: parseResetEmails(fileContents).map(email => ({ type: 'communication_channel', id: email, region: data.region || '' }))
+    };
+};
+
+// Reads the current bounce list for the pattern; the reset itself repeats until it is empty
+const describeResetCommChannelsByPattern = async (data) => {
+    const pattern = String(data.pattern || '').trim();
+    const bouncedRows = await getBouncedData({ ...data, pattern });
+    const emails = new Set((Array.isArray(bouncedRows) ? bouncedRows : [])
+        .map(row => Array.isArray(row) ? row[4] : null)
+        .filter(Boolean)
+        .map(email => String(email).trim()));
+    return {
+        action: 'reset',
+        domain: data.domain,
+        targets: [...emails].map(email => ({ type: 'communication_channel', id: email, pattern }))
+    };
+};
+
 /**
  * Register all communication channel-related IPC handlers
  * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
@@ -221,7 +287,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
     });
 
     // Reset single communication channel
-    ipcMain.handle('axios:resetCommChannel', async (event, data) => {
+    ipcMain.handle('axios:resetCommChannel', dryRun.guard('axios:resetCommChannel', describeResetCommChannel, async (event, data) => {
         logDebug('[axios:resetCommChannel] Resetting channel', { email: data.email });
         try {
             const response = await resetEmail(data);
@@ -229,7 +295,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
         } catch (error) {
             throw serializeErrorForIPC(error);
         }
-    });
+    }));
 
     // Check unconfirmed emails (returns CSV stream)
     ipcMain.handle('axios:checkUnconfirmedEmails', async (event, data) => {
@@ -303,7 +369,8 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
     });
 
     // Reset emails (bounce + AWS suppression)
-    ipcMain.handle('axios:resetEmails', async (event, data) => {
+    // Journaled per AWS chunk: an email only counts as done once both resets have run for it
+    ipcMain.handle('axios:resetEmails', jobJournal.resumable('axios:resetEmails', dryRun.guard('axios:resetEmails', describeResetEmails, async (event, data) => {
         logDebug('[axios:resetEmails] Starting email reset operation');
 
         const senderId = event.sender.id;
@@ -328,24 +395,18 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
             fileContents = await fs.promises.readFile(filePath, 'utf8');
         }
 
-        let rawEmailItems;
-        if (Array.isArray(fileContents)) {
-            rawEmailItems = fileContents;
-        } else if (typeof fileContents === 'string') {
-            rawEmailItems = fileContents.split(/\r?\n|\r|\,/);
-        } else {
-            throw new TypeError('Unsupported fileContents type for resetEmails');
-        }
-
-        const emails = Array.from(new Set(
-            removeBlanks(rawEmailItems)
-                .map((email) => String(email).trim())
-                .filter((email) => email.includes('@'))
-        ));
+        const emails = parseResetEmails(fileContents);
 
         const total = emails.length;
         let processed = 0;
 
+        const journal = jobJournal.openJob(data, {
+            operation: 'axios:resetEmails',
+            inputs: { domain: data.domain, region: data.region },
+            itemsField: 'fileContents',
+            items: emails.map(email => ({ key: email, value: email }))
+        });
+
         mainWindow.webContents.send('update-progress', {
             mode: 'determinate',
             label: 'Resetting communication channels',
@@ -394,9 +455,38 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
             isCancelled
         });
 
+        // Emails whose bounce reset failed are done (failed) now; ones never tried
+        // because of a cancel stay pending. The rest wait for the AWS reset.
+        const emailById = new Map(requests.map(r => [r.id, r.email]));
+        const bounceDone = new Set(batchResponse.successful.map(success => emailById.get(success.id)));
+        if (journal) {
+            batchResponse.failed.forEach(failure => journal.markItem(emailById.get(failure.id), 'failed', `Bounce reset failed: ${failure.reason}`));
+            journal.flush();
+        }
+
+        // Journal one AWS chunk: an email succeeded once AWS removed it or never had it.
+        // not_removed emails of the first pass are left to the retry pass.
+        const journalAwsChunk = (chunk, awsRes, isRetry) => {
+            if (!journal) return;
+            const lower = (list) => new Set((list || []).map(email => String(email).toLowerCase()));
+            const cleared = lower([...(awsRes.data?.removed || []), ...(awsRes.data?.not_found || [])]);
+            const notRemoved = lower(awsRes.data?.not_removed);
+            chunk.filter(email => bounceDone.has(email)).forEach(email => {
+                const key = email.toLowerCase();
+                if (awsRes.status === 204 || cleared.has(key)) {
+                    journal.markItem(email, 'succeeded');
+                } else if (notRemoved.has(key)) {
+                    if (isRetry) journal.markItem(email, 'failed', 'Still on the AWS suppression list after a retry');
+                } else {
+                    journal.markItem(email, 'failed', 'Not reported by the AWS suppression reset');
+                }
+            });
+            journal.flush();
+        };
+
         // Bulk AWS reset (with one automatic retry for not_removed)
         const chunksize = 200;
-        const runAwsResetPass = async (passEmails, labelPrefix = 'Resetting emails (AWS suppression list)...') => {
+        const runAwsResetPass = async (passEmails, labelPrefix = 'Resetting emails (AWS suppression list)...', isRetry = false) => {
             const passResponse = {
                 removed: 0,
                 not_removed: 0,
@@ -430,6 +520,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
 
                 try {
                     const awsRes = await bulkAWSReset({ region: data.region, token: data.token, emails: bulkArray });
+                    journalAwsChunk(bulkArray[0].value, awsRes, isRetry);
                     if (awsRes.status === 204) {
                         passResponse.removed += bulkArray[0].value.length;
                     } else {
@@ -443,6 +534,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
                 } catch (err) {
                     passResponse.errors++;
                     passResponse.failed_messages.push(err?.message || String(err));
+                    if (journal) journal.markItems(bulkArray[0].value.filter(email => bounceDone.has(email)), 'failed', err?.message || String(err));
                     continue;
                 }
             }
@@ -465,7 +557,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
 
         if (!isCancelled() && initialNotRemovedEmails.length > 0) {
             autoRetried = true;
-            const retryAwsPass = await runAwsResetPass(initialNotRemovedEmails, 'Auto-retrying failed AWS suppression resets...');
+            const retryAwsPass = await runAwsResetPass(initialNotRemovedEmails, 'Auto-retrying failed AWS suppression resets...', true);
 
             awsResetResponse = {
                 removed: (firstAwsPass.removed || 0) + (retryAwsPass.removed || 0),
@@ -492,6 +584,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
 
         const cancelled = isCancelled();
         resetEmailsCancelFlags.delete(senderId);
+        if (journal) journal.finish(cancelled ? 'cancelled' : 'completed');
         const combinedResults = combineResetResults(awsResetResponse, batchResponse);
 
         logDebug('[axios:resetEmails] Complete', {
@@ -505,9 +598,10 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
             combinedResults,
             cancelled,
             autoRetried,
-            initialNotRemovedCount: initialNotRemovedEmails.length
+            initialNotRemovedCount: initialNotRemovedEmails.length,
+            jobId: journal?.jobId || null
         };
-    });
+    })));
 
     // Cancel reset emails operation
     ipcMain.handle('axios:cancelResetEmails', async (event) => {
@@ -518,7 +612,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
     });
 
     // Reset communication channels by pattern (iterative bounce list clearing)
-    ipcMain.handle('axios:resetCommChannelsByPattern', async (event, data) => {
+    ipcMain.handle('axios:resetCommChannelsByPattern', dryRun.guard('axios:resetCommChannelsByPattern', describeResetCommChannelsByPattern, async (event, data) => {
         logDebug('[axios:resetCommChannelsByPattern] Starting pattern reset', { pattern: data.pattern });
 
         const senderId = event.sender.id;
@@ -675,7 +769,7 @@ function registerCommChannelHandlers(ipcMain, logDebug, mainWindow, getBatchConf
             resetPatternCancelFlags.delete(senderId);
             throw serializeErrorForIPC(err);
         }
-    });
+    }));
 
     // Cancel pattern reset operation
     ipcMain.handle('axios:cancelResetCommChannelsByPattern', async (event) => {
@@ -14,11 +14,116 @@ const groupCategories = require('../../shared/canvas-api/group_categories');
 const grading_standards = require('../../shared/canvas-api/grading_standards');
 const { getPageViews, updateNotifications } = require('../../shared/canvas-api/users');
 const { serializeErrorForIPC } = require('../../shared/errorUtils');
+const dryRun = require('../state/dryRun');
+const snapshotStore = require('../../shared/snapshotStore');
 
 // State management for cancellation tracking
 const { operationCancelFlags } = require('./operationCancelStore');
 const deleteCancelFlags = new Map();
 
+// ==================== Dry Run Previews ====================
+
+const describeDeleteDiscussions = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.discussions || []).map(d => ({
+        type: 'discussion',
+        id: d?.id || d,
+        name: d?.title || d?.name || '',
+        course_id: data.course_id
+    }))
+});
+
+const describeDeleteAnnouncements = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (Array.isArray(data.discussions) ? data.discussions : []).map(d => ({
+        type: 'announcement',
+        id: d?._id || d?.id,
+        name: d?.title || ''
+    }))
+});
+
+// Page, enrollment and section deletes send one request object per item, each with its own domain
+const describeDeletePages = async (data) => {
+    const items = Array.isArray(data.requests) ? data.requests : [];
+    return {
+        action: 'delete',
+        domain: items[0]?.domain || '',
+        targets: items.map(it => ({ type: 'page', id: it.page_url || it.page_id, name: it.title || '', course_id: it.course_id }))
+    };
+};
+
+const describeDeleteEnrollments = async (data) => {
+    const items = Array.isArray(data.requests) ? data.requests : [];
+    return {
+        action: 'delete',
+        domain: items[0]?.domain || '',
+        targets: items.map(it => ({ type: 'enrollment', id: it.enrollment_id, course_id: it.course_id, task: it.task || 'delete' }))
+    };
+};
+
+const describeDeleteSections = async (data) => {
+    const items = Array.isArray(data.requests) ? data.requests : [];
+    return {
+        action: 'delete',
+        domain: items[0]?.domain || '',
+        targets: items.map(it => ({ type: 'section', id: it.section_id, name: it.name || '' }))
+    };
+};
+
+const describeDeleteAttachments = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.attachments || []).map(f => ({
+        type: 'file',
+        id: f?.id || f,
+        name: f?.display_name || f?.name || ''
+    }))
+});
+
+// Looks each folder up (read-only) so root folders show as skipped, like the real run
+const describeDeleteFolders = async (data) => {
+    const ids = (data.folders || []).map(f => f?.id || f);
+    const lookups = await Promise.allSettled(ids.map(id => folders.getFolder({ domain: data.domain, token: data.token, folder_id: id })));
+    return {
+        action: 'delete',
+        domain: data.domain,
+        targets: ids.map((id, i) => {
+            const lookup = lookups[i];
+            if (lookup.status === 'rejected') {
+                return { type: 'folder', id, name: '', action: 'skip', reason: `Lookup failed: ${lookup.reason?.message || lookup.reason}` };
+            }
+            const info = lookup.value || {};
+            const isRoot = info.parent_folder_id === null || typeof info.parent_folder_id === 'undefined' || info.parent_folder_id === 'null';
+            return isRoot
+                ? { type: 'folder', id, name: info.full_name || info.name || '', action: 'skip', reason: 'Root folder cannot be deleted' }
+                : { type: 'folder', id, name: info.full_name || info.name || '', reason: '' };
+        })
+    };
+};
+
+const describeDeleteGroupCategories = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.group_categories || []).map(g => ({
+        type: 'group_category',
+        id: g?.id || g,
+        name: g?.name || ''
+    }))
+});
+
+const describeDeleteGradingStandards = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.grading_standards || []).map(g => ({
+        type: 'grading_standard',
+        id: g?.id || g,
+        name: g?.title || '',
+        course_id: data.course_id
+    }))
+});
+
 /**
  * Register all content-related IPC handlers
  * @param {Electron.IpcMain} ipcMain - The IPC main object
@@ -136,7 +241,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
     /**
      * Delete discussions by IDs
      */
-    ipcMain.handle('axios:deleteDiscussions', async (event, data) => {
+    ipcMain.handle('axios:deleteDiscussions', dryRun.guard('axios:deleteDiscussions', describeDeleteDiscussions, async (event, data) => {
         console.log('main.js > axios:deleteDiscussions');
 
         const totalRequests = data.discussions.length;
@@ -169,7 +274,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const batchResponse = await batchHandler(requests, getBatchConfig());
         return batchResponse;
-    });
+    }));
 
     /**
      * Get announcements from a course using GraphQL with pagination
@@ -220,7 +325,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
     /**
      * Delete discussion topics using GraphQL
      */
-    ipcMain.handle('axios:deleteAnnouncementsGraphQL', async (_event, data) => {
+    ipcMain.handle('axios:deleteAnnouncementsGraphQL', dryRun.guard('axios:deleteAnnouncementsGraphQL', describeDeleteAnnouncements, async (_event, data) => {
         console.log('main.js > axios:deleteAnnouncementsGraphQL');
         const items = Array.isArray(data.discussions) ? data.discussions : [];
         const operationId = data.operationId || null;
@@ -273,7 +378,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         console.log(`Finished deleting announcements. ${wasCancelled ? '(Cancelled)' : ''}`);
         return { ...res, cancelled: wasCancelled };
-    });
+    }));
 
     // ==================== PAGES ====================
 
@@ -324,7 +429,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
     /**
      * Delete pages in batch
      */
-    ipcMain.handle('axios:deletePages', async (_event, data) => {
+    ipcMain.handle('axios:deletePages', dryRun.guard('axios:deletePages', describeDeletePages, async (_event, data) => {
         console.log('inside axios:deletePages');
         const items = Array.isArray(data.requests) ? data.requests : [];
         let completed = 0;
@@ -341,6 +446,13 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
             });
         };
 
+        // Snapshots of everything deleted here are undone together
+        const snapshotOperationId = items.length > 0 ? snapshotStore.beginOperation({
+            label: `Delete ${items.length} page(s)`,
+            domain: items[0].domain,
+            course_id: items[0].course_id
+        }) : null;
+
         const requests = items.map((it, idx) => ({
             id: idx + 1,
             request: async () => {
@@ -353,7 +465,8 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
                         domain: it.domain,
                         token: it.token,
                         course_id: it.course_id,
-                        page_url: pageIdentifier
+                        page_url: pageIdentifier,
+                        snapshotOperationId
                     });
                     return resp;
                 } finally { update(); }
@@ -362,7 +475,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const res = await batchHandler(requests, getBatchConfig());
         return res;
-    });
+    }));
 
     // ==================== SECTIONS ====================
 
@@ -424,7 +537,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
     /**
      * Delete enrollments in batch
      */
-    ipcMain.handle('axios:deleteEnrollments', async (_event, data) => {
+    ipcMain.handle('axios:deleteEnrollments', dryRun.guard('axios:deleteEnrollments', describeDeleteEnrollments, async (_event, data) => {
         console.log('inside axios:deleteEnrollments');
         const items = Array.isArray(data.requests) ? data.requests : [];
         let completed = 0;
@@ -459,12 +572,12 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const res = await batchHandler(requests, getBatchConfig());
         return res;
-    });
+    }));
 
     /**
      * Delete sections in batch
      */
-    ipcMain.handle('axios:deleteSections', async (_event, data) => {
+    ipcMain.handle('axios:deleteSections', dryRun.guard('axios:deleteSections', describeDeleteSections, async (_event, data) => {
         console.log('inside axios:deleteSections');
         const items = Array.isArray(data.requests) ? data.requests : [];
         let completed = 0;
@@ -497,7 +610,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const res = await batchHandler(requests, getBatchConfig());
         return res;
-    });
+    }));
 
     // ==================== IMPORTS ====================
 
@@ -530,7 +643,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
     /**
      * Delete attachments (files) in batch
      */
-    ipcMain.handle('axios:deleteAttachments', async (event, data) => {
+    ipcMain.handle('axios:deleteAttachments', dryRun.guard('axios:deleteAttachments', describeDeleteAttachments, async (event, data) => {
         console.log('main.js > axios:deleteAttachments');
 
         const totalRequests = data.attachments.length;
@@ -562,14 +675,14 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const batchResponse = await batchHandler(requests, getBatchConfig());
         return batchResponse;
-    });
+    }));
 
     // ==================== FOLDERS ====================
 
     /**
      * Delete folders in batch (with root folder protection)
      */
-    ipcMain.handle('axios:deleteFolders', async (event, data) => {
+    ipcMain.handle('axios:deleteFolders', dryRun.guard('axios:deleteFolders', describeDeleteFolders, async (event, data) => {
         console.log('main.js > axios:deleteFolders');
 
         const totalRequests = data.folders.length;
@@ -615,7 +728,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const batchResponse = await batchHandler(requests, getBatchConfig());
         return batchResponse;
-    });
+    }));
 
     /**
      * Get folder metadata and tag root folders
@@ -646,7 +759,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
     /**
      * Delete group categories in batch
      */
-    ipcMain.handle('axios:deleteGroupCategories', async (event, data) => {
+    ipcMain.handle('axios:deleteGroupCategories', dryRun.guard('axios:deleteGroupCategories', describeDeleteGroupCategories, async (event, data) => {
         console.log('main.js > axios:deleteGroupCategories');
         const totalRequests = data.group_categories.length;
         let completedRequests = 0;
@@ -677,14 +790,14 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
 
         const batchResponse = await batchHandler(requests, getBatchConfig());
         return batchResponse;
-    });
+    }));
 
     // ==================== GRADING STANDARDS ====================
 
     /**
      * Delete grading standards with cancellation support
      */
-    ipcMain.handle('axios:deleteGradingStandards', async (event, data) => {
+    ipcMain.handle('axios:deleteGradingStandards', dryRun.guard('axios:deleteGradingStandards', describeDeleteGradingStandards, async (event, data) => {
         console.log('main.js > axios:deleteGradingStandards');
 
         let completedRequests = 0;
@@ -717,7 +830,7 @@ function registerContentHandlers(ipcMain, logDebug, mainWindow, getBatchConfig)
             // Clean up flag
             deleteCancelFlags.delete(senderId);
         }
-    });
+    }));
 
     // ==================== USER OPERATIONS ====================
 
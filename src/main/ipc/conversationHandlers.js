@@ -4,8 +4,15 @@
  * @module ipc/conversationHandlers
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const convos = require('../../shared/canvas-api/conversations');
+const conversationExport = require('../../shared/conversationExport');
+const canvasFiles = require('../../shared/canvas-api/files');
 const { serializeErrorForIPC } = require('../../shared/errorUtils');
+const dryRun = require('../state/dryRun');
+const quarantine = require('../state/quarantine');
 
 // Per-renderer state tracking
 const getConvosControllers = new Map(); // senderId -> AbortController
@@ -13,6 +20,33 @@ const getDeletedConvosControllers = new Map(); // senderId -> AbortController
 const restoreConvosCancelFlags = new Map(); // senderId -> boolean
 const restoreConvosByIdCancelFlags = new Map(); // senderId -> boolean
 const deleteConvosCancelFlags = new Map(); // senderId -> boolean
+const exportConvosControllers = new Map(); // senderId -> AbortController
+
+/**
+ * Dry-run preview for axios:deleteConvos
+ */
+const describeDeleteConvos = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (Array.isArray(data.messages) ? data.messages : []).map(msg => ({
+        type: 'conversation',
+        id: msg?.id,
+        subject: msg?.subject || ''
+    }))
+});
+
+/**
+ * Dry-run preview for axios:deleteFiles (conversation attachments)
+ */
+const describeDeleteFiles = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (Array.isArray(data.files) ? data.files : []).map(f => ({
+        type: 'file',
+        id: f?.id || f,
+        subject: f?.name || f?.display_name || ''
+    }))
+});
 
 /**
  * Rate-limited handler for Canvas API requests with retry logic
@@ -89,6 +123,33 @@ async function canvasRateLimitedHandler(requests, options = {}, mainWindow) {
     });
 }
 
+/**
+ * Render HTML transcripts to PDF files with one hidden window
+ * @param {Array<{ html: string, filePath: string }>} transcripts
+ * @param {Function} isCancelled
+ */
+async function writeTranscriptPdfs(transcripts, isCancelled) {
+    const { BrowserWindow } = require('electron');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-transcripts-'));
+    const win = new BrowserWindow({
+        show: false,
+        webPreferences: { javascript: false, sandbox: true, contextIsolation: true }
+    });
+    try {
+        for (const [index, transcript] of transcripts.entries()) {
+            if (isCancelled()) break;
+            const htmlPath = path.join(tempDir, `${index}.html`);
+            fs.writeFileSync(htmlPath, transcript.html, 'utf8');
+            await win.loadFile(htmlPath);
+            const pdf = await win.webContents.printToPDF({ printBackground: true, pageSize: 'Letter' });
+            fs.writeFileSync(transcript.filePath, pdf);
+        }
+    } finally {
+        if (!win.isDestroyed()) win.destroy();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
 /**
  * Register all conversation-related IPC handlers
  * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
@@ -142,6 +203,62 @@ function registerConversationHandlers(ipcMain, logDebug, mainWindow, getBatchCon
         }
     });
 
+    // Get every conversation two users share, with full threads - cancelled with axios:cancelGetConvos
+    ipcMain.handle('axios:getConvosBetweenUsers', async (event, data) => {
+        logDebug('[axios:getConvosBetweenUsers] Fetching shared conversations', { domain: data.domain, userId: data.user_id, otherUserId: data.other_user_id });
+        const senderId = event.sender.id;
+        if (getConvosControllers.has(senderId)) {
+            try { getConvosControllers.get(senderId).abort('superseded'); } catch { }
+        }
+        const controller = new AbortController();
+        getConvosControllers.set(senderId, controller);
+        try {
+            return await convos.getConversationsBetweenUsers({
+                ...data,
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    try { event.sender.send('update-progress', progress); } catch { }
+                }
+            });
+        } catch (error) {
+            logDebug('[axios:getConvosBetweenUsers] Error', { error: error.message });
+            throw serializeErrorForIPC(error);
+        } finally {
+            if (getConvosControllers.get(senderId) === controller) {
+                getConvosControllers.delete(senderId);
+            }
+        }
+    });
+
+    // Search a sender's sent conversations by body text, pattern, attachment name, recipient count and date - cancelled with axios:cancelGetConvos
+    ipcMain.handle('axios:searchConvos', async (event, data) => {
+        logDebug('[axios:searchConvos] Searching sent conversations', { domain: data.domain, userId: data.user_id });
+        const senderId = event.sender.id;
+        if (getConvosControllers.has(senderId)) {
+            try { getConvosControllers.get(senderId).abort('superseded'); } catch { }
+        }
+        const controller = new AbortController();
+        getConvosControllers.set(senderId, controller);
+        try {
+            const result = await convos.searchSentConversations({
+                ...data,
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    try { event.sender.send('update-progress', progress); } catch { }
+                }
+            });
+            logDebug('[axios:searchConvos] Complete', { scanned: result.scanned, matches: result.matches.length });
+            return result;
+        } catch (error) {
+            logDebug('[axios:searchConvos] Error', { error: error.message });
+            throw serializeErrorForIPC(error);
+        } finally {
+            if (getConvosControllers.get(senderId) === controller) {
+                getConvosControllers.delete(senderId);
+            }
+        }
+    });
+
     // Cancel conversation fetch
     ipcMain.handle('axios:cancelGetConvos', async (event) => {
         const senderId = event.sender.id;
@@ -355,7 +472,7 @@ function registerConversationHandlers(ipcMain, logDebug, mainWindow, getBatchCon
     });
 
     // Delete conversations
-    ipcMain.handle('axios:deleteConvos', async (event, data) => {
+    ipcMain.handle('axios:deleteConvos', dryRun.guard('axios:deleteConvos', describeDeleteConvos, async (event, data) => {
         logDebug('[axios:deleteConvos] Starting deletion', { count: data.messages?.length });
         const senderId = event.sender.id;
         deleteConvosCancelFlags.set(senderId, false);
@@ -393,7 +510,7 @@ function registerConversationHandlers(ipcMain, logDebug, mainWindow, getBatchCon
         });
 
         return { ...response, cancelled };
-    });
+    }));
 
     // Cancel conversation deletion
     ipcMain.handle('axios:cancelDeleteConvos', async (event) => {
@@ -408,7 +525,7 @@ function registerConversationHandlers(ipcMain, logDebug, mainWindow, getBatchCon
     });
 
     // Delete files
-    ipcMain.handle('axios:deleteFiles', async (event, data) => {
+    ipcMain.handle('axios:deleteFiles', dryRun.guard('axios:deleteFiles', describeDeleteFiles, async (event, data) => {
         logDebug('[axios:deleteFiles] Starting file deletion', { count: data.files?.length });
         const senderId = event.sender.id;
 
@@ -426,29 +543,216 @@ function registerConversationHandlers(ipcMain, logDebug, mainWindow, getBatchCon
         const successful = [];
         const failed = [];
 
+        // Quarantine mode keeps an encrypted copy of each file before it is deleted;
+        // a file that cannot be copied is left in Canvas
+        let archiveId = null;
+        if (data.quarantine) {
+            archiveId = quarantine.createArchive({ label: data.label || `${files.length} conversation attachment(s)`, domain: data.domain });
+            logDebug('[axios:deleteFiles] Quarantining to archive', { archiveId });
+        }
+
         for (const file of files) {
+            if (archiveId) {
+                try {
+                    const download = await canvasFiles.downloadFile({ domain: data.domain, token: data.token, file_id: file.id });
+                    quarantine.addFile(archiveId, {
+                        fileId: file.id,
+                        conversationIds: Array.isArray(file.conversationIds) ? file.conversationIds : [],
+                        displayName: download.displayName || file.name,
+                        contentType: download.contentType,
+                        content: download.content
+                    });
+                } catch (err) {
+                    failed.push({
+                        id: file.id,
+                        name: file.name,
+                        reason: `Not deleted: could not quarantine the file (${err?.response?.data?.message || err?.message || 'Unknown error'})`,
+                        status: err?.response?.status || err?.status
+                    });
+                    continue;
+                }
+            }
             try {
                 const result = await deleteFile(file.id);
                 successful.push({ id: file.id, name: file.name, value: result });
+                if (archiveId) quarantine.markDeleted(archiveId, file.id, { deleted: true });
             } catch (err) {
+                const reason = err?.response?.data?.message || err?.message || 'Unknown error';
                 failed.push({
                     id: file.id,
                     name: file.name,
-                    reason: err?.response?.data?.message || err?.message || 'Unknown error',
+                    reason,
                     status: err?.response?.status
                 });
+                if (archiveId) quarantine.markDeleted(archiveId, file.id, { deleted: false, reason });
             }
         }
 
         logDebug('[axios:deleteFiles] Complete', {
             successful: successful.length,
-            failed: failed.length
+            failed: failed.length,
+            archiveId
+        });
+
+        return archiveId
+            ? { successful, failed, quarantine: { archiveId, count: quarantine.getArchive(archiveId).files.length } }
+            : { successful, failed };
+    }));
+
+    // Export a user's conversations (or those shared with other_user_id) with full bodies as MBOX, EML and/or PDF transcripts, plus their attachments
+    ipcMain.handle('axios:exportConversations', async (event, data) => {
+        logDebug('[axios:exportConversations] Starting export', { domain: data.domain, userId: data.user_id, otherUserId: data.other_user_id, scope: data.scope, formats: data.formats });
+        const senderId = event.sender.id;
+        const formats = data.formats || {};
+        if (!formats.mbox && !formats.eml && !formats.pdf) {
+            throw new Error('Choose at least one export format');
+        }
+
+        const { dialog } = require('electron');
+        const folderResult = await dialog.showOpenDialog(mainWindow, {
+            title: 'Choose where to save the conversation export',
+            properties: ['openDirectory', 'createDirectory']
         });
+        if (folderResult.canceled || !folderResult.filePaths[0]) {
+            return { cancelled: true };
+        }
+
+        if (exportConvosControllers.has(senderId)) {
+            try { exportConvosControllers.get(senderId).abort('superseded'); } catch { }
+        }
+        const controller = new AbortController();
+        exportConvosControllers.set(senderId, controller);
+        const isCancelled = () => controller.signal.aborted;
+        const sendProgress = (progress) => {
+            try { event.sender.send('update-progress', progress); } catch { }
+        };
+
+        try {
+            const fetchConversations = data.other_user_id ? convos.getConversationsBetweenUsers : convos.getConversationsForExport;
+            const { conversations, skippedCount } = await fetchConversations({
+                ...data,
+                signal: controller.signal,
+                onProgress: sendProgress
+            });
 
-        return { successful, failed };
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+            const users = data.other_user_id ? `users-${data.user_id}-${data.other_user_id}` : `user-${data.user_id}`;
+            const folder = path.join(folderResult.filePaths[0], conversationExport.safeFileName(`conversations-${users}-${stamp}`));
+            fs.mkdirSync(folder, { recursive: true });
+            const exportedAt = new Date().toISOString();
+            const files = { mbox: null, eml: 0, pdf: 0 };
+
+            if (formats.mbox) {
+                files.mbox = path.join(folder, 'conversations.mbox');
+                fs.writeFileSync(files.mbox, conversationExport.toMbox(conversations, { domain: data.domain }), 'utf8');
+            }
+
+            if (formats.eml) {
+                fs.mkdirSync(path.join(folder, 'eml'), { recursive: true });
+                for (const conversation of conversations) {
+                    for (const message of conversation.messages) {
+                        const fileName = `${conversation.id}-${message.id}.eml`;
+                        fs.writeFileSync(path.join(folder, 'eml', fileName), conversationExport.toEml(conversation, message, { domain: data.domain }), 'utf8');
+                        files.eml++;
+                    }
+                }
+            }
+
+            if (formats.pdf && !isCancelled()) {
+                fs.mkdirSync(path.join(folder, 'pdf'), { recursive: true });
+                sendProgress({ message: `Creating ${conversations.length} PDF transcript(s)...` });
+                const transcripts = conversations.map(conversation => ({
+                    html: conversationExport.toTranscriptHtml(conversation, { domain: data.domain, exportedAt }),
+                    filePath: path.join(folder, 'pdf', `${conversation.id} - ${conversationExport.safeFileName(conversation.subject, 'no subject')}.pdf`)
+                }));
+                await writeTranscriptPdfs(transcripts, isCancelled);
+                files.pdf = transcripts.filter(t => fs.existsSync(t.filePath)).length;
+            }
+
+            // Attachments shared by several messages are downloaded once per conversation
+            const attachments = [];
+            const seen = new Set();
+            if (data.includeAttachments !== false) {
+                for (const conversation of conversations) {
+                    for (const attachment of conversation.messages.flatMap(m => m.attachments)) {
+                        const relativePath = conversationExport.attachmentPath(conversation.id, attachment);
+                        if (seen.has(relativePath)) continue;
+                        seen.add(relativePath);
+                        attachments.push({ ...attachment, relativePath });
+                    }
+                }
+            }
+            let savedAttachments = 0;
+            const failedAttachments = [];
+            for (const [index, attachment] of attachments.entries()) {
+                if (isCancelled()) break;
+                sendProgress({ message: `Downloading attachment ${index + 1} of ${attachments.length}...`, done: index, total: attachments.length });
+                try {
+                    if (!attachment.url) throw new Error('Canvas did not return a download link');
+                    const content = await convos.downloadConversationAttachment({ url: attachment.url, token: data.token, signal: controller.signal });
+                    const filePath = path.join(folder, ...attachment.relativePath.split('/'));
+                    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                    fs.writeFileSync(filePath, content);
+                    savedAttachments++;
+                } catch (error) {
+                    if (isCancelled()) break;
+                    failedAttachments.push({ id: attachment.id, name: attachment.name, reason: error?.response?.status ? `HTTP ${error.response.status}` : error.message });
+                }
+            }
+
+            const summary = {
+                cancelled: isCancelled(),
+                folder,
+                conversations: conversations.length,
+                messages: conversations.reduce((count, c) => count + c.messages.length, 0),
+                attachments: savedAttachments,
+                failedAttachments,
+                skippedCount,
+                files
+            };
+            fs.writeFileSync(path.join(folder, 'manifest.json'), JSON.stringify({
+                domain: data.domain,
+                userId: data.user_id,
+                otherUserId: data.other_user_id || null,
+                scope: data.other_user_id ? 'all' : (data.scope || 'inbox'),
+                sentOnOrAfter: data.sent_on_or_after || null,
+                sentBefore: data.sent_before || null,
+                exportedAt,
+                cancelled: summary.cancelled,
+                messages: summary.messages,
+                attachments: savedAttachments,
+                failedAttachments,
+                skippedCount,
+                conversations: conversations.map(c => ({ id: c.id, subject: c.subject, messages: c.messages.length }))
+            }, null, 2), 'utf8');
+
+            logDebug('[axios:exportConversations] Complete', { folder, conversations: summary.conversations, messages: summary.messages, attachments: savedAttachments, failed: failedAttachments.length, cancelled: summary.cancelled });
+            return summary;
+        } catch (error) {
+            if (isCancelled()) {
+                logDebug('[axios:exportConversations] Cancelled before anything was written');
+                return { cancelled: true };
+            }
+            logDebug('[axios:exportConversations] Error', { error: error.message });
+            throw serializeErrorForIPC(error);
+        } finally {
+            if (exportConvosControllers.get(senderId) === controller) {
+                exportConvosControllers.delete(senderId);
+            }
+        }
     });
 
-    logDebug('[conversationHandlers] 10 conversation handlers registered');
+    // Cancel conversation export
+    ipcMain.handle('axios:cancelExportConversations', async (event) => {
+        const senderId = event.sender.id;
+        logDebug('[axios:cancelExportConversations] Cancelling export', { senderId });
+        const controller = exportConvosControllers.get(senderId);
+        if (!controller) return { cancelled: false };
+        controller.abort('user_cancelled');
+        return { cancelled: true };
+    });
+
+    logDebug('[conversationHandlers] 15 conversation handlers registered');
 }
 
 /**
@@ -469,6 +773,12 @@ function cleanupConversationState(rendererId) {
         getDeletedConvosControllers.delete(rendererId);
     }
 
+    const exportConvosController = exportConvosControllers.get(rendererId);
+    if (exportConvosController) {
+        try { exportConvosController.abort('renderer_closed'); } catch { }
+        exportConvosControllers.delete(rendererId);
+    }
+
     // Clean up cancel flags
     restoreConvosCancelFlags.delete(rendererId);
     deleteConvosCancelFlags.delete(rendererId);
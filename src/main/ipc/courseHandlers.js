@@ -18,6 +18,8 @@ const { createPage } = require('../../shared/canvas-api/pages');
 const { addUsers, enrollUser, createUsers } = require('../../shared/canvas-api/users');
 const { batchHandler } = require('../../shared/batchHandler');
 const { serializeErrorForIPC } = require('../../shared/errorUtils');
+const jobJournal = require('../state/jobJournal');
+const dryRun = require('../state/dryRun');
 
 // ==================== Helper Functions ====================
 
@@ -124,6 +126,61 @@ async function enrollUsers(usersToEnroll, userIDs, getBatchConfig) {
     return await batchHandler(requests, getBatchConfig());
 }
 
+// ==================== Dry Run Previews ====================
+
+const describeResetCourses = async (data) => ({
+    action: 'reset',
+    domain: data.domain,
+    targets: (data.courses || []).map(course => ({ type: 'course', id: course?.id || course }))
+});
+
+const describeDeleteModules = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.module_ids || []).slice(0, data.number ?? undefined).map(m => ({
+        type: 'module',
+        id: m?.id || m,
+        name: m?.name || '',
+        course_id: data.course_id
+    }))
+});
+
+const describeDeleteClassicQuizzes = async (data) => ({
+    action: 'delete',
+    domain: data.domain,
+    targets: (data.quizzes || []).map(quiz => ({
+        type: 'quiz',
+        id: quiz?._id || quiz?.id || quiz,
+        name: quiz?.title || quiz?.name || '',
+        course_id: data.courseID
+    }))
+});
+
+// data.context is the kind of content restored (e.g. 'assignment'), data.values its IDs
+const describeRestoreContent = async (data) => ({
+    action: 'restore',
+    domain: data.domain,
+    targets: (data.values || []).map(value => ({ type: data.context || 'content', id: value, course_id: data.courseID }))
+});
+
+const describeRelockModules = async (data) => ({
+    action: 'relock',
+    domain: data.domain,
+    targets: (data.module_ids || []).map(m => ({
+        type: 'module',
+        id: m?.id || m,
+        name: m?.name || '',
+        course_id: data.course_id
+    }))
+});
+
+// Every module in each course is relocked; the modules are only listed when the relock runs
+const describeRelockBulkCourses = async (data) => ({
+    action: 'relock',
+    domain: data.domain,
+    targets: (data.course_ids || []).map(courseId => ({ type: 'course', id: courseId }))
+});
+
 /**
  * Register all course/quiz/module-related IPC handlers
  * @param {Electron.IpcMain} ipcMain - Electron IPC main process
@@ -142,7 +199,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
     /**
      * Restore content in a course (assignments, discussions, etc.)
      */
-    ipcMain.handle('axios:restoreContent', async (event, data) => {
+    ipcMain.handle('axios:restoreContent', dryRun.guard('axios:restoreContent', describeRestoreContent, async (event, data) => {
         console.log('courseHandlers.js > restoreContent');
 
         const totalNumber = data.values.length;
@@ -180,12 +237,12 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
 
         const batchResponse = await batchHandler(requests, getBatchConfig());
         return batchResponse;
-    });
+    }));
 
     /**
      * Reset multiple courses (delete content)
      */
-    ipcMain.handle('axios:resetCourses', async (event, data) => {
+    ipcMain.handle('axios:resetCourses', dryRun.guard('axios:resetCourses', describeResetCourses, async (event, data) => {
         console.log('courseHandlers.js > resetCourses');
 
         const rendererId = event.sender.id;
@@ -231,7 +288,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
         } finally {
             resetCoursesCancelFlags.delete(rendererId);
         }
-    });
+    }));
 
     /**
      * Cancel an in-progress resetCourses batch
@@ -317,8 +374,9 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
      * Restore deleted courses in batches of 100.
      * Uses the Canvas batch update endpoint (PUT /api/v1/accounts/self/courses)
      * with event=undelete, then polls the returned Progress object.
+     * Each finished batch is journaled so an interrupted restore can be resumed.
      */
-    ipcMain.handle('axios:restoreCourses', async (event, data) => {
+    ipcMain.handle('axios:restoreCourses', jobJournal.resumable('axios:restoreCourses', async (event, data) => {
         console.log('courseHandlers.js > restoreCourses');
 
         const rendererId = event.sender.id;
@@ -326,6 +384,13 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
 
         const { domain, token, courseIds } = data;
 
+        const journal = jobJournal.openJob(data, {
+            operation: 'axios:restoreCourses',
+            inputs: { domain },
+            itemsField: 'courseIds',
+            items: courseIds.map(id => ({ key: id, value: id }))
+        });
+
         // Split course IDs into chunks of 100
         const chunks = [];
         for (let i = 0; i < courseIds.length; i += 100) {
@@ -388,11 +453,13 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
                     const match = (finalProgress.message || '').match(/(\d+)/);
                     const count = match ? parseInt(match[1]) : chunkIds.length;
                     successfulCount += count;
+                    if (journal) journal.markItems(chunkIds, 'succeeded');
                 } else if (finalProgress?.workflow_state === 'failed') {
                     failed.push({
                         ids: chunkIds,
                         message: finalProgress.message || 'Job failed with no message'
                     });
+                    if (journal) journal.markItems(chunkIds, 'failed', finalProgress.message);
                 }
 
             } catch (error) {
@@ -402,6 +469,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
                     error.message ||
                     'Unknown error';
                 failed.push({ ids: chunkIds, message: errMsg });
+                if (journal) journal.markItems(chunkIds, 'failed', errMsg);
             }
 
             // Send progress percentage to renderer after each batch
@@ -409,9 +477,10 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
         }
 
         restoreCoursesCancelFlags.delete(rendererId);
+        if (journal) journal.finish(cancelledByUser ? 'cancelled' : 'completed');
 
-        return { successfulCount, failed, cancelledByUser };
-    });
+        return { successfulCount, failed, cancelledByUser, jobId: journal?.jobId || null };
+    }));
 
     /**
      * Cancel an in-progress restoreCourses operation.
@@ -1274,7 +1343,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
     /**
      * Delete classic quizzes
      */
-    ipcMain.handle('axios:deleteClassicQuizzes', async (event, data) => {
+    ipcMain.handle('axios:deleteClassicQuizzes', dryRun.guard('axios:deleteClassicQuizzes', describeDeleteClassicQuizzes, async (event, data) => {
         console.log('courseHandlers.js > deleteClassicQuizzes');
 
         let completedRequests = 0;
@@ -1308,7 +1377,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
 
         const batchResponse = await batchHandler(requests, getBatchConfig());
         return batchResponse;
-    });
+    }));
 
     /**
      * Get Respondus quizzes
@@ -1517,7 +1586,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
     /**
      * Delete multiple modules
      */
-    ipcMain.handle('axios:deleteModules', async (event, data) => {
+    ipcMain.handle('axios:deleteModules', dryRun.guard('axios:deleteModules', describeDeleteModules, async (event, data) => {
         console.log('courseHandlers.js > deleteModules');
 
         let completedRequests = 0;
@@ -1554,7 +1623,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
         const batchResponse = await batchHandler(requests, getBatchConfig());
         console.log('Finished deleting modules.');
         return batchResponse;
-    });
+    }));
 
     /**
      * Create multiple modules
@@ -1767,7 +1836,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
     /**
      * Relock multiple modules
      */
-    ipcMain.handle('axios:relockModules', async (event, data) => {
+    ipcMain.handle('axios:relockModules', dryRun.guard('axios:relockModules', describeRelockModules, async (event, data) => {
         console.log('courseHandlers.js > relockModules');
 
         let completedRequests = 0;
@@ -1802,14 +1871,14 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
         const batchResponse = await batchHandler(requests, getBatchConfig());
         console.log('Finished relocking modules.');
         return batchResponse;
-    });
+    }));
 
     /**
      * Bulk relock modules across multiple courses (file upload flow)
      * Fetches modules for each course and relocks all of them.
      * Sends granular progress updates per-course.
      */
-    ipcMain.handle('axios:relockBulkCourses', async (event, data) => {
+    ipcMain.handle('axios:relockBulkCourses', dryRun.guard('axios:relockBulkCourses', describeRelockBulkCourses, async (event, data) => {
         console.log('courseHandlers.js > relockBulkCourses');
 
         const { domain, token, course_ids } = data;
@@ -1894,7 +1963,7 @@ function registerCourseHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
         }));
 
         return results;
-    });
+    }));
 
     logDebug('Course/quiz/module IPC handlers registered successfully');
 }
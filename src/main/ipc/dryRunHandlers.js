@@ -0,0 +1,33 @@
+/**
+ * IPC Handlers for the global dry-run switch
+ * @module ipc/dryRunHandlers
+ */
+
+const dryRun = require('../state/dryRun');
+
+/**
+ * Register dry-run IPC handlers and forward previews to the renderer
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Main window that displays previews
+ */
+function registerDryRunHandlers(ipcMain, logDebug, mainWindow) {
+    ipcMain.handle('dryRun:getEnabled', async () => {
+        return dryRun.isEnabled();
+    });
+
+    ipcMain.handle('dryRun:setEnabled', async (_event, enabled) => {
+        dryRun.setEnabled(enabled);
+        logDebug('[dryRun:setEnabled] Dry run mode changed', { enabled: dryRun.isEnabled() });
+        return dryRun.isEnabled();
+    });
+
+    dryRun.setPreviewListener((preview) => {
+        logDebug('[dryRun] Preview generated', { operation: preview.operation, count: preview.count, skipped: preview.skipped });
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('dry-run-preview', preview);
+        }
+    });
+}
+
+module.exports = { registerDryRunHandlers };
@@ -6,7 +6,7 @@
  * - File reading with allowlist validation
  * - File writing with allowlist validation
  * - CSV/Excel parsing
- * - HAR file analysis
+ * - HAR file analysis and sanitizing
  */
 
 const { ipcMain, dialog } = require('electron');
@@ -15,6 +15,20 @@ const path = require('path');
 const OpenAI = require('openai');
 const { getAIClientConfig } = require('../security/aiProviders');
 const { getDecryptedKey, store } = require('./settingsHandlers');
+const harSanitizer = require('../../shared/harSanitizer');
+const { HARComparator } = require('../../shared/harComparator');
+
+// Sanitizer rules last used, so a team's customised names carry over
+const HAR_SANITIZE_RULES_SETTING = 'harSanitizer.rules';
+
+// Raw entries of the last HAR each renderer parsed, for har:getEntry
+const harEntriesBySender = new Map(); // senderId -> Array<HAR entry>
+
+// The last HAR comparison each renderer ran, for har:compareBodies
+const harComparisonsBySender = new Map(); // senderId -> HARComparator
+
+// Bodies longer than this are cut off in har:getEntry
+const HAR_BODY_PREVIEW_LIMIT = 200 * 1024;
 
 /**
  * Classify a MIME type string into a human-readable resource category.
@@ -34,6 +48,31 @@ function classifyMimeType(mimeType) {
     return 'Other';
 }
 
+/**
+ * Zip a fixed standalone QTI XML file with its generated manifest
+ * @param {string} xmlFilename - Name of the XML file inside the package
+ * @param {Object} fixResult - QTIAnalyzer.fixStandaloneQtiXml result
+ * @returns {Promise<Buffer>}
+ */
+async function zipStandaloneQti(xmlFilename, fixResult) {
+    const JSZip = require('jszip');
+    const zip = new JSZip();
+    zip.file(xmlFilename, fixResult.fixedXml);
+    zip.file('imsmanifest.xml', fixResult.manifest);
+    return zip.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+    });
+}
+
+function standaloneQtiFixes(xmlFilename, fixResult) {
+    return [
+        { filename: xmlFilename, type: 'quiz_xml', fixes: fixResult.appliedFixes },
+        { filename: 'imsmanifest.xml', type: 'manifest', fixes: ['manifest_generated'] }
+    ];
+}
+
 /**
  * Register all file operation IPC handlers
  * @param {Object} options - Configuration options
@@ -127,16 +166,15 @@ function registerFileHandlers({ mainWindow, security, parsers, harAnalyzer }) {
         return folderPath;
     });
 
-    // File selection
+    // File selection; options.multiple allows several files, returned in filePaths
     ipcMain.handle('sis:selectFile', async (event, options = {}) => {
         const result = await dialog.showOpenDialog(mainWindow, {
-            properties: ['openFile'],
+            properties: options.multiple ? ['openFile', 'multiSelections'] : ['openFile'],
             filters: options.filters || [{ name: 'All Files', extensions: ['*'] }]
         });
         if (result.canceled) return null;
-        const filePath = result.filePaths[0];
-        rememberPath(allowedReadPaths, event.sender.id, filePath);
-        return { filePath };
+        result.filePaths.forEach(filePath => rememberPath(allowedReadPaths, event.sender.id, filePath));
+        return { filePath: result.filePaths[0], filePaths: result.filePaths };
     });
 
     // File reading with security check
@@ -207,6 +245,8 @@ function registerFileHandlers({ mainWindow, security, parsers, harAnalyzer }) {
             const log = harData.log || {};
             const rawEntries = log.entries || [];
             const rawPages = log.pages || [];
+            const analyzer = new harAnalyzer.HARAnalyzer(harData);
+            harEntriesBySender.set(event.sender.id, rawEntries);
 
             // Flatten each entry into a simple object
             const entries = rawEntries.map((entry, i) => {
@@ -255,12 +295,138 @@ function registerFileHandlers({ mainWindow, security, parsers, harAnalyzer }) {
                 },
                 pages,
                 entries,
+                // Decoded SAML/OAuth/JWT messages; entryId matches entries[].id
+                auth: analyzer.getAuthAssertions(),
+                // Timing phases of every request on one time axis; rows[].id matches entries[].id
+                waterfall: analyzer.getWaterfall(),
             };
         } catch (error) {
             throw new Error(`Failed to parse HAR file: ${error.message}`);
         }
     });
 
+    // Headers, parameters and bodies of one request from the last HAR this window parsed
+    ipcMain.handle('har:getEntry', async (event, id) => {
+        const rawEntries = harEntriesBySender.get(event.sender.id);
+        const entry = rawEntries && rawEntries[Number(id) - 1];
+        if (!entry) {
+            throw new Error('Request not found; parse the HAR file again');
+        }
+        const req = entry.request || {};
+        const res = entry.response || {};
+        const preview = (body) => {
+            if (typeof body !== 'string') return { text: null, truncated: false };
+            return body.length > HAR_BODY_PREVIEW_LIMIT
+                ? { text: body.slice(0, HAR_BODY_PREVIEW_LIMIT), truncated: true }
+                : { text: body, truncated: false };
+        };
+        return {
+            id: Number(id),
+            startedDateTime: entry.startedDateTime || null,
+            serverIPAddress: entry.serverIPAddress || null,
+            timings: entry.timings || {},
+            request: {
+                method: req.method || '',
+                url: req.url || '',
+                httpVersion: req.httpVersion || '',
+                headers: req.headers || [],
+                queryString: req.queryString || [],
+                postData: req.postData
+                    ? { mimeType: req.postData.mimeType || '', params: req.postData.params || [], ...preview(req.postData.text) }
+                    : null
+            },
+            response: {
+                status: res.status || 0,
+                statusText: res.statusText || '',
+                httpVersion: res.httpVersion || '',
+                headers: res.headers || [],
+                redirectURL: res.redirectURL || '',
+                content: {
+                    mimeType: (res.content && res.content.mimeType) || '',
+                    size: (res.content && res.content.size != null) ? res.content.size : -1,
+                    encoding: (res.content && res.content.encoding) || null,
+                    ...preview(res.content && res.content.text)
+                }
+            }
+        };
+    });
+
+    // Compare two HAR captures chosen with har:selectFile (A = e.g. working, B = failing)
+    ipcMain.handle('har:compare', async (event, { filePathA, filePathB, options } = {}) => {
+        const read = (filePath, label) => {
+            if (!isAllowedPath(allowedReadPaths, event.sender.id, filePath)) {
+                throw new Error(`Access denied: HAR file ${label} was not selected via dialog`);
+            }
+            try {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to parse HAR file ${label}: ${error.message}`);
+            }
+        };
+        const comparator = new HARComparator(read(filePathA, 'A'), read(filePathB, 'B'), options);
+        const result = comparator.compare();
+        harComparisonsBySender.set(event.sender.id, comparator);
+        return {
+            ...result,
+            files: { a: path.basename(filePathA), b: path.basename(filePathB) }
+        };
+    });
+
+    // Response body diff of one matched pair from the last har:compare
+    ipcMain.handle('har:compareBodies', async (event, pairId) => {
+        const comparator = harComparisonsBySender.get(event.sender.id);
+        if (!comparator) {
+            throw new Error('No HAR comparison loaded; compare the HAR files again');
+        }
+        return comparator.compareBodies(pairId);
+    });
+
+    // Sanitizer rules for the Sanitize & Save form: last used, or the defaults
+    ipcMain.handle('har:getSanitizeRules', async () => {
+        return {
+            rules: harSanitizer.normalizeRules(store.get(HAR_SANITIZE_RULES_SETTING) || {}),
+            defaults: harSanitizer.normalizeRules()
+        };
+    });
+
+    // Sanitize & Save — writes a redacted copy of the HAR plus a JSON redaction report next to it
+    ipcMain.handle('har:sanitize', async (event, { filePath, rules } = {}) => {
+        if (!isAllowedPath(allowedReadPaths, event.sender.id, filePath)) {
+            throw new Error('Access denied: HAR file was not selected via dialog');
+        }
+        let harData;
+        try {
+            harData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to parse HAR file: ${error.message}`);
+        }
+        if (!harData.log || !Array.isArray(harData.log.entries)) {
+            throw new Error('Failed to parse HAR file: no log.entries found');
+        }
+
+        const { har, report } = harSanitizer.sanitizeHar(harData, rules);
+        store.set(HAR_SANITIZE_RULES_SETTING, report.rules);
+
+        const source = path.parse(filePath);
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Save Sanitized HAR',
+            defaultPath: path.join(source.dir, `${source.name}.sanitized.har`),
+            filters: [{ name: 'HAR Files', extensions: ['har'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { canceled: true };
+        }
+        if (path.resolve(result.filePath) === path.resolve(filePath)) {
+            throw new Error('Choose a different file name so the original HAR is not overwritten');
+        }
+
+        const target = path.parse(result.filePath);
+        const reportPath = path.join(target.dir, `${target.name}.redaction-report.json`);
+        fs.writeFileSync(result.filePath, JSON.stringify(har, null, 2), 'utf8');
+        fs.writeFileSync(reportPath, JSON.stringify({ source: source.base, output: target.base, ...report }, null, 2), 'utf8');
+        return { canceled: false, filePath: result.filePath, reportPath, report };
+    });
+
     // AI HAR analysis
     ipcMain.handle('har:analyzeAi', async (event, { filePath, model, prompt }) => {
         try {
@@ -556,16 +722,7 @@ ${JSON.stringify(summary, null, 2)}`;
                     return { canceled: false, noChanges: true, message: 'No Canvas compatibility issues found — nothing to fix.' };
                 }
 
-                const JSZip = require('jszip');
-                const zip = new JSZip();
-                zip.file(xmlFilename, fixResult.fixedXml);
-                zip.file('imsmanifest.xml', fixResult.manifest);
-
-                const zipBuffer = await zip.generateAsync({
-                    type: 'nodebuffer',
-                    compression: 'DEFLATE',
-                    compressionOptions: { level: 6 }
-                });
+                const zipBuffer = await zipStandaloneQti(xmlFilename, fixResult);
 
                 const saveResult = await dialog.showSaveDialog(mainWindow, {
                     title: 'Save Fixed QTI Package',
@@ -582,16 +739,11 @@ ${JSON.stringify(summary, null, 2)}`;
                 rememberPath(allowedWritePaths, event.sender.id, savePath);
                 fs.writeFileSync(savePath, zipBuffer);
 
-                const fixes = [
-                    { filename: xmlFilename, type: 'quiz_xml', fixes: fixResult.appliedFixes },
-                    { filename: 'imsmanifest.xml', type: 'manifest', fixes: ['manifest_generated'] }
-                ];
-
                 return {
                     canceled: false,
                     noChanges: false,
                     filePath: savePath,
-                    fixes,
+                    fixes: standaloneQtiFixes(xmlFilename, fixResult),
                     message: `Applied ${fixResult.appliedFixes.length} fix${fixResult.appliedFixes.length > 1 ? 'es' : ''} to quiz XML and generated Canvas-compatible manifest. Saved as ZIP package.`
                 };
             }
@@ -600,6 +752,149 @@ ${JSON.stringify(summary, null, 2)}`;
         }
     });
 
+    // Send the Canvas-compatible package to a course as a QTI content migration,
+    // then report the migration's result and issues
+    ipcMain.handle('qti:sendToCanvas', async (event, data = {}) => {
+        try {
+            const { filePath, domain, token } = data;
+            const courseId = String(data.courseId || '').trim();
+            if (!isAllowedPath(allowedReadPaths, event.sender.id, filePath)) {
+                throw new Error('Access denied: QTI file was not selected via dialog');
+            }
+            if (!domain || !token) {
+                throw new Error('Enter a Canvas domain and token first');
+            }
+            if (!/^(\d+|sis_course_id:.+)$/.test(courseId)) {
+                throw new Error('Enter a course ID (a number or sis_course_id:...)');
+            }
+
+            const { QTIAnalyzer } = require('../../shared/qtiAnalyzer');
+            const imports = require('../../shared/canvas-api/imports');
+            const ext = path.extname(filePath);
+            const baseName = path.basename(filePath, ext);
+
+            // The package Canvas receives has the same fixes qti:fixCanvasCompat would save
+            let buffer;
+            let fixes;
+            if (filePath.toLowerCase().endsWith('.zip')) {
+                const zipBuffer = fs.readFileSync(filePath);
+                const fixResult = await QTIAnalyzer.fixCanvasCompatibility(zipBuffer);
+                buffer = fixResult.fixedBuffer || zipBuffer;
+                fixes = fixResult.fixedBuffer ? fixResult.fixes : [];
+            } else {
+                // A standalone XML file always needs a manifest to be imported
+                const xmlFilename = path.basename(filePath);
+                const fixResult = QTIAnalyzer.fixStandaloneQtiXml(fs.readFileSync(filePath, 'utf8'), xmlFilename);
+                buffer = await zipStandaloneQti(xmlFilename, fixResult);
+                fixes = standaloneQtiFixes(xmlFilename, fixResult);
+            }
+
+            const result = await imports.importQtiPackage({
+                domain,
+                token,
+                course_id: courseId,
+                file_name: `${baseName}${fixes.length > 0 ? '_canvas_fixed' : ''}.zip`,
+                buffer,
+                import_as_new_quiz: Boolean(data.importAsNewQuiz),
+                question_bank_name: data.questionBankName || undefined
+            }, (progress) => {
+                if (!event.sender.isDestroyed()) {
+                    event.sender.send('qti:importProgress', progress);
+                }
+            });
+
+            return {
+                migration: result.migration,
+                workflowState: result.migration.workflow_state,
+                issues: result.issues,
+                fixes,
+                // The import page needs the Canvas course ID; SIS IDs only work in the API
+                importsUrl: /^\d+$/.test(courseId) ? `https://${domain}/courses/${courseId}/content_migrations` : null
+            };
+        } catch (error) {
+            throw new Error(`Failed to send QTI package to Canvas: ${error.message}`);
+        }
+    });
+
+    // Question source for the QTI writer: a QTI file or package, or a CSV/JSON question bank
+    ipcMain.handle('qti:selectQuestionSource', async (event) => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [
+                { name: 'Question Sources', extensions: ['csv', 'json', 'xml', 'zip'] },
+                { name: 'CSV Question Banks', extensions: ['csv'] },
+                { name: 'JSON Questions', extensions: ['json'] },
+                { name: 'QTI Files', extensions: ['xml', 'zip'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (result.canceled) return { canceled: true };
+        const filePath = result.filePaths[0];
+        rememberPath(allowedReadPaths, event.sender.id, filePath);
+        return { canceled: false, filePath };
+    });
+
+    // Build a QTI 1.2 (Canvas-flavoured) or 2.1 package from a question source,
+    // converting between QTI versions or from a spreadsheet
+    ipcMain.handle('qti:writePackage', async (event, { sourcePath, version, title } = {}) => {
+        try {
+            if (!isAllowedPath(allowedReadPaths, event.sender.id, sourcePath)) {
+                throw new Error('Access denied: question source was not selected via dialog');
+            }
+
+            const { QTIWriter } = require('../../shared/qtiWriter');
+            const source = await QTIWriter.readQuestions(fs.readFileSync(sourcePath), path.basename(sourcePath));
+            if (source.questions.length === 0) {
+                throw new Error('No questions found in the selected file');
+            }
+
+            // Images named in a question bank are read from the bank's folder
+            const sourceDir = path.dirname(sourcePath);
+            const media = [...source.media];
+            source.mediaFiles.forEach(name => {
+                const mediaPath = path.join(sourceDir, path.basename(name));
+                if (fs.existsSync(mediaPath)) {
+                    media.push({ path: `media/${path.basename(name)}`, data: fs.readFileSync(mediaPath) });
+                }
+            });
+
+            const targetVersion = version === '2.1' ? '2.1' : '1.2';
+            const built = await QTIWriter.buildPackage(source.questions, {
+                version: targetVersion,
+                title: title || source.title,
+                media
+            });
+
+            const baseName = path.basename(sourcePath, path.extname(sourcePath));
+            const saveResult = await dialog.showSaveDialog(mainWindow, {
+                title: `Save QTI ${targetVersion} Package`,
+                defaultPath: path.join(sourceDir, `${baseName}_qti${targetVersion.replace('.', '')}.zip`),
+                filters: [
+                    { name: 'ZIP Packages', extensions: ['zip'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+            if (saveResult.canceled || !saveResult.filePath) return { canceled: true };
+
+            const savePath = saveResult.filePath;
+            rememberPath(allowedWritePaths, event.sender.id, savePath);
+            fs.writeFileSync(savePath, built.buffer);
+
+            return {
+                canceled: false,
+                filePath: savePath,
+                version: built.version,
+                sourceVersion: source.sourceVersion,
+                questionCount: built.questionCount,
+                skipped: built.skipped,
+                warnings: built.warnings,
+                missingMedia: built.missingMedia
+            };
+        } catch (error) {
+            throw new Error(`Failed to write QTI package: ${error.message}`);
+        }
+    });
+
     // ============================================
     // Diff Checker Handlers
     // ============================================
@@ -780,5 +1075,13 @@ function filterImportantHeaders(headers) {
         .map(h => `${h.name}: ${h.value.length > 100 ? h.value.substring(0, 100) + '...' : h.value}`);
 }
 
-module.exports = { registerFileHandlers };
-module.exports = { registerFileHandlers };
+/**
+ * Drop the cached HAR entries and comparison of a closed renderer
+ * @param {number} rendererId - WebContents ID
+ */
+function cleanupFileState(rendererId) {
+    harEntriesBySender.delete(rendererId);
+    harComparisonsBySender.delete(rendererId);
+}
+
+module.exports = { registerFileHandlers, cleanupFileState };
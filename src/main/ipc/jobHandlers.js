@@ -0,0 +1,57 @@
+/**
+ * IPC Handlers for the job journal: listing, resuming and discarding
+ * bulk operations that were interrupted before they finished
+ * @module ipc/jobHandlers
+ */
+
+const jobJournal = require('../state/jobJournal');
+const { serializeErrorForIPC } = require('../../shared/errorUtils');
+
+/**
+ * Register all job journal IPC handlers
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ */
+function registerJobHandlers(ipcMain, logDebug) {
+    // List jobs that stopped before every item was processed
+    ipcMain.handle('jobs:listUnfinished', async () => {
+        return jobJournal.listUnfinished();
+    });
+
+    // Full job details including per-item status
+    ipcMain.handle('jobs:get', async (_event, jobId) => {
+        return jobJournal.getJob(jobId);
+    });
+
+    // Rerun only the pending items of a job through its original IPC handler
+    ipcMain.handle('jobs:resume', async (event, data) => {
+        const { jobId, token } = data || {};
+        logDebug('[jobs:resume] Resuming job', { jobId });
+
+        try {
+            const { operation, data: payload, remaining } = jobJournal.getResumePayload(jobId);
+            const handler = jobJournal.getResumeHandler(operation);
+            if (!handler) {
+                throw new Error(`Operation ${operation} cannot be resumed`);
+            }
+            if (remaining === 0) {
+                jobJournal.discardJob(jobId);
+                return { jobId, operation, remaining, result: null };
+            }
+
+            const result = await handler(event, { ...payload, token });
+            return { jobId, operation, remaining, result };
+        } catch (error) {
+            logDebug('[jobs:resume] Error', { jobId, error: error.message });
+            throw serializeErrorForIPC(error);
+        }
+    });
+
+    // Forget a job without resuming it
+    ipcMain.handle('jobs:discard', async (_event, jobId) => {
+        logDebug('[jobs:discard] Discarding job', { jobId });
+        return { discarded: jobJournal.discardJob(jobId) };
+    });
+}
+
+module.exports = { registerJobHandlers };
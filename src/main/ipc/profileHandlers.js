@@ -0,0 +1,153 @@
+/**
+ * IPC Handlers for saved instance profiles
+ * @module ipc/profileHandlers
+ */
+
+const { dialog } = require('electron');
+const { store, encryptSecret, decryptSecret } = require('./settingsHandlers');
+const profiles = require('../state/profiles');
+const dryRun = require('../state/dryRun');
+const schedules = require('../state/schedules');
+
+const ITEMS_KEY = 'profiles.items';
+const ACTIVE_KEY = 'profiles.activeId';
+
+function getProfiles() {
+    return store.get(ITEMS_KEY, []);
+}
+
+function getActiveId() {
+    return store.get(ACTIVE_KEY, null);
+}
+
+/**
+ * Profile by id or name (case-insensitive) with its decrypted token
+ * @param {string} nameOrId - Profile id or name
+ * @returns {{ profile: Object, token: string }|null} Null if missing or the token cannot be decrypted
+ */
+function resolveProfile(nameOrId) {
+    const key = String(nameOrId || '').toLowerCase();
+    const profile = getProfiles().find(p => p.id === nameOrId || p.name.toLowerCase() === key);
+    if (!profile) return null;
+    const token = decryptSecret(profile.encryptedToken, `token for profile ${profile.name}`);
+    return token ? { profile: profiles.toPublicProfile(profile), token } : null;
+}
+
+/**
+ * Saved profile for a target domain
+ * @param {string} domain - Canvas domain
+ * @returns {Object|null}
+ */
+function findProfileForDomain(domain) {
+    return profiles.findProfileForDomain(getProfiles(), domain, getActiveId());
+}
+
+/**
+ * Register profile IPC handlers and the production confirmation for destructive operations
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Main window for the badge warning and confirm dialog
+ */
+function registerProfileHandlers(ipcMain, logDebug, mainWindow) {
+    ipcMain.handle('profiles:list', async () => {
+        return {
+            activeId: getActiveId(),
+            profiles: getProfiles().map(profiles.toPublicProfile)
+        };
+    });
+
+    // token is optional when updating; leaving it out keeps the stored one
+    ipcMain.handle('profiles:save', async (_event, data) => {
+        let encryptedToken = null;
+        if (data?.token) {
+            encryptedToken = encryptSecret(String(data.token).trim());
+            if (!encryptedToken) {
+                throw new Error('Encryption not available on this system');
+            }
+        }
+
+        const { profiles: next, profile } = profiles.upsertProfile(getProfiles(), data, encryptedToken);
+        if (!profile.encryptedToken) {
+            throw new Error('A token is required for a new profile');
+        }
+        store.set(ITEMS_KEY, next);
+        logDebug('[profiles:save] Saved profile', { id: profile.id, domain: profile.domain, environment: profile.environment });
+        return profiles.toPublicProfile(profile);
+    });
+
+    ipcMain.handle('profiles:delete', async (_event, id) => {
+        const remaining = getProfiles().filter(p => p.id !== id);
+        store.set(ITEMS_KEY, remaining);
+        if (getActiveId() === id) {
+            store.delete(ACTIVE_KEY);
+        }
+        logDebug('[profiles:delete] Deleted profile', { id });
+        return { success: true };
+    });
+
+    // Returns the decrypted token so the renderer can fill the header fields
+    ipcMain.handle('profiles:activate', async (_event, id) => {
+        if (!id) {
+            store.delete(ACTIVE_KEY);
+            return null;
+        }
+
+        const profile = getProfiles().find(p => p.id === id);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        const token = decryptSecret(profile.encryptedToken, `token for profile ${profile.name}`);
+        if (!token) {
+            throw new Error(`Could not decrypt the token for "${profile.name}". Save the profile again with its token.`);
+        }
+        store.set(ACTIVE_KEY, profile.id);
+        logDebug('[profiles:activate] Activated profile', { id: profile.id, domain: profile.domain, environment: profile.environment });
+        return { ...profiles.toPublicProfile(profile), token };
+    });
+
+    ipcMain.handle('profiles:getActive', async () => {
+        const profile = getProfiles().find(p => p.id === getActiveId());
+        return profile ? profiles.toPublicProfile(profile) : null;
+    });
+
+    // Ask before a destructive operation runs against a production profile
+    dryRun.setRunCheck(async (operation, data, describe) => {
+        const domain = dryRun.getTargetDomain(data);
+        const profile = findProfileForDomain(domain);
+        if (profile?.environment !== 'production') return true;
+
+        // Nobody may be there to answer; the consent was given when the schedule was saved
+        const scheduled = schedules.getCurrentRun();
+        if (scheduled) {
+            logDebug('[profiles] Scheduled run against production', { operation, schedule: scheduled.name, allowed: scheduled.allowProduction });
+            return scheduled.allowProduction === true;
+        }
+
+        let count = null;
+        try {
+            count = dryRun.buildPreview(operation, await describe()).count;
+        } catch (error) {
+            logDebug('[profiles] Could not count targets for production warning', { operation, error: error.message });
+        }
+
+        const warning = { operation, domain: profile.domain, profileName: profile.name, count };
+        if (!mainWindow || mainWindow.isDestroyed()) return false;
+        mainWindow.webContents.send('profiles:productionWarning', warning);
+
+        const what = count === null ? 'items' : `${count} item(s)`;
+        const { response } = await dialog.showMessageBox(mainWindow, {
+            type: 'warning',
+            buttons: ['Cancel', 'Continue'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Production instance',
+            message: `This will change ${what} on ${profile.domain} (${profile.name}, PRODUCTION).`,
+            detail: `Operation: ${operation}\n\nTurn on Dry run to preview the changes first.`
+        });
+        const confirmed = response === 1;
+        logDebug('[profiles] Production warning answered', { ...warning, confirmed });
+        return confirmed;
+    });
+}
+
+module.exports = { registerProfileHandlers, resolveProfile, findProfileForDomain };
@@ -0,0 +1,121 @@
+/**
+ * IPC Handlers for quarantined conversation attachments: review, extract, report and purge
+ * @module ipc/quarantineHandlers
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { dialog } = require('electron');
+const quarantine = require('../state/quarantine');
+const csvExporter = require('../../shared/csvExporter');
+const { store, encryptSecret, decryptSecret } = require('./settingsHandlers');
+
+const KEY_SETTING = 'quarantine.key';
+
+/**
+ * The archive key, created on first use and kept in the settings store
+ * encrypted with the OS keychain (safeStorage). Returns null when safeStorage
+ * is unavailable so quarantine fails rather than writing an unprotected key.
+ * @returns {Buffer|null} 32-byte key
+ */
+function getQuarantineKey() {
+    const stored = store.get(KEY_SETTING);
+    if (stored) {
+        const hex = decryptSecret(stored, 'quarantine key');
+        return hex ? Buffer.from(hex, 'hex') : null;
+    }
+    const key = crypto.randomBytes(32);
+    const encrypted = encryptSecret(key.toString('hex'));
+    if (!encrypted) return null;
+    store.set(KEY_SETTING, encrypted);
+    return key;
+}
+
+function requireArchive(archiveId) {
+    const archive = quarantine.getArchive(archiveId);
+    if (!archive) {
+        throw new Error('Quarantine archive not found');
+    }
+    return archive;
+}
+
+/**
+ * Register attachment quarantine IPC handlers
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Parent window for dialogs
+ */
+function registerQuarantineHandlers(ipcMain, logDebug, mainWindow) {
+    // Archive summaries, newest first
+    ipcMain.handle('quarantine:list', async () => {
+        return quarantine.listArchives();
+    });
+
+    // One archive with every file's manifest entry and Canvas delete status
+    ipcMain.handle('quarantine:get', async (_event, data = {}) => {
+        return requireArchive(data.archiveId);
+    });
+
+    // Decrypt files (all when fileIds is empty) into a folder the user picks
+    ipcMain.handle('quarantine:extract', async (_event, data = {}) => {
+        requireArchive(data.archiveId);
+        const confirm = await dialog.showMessageBox(mainWindow, {
+            type: 'warning',
+            buttons: ['Extract', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            title: 'Extract Quarantined Files',
+            message: 'Quarantined attachments may be malicious.',
+            detail: 'The original files will be written to disk unencrypted. Only extract them to a location where they will be handled safely, and do not open them on this computer.'
+        });
+        if (confirm.response !== 0) {
+            return { cancelled: true };
+        }
+        const folder = await dialog.showOpenDialog(mainWindow, {
+            title: 'Choose where to extract the quarantined files',
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (folder.canceled || !folder.filePaths[0]) {
+            return { cancelled: true };
+        }
+
+        const fileIds = Array.isArray(data.fileIds) && data.fileIds.length > 0 ? data.fileIds : null;
+        const result = quarantine.extractFiles(data.archiveId, fileIds, folder.filePaths[0]);
+        logDebug('[quarantine:extract] Extracted files', { archiveId: data.archiveId, extracted: result.extracted.length, failed: result.failed.length });
+        return { cancelled: false, folder: folder.filePaths[0], ...result };
+    });
+
+    // Manifest report as CSV (one row per file) or JSON
+    ipcMain.handle('quarantine:exportReport', async (_event, data = {}) => {
+        const format = data.format === 'json' ? 'json' : 'csv';
+        const archive = requireArchive(data.archiveId);
+
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Quarantine Report',
+            defaultPath: `${archive.id}.${format}`,
+            filters: format === 'json'
+                ? [{ name: 'JSON Files', extensions: ['json'] }]
+                : [{ name: 'CSV Files', extensions: ['csv'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { cancelled: true };
+        }
+
+        if (format === 'json') {
+            fs.writeFileSync(result.filePath, JSON.stringify({ exportedAt: new Date().toISOString(), ...archive }, null, 2), 'utf8');
+        } else {
+            await csvExporter.exportToCSV(quarantine.toReportRows(archive), result.filePath);
+        }
+        logDebug('[quarantine:exportReport] Exported report', { archiveId: archive.id, format, count: archive.files.length });
+        return { cancelled: false, filePath: result.filePath, count: archive.files.length };
+    });
+
+    // Permanently remove an archive and its encrypted copies
+    ipcMain.handle('quarantine:delete', async (_event, data = {}) => {
+        const deleted = quarantine.deleteArchive(data.archiveId);
+        logDebug('[quarantine:delete] Deleted archive', { archiveId: data.archiveId, deleted });
+        return { deleted };
+    });
+}
+
+module.exports = { registerQuarantineHandlers, getQuarantineKey };
@@ -0,0 +1,264 @@
+/**
+ * IPC Handlers for scheduled and recurring catalog operations
+ * @module ipc/scheduleHandlers
+ */
+
+const { dialog, Notification } = require('electron');
+const { store } = require('./settingsHandlers');
+const { OPERATION_MAP } = require('./aiAssistantHandlers');
+const { resolveProfile } = require('./profileHandlers');
+const schedules = require('../state/schedules');
+const auditLog = require('../state/auditLog');
+
+const ITEMS_KEY = 'schedules.items';
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+let checkTimer = null;
+const running = new Set();
+
+function getSchedules() {
+    return store.get(ITEMS_KEY, []);
+}
+
+function updateSchedule(id, changes) {
+    let updated = null;
+    store.set(ITEMS_KEY, getSchedules().map(s => {
+        if (s.id !== id) return s;
+        updated = { ...s, ...changes };
+        return updated;
+    }));
+    return updated;
+}
+
+/**
+ * @returns {boolean} True if at least one schedule is waiting to run, so the app should stay in the tray
+ */
+function hasPendingSchedules() {
+    return getSchedules().some(s => s.enabled && s.nextRunAt);
+}
+
+// IPC channel that does the operation's work, used for the audit entry of read-only runs
+function getOperationChannel(operation) {
+    const opInfo = OPERATION_MAP[operation];
+    return opInfo.deleteHandler || opInfo.handler || `ai-assistant:${operation}`;
+}
+
+function isMutatingOperation(operation) {
+    return auditLog.isMutating(getOperationChannel(operation));
+}
+
+/**
+ * Register schedule IPC handlers and start checking for due schedules
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Receives progress and change events; parent of the confirm dialog
+ */
+function registerScheduleHandlers(ipcMain, logDebug, mainWindow) {
+    const windowAvailable = () => mainWindow && !mainWindow.isDestroyed();
+
+    const notifyChanged = () => {
+        if (windowAvailable()) mainWindow.webContents.send('schedules:changed');
+    };
+
+    const showNotification = (schedule, summary) => {
+        if (!Notification.isSupported()) return;
+        const notification = new Notification({
+            title: `${schedule.name}: ${summary.outcome}`,
+            body: summary.message
+        });
+        notification.on('click', () => {
+            if (!windowAvailable()) return;
+            mainWindow.show();
+            mainWindow.focus();
+        });
+        notification.show();
+    };
+
+    // Runs the operation the same way the AI assistant and CLI do, then records and announces the result
+    const runSchedule = async (schedule) => {
+        running.add(schedule.id);
+        const startedAt = new Date();
+        const run = { scheduleId: schedule.id, name: schedule.name, allowProduction: schedule.allowProduction === true, recorded: 0 };
+        let response;
+        let parameters = { ...schedule.parameters };
+
+        try {
+            const resolved = resolveProfile(schedule.profileId);
+            if (!resolved) {
+                throw new Error('The schedule\'s profile was deleted or its token could not be decrypted');
+            }
+            parameters = { ...parameters, domain: resolved.profile.domain };
+
+            const execute = ipcMain._invokeHandlers?.get('ai-assistant:executeOperation');
+            if (!execute) {
+                throw new Error('Operation handlers are not registered');
+            }
+            const sender = windowAvailable()
+                ? mainWindow.webContents
+                : { id: 0, isDestroyed: () => false, send: () => { } };
+            const event = { sender, senderFrame: null, reply: () => { } };
+
+            logDebug('[schedules] Running schedule', { id: schedule.id, operation: schedule.operation, domain: parameters.domain });
+            response = await schedules.runScheduled(run, () => execute(event, {
+                operation: schedule.operation,
+                parameters,
+                token: resolved.token,
+                confirmed: true
+            }));
+        } catch (error) {
+            response = { success: false, error: error.message };
+        } finally {
+            running.delete(schedule.id);
+        }
+
+        // Mutating handlers record themselves; queries and runs that never reached a handler are recorded here
+        if (run.recorded === 0 && auditLog.isEnabled()) {
+            schedules.runScheduled(run, () => auditLog.record(getOperationChannel(schedule.operation), parameters, startedAt, response, null));
+        }
+
+        const summary = schedules.summarizeResponse(response);
+        logDebug('[schedules] Schedule finished', { id: schedule.id, ...summary });
+        updateSchedule(schedule.id, {
+            lastRunAt: startedAt.toISOString(),
+            lastOutcome: summary.outcome,
+            lastMessage: summary.message
+        });
+        showNotification(schedule, summary);
+        notifyChanged();
+        return summary;
+    };
+
+    const checkDueSchedules = () => {
+        const now = new Date();
+        for (const schedule of schedules.getDueSchedules(getSchedules(), now)) {
+            if (running.has(schedule.id)) continue;
+            // Move the schedule on before running so a slow run is not started twice
+            const once = schedule.type === 'once';
+            updateSchedule(schedule.id, {
+                enabled: !once,
+                nextRunAt: once ? null : schedules.getNextRunAt(schedule, now)
+            });
+            runSchedule(schedule).catch(error => logDebug('[schedules] Run failed', { id: schedule.id, error: error.message }));
+        }
+    };
+
+    // Runs that were due while the app was closed are skipped, not caught up
+    const skipMissedRuns = () => {
+        const now = new Date();
+        for (const schedule of schedules.getDueSchedules(getSchedules(), now)) {
+            if (now - new Date(schedule.nextRunAt) < CHECK_INTERVAL_MS) continue;
+            if (schedule.type === 'once') {
+                updateSchedule(schedule.id, {
+                    enabled: false,
+                    nextRunAt: null,
+                    lastOutcome: 'missed',
+                    lastMessage: `Did not run: the app was not open at ${new Date(schedule.nextRunAt).toLocaleString()}`
+                });
+            } else {
+                updateSchedule(schedule.id, { nextRunAt: schedules.getNextRunAt(schedule, now) });
+            }
+            logDebug('[schedules] Skipped missed run', { id: schedule.id, due: schedule.nextRunAt });
+        }
+    };
+
+    ipcMain.handle('schedules:list', async () => {
+        return {
+            schedules: getSchedules(),
+            running: [...running],
+            operations: Object.entries(OPERATION_MAP).map(([name, info]) => ({
+                name,
+                description: info.description,
+                requiredParams: (info.requiredParams || []).filter(param => param !== 'domain' && param !== 'token'),
+                mutating: isMutatingOperation(name)
+            }))
+        };
+    });
+
+    ipcMain.handle('schedules:save', async (_event, data) => {
+        const operation = String(data?.operation || '');
+        const existing = data?.id ? getSchedules().find(s => s.id === data.id) : null;
+        const resolved = resolveProfile(data?.profileId);
+        if (!resolved) {
+            throw new Error('Profile not found, or its token could not be decrypted');
+        }
+
+        // Ask once, now, for operations that change a production instance; scheduled runs cannot ask
+        let allowProduction = false;
+        const needsConsent = OPERATION_MAP[operation] && isMutatingOperation(operation) && resolved.profile.environment === 'production';
+        const consentStillValid = existing?.allowProduction && existing.profileId === resolved.profile.id && existing.operation === operation;
+        if (needsConsent && consentStillValid) {
+            allowProduction = true;
+        } else if (needsConsent) {
+            const { response } = await dialog.showMessageBox(mainWindow, {
+                type: 'warning',
+                buttons: ['Cancel', 'Allow'],
+                defaultId: 0,
+                cancelId: 0,
+                title: 'Production instance',
+                message: `"${data.name}" will run ${operation} on ${resolved.profile.domain} (${resolved.profile.name}, PRODUCTION) without asking first.`,
+                detail: 'Scheduled runs cannot show the usual production warning. Allow this schedule to change production data?'
+            });
+            if (response !== 1) {
+                return { cancelled: true };
+            }
+            allowProduction = true;
+        }
+
+        const { schedules: next, schedule } = schedules.upsertSchedule(getSchedules(), data, OPERATION_MAP, { allowProduction });
+        store.set(ITEMS_KEY, next);
+        logDebug('[schedules:save] Saved schedule', { id: schedule.id, operation: schedule.operation, type: schedule.type, nextRunAt: schedule.nextRunAt });
+        notifyChanged();
+        return { cancelled: false, schedule };
+    });
+
+    ipcMain.handle('schedules:delete', async (_event, id) => {
+        store.set(ITEMS_KEY, getSchedules().filter(s => s.id !== id));
+        logDebug('[schedules:delete] Deleted schedule', { id });
+        notifyChanged();
+        return { success: true };
+    });
+
+    ipcMain.handle('schedules:setEnabled', async (_event, data) => {
+        const schedule = getSchedules().find(s => s.id === data?.id);
+        if (!schedule) {
+            throw new Error('Schedule not found');
+        }
+        const enabled = data.enabled === true;
+        const nextRunAt = schedules.getNextRunAt({ ...schedule, enabled });
+        if (enabled && !nextRunAt) {
+            throw new Error('This one-time schedule has already run. Edit it to pick a new time.');
+        }
+        const updated = updateSchedule(schedule.id, { enabled, nextRunAt });
+        logDebug('[schedules:setEnabled] Updated schedule', { id: schedule.id, enabled, nextRunAt });
+        notifyChanged();
+        return updated;
+    });
+
+    // Run immediately without moving the schedule's next run
+    ipcMain.handle('schedules:runNow', async (_event, id) => {
+        const schedule = getSchedules().find(s => s.id === id);
+        if (!schedule) {
+            throw new Error('Schedule not found');
+        }
+        if (running.has(id)) {
+            throw new Error(`"${schedule.name}" is already running`);
+        }
+        notifyChanged();
+        return await runSchedule(schedule);
+    });
+
+    skipMissedRuns();
+    if (checkTimer) clearInterval(checkTimer);
+    checkTimer = setInterval(checkDueSchedules, CHECK_INTERVAL_MS);
+    checkDueSchedules();
+}
+
+/**
+ * Stop checking for due schedules (runs already started finish on their own)
+ */
+function stopScheduleChecks() {
+    if (checkTimer) clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = { registerScheduleHandlers, stopScheduleChecks, hasPendingSchedules };
@@ -10,71 +10,7 @@ const { searchCourses } = require('../../shared/canvas-api/courses');
 const sections = require('../../shared/canvas-api/sections');
 const { searchUserLogins } = require('../../shared/canvas-api/logins');
 const { searchEnrollments, searchEnrollmentsByUser } = require('../../shared/canvas-api/sis_imports');
-
-/**
- * Helper function to normalize quotes (convert curly/smart quotes to straight quotes)
- */
-function normalizeQuotes(text) {
-    if (!text) return text;
-    return text
-        .replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"')  // curly double quotes
-        .replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'"); // curly single quotes
-}
-
-/**
- * Helper function to split name while respecting quoted sections
- */
-function splitNameWithQuotes(fullName) {
-    const name = normalizeQuotes((fullName || '').trim());
-    if (!name) return { firstName: '', lastName: '' };
-
-    // Find all quoted sections
-    const quotedSections = [];
-    const quoteRegex = /"[^"]*"/g;
-    let match;
-    while ((match = quoteRegex.exec(name)) !== null) {
-        quotedSections.push({
-            start: match.index,
-            end: match.index + match[0].length,
-            text: match[0]
-        });
-    }
-
-    // If no quotes, use simple split
-    if (quotedSections.length === 0) {
-        const parts = name.split(/\s+/);
-        return {
-            firstName: parts[0] || '',
-            lastName: parts.slice(1).join(' ') || ''
-        };
-    }
-
-    // Replace quoted sections with placeholders to split safely
-    let safeName = name;
-    const placeholders = [];
-    quotedSections.reverse().forEach((section, index) => {
-        const placeholder = `__QUOTE_${index}__`;
-        placeholders.push({ placeholder, text: section.text });
-        safeName = safeName.substring(0, section.start) + placeholder + safeName.substring(section.end);
-    });
-
-    // Split on whitespace
-    const parts = safeName.split(/\s+/);
-
-    // Restore quoted sections
-    const restoredParts = parts.map(part => {
-        const placeholderMatch = placeholders.find(p => part.includes(p.placeholder));
-        if (placeholderMatch) {
-            return part.replace(placeholderMatch.placeholder, placeholderMatch.text);
-        }
-        return part;
-    });
-
-    return {
-        firstName: restoredParts[0] || '',
-        lastName: restoredParts.slice(1).join(' ') || ''
-    };
-}
+const { mapUserToSis } = require('../../shared/sisExport');
 
 /**
  * Register all search-related IPC handlers
@@ -94,21 +30,7 @@ function registerSearchHandlers(ipcMain, logDebug) {
             logDebug('[users:search] Raw Canvas users', { count: users.length });
 
             // Transform Canvas user data to SIS CSV format
-            const sisUsers = users.map(user => {
-                const { firstName, lastName } = splitNameWithQuotes(user.name);
-
-                return {
-                    user_id: user.sis_user_id || '',
-                    login_id: user.login_id || '',
-                    first_name: firstName,
-                    last_name: lastName,
-                    full_name: normalizeQuotes(user.name || ''),
-                    sortable_name: normalizeQuotes(user.sortable_name || ''),
-                    short_name: normalizeQuotes(user.short_name || ''),
-                    email: user.email || '',
-                    status: 'active'
-                };
-            });
+            const sisUsers = users.map(mapUserToSis);
 
             logDebug('[users:search] Transformed SIS users', { count: sisUsers.length });
             return { success: true, data: sisUsers };
@@ -10,8 +10,12 @@ const {
     setSelectedModel,
 } = require('../security/aiProviders');
 
-function getDecryptedKey(provider) {
-    const encryptedHex = store.get(`apiKeys.${provider}`);
+function encryptSecret(plainText) {
+    if (!safeStorage.isEncryptionAvailable()) return null;
+    return safeStorage.encryptString(plainText).toString('hex');
+}
+
+function decryptSecret(encryptedHex, label) {
     if (!encryptedHex) return null;
 
     if (safeStorage.isEncryptionAvailable()) {
@@ -19,7 +23,7 @@ function getDecryptedKey(provider) {
             const buffer = Buffer.from(encryptedHex, 'hex');
             return safeStorage.decryptString(buffer);
         } catch (error) {
-            console.error(`Failed to decrypt key for ${provider}:`, error);
+            console.error(`Failed to decrypt ${label}:`, error);
             return null;
         }
     } else {
@@ -28,6 +32,10 @@ function getDecryptedKey(provider) {
     }
 }
 
+function getDecryptedKey(provider) {
+    return decryptSecret(store.get(`apiKeys.${provider}`), `key for ${provider}`);
+}
+
 function registerSettingsHandlers() {
     // Get API Key (Decrypted) - CAREFUL: Sends plain text to renderer
     ipcMain.handle('settings:getApiKey', async (event, provider) => {
@@ -36,9 +44,9 @@ function registerSettingsHandlers() {
 
     // Save API Key (Encrypted)
     ipcMain.handle('settings:saveApiKey', async (event, provider, key) => {
-        if (safeStorage.isEncryptionAvailable()) {
-            const encryptedBuffer = safeStorage.encryptString(key);
-            store.set(`apiKeys.${provider}`, encryptedBuffer.toString('hex'));
+        const encryptedHex = encryptSecret(key);
+        if (encryptedHex) {
+            store.set(`apiKeys.${provider}`, encryptedHex);
             return { success: true };
         } else {
             return { success: false, error: 'Encryption not available on this system' };
@@ -126,4 +134,4 @@ function registerSettingsHandlers() {
     });
 }
 
-module.exports = { registerSettingsHandlers, getDecryptedKey, store };
+module.exports = { registerSettingsHandlers, getDecryptedKey, encryptSecret, decryptSecret, store };
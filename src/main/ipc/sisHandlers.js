@@ -7,13 +7,42 @@ const fs = require('fs');
 const path = require('path');
 const JSZip = require('jszip');
 const sisImports = require('../../shared/canvas-api/sis_imports');
+const sisValidator = require('../../shared/sisValidator');
+const sisImportDiff = require('../../shared/sisImportDiff');
+const sisExport = require('../../shared/sisExport');
+const { isAllowedPath, allowedReadPaths, allowedDirPaths } = require('../security/ipcSecurity');
+const dryRun = require('../state/dryRun');
+
+// Renderers that asked to stop waiting for their SIS import (sender ID -> true)
+const submitImportCancelFlags = new Map();
+
+// One target per file sent; batch mode and the change threshold decide what else the import deletes
+const describeSubmitImport = async (data) => {
+    const options = data.options || {};
+    const fileNames = data.filePath
+        ? [path.basename(data.filePath)]
+        : (data.fileNames || []).map(name => path.basename(String(name))).filter(name => /\.csv$/i.test(name));
+    return {
+        action: 'import',
+        domain: data.domain,
+        targets: fileNames.map(name => ({
+            type: 'sis_file',
+            id: name,
+            account_id: String(data.accountId || '').trim(),
+            batch_mode: Boolean(options.batchMode),
+            batch_mode_term_id: options.batchMode ? options.batchModeTermId || '' : '',
+            change_threshold: options.changeThreshold ? Number(options.changeThreshold) : ''
+        }))
+    };
+};
 
 /**
  * Register all SIS data generation IPC handlers
  * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
  * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Parent window for save dialogs
  */
-function registerSISHandlers(ipcMain, logDebug) {
+function registerSISHandlers(ipcMain, logDebug, mainWindow) {
     // Preview SIS data (no file creation)
     ipcMain.handle('sis:previewData', async (event, fileType, rowCount, emailDomain = '@school.edu', authProviderId = '', allOptions = {}) => {
         logDebug('[sis:previewData] Generating preview', { fileType, rowCount });
@@ -184,13 +213,22 @@ function registerSISHandlers(ipcMain, logDebug) {
         }
     });
 
-    // Create bulk SIS files with optional ZIP packaging
-    ipcMain.handle('sis:createBulkFiles', async (event, fileTypes, rowCounts, outputPath, createZip, emailDomain = '@school.edu', authProviderId = '', enrollmentOptions = {}) => {
-        logDebug('[sis:createBulkFiles] Creating bulk files', { fileTypes, outputPath, createZip });
+    // Create bulk SIS files with optional ZIP packaging. With bulkOptions.coherent the
+    // files share one ID pool, so every reference points at a generated row
+    ipcMain.handle('sis:createBulkFiles', async (event, fileTypes, rowCounts, outputPath, createZip, emailDomain = '@school.edu', authProviderId = '', enrollmentOptions = {}, bulkOptions = {}) => {
+        logDebug('[sis:createBulkFiles] Creating bulk files', { fileTypes, outputPath, createZip, coherent: Boolean(bulkOptions.coherent) });
         try {
-            const createdFiles = await sisImports.createBulkSISImport(
-                fileTypes, rowCounts, outputPath, emailDomain, authProviderId, enrollmentOptions
-            );
+            let createdFiles;
+            let dataset = null;
+            if (bulkOptions.coherent) {
+                const counts = Object.fromEntries(fileTypes.map((fileType, i) => [fileType, rowCounts[i] ?? 10]));
+                dataset = await sisImports.createCoherentSISImport(counts, outputPath, { emailDomain, authProviderId });
+                createdFiles = dataset.files;
+            } else {
+                createdFiles = await sisImports.createBulkSISImport(
+                    fileTypes, rowCounts, outputPath, emailDomain, authProviderId, enrollmentOptions
+                );
+            }
 
             let zipPath = null;
             if (createZip && createdFiles.length > 0) {
@@ -207,7 +245,12 @@ function registerSISHandlers(ipcMain, logDebug) {
                 fs.writeFileSync(zipPath, zipContent);
             }
 
-            return { success: true, files: createdFiles.map(f => path.basename(f)), zipPath };
+            return {
+                success: true,
+                files: createdFiles.map(f => path.basename(f)),
+                zipPath,
+                ...(dataset ? { runTag: dataset.runTag, counts: dataset.counts, warnings: dataset.warnings } : {})
+            };
         } catch (error) {
             throw new Error(`Error creating bulk SIS files: ${error.message}`);
         }
@@ -251,6 +294,327 @@ function registerSISHandlers(ipcMain, logDebug) {
             throw new Error(`Error creating multi SIS files: ${error.message}`);
         }
     });
+
+    // Zip SIS CSVs (generated files in a chosen folder, or a chosen CSV/ZIP), send
+    // them to Canvas as a SIS import and wait for it to finish. Messages come back
+    // linked to the CSV rows they are about.
+    ipcMain.handle('sis:submitImport', dryRun.guard('sis:submitImport', describeSubmitImport, async (event, data = {}) => {
+        const { domain, token, options = {} } = data;
+        const accountId = String(data.accountId || '').trim();
+        const senderId = event.sender.id;
+        submitImportCancelFlags.set(senderId, false);
+        logDebug('[sis:submitImport] Submitting SIS import', { domain, accountId, folderPath: data.folderPath, filePath: data.filePath });
+        try {
+            if (!domain || !token) {
+                throw new Error('Enter a Canvas domain and token first');
+            }
+            if (!/^(\d+|self|sis_account_id:.+)$/.test(accountId)) {
+                throw new Error('Enter an account ID (a number, self or sis_account_id:...)');
+            }
+            if (options.batchMode && !options.batchModeTermId) {
+                throw new Error('Batch mode needs the SIS ID of the term it replaces');
+            }
+
+            // CSV name -> content, kept to link messages back to rows
+            const csvFiles = {};
+            let buffer;
+            let fileName;
+            if (data.filePath) {
+                if (!isAllowedPath(allowedReadPaths, event.sender.id, data.filePath)) {
+                    throw new Error('Access denied: file was not selected via dialog');
+                }
+                buffer = fs.readFileSync(data.filePath);
+                fileName = path.basename(data.filePath);
+                if (/\.zip$/i.test(fileName)) {
+                    const zip = await JSZip.loadAsync(buffer);
+                    for (const name of Object.keys(zip.files).filter(n => /\.csv$/i.test(n) && !zip.files[n].dir)) {
+                        csvFiles[name] = await zip.file(name).async('string');
+                    }
+                } else {
+                    csvFiles[fileName] = buffer.toString('utf8');
+                }
+            } else {
+                if (!isAllowedPath(allowedDirPaths, event.sender.id, data.folderPath)) {
+                    throw new Error('Access denied: folder was not selected via dialog');
+                }
+                const names = (data.fileNames || []).map(name => path.basename(String(name))).filter(name => /\.csv$/i.test(name));
+                if (names.length === 0) {
+                    throw new Error('There are no CSV files to submit');
+                }
+                const zip = new JSZip();
+                names.forEach(name => {
+                    csvFiles[name] = fs.readFileSync(path.join(data.folderPath, name), 'utf8');
+                    zip.file(name, csvFiles[name]);
+                });
+                buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+                fileName = 'sis_import_package.zip';
+            }
+
+            const sisImport = await sisImports.submitSisImport({
+                domain,
+                token,
+                account_id: accountId,
+                buffer,
+                file_name: fileName,
+                batch_mode: Boolean(options.batchMode),
+                batch_mode_term_id: options.batchModeTermId,
+                diffing_data_set_identifier: options.diffingDataSetIdentifier,
+                diffing_remaster_data_set: Boolean(options.diffingRemasterDataSet),
+                override_sis_stickiness: Boolean(options.overrideSisStickiness),
+                add_sis_stickiness: Boolean(options.addSisStickiness),
+                clear_sis_stickiness: Boolean(options.clearSisStickiness),
+                change_threshold: options.changeThreshold ? Number(options.changeThreshold) : undefined,
+                isCancelled: () => submitImportCancelFlags.get(senderId) === true
+            }, (progress) => {
+                if (!event.sender.isDestroyed()) {
+                    event.sender.send('sis:importProgress', progress);
+                }
+            });
+
+            return {
+                sisImport,
+                // Only stopped waiting: the import is still running in Canvas
+                cancelled: submitImportCancelFlags.get(senderId) === true && sisImports.SIS_IMPORT_PENDING_STATES.includes(sisImport.workflow_state),
+                workflowState: sisImport.workflow_state,
+                counts: sisImport.data?.counts || {},
+                errors: sisImports.locateSisImportMessages(sisImport.processing_errors || [], csvFiles),
+                warnings: sisImports.locateSisImportMessages(sisImport.processing_warnings || [], csvFiles),
+                // The SIS Import page needs the Canvas account ID
+                importPageUrl: /^\d+$/.test(accountId) ? `https://${domain}/accounts/${accountId}/sis_import` : null
+            };
+        } catch (error) {
+            throw new Error(`Error submitting SIS import: ${error.message}`);
+        } finally {
+            submitImportCancelFlags.delete(senderId);
+        }
+    }));
+
+    // Stop waiting for the SIS import this renderer submitted
+    ipcMain.handle('sis:cancelSubmitImport', async (event) => {
+        const senderId = event.sender.id;
+        logDebug('[sis:cancelSubmitImport] Cancelling SIS import wait', { senderId });
+        if (submitImportCancelFlags.has(senderId)) {
+            submitImportCancelFlags.set(senderId, true);
+        }
+        return { cancelled: true };
+    });
+
+    // Validate SIS CSVs and/or ZIPs before they are imported. All the CSVs
+    // chosen together are checked as one package, as are the CSVs of each ZIP.
+    ipcMain.handle('sis:validateFiles', async (event, filePaths = []) => {
+        logDebug('[sis:validateFiles] Validating SIS files', { count: filePaths.length });
+        try {
+            if (filePaths.length === 0) {
+                throw new Error('Choose at least one CSV or ZIP file');
+            }
+            filePaths.forEach(filePath => {
+                if (!isAllowedPath(allowedReadPaths, event.sender.id, filePath)) {
+                    throw new Error('Access denied: file was not selected via dialog');
+                }
+            });
+
+            const packages = [];
+            const csvs = filePaths.filter(filePath => !/\.zip$/i.test(filePath));
+            if (csvs.length > 0) {
+                const result = sisValidator.validateSisFiles(csvs.map(filePath => ({
+                    name: path.basename(filePath),
+                    content: fs.readFileSync(filePath)
+                })));
+                packages.push({ name: csvs.length === 1 ? path.basename(csvs[0]) : `${csvs.length} CSV files`, ...result });
+            }
+            for (const zipPath of filePaths.filter(filePath => /\.zip$/i.test(filePath))) {
+                const result = await sisValidator.validateSisZip(fs.readFileSync(zipPath));
+                packages.push({ name: path.basename(zipPath), ...result });
+            }
+
+            const errorCount = packages.reduce((sum, p) => sum + p.errorCount, 0);
+            const warningCount = packages.reduce((sum, p) => sum + p.warningCount, 0);
+            return { packages, errorCount, warningCount, valid: errorCount === 0 };
+        } catch (error) {
+            throw new Error(`Error validating SIS files: ${error.message}`);
+        }
+    });
+
+    // An account's recent SIS imports, newest first
+    ipcMain.handle('sis:listImports', async (event, data = {}) => {
+        const { domain, token } = data;
+        logDebug('[sis:listImports] Listing SIS imports', { domain, accountId: data.accountId });
+        try {
+            if (!domain || !token) {
+                throw new Error('Enter a Canvas domain and token first');
+            }
+            const sisImportsList = await sisImports.listSisImports({
+                domain,
+                token,
+                account_id: String(data.accountId || 'self').trim(),
+                created_since: data.createdSince,
+                max: data.max
+            });
+            return sisImportsList.map(summarizeSisImport);
+        } catch (error) {
+            throw new Error(`Error listing SIS imports: ${error.message}`);
+        }
+    });
+
+    // Save a SIS import's errors attachment (every error and warning, as CSV)
+    ipcMain.handle('sis:downloadImportErrors', async (event, data = {}) => {
+        const { domain, token } = data;
+        logDebug('[sis:downloadImportErrors] Downloading errors attachment', { domain, importId: data.importId });
+        try {
+            if (!domain || !token) {
+                throw new Error('Enter a Canvas domain and token first');
+            }
+            const sisImport = await sisImports.getSisImport({ domain, token, account_id: String(data.accountId || 'self').trim(), import_id: data.importId });
+            if (!sisImport.errors_attachment?.url) {
+                throw new Error(`SIS import ${sisImport.id} has no errors attachment`);
+            }
+            // Required here so the rest of the module loads without electron (tests, CLI)
+            const { dialog } = require('electron');
+            const result = await dialog.showSaveDialog(mainWindow, {
+                title: 'Save SIS Import Errors',
+                defaultPath: sisImport.errors_attachment.display_name || `sis_import_${sisImport.id}_errors.csv`,
+                filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+            });
+            if (result.canceled || !result.filePath) {
+                return { canceled: true };
+            }
+            const buffer = await sisImports.downloadSisImportAttachment({ token, url: sisImport.errors_attachment.url });
+            fs.writeFileSync(result.filePath, buffer);
+            return { canceled: false, filePath: result.filePath };
+        } catch (error) {
+            throw new Error(`Error downloading SIS import errors: ${error.message}`);
+        }
+    });
+
+    // Compare the CSVs two SIS imports were given: what dropped out, was added
+    // or changed between import A (earlier) and import B
+    ipcMain.handle('sis:diffImports', async (event, data = {}) => {
+        const { domain, token } = data;
+        const accountId = String(data.accountId || 'self').trim();
+        logDebug('[sis:diffImports] Comparing SIS imports', { domain, importIdA: data.importIdA, importIdB: data.importIdB });
+        try {
+            if (!domain || !token) {
+                throw new Error('Enter a Canvas domain and token first');
+            }
+            if (!data.importIdA || !data.importIdB) {
+                throw new Error('Choose two SIS imports to compare');
+            }
+            const readFiles = async (importId) => {
+                const sisImport = await sisImports.getSisImport({ domain, token, account_id: accountId, import_id: importId });
+                const attachments = (sisImport.csv_attachments || []).filter(attachment => attachment.url);
+                if (attachments.length === 0) {
+                    throw new Error(`SIS import ${importId} has no files to download`);
+                }
+                const downloaded = [];
+                for (const attachment of attachments) {
+                    downloaded.push({
+                        name: attachment.display_name || attachment.filename || `${attachment.id}.csv`,
+                        buffer: await sisImports.downloadSisImportAttachment({ token, url: attachment.url })
+                    });
+                }
+                return { sisImport, files: await sisImportDiff.unpackSisFiles(downloaded) };
+            };
+            const a = await readFiles(data.importIdA);
+            const b = await readFiles(data.importIdB);
+            return {
+                importA: summarizeSisImport(a.sisImport),
+                importB: summarizeSisImport(b.sisImport),
+                ...sisImportDiff.diffSisImports(a.files, b.files)
+            };
+        } catch (error) {
+            throw new Error(`Error comparing SIS imports: ${error.message}`);
+        }
+    });
+
+    // Build SIS CSVs from a live course or account (the reverse of an import)
+    // and write them to the chosen folder, optionally zipped
+    ipcMain.handle('sis:exportFromCanvas', async (event, data = {}) => {
+        const { domain, token, outputPath } = data;
+        const accountId = String(data.accountId || '').trim();
+        const courseIds = (Array.isArray(data.courseIds) ? data.courseIds : String(data.courseIds || '').split(/[\s,]+/))
+            .map(id => String(id).trim())
+            .filter(Boolean);
+        logDebug('[sis:exportFromCanvas] Exporting SIS files', { domain, accountId, courseCount: courseIds.length, outputPath });
+        try {
+            if (!domain || !token) {
+                throw new Error('Enter a Canvas domain and token first');
+            }
+            if (!accountId && courseIds.length === 0) {
+                throw new Error('Enter course IDs or an account ID to export');
+            }
+            if (accountId && !/^(\d+|self|sis_account_id:.+)$/.test(accountId)) {
+                throw new Error('Enter an account ID (a number, self or sis_account_id:...)');
+            }
+            if (!outputPath || !isAllowedPath(allowedDirPaths, event.sender.id, outputPath)) {
+                throw new Error('Access denied: folder was not selected via dialog');
+            }
+
+            const exported = await sisExport.exportSisFromCanvas({
+                domain,
+                token,
+                courseIds: accountId ? [] : courseIds,
+                accountId: accountId || undefined,
+                enrollmentTermId: data.enrollmentTermId,
+                includeDeleted: Boolean(data.includeDeleted),
+                onProgress: (progress) => {
+                    if (!event.sender.isDestroyed()) {
+                        event.sender.send('sis:exportProgress', progress);
+                    }
+                }
+            });
+            if (exported.files.length === 0) {
+                throw new Error('Nothing to export: no course had a SIS ID');
+            }
+
+            exported.files.forEach(file => {
+                fs.writeFileSync(path.join(outputPath, file.fileName), file.content, 'utf8');
+            });
+
+            let zipPath = null;
+            if (data.createZip) {
+                const zip = new JSZip();
+                exported.files.forEach(file => zip.file(file.fileName, file.content));
+                const zipContent = await zip.generateAsync({ type: 'nodebuffer' });
+                zipPath = path.join(outputPath, 'sis_export_package.zip');
+                fs.writeFileSync(zipPath, zipContent);
+            }
+
+            return {
+                success: true,
+                files: exported.files.map(file => file.fileName),
+                zipPath,
+                counts: exported.counts,
+                warnings: exported.warnings
+            };
+        } catch (error) {
+            throw new Error(`Error exporting SIS files from Canvas: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * The parts of a Canvas SisImport the history panel shows
+ * @param {Object} sisImport
+ * @returns {Object}
+ */
+function summarizeSisImport(sisImport) {
+    return {
+        id: sisImport.id,
+        workflowState: sisImport.workflow_state,
+        progress: sisImport.progress,
+        createdAt: sisImport.created_at,
+        endedAt: sisImport.ended_at,
+        user: sisImport.user?.name || null,
+        counts: sisImport.data?.counts || {},
+        batchMode: Boolean(sisImport.batch_mode),
+        batchModeTermId: sisImport.batch_mode_term_id || null,
+        diffingDataSetIdentifier: sisImport.diffing_data_set_identifier || null,
+        changeThreshold: sisImport.change_threshold ?? null,
+        errors: sisImport.processing_errors || [],
+        warnings: sisImport.processing_warnings || [],
+        hasErrorsAttachment: Boolean(sisImport.errors_attachment?.url),
+        files: (sisImport.csv_attachments || []).map(attachment => attachment.display_name || attachment.filename)
+    };
 }
 
 module.exports = { registerSISHandlers };
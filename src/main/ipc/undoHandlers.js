@@ -0,0 +1,180 @@
+/**
+ * IPC Handlers for undoing assignment and page deletions from local snapshots
+ * @module ipc/undoHandlers
+ */
+
+const snapshotStore = require('../../shared/snapshotStore');
+const assignments = require('../../shared/canvas-api/assignments');
+const { createPage } = require('../../shared/canvas-api/pages');
+const { batchHandler } = require('../../shared/batchHandler');
+const { serializeErrorForIPC } = require('../../shared/errorUtils');
+
+// Submission types that createAssignment can recreate on its own. Quizzes,
+// discussions and external tools need their linked object, so they come back as 'none'.
+const RESTORABLE_SUBMISSION_TYPES = new Set([
+    'online_upload', 'online_text_entry', 'online_url', 'media_recording',
+    'student_annotation', 'on_paper', 'none', 'not_graded'
+]);
+
+/**
+ * Recreate a deleted assignment from its snapshot, including its rubric association
+ * @param {Object} item - Snapshot item from snapshotStore
+ * @param {string} token - Canvas API token
+ * @returns {Promise<string>} New assignment ID
+ */
+async function restoreAssignment(item, token) {
+    const a = item.object;
+    const submissionTypes = (a.submission_types || []).filter(type => RESTORABLE_SUBMISSION_TYPES.has(type));
+
+    const newId = await assignments.createAssignments({
+        domain: item.domain,
+        token,
+        course_id: item.course_id,
+        name: a.name,
+        description: a.description || '',
+        points: a.points_possible,
+        grade_type: a.grading_type,
+        submissionTypes: submissionTypes.length > 0 ? submissionTypes : ['none'],
+        publish: a.published === true,
+        peer_reviews: !!a.peer_reviews,
+        peer_review_count: a.peer_review_count,
+        anonymous: !!a.anonymous_grading,
+        assignment_group_id: a.assignment_group_id,
+        due_at: a.due_at,
+        lock_at: a.lock_at,
+        unlock_at: a.unlock_at
+    });
+
+    if (a.rubric_settings?.id) {
+        await assignments.createRubricAssociation({
+            domain: item.domain,
+            token,
+            course_id: item.course_id,
+            rubric_id: a.rubric_settings.id,
+            assignment_id: newId,
+            use_for_grading: a.use_rubric_for_grading,
+            hide_score_total: a.rubric_settings.hide_score_total
+        });
+    }
+
+    return newId;
+}
+
+/**
+ * Recreate a deleted page from its snapshot
+ * @param {Object} item - Snapshot item from snapshotStore
+ * @param {string} token - Canvas API token
+ * @returns {Promise<string|number>} New page ID
+ */
+async function restorePage(item, token) {
+    const p = item.object;
+    const page = await createPage({
+        domain: item.domain,
+        token,
+        course_id: item.course_id,
+        title: p.title,
+        body: p.body || '',
+        published: p.published === true,
+        editing_roles: p.editing_roles,
+        front_page: p.front_page
+    });
+    return page?.page_id ?? page?.url ?? null;
+}
+
+const RESTORERS = {
+    assignment: restoreAssignment,
+    page: restorePage
+};
+
+/**
+ * Register undo IPC handlers
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ * @param {Electron.BrowserWindow} mainWindow - Main window for progress updates
+ * @param {Function} getBatchConfig - Get batch configuration
+ */
+function registerUndoHandlers(ipcMain, logDebug, mainWindow, getBatchConfig) {
+    /**
+     * Recreate every deleted, not yet restored item of an operation
+     */
+    const undoOperation = async (operation, token) => {
+        const pending = operation.items.filter(item => item.deleted && !item.restored);
+        let completed = 0;
+        const total = pending.length || 1;
+
+        const requests = pending.map((item, idx) => ({
+            id: idx + 1,
+            request: async () => {
+                try {
+                    const restore = RESTORERS[item.kind];
+                    if (!restore) throw new Error(`Cannot restore ${item.kind}`);
+                    const newId = await restore(item, token);
+                    snapshotStore.markRestored(operation.id, item.key, { newId });
+                    return { key: item.key, kind: item.kind, oldId: item.objectId, newId, name: item.object?.name || item.object?.title || '' };
+                } catch (error) {
+                    snapshotStore.markRestored(operation.id, item.key, { error: error.message });
+                    throw error;
+                } finally {
+                    completed++;
+                    mainWindow?.webContents.send('update-progress', {
+                        mode: 'determinate',
+                        label: 'Restoring deleted items',
+                        processed: completed,
+                        total,
+                        value: completed / total
+                    });
+                }
+            }
+        }));
+
+        const result = await batchHandler(requests, getBatchConfig({ domain: operation.domain }));
+        if (result.failed.length === 0) {
+            snapshotStore.markUndone(operation.id);
+        }
+        return { operationId: operation.id, label: operation.label, ...result };
+    };
+
+    ipcMain.handle('undo:listOperations', async () => {
+        return snapshotStore.listOperations();
+    });
+
+    ipcMain.handle('undo:getOperation', async (_event, operationId) => {
+        return snapshotStore.getOperation(operationId);
+    });
+
+    ipcMain.handle('undo:undoLast', async (_event, data) => {
+        logDebug('[undo:undoLast] Undoing last operation');
+        try {
+            const operation = snapshotStore.getLastOperation();
+            if (!operation) {
+                throw new Error('There is no deletion to undo');
+            }
+            return await undoOperation(operation, data?.token);
+        } catch (error) {
+            logDebug('[undo:undoLast] Error', { error: error.message });
+            throw serializeErrorForIPC(error);
+        }
+    });
+
+    ipcMain.handle('undo:undoOperation', async (_event, data) => {
+        const { operationId, token } = data || {};
+        logDebug('[undo:undoOperation] Undoing operation', { operationId });
+        try {
+            const operation = snapshotStore.getOperation(operationId);
+            if (!operation) {
+                throw new Error(`Undo snapshot ${operationId} was not found`);
+            }
+            return await undoOperation(operation, token);
+        } catch (error) {
+            logDebug('[undo:undoOperation] Error', { operationId, error: error.message });
+            throw serializeErrorForIPC(error);
+        }
+    });
+
+    ipcMain.handle('undo:discard', async (_event, operationId) => {
+        logDebug('[undo:discard] Discarding snapshots', { operationId });
+        return { discarded: snapshotStore.discardOperation(operationId) };
+    });
+}
+
+module.exports = { registerUndoHandlers };
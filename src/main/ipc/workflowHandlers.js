@@ -0,0 +1,97 @@
+/**
+ * IPC Handlers for saved multi-step workflows
+ * @module ipc/workflowHandlers
+ */
+
+const { store } = require('./settingsHandlers');
+const { resolveProfile } = require('./profileHandlers');
+const workflows = require('../state/workflows');
+
+const ITEMS_KEY = 'workflows.items';
+
+// runId -> cancel requested
+const activeRuns = new Map();
+
+function getWorkflows() {
+    return store.get(ITEMS_KEY, []);
+}
+
+/**
+ * Register workflow IPC handlers
+ * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+ * @param {Function} logDebug - Debug logging function
+ */
+function registerWorkflowHandlers(ipcMain, logDebug) {
+    ipcMain.handle('workflows:list', async () => {
+        return {
+            workflows: getWorkflows(),
+            stepTypes: workflows.describeStepTypes()
+        };
+    });
+
+    ipcMain.handle('workflows:save', async (_event, data) => {
+        const { workflows: next, workflow } = workflows.upsertWorkflow(getWorkflows(), data);
+        store.set(ITEMS_KEY, next);
+        logDebug('[workflows:save] Saved workflow', { id: workflow.id, steps: workflow.steps.map(step => step.type) });
+        return workflow;
+    });
+
+    ipcMain.handle('workflows:delete', async (_event, id) => {
+        store.set(ITEMS_KEY, getWorkflows().filter(w => w.id !== id));
+        logDebug('[workflows:delete] Deleted workflow', { id });
+        return { success: true };
+    });
+
+    // Run a saved workflow (workflowId) or the unsaved one in the editor (workflow) with a profile's domain and token
+    ipcMain.handle('workflows:run', async (event, data = {}) => {
+        const workflow = data.workflowId
+            ? getWorkflows().find(w => w.id === data.workflowId)
+            : { id: null, ...workflows.validateWorkflow(data.workflow) };
+        if (!workflow) {
+            throw new Error('Workflow not found');
+        }
+        const resolved = resolveProfile(data.profileId);
+        if (!resolved) {
+            throw new Error('Profile not found, or its token could not be decrypted');
+        }
+
+        const runId = data.runId || `run-${Date.now()}`;
+        activeRuns.set(runId, false);
+        const sendProgress = (payload) => {
+            if (event.sender && !event.sender.isDestroyed()) {
+                event.sender.send('workflows:progress', { runId, ...payload });
+            }
+        };
+
+        logDebug('[workflows:run] Starting workflow', { runId, id: workflow.id, domain: resolved.profile.domain, steps: workflow.steps.length });
+        try {
+            const result = await workflows.runWorkflow(workflow, {
+                domain: resolved.profile.domain,
+                token: resolved.token,
+                invoke: async (channel, payload) => {
+                    const handler = ipcMain._invokeHandlers?.get(channel);
+                    if (!handler) {
+                        throw new Error(`Handler ${channel} is not registered`);
+                    }
+                    return await handler(event, payload);
+                },
+                onStep: (step) => sendProgress({ step }),
+                isCancelled: () => activeRuns.get(runId) === true
+            });
+            logDebug('[workflows:run] Finished workflow', { runId, status: result.status });
+            return { runId, profile: resolved.profile.name, domain: resolved.profile.domain, ...result };
+        } finally {
+            activeRuns.delete(runId);
+        }
+    });
+
+    // Stops before the next step; the running step finishes
+    ipcMain.handle('workflows:cancel', async (_event, runId) => {
+        if (!activeRuns.has(runId)) return { cancelled: false };
+        activeRuns.set(runId, true);
+        logDebug('[workflows:cancel] Cancel requested', { runId });
+        return { cancelled: true };
+    });
+}
+
+module.exports = { registerWorkflowHandlers };
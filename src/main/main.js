@@ -2,6 +2,7 @@ require('dotenv').config();
 
 const path = require('path');
 const fs = require('fs');
+const util = require('util');
 const {
     app,
     BrowserWindow,
@@ -10,6 +11,8 @@ const {
     clipboard,
     shell,
     Menu,
+    Tray,
+    nativeImage,
     nativeTheme
 } = require('electron');
 
@@ -21,7 +24,7 @@ const os = require('os');
 const Store = require('electron-store');
 
 // Import modular IPC handlers
-const { registerFileHandlers } = require('./ipc/fileHandlers');
+const { registerFileHandlers, cleanupFileState } = require('./ipc/fileHandlers');
 const { registerUtilityHandlers } = require('./ipc/utilityHandlers');
 const { registerSearchHandlers } = require('./ipc/searchHandlers');
 const { registerSISHandlers } = require('./ipc/sisHandlers');
@@ -31,9 +34,18 @@ const { registerAssignmentHandlers, cleanupAssignmentState } = require('./ipc/as
 const { registerCourseHandlers, cleanupCourseState } = require('./ipc/courseHandlers');
 const { registerContentHandlers, cleanupContentState } = require('./ipc/contentHandlers');
 const { registerSettingsHandlers } = require('./ipc/settingsHandlers');
-const { registerAIAssistantHandlers } = require('./ipc/aiAssistantHandlers');
+const { registerAIAssistantHandlers, OPERATION_MAP } = require('./ipc/aiAssistantHandlers');
 const { registerEnrollmentHandlers, cleanupEnrollmentState } = require('./ipc/enrollmentHandlers');
 const { registerPermissionsHandlers, cleanupPermissionsState } = require('./ipc/permissionsHandlers');
+const { registerJobHandlers } = require('./ipc/jobHandlers');
+const { registerDryRunHandlers } = require('./ipc/dryRunHandlers');
+const { registerUndoHandlers } = require('./ipc/undoHandlers');
+const { registerProfileHandlers, resolveProfile, findProfileForDomain } = require('./ipc/profileHandlers');
+const { registerAuditHandlers } = require('./ipc/auditHandlers');
+const { registerScheduleHandlers, stopScheduleChecks, hasPendingSchedules } = require('./ipc/scheduleHandlers');
+const { registerWorkflowHandlers } = require('./ipc/workflowHandlers');
+const { registerQuarantineHandlers, getQuarantineKey } = require('./ipc/quarantineHandlers');
+const { getCliArgs, runCli, EXIT_CODES } = require('./cli');
 
 // Import security and state management
 const {
@@ -47,6 +59,11 @@ const {
 } = require('./security/ipcSecurity');
 
 const StateManager = require('./state/stateManager');
+const jobJournal = require('./state/jobJournal');
+const snapshotStore = require('../shared/snapshotStore');
+const dryRun = require('./state/dryRun');
+const auditLog = require('./state/auditLog');
+const quarantine = require('./state/quarantine');
 
 let debugLoggingEnabled = false;
 let logStream = null;
@@ -246,6 +263,13 @@ function logDebug(message, data = {}) {
 // Application state
 let mainWindow;
 let aiSettingsWindow = null;
+let tray = null;
+let isQuitting = false;
+
+const APP_ICON = path.join(__dirname, '../../assets/icon.png');
+
+// Arguments after --cli when started as the headless command line runner
+const cliArgs = getCliArgs(process.argv);
 
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -257,7 +281,7 @@ function createWindow() {
             nodeIntegration: false,
             sandbox: true
         },
-        icon: path.join(__dirname, '../../assets/icon.png')
+        icon: APP_ICON
     });
 
     mainWindow.loadFile(path.join(__dirname, '../renderer/index.html'));
@@ -273,9 +297,18 @@ function createWindow() {
         cleanupContentState(rendererId);
         cleanupEnrollmentState(rendererId);
         cleanupPermissionsState(rendererId);
+        cleanupFileState(rendererId);
         StateManager.cleanupRenderer(rendererId);
     });
 
+    // Keep running in the tray while scheduled operations are waiting
+    mainWindow.on('close', (event) => {
+        if (isQuitting || !hasPendingSchedules()) return;
+        event.preventDefault();
+        mainWindow.hide();
+        showTray();
+    });
+
     mainWindow.on('closed', () => {
         if (aiSettingsWindow && !aiSettingsWindow.isDestroyed()) {
             aiSettingsWindow.close();
@@ -287,6 +320,30 @@ function createWindow() {
     createMenu();
 }
 
+function showMainWindow() {
+    if (!mainWindow) return;
+    mainWindow.show();
+    mainWindow.focus();
+}
+
+function showTray() {
+    if (tray) return;
+    tray = new Tray(nativeImage.createFromPath(APP_ICON));
+    tray.setToolTip('CanvaScripter - scheduled operations are running');
+    tray.setContextMenu(Menu.buildFromTemplate([
+        { label: 'Open CanvaScripter', click: showMainWindow },
+        { type: 'separator' },
+        {
+            label: 'Quit',
+            click: () => {
+                isQuitting = true;
+                app.quit();
+            }
+        }
+    ]));
+    tray.on('click', showMainWindow);
+}
+
 function openAISettingsWindow() {
     if (!mainWindow) return;
 
@@ -438,12 +495,96 @@ function createMenu() {
     Menu.setApplicationMenu(menu);
 }
 
+// Headless mode: run one catalog operation without a window, then exit with its code
+async function runHeadless(args) {
+    // stdout carries the result only; handler logging goes to stderr
+    const toStderr = (...parts) => process.stderr.write(`${util.format(...parts)}\n`);
+    console.log = toStderr;
+    console.info = toStderr;
+    console.warn = toStderr;
+    app.dock?.hide();
+
+    try {
+        jobJournal.init(path.join(app.getPath('userData'), 'job-journal'));
+        snapshotStore.init(path.join(app.getPath('userData'), 'undo-snapshots'));
+        auditLog.init(path.join(app.getPath('userData'), 'audit-log'), { source: 'cli', findProfileForDomain });
+        quarantine.init(path.join(app.getPath('userData'), 'quarantine'), { getKey: getQuarantineKey });
+    } catch (error) {
+        console.error('Failed to initialize job journal, undo snapshots, audit log or quarantine:', error.message);
+    }
+    auditLog.install(ipcMain);
+    jobJournal.install(ipcMain);
+
+    let exitCode;
+    try {
+        exitCode = await runCli(args, {
+            ipcMain,
+            catalog: OPERATION_MAP,
+            dryRun,
+            resolveProfile,
+            findProfileForDomain,
+            registerHandlers: (headlessWindow) => {
+                registerSearchHandlers(ipcMain, logDebug);
+                registerSettingsHandlers();
+                registerAIAssistantHandlers();
+                registerConversationHandlers(ipcMain, logDebug, headlessWindow, getBatchConfig);
+                registerCommChannelHandlers(ipcMain, logDebug, headlessWindow, getBatchConfig);
+                registerAssignmentHandlers(ipcMain, logDebug, headlessWindow, getBatchConfig);
+                registerCourseHandlers(ipcMain, logDebug, headlessWindow, getBatchConfig);
+                registerContentHandlers(ipcMain, logDebug, headlessWindow, getBatchConfig);
+                registerEnrollmentHandlers(ipcMain, logDebug, headlessWindow, getBatchConfig);
+                registerPermissionsHandlers(ipcMain, logDebug, getBatchConfig);
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        exitCode = EXIT_CODES.FAILURE;
+    }
+    app.exit(exitCode);
+}
+
 app.whenReady().then(async () => {
+    if (cliArgs) {
+        await runHeadless(cliArgs);
+        return;
+    }
+
     const initialLoggingEnabled = await resolveInitialLoggingPreference();
     setDebugLogging(initialLoggingEnabled);
     console.log('BATCH_CONCURRENCY (env):', process.env.BATCH_CONCURRENCY);
     console.log('TIME_DELAY (env):', process.env.TIME_DELAY);
 
+    // Journal bulk operations so interrupted jobs can be resumed
+    try {
+        jobJournal.init(path.join(app.getPath('userData'), 'job-journal'));
+    } catch (error) {
+        console.error('Failed to initialize job journal:', error.message);
+    }
+
+    // Snapshot assignments and pages before deleting them so deletions can be undone
+    try {
+        snapshotStore.init(path.join(app.getPath('userData'), 'undo-snapshots'));
+    } catch (error) {
+        console.error('Failed to initialize undo snapshots:', error.message);
+    }
+
+    // Keep encrypted copies of conversation attachments before they are deleted
+    try {
+        quarantine.init(path.join(app.getPath('userData'), 'quarantine'), { getKey: getQuarantineKey });
+    } catch (error) {
+        console.error('Failed to initialize attachment quarantine:', error.message);
+    }
+
+    // Record every mutating operation in the append-only audit log. Installed
+    // before any handler is registered so all of them are covered.
+    try {
+        auditLog.init(path.join(app.getPath('userData'), 'audit-log'), { findProfileForDomain });
+    } catch (error) {
+        console.error('Failed to initialize audit log:', error.message);
+    }
+    auditLog.install(ipcMain);
+    jobJournal.install(ipcMain);
+
     // Create main window
     createWindow();
 
@@ -471,7 +612,7 @@ app.whenReady().then(async () => {
     registerSearchHandlers(ipcMain, logDebug);
 
     // SIS data generation
-    registerSISHandlers(ipcMain, logDebug);
+    registerSISHandlers(ipcMain, logDebug, mainWindow);
 
     // Settings
     registerSettingsHandlers();
@@ -500,6 +641,30 @@ app.whenReady().then(async () => {
     // Permissions handlers
     registerPermissionsHandlers(ipcMain, logDebug, getBatchConfig);
 
+    // Job journal (resume interrupted bulk operations)
+    registerJobHandlers(ipcMain, logDebug);
+
+    // Dry run (preview destructive operations)
+    registerDryRunHandlers(ipcMain, logDebug, mainWindow);
+
+    // Undo assignment/page deletions from snapshots
+    registerUndoHandlers(ipcMain, logDebug, mainWindow, getBatchConfig);
+
+    // Saved instance profiles and production confirmation
+    registerProfileHandlers(ipcMain, logDebug, mainWindow);
+
+    // Operation history (audit log browsing and export)
+    registerAuditHandlers(ipcMain, logDebug, mainWindow);
+
+    // Scheduled and recurring operations (needs the AI assistant catalog handlers above)
+    registerScheduleHandlers(ipcMain, logDebug, mainWindow);
+
+    // Saved multi-step workflows
+    registerWorkflowHandlers(ipcMain, logDebug);
+
+    // Quarantined conversation attachments (review, extract, report)
+    registerQuarantineHandlers(ipcMain, logDebug, mainWindow);
+
     logDebug('All IPC handlers registered successfully');
     console.log('✓ Phase 2 Migration Complete: All 88 handlers registered via modular system');
 
@@ -625,6 +790,12 @@ app.on('window-all-closed', () => {
 
 // Graceful shutdown
 app.on('before-quit', () => {
+    isQuitting = true;
+    stopScheduleChecks();
+    if (tray) {
+        tray.destroy();
+        tray = null;
+    }
     if (logStream) {
         logStream.end();
         logStream = null;
@@ -34,6 +34,12 @@ contextBridge.exposeInMainWorld('axios', {
 
         return result;
     },
+    getConvosBetweenUsers: async (data) => {
+        return await ipcRenderer.invoke('axios:getConvosBetweenUsers', data);
+    },
+    searchConvos: async (data) => {
+        return await ipcRenderer.invoke('axios:searchConvos', data);
+    },
     cancelGetConvos: async () => {
         return await ipcRenderer.invoke('axios:cancelGetConvos');
     },
@@ -58,6 +64,12 @@ contextBridge.exposeInMainWorld('axios', {
         console.log('inside deleteFiles');
         return await ipcRenderer.invoke('axios:deleteFiles', data);
     },
+    exportConversations: async (data) => {
+        return await ipcRenderer.invoke('axios:exportConversations', data);
+    },
+    cancelExportConversations: async () => {
+        return await ipcRenderer.invoke('axios:cancelExportConversations');
+    },
     checkCommChannel: async (data) => {
         console.log('inside preload checkCommChannel');
         return await ipcRenderer.invoke('axios:checkCommChannel', data);
@@ -636,6 +648,160 @@ contextBridge.exposeInMainWorld('fileUpload', {
     }
 });
 
+// Job journal: resume or discard bulk operations interrupted by a crash or quit
+contextBridge.exposeInMainWorld('jobs', {
+    listUnfinished: async () => {
+        return await ipcRenderer.invoke('jobs:listUnfinished');
+    },
+    get: async (jobId) => {
+        return await ipcRenderer.invoke('jobs:get', jobId);
+    },
+    resume: async (jobId, token) => {
+        return await ipcRenderer.invoke('jobs:resume', { jobId, token });
+    },
+    discard: async (jobId) => {
+        return await ipcRenderer.invoke('jobs:discard', jobId);
+    }
+});
+
+contextBridge.exposeInMainWorld('undo', {
+    listOperations: async () => {
+        return await ipcRenderer.invoke('undo:listOperations');
+    },
+    getOperation: async (operationId) => {
+        return await ipcRenderer.invoke('undo:getOperation', operationId);
+    },
+    undoLast: async (token) => {
+        return await ipcRenderer.invoke('undo:undoLast', { token });
+    },
+    undoOperation: async (operationId, token) => {
+        return await ipcRenderer.invoke('undo:undoOperation', { operationId, token });
+    },
+    discard: async (operationId) => {
+        return await ipcRenderer.invoke('undo:discard', operationId);
+    }
+});
+
+contextBridge.exposeInMainWorld('profiles', {
+    list: async () => {
+        return await ipcRenderer.invoke('profiles:list');
+    },
+    save: async (profile) => {
+        return await ipcRenderer.invoke('profiles:save', profile);
+    },
+    delete: async (id) => {
+        return await ipcRenderer.invoke('profiles:delete', id);
+    },
+    // Resolves with the profile and its decrypted token
+    activate: async (id) => {
+        return await ipcRenderer.invoke('profiles:activate', id);
+    },
+    getActive: async () => {
+        return await ipcRenderer.invoke('profiles:getActive');
+    },
+    // Sent before a destructive operation runs against a production profile; returns an unsubscribe function
+    onProductionWarning: (callback) => {
+        const handler = (_event, warning) => callback(warning);
+        ipcRenderer.on('profiles:productionWarning', handler);
+        return () => ipcRenderer.removeListener('profiles:productionWarning', handler);
+    }
+});
+
+contextBridge.exposeInMainWorld('dryRun', {
+    isEnabled: async () => {
+        return await ipcRenderer.invoke('dryRun:getEnabled');
+    },
+    setEnabled: async (enabled) => {
+        return await ipcRenderer.invoke('dryRun:setEnabled', enabled);
+    },
+    // Subscribe to previews from guarded handlers; returns an unsubscribe function
+    onPreview: (callback) => {
+        const handler = (_event, preview) => callback(preview);
+        ipcRenderer.on('dry-run-preview', handler);
+        return () => ipcRenderer.removeListener('dry-run-preview', handler);
+    }
+});
+
+contextBridge.exposeInMainWorld('audit', {
+    list: async (filters, limit) => {
+        return await ipcRenderer.invoke('audit:list', { filters, limit });
+    },
+    export: async (format, filters) => {
+        return await ipcRenderer.invoke('audit:export', { format, filters });
+    }
+});
+
+contextBridge.exposeInMainWorld('schedules', {
+    // Resolves with { schedules, running, operations }
+    list: async () => {
+        return await ipcRenderer.invoke('schedules:list');
+    },
+    save: async (schedule) => {
+        return await ipcRenderer.invoke('schedules:save', schedule);
+    },
+    delete: async (id) => {
+        return await ipcRenderer.invoke('schedules:delete', id);
+    },
+    setEnabled: async (id, enabled) => {
+        return await ipcRenderer.invoke('schedules:setEnabled', { id, enabled });
+    },
+    runNow: async (id) => {
+        return await ipcRenderer.invoke('schedules:runNow', id);
+    },
+    // Sent when a schedule is added, changed, started or finished; returns an unsubscribe function
+    onChanged: (callback) => {
+        const handler = () => callback();
+        ipcRenderer.on('schedules:changed', handler);
+        return () => ipcRenderer.removeListener('schedules:changed', handler);
+    }
+});
+
+contextBridge.exposeInMainWorld('workflows', {
+    // Resolves with { workflows, stepTypes }
+    list: async () => {
+        return await ipcRenderer.invoke('workflows:list');
+    },
+    save: async (workflow) => {
+        return await ipcRenderer.invoke('workflows:save', workflow);
+    },
+    delete: async (id) => {
+        return await ipcRenderer.invoke('workflows:delete', id);
+    },
+    // Pass workflowId for a saved workflow or workflow for the one being edited
+    run: async ({ workflowId, workflow, profileId, runId }) => {
+        return await ipcRenderer.invoke('workflows:run', { workflowId, workflow, profileId, runId });
+    },
+    cancel: async (runId) => {
+        return await ipcRenderer.invoke('workflows:cancel', runId);
+    },
+    // Sent as each step starts and finishes; returns an unsubscribe function
+    onProgress: (callback) => {
+        const handler = (_event, progress) => callback(progress);
+        ipcRenderer.on('workflows:progress', handler);
+        return () => ipcRenderer.removeListener('workflows:progress', handler);
+    }
+});
+
+contextBridge.exposeInMainWorld('quarantine', {
+    // Archive summaries, newest first
+    list: async () => {
+        return await ipcRenderer.invoke('quarantine:list');
+    },
+    get: async (archiveId) => {
+        return await ipcRenderer.invoke('quarantine:get', { archiveId });
+    },
+    // Omit fileIds to extract every file in the archive
+    extract: async (archiveId, fileIds) => {
+        return await ipcRenderer.invoke('quarantine:extract', { archiveId, fileIds });
+    },
+    exportReport: async (archiveId, format) => {
+        return await ipcRenderer.invoke('quarantine:exportReport', { archiveId, format });
+    },
+    delete: async (archiveId) => {
+        return await ipcRenderer.invoke('quarantine:delete', { archiveId });
+    }
+});
+
 contextBridge.exposeInMainWorld('dataUpdate', {
     onUpdate: async (callback) => ipcRenderer.on('email-count', (_event, value) => callback(value))
 })
@@ -672,6 +838,24 @@ contextBridge.exposeInMainWorld('progressAPI', {
     // Clear enable/disable progress listeners
     removeEnableDisableProgressListeners: () => {
         ipcRenderer.removeAllListeners('enable-disable-progress');
+    },
+    // Subscribe to QTI import (content migration) progress
+    onQtiImportProgress: (callback) => {
+        const handler = (_event, payload) => callback(payload);
+        ipcRenderer.on('qti:importProgress', handler);
+        return () => ipcRenderer.removeListener('qti:importProgress', handler);
+    },
+    // Subscribe to SIS import progress
+    onSisImportProgress: (callback) => {
+        const handler = (_event, payload) => callback(payload);
+        ipcRenderer.on('sis:importProgress', handler);
+        return () => ipcRenderer.removeListener('sis:importProgress', handler);
+    },
+    // Subscribe to SIS export (building CSVs from Canvas) progress
+    onSisExportProgress: (callback) => {
+        const handler = (_event, payload) => callback(payload);
+        ipcRenderer.on('sis:exportProgress', handler);
+        return () => ipcRenderer.removeListener('sis:exportProgress', handler);
     }
 });
 
@@ -725,12 +909,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
     createSISFile: async (fileType, rowCount, outputPath, emailDomain, authProviderId, allOptions) => {
         return await ipcRenderer.invoke('sis:createFile', fileType, rowCount, outputPath, emailDomain, authProviderId, allOptions);
     },
-    createBulkSISFiles: async (fileTypes, rowCounts, outputPath, createZip, emailDomain, authProviderId, enrollmentOptions) => {
-        return await ipcRenderer.invoke('sis:createBulkFiles', fileTypes, rowCounts, outputPath, createZip, emailDomain, authProviderId, enrollmentOptions);
+    createBulkSISFiles: async (fileTypes, rowCounts, outputPath, createZip, emailDomain, authProviderId, enrollmentOptions, bulkOptions) => {
+        return await ipcRenderer.invoke('sis:createBulkFiles', fileTypes, rowCounts, outputPath, createZip, emailDomain, authProviderId, enrollmentOptions, bulkOptions);
     },
     createMultiSISFiles: async (fileConfigurations, outputPath) => {
         return await ipcRenderer.invoke('sis:createMultiFiles', fileConfigurations, outputPath);
     },
+    submitSISImport: async (data) => {
+        return await ipcRenderer.invoke('sis:submitImport', data);
+    },
+    cancelSubmitSISImport: async () => {
+        return await ipcRenderer.invoke('sis:cancelSubmitImport');
+    },
+    validateSISFiles: async (filePaths) => {
+        return await ipcRenderer.invoke('sis:validateFiles', filePaths);
+    },
+    listSISImports: async (data) => {
+        return await ipcRenderer.invoke('sis:listImports', data);
+    },
+    downloadSISImportErrors: async (data) => {
+        return await ipcRenderer.invoke('sis:downloadImportErrors', data);
+    },
+    diffSISImports: async (data) => {
+        return await ipcRenderer.invoke('sis:diffImports', data);
+    },
+    exportSISFromCanvas: async (data) => {
+        return await ipcRenderer.invoke('sis:exportFromCanvas', data);
+    },
     fetchAuthProviders: async (domain, token, accountId) => {
         return await ipcRenderer.invoke('sis:fetchAuthProviders', domain, token, accountId);
     },
@@ -793,6 +998,11 @@ const ALLOWED_INVOKE_CHANNELS = new Set([
     // HAR analyzer
     'har:selectFile',
     'har:analyze',
+    'har:getEntry',
+    'har:getSanitizeRules',
+    'har:sanitize',
+    'har:compare',
+    'har:compareBodies',
     'har:analyzeAi',
 
     // QTI analyzer
@@ -800,6 +1010,9 @@ const ALLOWED_INVOKE_CHANNELS = new Set([
     'qti:analyze',
     'qti:fixIdentifiers',
     'qti:fixCanvasCompat',
+    'qti:sendToCanvas',
+    'qti:selectQuestionSource',
+    'qti:writePackage',
 
     // Diff checker
     'diff:selectFile',
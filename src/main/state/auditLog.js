@@ -0,0 +1,424 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of every mutating operation run against a Canvas
+ * instance, for change-management reviews. Each operation adds one JSON line
+ * to audit.jsonl in the audit directory; lines are never rewritten or removed.
+ *
+ *   { id, startedAt, finishedAt, durationMs, operation, source, user,
+ *     profile, environment, domain, courseIds, accountId,
+ *     itemCount, succeeded, failed, outcome, error }
+ *
+ * outcome is 'success', 'partial', 'failed', 'cancelled' or 'error' (the
+ * handler threw). Dry-run previews change nothing and are not recorded.
+ *
+ * install(ipcMain) wraps ipcMain.handle so handlers registered afterwards for
+ * a channel in MUTATING_OPERATIONS are recorded without changing the handlers.
+ *
+ * Entries written during a scheduled run get source 'schedule' and the
+ * schedule's name in `schedule`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dryRun = require('./dryRun');
+const schedules = require('./schedules');
+
+const FILE_NAME = 'audit.jsonl';
+
+// IPC channels that create, change or delete data in Canvas
+const MUTATING_OPERATIONS = new Set([
+    'axios:addAssociateCourse',
+    'axios:associateCourses',
+    'axios:bulkEnroll',
+    'axios:confirmEmails',
+    'axios:createAnnouncements',
+    'axios:createAssignmentGroups',
+    'axios:createAssignments',
+    'axios:createAssociatedCourses',
+    'axios:createBasicCourse',
+    'axios:createClassicQuestions',
+    'axios:createClassicQuizzes',
+    'axios:createDiscussions',
+    'axios:createModuleItems',
+    'axios:createModules',
+    'axios:createNewQuizItems',
+    'axios:createNewQuizzes',
+    'axios:createPages',
+    'axios:createSections',
+    'axios:createSupportCourse',
+    'axios:deleteAnnouncementsGraphQL',
+    'axios:deleteAssignmentGroupAssignments',
+    'axios:deleteAssignments',
+    'axios:deleteAttachments',
+    'axios:deleteClassicQuizzes',
+    'axios:deleteConvos',
+    'axios:deleteDiscussions',
+    'axios:deleteEmptyAssignmentGroups',
+    'axios:deleteEnrollments',
+    'axios:deleteFiles',
+    'axios:deleteFolders',
+    'axios:deleteGradingStandards',
+    'axios:deleteGroupCategories',
+    'axios:deleteModules',
+    'axios:deleteOldAssignments',
+    'axios:deletePages',
+    'axios:deleteSections',
+    'axios:enableDisableAllPermissions',
+    'axios:keepAssignmentsInGroup',
+    'axios:manualEnroll',
+    'axios:matchPermissions',
+    'axios:moveAssignmentsToSingleGroup',
+    'axios:relockBulkCourses',
+    'axios:relockModules',
+    'axios:resetCommChannel',
+    'axios:resetCommChannelsByPattern',
+    'axios:resetCourses',
+    'axios:resetEmails',
+    'axios:restoreContent',
+    'axios:restoreCourses',
+    'axios:restoreDeletedConversations',
+    'axios:restoreDeletedConversationsByIds',
+    'axios:updateAssignmentsBulk',
+    'axios:updateClassicQuiz',
+    'axios:updateCoursePublishState',
+    'axios:updateNotifications',
+    'axios:updateRespondusQuizzes',
+    'enrollment:overrideConcluded',
+    'fileUpload:confirmEmails',
+    'fileUpload:resetEmails',
+    'jobs:resume',
+    'qti:sendToCanvas',
+    'sis:submitImport',
+    'undo:undoLast',
+    'undo:undoOperation'
+]);
+
+const COURSE_KEYS = ['course_id', 'courseId', 'course', 'courseID', 'bpCourseID'];
+const ACCOUNT_KEYS = ['account_id', 'accountId'];
+const MAX_COURSE_IDS = 50;
+
+function getOsUser() {
+    try {
+        return os.userInfo().username;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Course IDs a payload targets, from the payload itself and its per-item requests
+ * @param {Object} data - Handler payload
+ * @returns {Array<string>} Distinct IDs (capped at MAX_COURSE_IDS)
+ */
+function getCourseIds(data) {
+    const ids = new Set();
+    const collect = (source) => {
+        if (!source || typeof source !== 'object') return;
+        for (const key of COURSE_KEYS) {
+            const value = source[key];
+            if (typeof value === 'string' || typeof value === 'number') ids.add(String(value));
+        }
+    };
+    collect(data);
+    for (const field of ['requests', 'courses']) {
+        if (!Array.isArray(data?.[field])) continue;
+        data[field].forEach(item => (typeof item === 'object' ? collect(item) : ids.add(String(item))));
+    }
+    return [...ids].filter(Boolean).slice(0, MAX_COURSE_IDS);
+}
+
+/**
+ * Number of items a payload asks to change: the longest array in it, or 1
+ * @param {Object} data - Handler payload
+ * @returns {number}
+ */
+function getItemCount(data) {
+    if (!data || typeof data !== 'object') return 1;
+    const lengths = Object.values(data).filter(Array.isArray).map(value => value.length);
+    return lengths.length > 0 ? Math.max(...lengths) : 1;
+}
+
+/**
+ * Successes and failures from a handler result. Understands batchHandler
+ * responses ({ successful, failed }), { success: false } results and results
+ * wrapped by jobs:resume / undo ({ result }).
+ * @param {*} result - Handler return value
+ * @param {number} itemCount - Items the payload asked to change
+ * @returns {{ succeeded: number, failed: number }}
+ */
+function countResults(result, itemCount) {
+    if (result && typeof result === 'object') {
+        if (Array.isArray(result.successful) || Array.isArray(result.failed)) {
+            return { succeeded: result.successful?.length || 0, failed: result.failed?.length || 0 };
+        }
+        if (Number.isFinite(result.successCount) || Number.isFinite(result.failedCount)) {
+            return { succeeded: result.successCount || 0, failed: result.failedCount || 0 };
+        }
+        if (result.result && typeof result.result === 'object') {
+            return countResults(result.result, itemCount);
+        }
+        if (result.success === false) {
+            return { succeeded: 0, failed: itemCount };
+        }
+    }
+    return { succeeded: itemCount, failed: 0 };
+}
+
+function getOutcome({ succeeded, failed }) {
+    if (failed === 0) return 'success';
+    return succeeded > 0 ? 'partial' : 'failed';
+}
+
+/**
+ * Flat rows for CSV export; every row has the same columns
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {Array<Object>}
+ */
+function toRows(entries) {
+    return entries.map(entry => ({
+        id: entry.id,
+        startedAt: entry.startedAt,
+        finishedAt: entry.finishedAt,
+        durationMs: entry.durationMs,
+        operation: entry.operation,
+        source: entry.source,
+        schedule: entry.schedule || '',
+        user: entry.user,
+        profile: entry.profile || '',
+        environment: entry.environment || '',
+        domain: entry.domain,
+        courseIds: (entry.courseIds || []).join(';'),
+        accountId: entry.accountId || '',
+        itemCount: entry.itemCount,
+        succeeded: entry.succeeded,
+        failed: entry.failed,
+        outcome: entry.outcome,
+        error: entry.error || ''
+    }));
+}
+
+/**
+ * Whether an entry passes the History panel filters
+ * @param {Object} entry - Audit entry
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - ISO date; entries started before it are excluded
+ * @param {string} [filters.to] - ISO date; entries started after the end of that day are excluded
+ * @param {string} [filters.domain]
+ * @param {string} [filters.operation]
+ * @param {string} [filters.outcome]
+ * @param {string} [filters.search] - Matched against operation, domain, profile, schedule, course IDs and error
+ * @returns {boolean}
+ */
+function matchesFilters(entry, filters = {}) {
+    const { from, to, domain, operation, outcome, search } = filters;
+    if (from && entry.startedAt < new Date(from).toISOString()) return false;
+    if (to) {
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+        if (entry.startedAt >= end.toISOString()) return false;
+    }
+    if (domain && entry.domain !== domain) return false;
+    if (operation && entry.operation !== operation) return false;
+    if (outcome && entry.outcome !== outcome) return false;
+    if (search) {
+        const needle = String(search).toLowerCase();
+        const haystack = [entry.operation, entry.domain, entry.profile, entry.schedule, entry.accountId, entry.error, ...(entry.courseIds || [])]
+            .filter(Boolean).join(' ').toLowerCase();
+        if (!haystack.includes(needle)) return false;
+    }
+    return true;
+}
+
+class AuditLog {
+    constructor() {
+        this.filePath = null;
+        this.source = 'app';
+        this.findProfileForDomain = null;
+        this.sequence = 0;
+    }
+
+    /**
+     * Set the directory the audit log is written to. Nothing is recorded until
+     * this is called (e.g. in tests).
+     * @param {string} directory - Absolute path, created if missing
+     * @param {Object} [options]
+     * @param {string} [options.source='app'] - 'app' or 'cli'
+     * @param {Function} [options.findProfileForDomain] - (domain) => profile|null, for the profile name and environment
+     */
+    init(directory, { source = 'app', findProfileForDomain = null } = {}) {
+        fs.mkdirSync(directory, { recursive: true });
+        this.filePath = path.join(directory, FILE_NAME);
+        this.source = source;
+        this.findProfileForDomain = typeof findProfileForDomain === 'function' ? findProfileForDomain : null;
+    }
+
+    /**
+     * @returns {boolean} True once init() has been called
+     */
+    isEnabled() {
+        return this.filePath !== null;
+    }
+
+    /**
+     * @param {string} operation - IPC channel name
+     * @returns {boolean} True if the channel changes data in Canvas
+     */
+    isMutating(operation) {
+        return MUTATING_OPERATIONS.has(operation);
+    }
+
+    /**
+     * Append one entry
+     * @param {Object} entry - Fields from the header comment; id and user are filled in
+     * @returns {Object|null} The stored entry, or null when the log is disabled
+     */
+    append(entry) {
+        if (!this.filePath) return null;
+        const run = schedules.getCurrentRun();
+        const stored = {
+            id: `${Date.now().toString(36)}-${(++this.sequence).toString(36)}`,
+            user: getOsUser(),
+            source: run ? 'schedule' : this.source,
+            ...(run && { schedule: run.name }),
+            ...entry
+        };
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(stored) + '\n');
+        } catch (error) {
+            console.error('Failed to write audit log:', error.message);
+            return null;
+        }
+        if (run) run.recorded = (run.recorded || 0) + 1;
+        return stored;
+    }
+
+    /**
+     * Wrap an IPC handler so each call is recorded
+     * @param {string} operation - IPC channel name
+     * @param {Function} handler - async (event, data) => result
+     * @returns {Function} Handler for ipcMain.handle
+     */
+    wrap(operation, handler) {
+        return async (event, data) => {
+            const startedAt = new Date();
+            const payload = data && typeof data === 'object' ? data : {};
+
+            let result;
+            let thrown = null;
+            try {
+                result = await handler(event, data);
+            } catch (error) {
+                thrown = error;
+            }
+
+            // Previews and closed file pickers change nothing
+            const nothingRan = !thrown && (result?.dryRun === true || result === 'cancelled');
+            if (this.isEnabled() && !nothingRan) {
+                this.record(operation, payload, startedAt, result, thrown);
+            }
+
+            if (thrown) throw thrown;
+            return result;
+        };
+    }
+
+    /**
+     * Build and append the entry for one handler call
+     * @param {string} operation - IPC channel name
+     * @param {Object} data - Handler payload
+     * @param {Date} startedAt
+     * @param {*} result - Handler return value
+     * @param {Error|null} thrown - What the handler threw, if anything
+     */
+    record(operation, data, startedAt, result, thrown) {
+        try {
+            const domain = dryRun.getTargetDomain(data);
+            const profile = this.findProfileForDomain ? this.findProfileForDomain(domain) : null;
+            const itemCount = getItemCount(data);
+            const finishedAt = new Date();
+
+            let counts;
+            let outcome;
+            let error = null;
+            if (thrown) {
+                error = String(thrown.message || thrown);
+                outcome = /cancelled before any changes/i.test(error) ? 'cancelled' : 'error';
+                counts = { succeeded: 0, failed: outcome === 'cancelled' ? 0 : itemCount };
+            } else {
+                counts = countResults(result, itemCount);
+                outcome = getOutcome(counts);
+                if (result?.success === false && result.error) error = String(result.error);
+            }
+
+            this.append({
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt,
+                operation,
+                profile: profile?.name || null,
+                environment: profile?.environment || null,
+                domain,
+                courseIds: getCourseIds(data),
+                accountId: ACCOUNT_KEYS.map(key => data[key]).find(value => value !== undefined && value !== null) ?? null,
+                itemCount,
+                succeeded: counts.succeeded,
+                failed: counts.failed,
+                outcome,
+                error
+            });
+        } catch (error) {
+            console.error(`Failed to record ${operation} in the audit log:`, error.message);
+        }
+    }
+
+    /**
+     * Record every mutating handler registered on ipcMain from now on
+     * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+     */
+    install(ipcMain) {
+        if (ipcMain.__auditInstalled) return;
+        ipcMain.__auditInstalled = true;
+        const handle = ipcMain.handle.bind(ipcMain);
+        ipcMain.handle = (channel, handler) => handle(channel, this.isMutating(channel) ? this.wrap(channel, handler) : handler);
+    }
+
+    /**
+     * Entries newest first
+     * @param {Object} [filters] - See matchesFilters
+     * @param {number} [limit] - Maximum entries to return
+     * @returns {Array<Object>}
+     */
+    list(filters = {}, limit = Infinity) {
+        if (!this.filePath) return [];
+        let lines;
+        try {
+            lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+        } catch {
+            return [];
+        }
+
+        const entries = [];
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch {
+                continue; // a partial last line from a crash
+            }
+            if (matchesFilters(entry, filters)) entries.push(entry);
+        }
+        return entries;
+    }
+}
+
+// Export singleton instance
+const auditLog = new AuditLog();
+auditLog.MUTATING_OPERATIONS = MUTATING_OPERATIONS;
+auditLog.toRows = toRows;
+auditLog.matchesFilters = matchesFilters;
+auditLog.countResults = countResults;
+auditLog.getCourseIds = getCourseIds;
+
+module.exports = auditLog;
@@ -0,0 +1,168 @@
+/**
+ * Dry Run
+ *
+ * Global switch that turns destructive IPC handlers into previews. A guarded
+ * handler resolves its target list and returns what it would delete or change
+ * instead of sending any mutating request.
+ *
+ * Preview shape:
+ *   { dryRun: true, operation, action, domain, generatedAt,
+ *     count, skipped, byType: { assignment: 3 }, targets: [{ ...flat row }],
+ *     successful: [], failed: [] }
+ *
+ * Target rows are flat so the preview can go straight to csvExporter.exportToCSV.
+ * successful/failed are empty so callers expecting a batch response still work.
+ */
+
+class DryRunState {
+    constructor() {
+        this.enabled = false;
+        this.previewListener = null;
+        this.runCheck = null;
+    }
+
+    /**
+     * @returns {boolean} True if the global dry-run switch is on
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * @param {boolean} enabled - New state of the global switch
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+    }
+
+    /**
+     * Whether a handler call should only preview. An explicit data.dryRun
+     * (true or false) overrides the global switch for that call.
+     * @param {Object} data - Handler payload
+     * @returns {boolean}
+     */
+    isDryRun(data) {
+        if (typeof data?.dryRun === 'boolean') return data.dryRun;
+        return this.enabled;
+    }
+
+    /**
+     * Receive every preview that a guarded handler produces (e.g. to forward it to the renderer)
+     * @param {Function|null} listener - (preview) => void
+     */
+    setPreviewListener(listener) {
+        this.previewListener = typeof listener === 'function' ? listener : null;
+    }
+
+    /**
+     * Check that runs before every real (non-preview) guarded call, e.g. to
+     * confirm actions against production. Resolve false to stop the call.
+     * @param {Function|null} check - async (operation, data, describe) => boolean
+     */
+    setRunCheck(check) {
+        this.runCheck = typeof check === 'function' ? check : null;
+    }
+
+    /**
+     * Wrap a destructive IPC handler so it returns a preview in dry-run mode
+     * @param {string} operation - IPC channel name, e.g. 'axios:deleteModules'
+     * @param {Function} describe - async (data) => { action, domain, targets: [{ type, id, ... }] }
+     * @param {Function} handler - async (event, data) => result
+     * @returns {Function} Handler for ipcMain.handle
+     */
+    guard(operation, describe, handler) {
+        return async (event, data) => {
+            if (!this.isDryRun(data)) {
+                if (this.runCheck && !(await this.runCheck(operation, data || {}, () => describe(data || {})))) {
+                    throw new Error(`${operation} was cancelled before any changes were made`);
+                }
+                return handler(event, data);
+            }
+
+            const preview = buildPreview(operation, await describe(data || {}));
+            if (this.previewListener) {
+                try {
+                    this.previewListener(preview);
+                } catch (error) {
+                    console.error('Dry run preview listener failed:', error.message);
+                }
+            }
+            return preview;
+        };
+    }
+}
+
+/**
+ * Build a preview from a handler's resolved targets
+ * @param {string} operation - IPC channel name
+ * @param {Object} description
+ * @param {string} description.action - What the operation does to each target ('delete', 'reset', ...)
+ * @param {string} [description.domain] - Canvas domain
+ * @param {Array<Object>} description.targets - { type, id, ...details }; set `action: 'skip'` and `reason` for targets that would not be touched
+ * @returns {Object} Preview
+ */
+function buildPreview(operation, { action, domain = '', targets = [] }) {
+    // csvExporter takes its columns from the first row, so every row gets every detail key
+    const detailKeys = new Set();
+    targets.forEach(({ type, id, action: _action, ...details }) => Object.keys(details).forEach(key => detailKeys.add(key)));
+
+    const rows = targets.map(target => {
+        const { type, id, action: targetAction } = target;
+        const row = {
+            operation,
+            action: targetAction || action,
+            domain,
+            type,
+            id: id === undefined || id === null ? '' : String(id)
+        };
+        for (const key of detailKeys) {
+            row[key] = target[key] ?? '';
+        }
+        return row;
+    });
+
+    const affected = rows.filter(row => row.action !== 'skip');
+    const byType = {};
+    for (const row of affected) {
+        byType[row.type] = (byType[row.type] || 0) + 1;
+    }
+
+    return {
+        dryRun: true,
+        operation,
+        action,
+        domain,
+        generatedAt: new Date().toISOString(),
+        count: affected.length,
+        skipped: rows.length - affected.length,
+        byType,
+        targets: rows,
+        successful: [],
+        failed: []
+    };
+}
+
+/**
+ * Canvas domain a destructive payload targets. Most handlers take data.domain;
+ * page/section/enrollment deletes carry it per request, assignment group
+ * deletes pass a full URL.
+ * @param {Object} data - Handler payload
+ * @returns {string} Domain, or '' if none was found
+ */
+function getTargetDomain(data) {
+    if (data?.domain) return String(data.domain);
+    const itemDomain = Array.isArray(data?.requests) ? data.requests.find(item => item?.domain)?.domain : null;
+    if (itemDomain) return String(itemDomain);
+    try {
+        return data?.url ? new URL(data.url).host : '';
+    } catch {
+        return '';
+    }
+}
+
+// Export singleton instance
+const dryRun = new DryRunState();
+dryRun.buildPreview = buildPreview;
+dryRun.getTargetDomain = getTargetDomain;
+
+module.exports = dryRun;
@@ -0,0 +1,418 @@
+/**
+ * Job Journal
+ *
+ * Persists long-running bulk operations to disk so they can be resumed after
+ * a crash, a forced quit or the machine going to sleep. Each job is an
+ * append-only JSON Lines file in the journal directory:
+ *
+ *   {"type":"start", jobId, operation, inputs, itemsField, items: [{ key, value }]}
+ *   {"type":"item", key, status, error}         // one per processed item
+ *   {"type":"resume", at}                        // each time the job is resumed
+ *   {"type":"finish", state, at}                 // completed | cancelled | failed
+ *
+ * A journal without a finish line belongs to a job that was interrupted.
+ * Job IDs reuse the renderer's operationId when one is supplied.
+ *
+ * Handlers either open their own job (openJob) or, once install(ipcMain) has
+ * run, get one for every batchHandler run they start. The items of such a job
+ * are the payload array the requests were built from (the one field with one
+ * value per request); when there is no such field the job is recorded but
+ * can't be resumed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { setJournalFactory } = require('../../shared/batchHandler');
+
+// Never write credentials to disk; the token is supplied again on resume
+const SECRET_KEY_PATTERN = /(token|authorization|password|secret|api[_-]?key|cookie)/i;
+
+function stripSecrets(inputs = {}) {
+    const clean = {};
+    for (const [key, value] of Object.entries(inputs)) {
+        if (SECRET_KEY_PATTERN.test(key) || value === undefined) continue;
+        clean[key] = value;
+    }
+    return clean;
+}
+
+function toFileName(jobId) {
+    return `${String(jobId).replace(/[^A-Za-z0-9_.-]/g, '_')}.jsonl`;
+}
+
+class Job {
+    /**
+     * @param {JobJournal} journal - Owning journal
+     * @param {string} jobId - Job identifier
+     * @param {string} filePath - Journal file path
+     */
+    constructor(journal, jobId, filePath) {
+        this.journal = journal;
+        this.jobId = jobId;
+        this.filePath = filePath;
+        this.buffer = [];
+        this.finished = false;
+    }
+
+    /**
+     * Record the outcome of a single item. Buffered until flush().
+     * @param {string|number} key - Item key given in openJob items
+     * @param {string} status - 'succeeded' or 'failed'
+     * @param {string} [error] - Failure reason
+     */
+    markItem(key, status, error) {
+        if (this.finished) return;
+        const entry = { type: 'item', key: String(key), status };
+        if (error) entry.error = String(error);
+        this.buffer.push(entry);
+    }
+
+    /**
+     * Record the same outcome for several items and flush immediately
+     * @param {Array<string|number>} keys - Item keys
+     * @param {string} status - 'succeeded' or 'failed'
+     * @param {string} [error] - Failure reason
+     */
+    markItems(keys, status, error) {
+        keys.forEach(key => this.markItem(key, status, error));
+        this.flush();
+    }
+
+    /**
+     * Write buffered item outcomes to disk
+     */
+    flush() {
+        if (this.buffer.length === 0) return;
+        const lines = this.buffer.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        this.buffer = [];
+        try {
+            fs.appendFileSync(this.filePath, lines);
+        } catch (error) {
+            console.error(`Failed to write job journal ${this.jobId}:`, error.message);
+        }
+    }
+
+    /**
+     * Close the job. Completed jobs have nothing left to resume and are removed.
+     * @param {string} state - 'completed', 'cancelled' or 'failed'
+     */
+    finish(state) {
+        if (this.finished) return;
+        this.flush();
+        this.finished = true;
+        this.journal.activeJobs.delete(this.jobId);
+
+        try {
+            if (state === 'completed') {
+                fs.unlinkSync(this.filePath);
+            } else {
+                fs.appendFileSync(this.filePath, JSON.stringify({ type: 'finish', state, at: new Date().toISOString() }) + '\n');
+            }
+        } catch (error) {
+            console.error(`Failed to close job journal ${this.jobId}:`, error.message);
+        }
+    }
+}
+
+class JobJournal {
+    constructor() {
+        this.directory = null;
+        this.activeJobs = new Map(); // jobId -> Job
+        this.resumeHandlers = new Map(); // operation (IPC channel) -> handler function
+        this.calls = new AsyncLocalStorage(); // { operation, data, ownJob, batchRuns } of the running handler
+    }
+
+    /**
+     * Journal the batchHandler runs of every handler registered on ipcMain from
+     * now on. Install after auditLog so a resumed run is audited as jobs:resume only.
+     * @param {Electron.IpcMain} ipcMain - The Electron IPC main instance
+     */
+    install(ipcMain) {
+        if (ipcMain.__jobJournalInstalled) return;
+        ipcMain.__jobJournalInstalled = true;
+        const handle = ipcMain.handle.bind(ipcMain);
+        ipcMain.handle = (channel, handler) => {
+            const tracked = (event, data, ...rest) =>
+                this.calls.run({ operation: channel, data, ownJob: false, batchRuns: 0 }, () => handler(event, data, ...rest));
+            this.resumeHandlers.set(channel, tracked);
+            return handle(channel, tracked);
+        };
+        setJournalFactory(requests => this.openBatchJob(requests));
+    }
+
+    /**
+     * Set the directory journals are written to. Journaling is disabled until
+     * this is called (e.g. in tests).
+     * @param {string} directory - Absolute path, created if missing
+     */
+    init(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        this.directory = directory;
+    }
+
+    /**
+     * Register the IPC handler that can resume an operation and return it
+     * unchanged, so it can wrap the function passed to ipcMain.handle.
+     * @param {string} operation - IPC channel name, e.g. 'axios:deleteAssignments'
+     * @param {Function} handler - async (event, data) => result
+     * @returns {Function} The same handler
+     */
+    resumable(operation, handler) {
+        this.resumeHandlers.set(operation, handler);
+        return handler;
+    }
+
+    /**
+     * @param {string} operation - IPC channel name
+     * @returns {Function|undefined} Registered resume handler
+     */
+    getResumeHandler(operation) {
+        return this.resumeHandlers.get(operation);
+    }
+
+    /**
+     * Start a new journaled job, or reopen the existing one when the handler
+     * was invoked to resume it (data.resumeJobId).
+     * @param {Object} data - Handler payload (operationId / resumeJobId are read from it)
+     * @param {Object} details
+     * @param {string} details.operation - IPC channel name
+     * @param {Object} details.inputs - Payload needed to rerun the operation (secrets are stripped)
+     * @param {string} details.itemsField - Payload field that receives the remaining item values on resume
+     * @param {Array<{key: string|number, value: *}>} details.items - Items the job will process
+     * @returns {Job|null} Job handle, or null when journaling is disabled
+     */
+    openJob(data, details) {
+        const call = this.calls.getStore();
+        if (call) call.ownJob = true;
+        return this.createJob(data, details);
+    }
+
+    /**
+     * Journal a batchHandler run started by the running IPC handler, unless the
+     * handler keeps its own job. Only a handler's first run can be resumed: a
+     * rerun goes through the whole handler again.
+     * @param {Array<Object>} requests - batchHandler requests
+     * @returns {Object|null} Journal for batchHandler (markItem, flush, finish), or null
+     */
+    openBatchJob(requests) {
+        const call = this.calls.getStore();
+        if (!this.directory || !call || call.ownJob || requests.length === 0) return null;
+
+        const data = call.data && typeof call.data === 'object' ? call.data : {};
+        call.batchRuns++;
+        const firstRun = call.batchRuns === 1;
+        const requestKeys = requests.map(request => String(request.journalKey ?? request.id));
+
+        let job = null;
+        let jobKeys = requestKeys;
+        if (firstRun && data.resumeJobId) {
+            // The resumed run was given the job's pending items in order, so its requests line up with them
+            const pending = (this.getJob(data.resumeJobId)?.items || []).filter(item => item.status === 'pending');
+            if (pending.length === requests.length) {
+                job = this.createJob(data, null);
+                jobKeys = pending.map(item => item.key);
+            }
+        }
+        if (!job) {
+            const candidates = firstRun
+                ? Object.keys(data).filter(field => Array.isArray(data[field]) && data[field].length === requests.length)
+                : [];
+            const itemsField = candidates.length === 1 ? candidates[0] : null;
+            const { [itemsField]: _items, resumeJobId: _resumeJobId, ...inputs } = data;
+            const baseId = data.operationId || `${call.operation.replace(/[^A-Za-z0-9]/g, '-')}-${Date.now()}`;
+            job = this.createJob({ operationId: firstRun && !data.resumeJobId ? baseId : `${baseId}-${call.batchRuns}` }, {
+                operation: call.operation,
+                inputs,
+                itemsField,
+                items: requestKeys.map((key, i) => ({ key, value: itemsField ? data[itemsField][i] : null }))
+            });
+        }
+        if (!job) return null;
+
+        const keyMap = new Map(requestKeys.map((key, i) => [key, jobKeys[i]]));
+        return {
+            jobId: job.jobId,
+            markItem: (key, status, error) => job.markItem(keyMap.get(String(key)) ?? key, status, error),
+            flush: () => job.flush(),
+            finish: (state) => job.finish(state)
+        };
+    }
+
+    // Reopen data.resumeJobId's journal, or start a new one from details
+    createJob(data, details) {
+        if (!this.directory) return null;
+
+        if (data?.resumeJobId) {
+            const filePath = path.join(this.directory, toFileName(data.resumeJobId));
+            if (fs.existsSync(filePath)) {
+                fs.appendFileSync(filePath, JSON.stringify({ type: 'resume', at: new Date().toISOString() }) + '\n');
+                const job = new Job(this, data.resumeJobId, filePath);
+                this.activeJobs.set(job.jobId, job);
+                return job;
+            }
+        }
+
+        const jobId = data?.operationId || `${details.operation.replace(/[^A-Za-z0-9]/g, '-')}-${Date.now()}`;
+        const filePath = path.join(this.directory, toFileName(jobId));
+        const header = {
+            type: 'start',
+            jobId,
+            operation: details.operation,
+            inputs: stripSecrets(details.inputs),
+            itemsField: details.itemsField,
+            items: details.items.map(item => ({ key: String(item.key), value: item.value })),
+            startedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.writeFileSync(filePath, JSON.stringify(header) + '\n');
+        } catch (error) {
+            console.error(`Failed to create job journal ${jobId}:`, error.message);
+            return null;
+        }
+
+        const job = new Job(this, jobId, filePath);
+        this.activeJobs.set(jobId, job);
+        return job;
+    }
+
+    /**
+     * Replay a journal file into a summary
+     * @param {string} filePath - Journal file
+     * @returns {Object|null} Job summary, or null if the file is unreadable
+     */
+    readJob(filePath) {
+        let lines;
+        try {
+            lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+        } catch {
+            return null;
+        }
+
+        let header = null;
+        let state = 'interrupted';
+        let finishedAt = null;
+        let resumeCount = 0;
+        const statuses = new Map(); // key -> { status, error }
+
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue; // a partial last line from a crash
+            }
+            if (entry.type === 'start') {
+                header = entry;
+            } else if (entry.type === 'item') {
+                statuses.set(entry.key, { status: entry.status, error: entry.error });
+            } else if (entry.type === 'resume') {
+                resumeCount++;
+                state = 'interrupted';
+            } else if (entry.type === 'finish') {
+                state = entry.state;
+                finishedAt = entry.at;
+            }
+        }
+        if (!header) return null;
+
+        if (this.activeJobs.has(header.jobId)) {
+            state = 'running';
+        }
+
+        const items = header.items.map(item => ({ ...item, ...(statuses.get(item.key) || { status: 'pending' }) }));
+        return {
+            jobId: header.jobId,
+            operation: header.operation,
+            inputs: header.inputs,
+            itemsField: header.itemsField,
+            resumable: Boolean(header.itemsField),
+            startedAt: header.startedAt,
+            finishedAt,
+            state,
+            resumeCount,
+            total: items.length,
+            succeeded: items.filter(item => item.status === 'succeeded').length,
+            failed: items.filter(item => item.status === 'failed').length,
+            pending: items.filter(item => item.status === 'pending').length,
+            items
+        };
+    }
+
+    /**
+     * Jobs that stopped before processing every item and are not running now
+     * @returns {Array<Object>} Job summaries without the per-item list
+     */
+    listUnfinished() {
+        if (!this.directory) return [];
+
+        let files = [];
+        try {
+            files = fs.readdirSync(this.directory).filter(name => name.endsWith('.jsonl'));
+        } catch {
+            return [];
+        }
+
+        return files
+            .map(name => this.readJob(path.join(this.directory, name)))
+            .filter(job => job && job.state !== 'running' && job.pending > 0)
+            .map(({ items, ...summary }) => summary)
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     * @returns {Object|null} Full job summary including items
+     */
+    getJob(jobId) {
+        if (!this.directory) return null;
+        return this.readJob(path.join(this.directory, toFileName(jobId)));
+    }
+
+    /**
+     * Build the payload that reruns a job's pending items
+     * @param {string} jobId - Job identifier
+     * @returns {{ operation: string, data: Object, remaining: number }}
+     */
+    getResumePayload(jobId) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            throw new Error(`Job ${jobId} was not found`);
+        }
+        if (job.state === 'running') {
+            throw new Error(`Job ${jobId} is still running`);
+        }
+        if (!job.itemsField) {
+            throw new Error(`Job ${jobId} can't be resumed: its items aren't one of the operation's inputs`);
+        }
+
+        const remaining = job.items.filter(item => item.status === 'pending').map(item => item.value);
+        return {
+            operation: job.operation,
+            // The job ID doubles as the operationId so axios:cancelOperation can stop the resumed run
+            data: { ...job.inputs, [job.itemsField]: remaining, resumeJobId: job.jobId, operationId: job.jobId },
+            remaining: remaining.length
+        };
+    }
+
+    /**
+     * Delete a job's journal
+     * @param {string} jobId - Job identifier
+     * @returns {boolean} True if a journal was removed
+     */
+    discardJob(jobId) {
+        if (!this.directory || this.activeJobs.has(jobId)) return false;
+        try {
+            fs.unlinkSync(path.join(this.directory, toFileName(jobId)));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+// Export singleton instance
+const jobJournal = new JobJournal();
+
+module.exports = jobJournal;
@@ -0,0 +1,109 @@
+/**
+ * Instance Profiles
+ *
+ * Named Canvas instances (e.g. "district-prod", "district-beta", "test sandbox")
+ * that can be switched from the header. Profiles are kept in electron-store by
+ * ipc/profileHandlers; this module only holds the list logic so it can be used
+ * without Electron.
+ *
+ * Stored profile:
+ *   { id, name, domain, environment: 'production' | 'beta' | 'test', encryptedToken }
+ *
+ * encryptedToken is a safeStorage hex string and never leaves the main process
+ * except through profiles:activate.
+ */
+
+const ENVIRONMENTS = ['production', 'beta', 'test'];
+
+/**
+ * Normalize a domain the way it is typed in the header: no scheme, path or trailing dot
+ * @param {string} domain - e.g. 'https://School.instructure.com/'
+ * @returns {string} e.g. 'school.instructure.com'
+ */
+function normalizeDomain(domain) {
+    return String(domain || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/\/.*$/, '')
+        .replace(/\.$/, '');
+}
+
+/**
+ * Check and clean profile fields from the renderer
+ * @param {Object} input - { name, domain, environment }
+ * @returns {{ name: string, domain: string, environment: string }}
+ * @throws {Error} If a field is missing or the environment is unknown
+ */
+function validateProfile(input) {
+    const name = String(input?.name || '').trim();
+    const domain = normalizeDomain(input?.domain);
+    const environment = String(input?.environment || '').toLowerCase();
+
+    if (!name) throw new Error('Profile name is required');
+    if (!domain) throw new Error('Profile domain is required');
+    if (!ENVIRONMENTS.includes(environment)) {
+        throw new Error(`Environment must be one of: ${ENVIRONMENTS.join(', ')}`);
+    }
+    return { name, domain, environment };
+}
+
+/**
+ * Add a profile or update the one with the same id
+ * @param {Array<Object>} profiles - Stored profiles
+ * @param {Object} input - { id?, name, domain, environment }
+ * @param {string|null} encryptedToken - New encrypted token; null keeps the stored one
+ * @param {Function} [createId] - Generates ids for new profiles
+ * @returns {{ profiles: Array<Object>, profile: Object }} New list and the saved profile
+ * @throws {Error} If the fields are invalid or another profile already uses the name
+ */
+function upsertProfile(profiles, input, encryptedToken, createId = () => `profile-${Date.now()}`) {
+    const fields = validateProfile(input);
+    const existing = input?.id ? profiles.find(p => p.id === input.id) : null;
+
+    if (profiles.some(p => p.id !== existing?.id && p.name.toLowerCase() === fields.name.toLowerCase())) {
+        throw new Error(`A profile named "${fields.name}" already exists`);
+    }
+
+    const profile = {
+        id: existing?.id || createId(),
+        ...fields,
+        encryptedToken: encryptedToken ?? existing?.encryptedToken ?? null
+    };
+    const next = existing
+        ? profiles.map(p => (p.id === existing.id ? profile : p))
+        : [...profiles, profile];
+    return { profiles: next, profile };
+}
+
+/**
+ * Profile that points at a domain. The active profile wins when several share it.
+ * @param {Array<Object>} profiles - Stored profiles
+ * @param {string} domain - Target domain
+ * @param {string|null} [activeId] - Active profile id
+ * @returns {Object|null}
+ */
+function findProfileForDomain(profiles, domain, activeId = null) {
+    const target = normalizeDomain(domain);
+    if (!target) return null;
+    const matches = profiles.filter(p => p.domain === target);
+    return matches.find(p => p.id === activeId) || matches[0] || null;
+}
+
+/**
+ * Profile fields that are safe to send to the renderer
+ * @param {Object} profile - Stored profile
+ * @returns {{ id, name, domain, environment, hasToken }}
+ */
+function toPublicProfile({ encryptedToken, ...profile }) {
+    return { ...profile, hasToken: !!encryptedToken };
+}
+
+module.exports = {
+    ENVIRONMENTS,
+    normalizeDomain,
+    validateProfile,
+    upsertProfile,
+    findProfileForDomain,
+    toPublicProfile
+};
@@ -0,0 +1,280 @@
+/**
+ * Attachment Quarantine
+ *
+ * Encrypted local copies of conversation attachments taken right before
+ * axios:deleteFiles purges them, so a security team can still get the
+ * original (often malicious) file afterwards.
+ *
+ * Each cleanup run is one archive directory in the quarantine directory:
+ *
+ *   <archiveId>/manifest.jsonl   append-only, plain JSON (no file contents)
+ *   <archiveId>/files/<fileId>.bin   iv (12 bytes) | auth tag (16) | AES-256-GCM ciphertext
+ *
+ * manifest.jsonl lines:
+ *
+ *   {"type":"archive", id, label, domain, createdAt, cipher}
+ *   {"type":"file", fileId, conversationIds, displayName, contentType, size, sha256, quarantinedAt}
+ *   {"type":"deleted", fileId, at}                 // the Canvas delete succeeded
+ *   {"type":"deleteFailed", fileId, reason, at}    // still in Canvas
+ *
+ * sha256 is the hash of the original file, checked again on extract. The key
+ * comes from the getKey function passed to init() and is never written here.
+ * The store is disabled until init() is called.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST = 'manifest.jsonl';
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let directory = null;
+let keyProvider = null;
+let sequence = 0;
+
+/**
+ * Set the quarantine directory and the key source. Quarantine is disabled until this is called.
+ * @param {string} dir - Absolute path, created if missing
+ * @param {Object} options
+ * @param {Function} options.getKey - Returns the 32-byte archive key (Buffer); called only when a file is written or read
+ */
+function init(dir, { getKey }) {
+    fs.mkdirSync(dir, { recursive: true });
+    directory = dir;
+    keyProvider = getKey;
+}
+
+/**
+ * @returns {boolean} True once init() has been called
+ */
+function isEnabled() {
+    return directory !== null;
+}
+
+function requireEnabled() {
+    if (!directory) {
+        throw new Error('Attachment quarantine is not available');
+    }
+}
+
+function getKey() {
+    const key = keyProvider ? keyProvider() : null;
+    if (!Buffer.isBuffer(key) || key.length !== 32) {
+        throw new Error('The quarantine encryption key is not available');
+    }
+    return key;
+}
+
+function archivePath(archiveId) {
+    const safeId = String(archiveId).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return path.join(directory, safeId);
+}
+
+function storedFileName(fileId) {
+    return `${String(fileId).replace(/[^A-Za-z0-9_.-]/g, '_')}.bin`;
+}
+
+function append(archiveId, entry) {
+    fs.appendFileSync(path.join(archivePath(archiveId), MANIFEST), JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Start a quarantine archive for one cleanup run
+ * @param {{ label: string, domain: string }} info
+ * @returns {string} Archive id
+ */
+function createArchive({ label, domain }) {
+    requireEnabled();
+    getKey();
+    sequence = (sequence + 1) % 1000;
+    const id = `quarantine-${Date.now()}-${String(sequence).padStart(3, '0')}`;
+    fs.mkdirSync(path.join(archivePath(id), 'files'), { recursive: true });
+    append(id, { type: 'archive', id, label, domain, createdAt: new Date().toISOString(), cipher: CIPHER });
+    return id;
+}
+
+/**
+ * Encrypt a downloaded attachment into the archive
+ * @param {string} archiveId
+ * @param {Object} file
+ * @param {string|number} file.fileId
+ * @param {Array<string|number>} [file.conversationIds] - Conversations the attachment was found in
+ * @param {string} file.displayName
+ * @param {string} [file.contentType]
+ * @param {Buffer} file.content - Original bytes
+ * @returns {Object} The manifest entry
+ */
+function addFile(archiveId, { fileId, conversationIds = [], displayName, contentType = '', content }) {
+    requireEnabled();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(content), cipher.final()]);
+    fs.writeFileSync(path.join(archivePath(archiveId), 'files', storedFileName(fileId)), Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+
+    const entry = {
+        type: 'file',
+        fileId: String(fileId),
+        conversationIds: conversationIds.map(String),
+        displayName: displayName || '',
+        contentType,
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        quarantinedAt: new Date().toISOString()
+    };
+    append(archiveId, entry);
+    return entry;
+}
+
+/**
+ * Record whether the Canvas delete of a quarantined file succeeded
+ * @param {string} archiveId
+ * @param {string|number} fileId
+ * @param {{ deleted: boolean, reason?: string }} outcome
+ */
+function markDeleted(archiveId, fileId, { deleted, reason = '' }) {
+    requireEnabled();
+    append(archiveId, deleted
+        ? { type: 'deleted', fileId: String(fileId), at: new Date().toISOString() }
+        : { type: 'deleteFailed', fileId: String(fileId), reason, at: new Date().toISOString() });
+}
+
+/**
+ * Read an archive's manifest
+ * @param {string} archiveId
+ * @returns {Object|null} { id, label, domain, createdAt, files: [{ ...entry, status: 'deleted'|'deleteFailed'|'pending', reason }] }
+ */
+function getArchive(archiveId) {
+    requireEnabled();
+    const manifestPath = path.join(archivePath(archiveId), MANIFEST);
+    if (!fs.existsSync(manifestPath)) return null;
+
+    let archive = null;
+    const files = new Map();
+    for (const line of fs.readFileSync(manifestPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        if (entry.type === 'archive') {
+            archive = { id: entry.id, label: entry.label, domain: entry.domain, createdAt: entry.createdAt };
+        } else if (entry.type === 'file') {
+            const { type, ...file } = entry;
+            files.set(entry.fileId, { ...file, status: 'pending', reason: '' });
+        } else if (files.has(entry.fileId)) {
+            const file = files.get(entry.fileId);
+            file.status = entry.type;
+            file.reason = entry.reason || '';
+            file.statusAt = entry.at;
+        }
+    }
+    return archive ? { ...archive, files: [...files.values()] } : null;
+}
+
+/**
+ * @returns {Array<Object>} Archive summaries, newest first: { id, label, domain, createdAt, fileCount, deletedCount, totalSize }
+ */
+function listArchives() {
+    requireEnabled();
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => getArchive(entry.name))
+        .filter(Boolean)
+        .map(({ files, ...archive }) => ({
+            ...archive,
+            fileCount: files.length,
+            deletedCount: files.filter(f => f.status === 'deleted').length,
+            totalSize: files.reduce((sum, f) => sum + (f.size || 0), 0)
+        }))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Decrypt files from an archive into a folder, checking each against its recorded hash
+ * @param {string} archiveId
+ * @param {Array<string|number>|null} fileIds - Null extracts every file
+ * @param {string} destDir - Created if missing; files are named <fileId>-<displayName>
+ * @returns {{ extracted: Array<{ fileId, path }>, failed: Array<{ fileId, reason }> }}
+ */
+function extractFiles(archiveId, fileIds, destDir) {
+    const archive = getArchive(archiveId);
+    if (!archive) {
+        throw new Error('Quarantine archive not found');
+    }
+    const wanted = fileIds ? new Set(fileIds.map(String)) : null;
+    const key = getKey();
+    fs.mkdirSync(destDir, { recursive: true });
+
+    const extracted = [];
+    const failed = [];
+    for (const file of archive.files.filter(f => !wanted || wanted.has(f.fileId))) {
+        try {
+            const stored = fs.readFileSync(path.join(archivePath(archiveId), 'files', storedFileName(file.fileId)));
+            const decipher = crypto.createDecipheriv(CIPHER, key, stored.subarray(0, IV_LENGTH));
+            decipher.setAuthTag(stored.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+            const content = Buffer.concat([decipher.update(stored.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+            if (crypto.createHash('sha256').update(content).digest('hex') !== file.sha256) {
+                throw new Error('Hash does not match the manifest');
+            }
+            const name = `${file.fileId}-${String(file.displayName || 'file').replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_')}`;
+            const target = path.join(destDir, name);
+            fs.writeFileSync(target, content);
+            extracted.push({ fileId: file.fileId, path: target });
+        } catch (error) {
+            failed.push({ fileId: file.fileId, reason: error.message });
+        }
+    }
+    return { extracted, failed };
+}
+
+/**
+ * Flat report rows for an archive, ready for csvExporter.exportToCSV
+ * @param {Object} archive - From getArchive
+ * @returns {Array<Object>}
+ */
+function toReportRows(archive) {
+    return archive.files.map(file => ({
+        archive_id: archive.id,
+        domain: archive.domain,
+        conversation_ids: file.conversationIds.join(' '),
+        file_id: file.fileId,
+        display_name: file.displayName,
+        content_type: file.contentType,
+        size: file.size,
+        sha256: file.sha256,
+        quarantined_at: file.quarantinedAt,
+        canvas_status: file.status,
+        reason: file.reason
+    }));
+}
+
+/**
+ * Permanently remove an archive and its encrypted files
+ * @param {string} archiveId
+ * @returns {boolean} False if it did not exist
+ */
+function deleteArchive(archiveId) {
+    requireEnabled();
+    const dir = archivePath(archiveId);
+    if (!fs.existsSync(path.join(dir, MANIFEST))) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+}
+
+module.exports = {
+    init,
+    isEnabled,
+    createArchive,
+    addFile,
+    markDeleted,
+    getArchive,
+    listArchives,
+    extractFiles,
+    toReportRows,
+    deleteArchive
+};
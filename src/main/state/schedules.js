@@ -0,0 +1,342 @@
+/**
+ * Scheduled Operations
+ *
+ * Catalog operations (OPERATION_MAP in ipc/aiAssistantHandlers) that run on
+ * their own while the app is open or in the tray: once at a set time, or on a
+ * cron recurrence. Schedules are kept in electron-store and run by
+ * ipc/scheduleHandlers; this module holds the timing and list logic so it can
+ * be used without Electron.
+ *
+ * Stored schedule:
+ *   { id, name, operation, profileId, parameters, type: 'once' | 'cron',
+ *     runAt, cron, enabled, allowProduction, createdAt,
+ *     nextRunAt, lastRunAt, lastOutcome, lastMessage }
+ *
+ * The profile supplies the domain and token at run time, so no token is
+ * stored with the schedule. allowProduction records that the user agreed to
+ * the operation running against a production profile without being asked.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const SCHEDULE_TYPES = ['once', 'cron'];
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// How far ahead to look for the next match before calling an expression unsatisfiable (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+const currentRun = new AsyncLocalStorage();
+
+function parseCronValue(text, field) {
+    const lower = text.toLowerCase();
+    const named = field.names ? field.names.indexOf(lower) : -1;
+    if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid ${field.name} value "${text}"`);
+    }
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} "${part}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseCronValue(from, field);
+            end = parseCronValue(to, field);
+            if (start > end) throw new Error(`Invalid ${field.name} range "${range}"`);
+        } else {
+            start = parseCronValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports *, lists, ranges, steps, month/day names and @hourly-style aliases.
+ * As in cron, when both day fields are restricted a day matching either runs.
+ * @param {string} expression - e.g. '0 7 * * mon-fri'
+ * @returns {{ minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+    const trimmed = String(expression || '').trim().toLowerCase();
+    const fields = (CRON_ALIASES[trimmed] || trimmed).split(/\s+/).filter(Boolean);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression needs five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+    // 7 is Sunday too
+    if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*'
+    };
+}
+
+function matchesDay(cron, date) {
+    const dom = cron.daysOfMonth.has(date.getDate());
+    const dow = cron.daysOfWeek.has(date.getDay());
+    if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+}
+
+/**
+ * First local time strictly after `after` that a cron expression matches
+ * @param {string|Object} cron - Expression or parseCron() result
+ * @param {Date} [after=new Date()]
+ * @returns {Date|null} Null if nothing matches within MAX_SEARCH_YEARS
+ */
+function getNextCronTime(cron, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (date < limit) {
+        if (!parsed.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(parsed, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+/**
+ * When a schedule should next run
+ * @param {Object} schedule - Stored schedule
+ * @param {Date} [after=new Date()] - Cron schedules run strictly after this
+ * @returns {string|null} ISO time, or null for disabled, finished or unsatisfiable schedules
+ */
+function getNextRunAt(schedule, after = new Date()) {
+    if (!schedule.enabled) return null;
+    if (schedule.type === 'once') {
+        return schedule.lastRunAt ? null : new Date(schedule.runAt).toISOString();
+    }
+    const next = getNextCronTime(schedule.cron, after);
+    return next ? next.toISOString() : null;
+}
+
+/**
+ * Check and clean schedule fields from the renderer
+ * @param {Object} input - { name, operation, profileId, parameters, type, runAt, cron, enabled }
+ * @param {Object} catalog - OPERATION_MAP
+ * @returns {Object} Clean fields
+ * @throws {Error} If a field is missing, the operation is unknown or the timing is invalid
+ */
+function validateSchedule(input, catalog) {
+    const name = String(input?.name || '').trim();
+    const operation = String(input?.operation || '').trim();
+    const profileId = String(input?.profileId || '').trim();
+    const type = String(input?.type || '').toLowerCase();
+    const parameters = input?.parameters && typeof input.parameters === 'object' && !Array.isArray(input.parameters)
+        ? { ...input.parameters }
+        : {};
+
+    if (!name) throw new Error('Schedule name is required');
+    if (!catalog[operation]) throw new Error(`Unknown operation "${operation}"`);
+    if (!profileId) throw new Error('Choose the profile the schedule runs against');
+    if (!SCHEDULE_TYPES.includes(type)) {
+        throw new Error(`Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    // The profile supplies these when the schedule runs
+    delete parameters.domain;
+    delete parameters.token;
+    const missing = (catalog[operation].requiredParams || [])
+        .filter(param => param !== 'domain' && param !== 'token')
+        .filter(param => parameters[param] === undefined || parameters[param] === null || parameters[param] === '');
+    if (missing.length > 0) {
+        throw new Error(`Missing parameters for ${operation}: ${missing.join(', ')}`);
+    }
+
+    const fields = { name, operation, profileId, parameters, type, runAt: null, cron: null, enabled: input?.enabled !== false };
+    if (type === 'once') {
+        const runAt = new Date(input?.runAt);
+        if (!input?.runAt || Number.isNaN(runAt.getTime())) throw new Error('A valid run time is required');
+        fields.runAt = runAt.toISOString();
+    } else {
+        fields.cron = String(input?.cron || '').trim();
+        parseCron(fields.cron);
+        if (!getNextCronTime(fields.cron)) throw new Error(`Cron expression "${fields.cron}" never matches`);
+    }
+    return fields;
+}
+
+/**
+ * Add a schedule or update the one with the same id. Changing the timing
+ * clears the last run so a one-time schedule can be re-armed.
+ * @param {Array<Object>} schedules - Stored schedules
+ * @param {Object} input - Renderer fields plus optional id
+ * @param {Object} catalog - OPERATION_MAP
+ * @param {Object} [options]
+ * @param {boolean} [options.allowProduction] - New production consent; omitted keeps the stored one
+ * @param {Date} [options.now=new Date()]
+ * @param {Function} [options.createId]
+ * @returns {{ schedules: Array<Object>, schedule: Object }} New list and the saved schedule
+ * @throws {Error} If the fields are invalid or another schedule already uses the name
+ */
+function upsertSchedule(schedules, input, catalog, { allowProduction, now = new Date(), createId = () => `schedule-${Date.now()}` } = {}) {
+    const fields = validateSchedule(input, catalog);
+    const existing = input?.id ? schedules.find(s => s.id === input.id) : null;
+
+    if (schedules.some(s => s.id !== existing?.id && s.name.toLowerCase() === fields.name.toLowerCase())) {
+        throw new Error(`A schedule named "${fields.name}" already exists`);
+    }
+
+    const timingChanged = !existing || existing.type !== fields.type || existing.runAt !== fields.runAt || existing.cron !== fields.cron;
+    const schedule = {
+        lastRunAt: null,
+        lastOutcome: null,
+        lastMessage: null,
+        ...existing,
+        ...fields,
+        id: existing?.id || createId(),
+        createdAt: existing?.createdAt || now.toISOString(),
+        allowProduction: allowProduction ?? existing?.allowProduction ?? false
+    };
+    if (timingChanged && existing) {
+        schedule.lastRunAt = null;
+    }
+    schedule.nextRunAt = getNextRunAt(schedule, now);
+
+    const next = existing
+        ? schedules.map(s => (s.id === existing.id ? schedule : s))
+        : [...schedules, schedule];
+    return { schedules: next, schedule };
+}
+
+/**
+ * Schedules whose next run has come
+ * @param {Array<Object>} schedules - Stored schedules
+ * @param {Date} [now=new Date()]
+ * @returns {Array<Object>}
+ */
+function getDueSchedules(schedules, now = new Date()) {
+    const nowIso = now.toISOString();
+    return schedules.filter(s => s.enabled && s.nextRunAt && s.nextRunAt <= nowIso);
+}
+
+/**
+ * Outcome and one-line message for an ai-assistant:executeOperation response,
+ * used for the schedule list and the desktop notification
+ * @param {{ success: boolean, result?: *, error?: string }} response
+ * @returns {{ outcome: string, message: string }} outcome is 'success', 'partial', 'failed', 'preview' or 'error'
+ */
+function summarizeResponse(response) {
+    if (!response?.success) {
+        return { outcome: 'error', message: response?.error || 'The operation failed' };
+    }
+    const result = response.result || {};
+    if (result.dryRun) {
+        return { outcome: 'preview', message: `Dry run is on: previewed ${result.count} item(s), nothing was changed` };
+    }
+
+    const succeeded = Array.isArray(result.successful) ? result.successful.length : Number(result.successCount) || 0;
+    const failed = Array.isArray(result.failed) ? result.failed.length : Number(result.failedCount || result.failed) || 0;
+    const summary = result.summary || result.message;
+    if (failed > 0) {
+        return { outcome: succeeded > 0 ? 'partial' : 'failed', message: `${succeeded} succeeded, ${failed} failed${summary ? ` - ${summary}` : ''}` };
+    }
+    if (summary) return { outcome: 'success', message: String(summary) };
+    if (succeeded > 0) return { outcome: 'success', message: `${succeeded} item(s) succeeded` };
+    return { outcome: 'success', message: Number.isFinite(result.count) ? `${result.count} item(s)` : 'Completed' };
+}
+
+/**
+ * Run fn as a scheduled run. Code called from fn (the audit log, the
+ * production check) can see the run through getCurrentRun().
+ * @param {Object} run - { scheduleId, name, allowProduction }
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+function runScheduled(run, fn) {
+    return currentRun.run(run, fn);
+}
+
+/**
+ * @returns {Object|null} The scheduled run the caller is part of, if any
+ */
+function getCurrentRun() {
+    return currentRun.getStore() || null;
+}
+
+module.exports = {
+    SCHEDULE_TYPES,
+    parseCron,
+    getNextCronTime,
+    getNextRunAt,
+    validateSchedule,
+    upsertSchedule,
+    getDueSchedules,
+    summarizeResponse,
+    runScheduled,
+    getCurrentRun
+};
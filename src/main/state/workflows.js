@@ -0,0 +1,416 @@
+/**
+ * Workflows
+ *
+ * Saved chains of existing IPC operations, e.g. create a support course, add
+ * sections, enroll users, create modules and put assignments in them. Each
+ * step has an id and inputs; an input can reference an output of an earlier
+ * step with {{stepId.output}}, e.g. {{course.courseId}} or
+ * {{sections.sectionIds}}. A value that is only a reference keeps the output's
+ * type (an array of IDs stays an array); references inside longer text are
+ * replaced by text.
+ *
+ * Workflows are kept in electron-store by ipc/workflowHandlers and hold no
+ * domain or token, so the same workflow can be run against any profile.
+ *
+ * Stored workflow:
+ *   { id, name, description, steps: [{ id, type, inputs: {} }], createdAt, updatedAt }
+ */
+
+const REFERENCE_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\.([A-Za-z]\w*)\s*\}\}/g;
+const WHOLE_REFERENCE = /^\{\{\s*([A-Za-z][\w-]*)\.([A-Za-z]\w*)\s*\}\}$/;
+const STEP_ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+const ENROLLMENT_TYPES = ['StudentEnrollment', 'TeacherEnrollment', 'TaEnrollment', 'ObserverEnrollment', 'DesignerEnrollment'];
+const MODULE_ITEM_TYPES = ['Assignment', 'Page', 'Discussion', 'Quiz', 'SubHeader'];
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    if (value === undefined || value === null) return [];
+    return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+function toCount(value, fallback = 1) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function toBoolean(value) {
+    return value === true || value === 'true';
+}
+
+// IDs of the items a batchHandler response created
+function createdIds(result) {
+    return (result?.successful || [])
+        .map(item => item?.value?.id ?? item?.value?._id ?? item?.value)
+        .filter(id => id !== undefined && id !== null && typeof id !== 'object')
+        .map(String);
+}
+
+/**
+ * Step types the builder offers. Each wraps one existing IPC handler:
+ * `build` turns the resolved inputs into that handler's payload and
+ * `extract` pulls the outputs later steps can reference from its result.
+ * Input types: 'text', 'number', 'boolean', 'list' (IDs, comma separated) and 'select'.
+ */
+const STEP_TYPES = {
+    createCourse: {
+        label: 'Create support course',
+        channel: 'axios:createSupportCourse',
+        inputs: [
+            { name: 'name', label: 'Course name', type: 'text', required: true, default: 'Support Course' },
+            { name: 'publish', label: 'Publish', type: 'boolean', default: false }
+        ],
+        outputs: ['courseId'],
+        build: (inputs, { domain, token }) => ({
+            domain,
+            token,
+            course: { name: inputs.name, publish: toBoolean(inputs.publish) }
+        }),
+        extract: (result) => ({ courseId: String(result?.id ?? result?.course_id ?? '') })
+    },
+    createSections: {
+        label: 'Create sections',
+        channel: 'axios:createSections',
+        inputs: [
+            { name: 'courseId', label: 'Course ID', type: 'text', required: true },
+            { name: 'number', label: 'How many', type: 'number', default: 1 },
+            { name: 'prefix', label: 'Name prefix', type: 'text', default: 'Section' }
+        ],
+        outputs: ['sectionIds'],
+        build: (inputs, { domain, token }) => ({
+            requests: Array.from({ length: toCount(inputs.number) }, (_, i) => ({
+                domain,
+                token,
+                course_id: inputs.courseId,
+                name: `${inputs.prefix || 'Section'} ${i + 1}`
+            }))
+        }),
+        extract: (result) => ({ sectionIds: createdIds(result) })
+    },
+    enrollUsers: {
+        label: 'Enroll users',
+        channel: 'axios:bulkEnroll',
+        inputs: [
+            { name: 'courseId', label: 'Course ID', type: 'text', required: true },
+            { name: 'userIds', label: 'User IDs', type: 'list', required: true },
+            { name: 'type', label: 'Role', type: 'select', options: ENROLLMENT_TYPES, default: 'StudentEnrollment' },
+            { name: 'sectionIds', label: 'Section IDs (users are spread across them)', type: 'list' }
+        ],
+        outputs: ['enrolledCount'],
+        build: (inputs, { domain, token }) => {
+            const sectionIds = toList(inputs.sectionIds);
+            return {
+                domain,
+                token,
+                enrollmentState: 'active',
+                enrollmentTask: 'enroll',
+                enrollments: toList(inputs.userIds).map((userId, i) => ({
+                    user_id: userId,
+                    course_id: inputs.courseId,
+                    ...(sectionIds.length > 0 && { course_section_id: sectionIds[i % sectionIds.length] }),
+                    type: inputs.type || 'StudentEnrollment'
+                }))
+            };
+        },
+        extract: (result) => ({ enrolledCount: Number(result?.successful) || 0 })
+    },
+    createModules: {
+        label: 'Create modules',
+        channel: 'axios:createModules',
+        inputs: [
+            { name: 'courseId', label: 'Course ID', type: 'text', required: true },
+            { name: 'number', label: 'How many', type: 'number', default: 1 },
+            { name: 'prefix', label: 'Name prefix', type: 'text', default: 'Module' }
+        ],
+        outputs: ['moduleIds'],
+        build: (inputs, { domain, token }) => ({
+            domain,
+            token,
+            course_id: inputs.courseId,
+            number: toCount(inputs.number),
+            prefix: inputs.prefix || 'Module'
+        }),
+        extract: (result) => ({ moduleIds: createdIds(result) })
+    },
+    createAssignments: {
+        label: 'Create assignments',
+        channel: 'axios:createAssignments',
+        inputs: [
+            { name: 'courseId', label: 'Course ID', type: 'text', required: true },
+            { name: 'number', label: 'How many', type: 'number', default: 1 },
+            { name: 'name', label: 'Name', type: 'text', default: 'Assignment' },
+            { name: 'points', label: 'Points', type: 'number', default: 10 },
+            { name: 'publish', label: 'Publish', type: 'boolean', default: false }
+        ],
+        outputs: ['assignmentIds'],
+        build: (inputs, { domain, token }) => ({
+            domain,
+            token,
+            course_id: inputs.courseId,
+            number: toCount(inputs.number),
+            name: inputs.name || 'Assignment',
+            points: Number(inputs.points) || 0,
+            submissionTypes: ['online_upload'],
+            grade_type: 'points',
+            publish: toBoolean(inputs.publish) ? 'published' : 'unpublished',
+            peer_reviews: false,
+            peer_review_count: 0,
+            anonymous: false
+        }),
+        extract: (result) => ({ assignmentIds: createdIds(result) })
+    },
+    addModuleItems: {
+        label: 'Add items to modules',
+        channel: 'axios:createModuleItems',
+        inputs: [
+            { name: 'courseId', label: 'Course ID', type: 'text', required: true },
+            { name: 'moduleIds', label: 'Module IDs', type: 'list', required: true },
+            { name: 'itemType', label: 'Item type', type: 'select', options: MODULE_ITEM_TYPES, default: 'Assignment' },
+            { name: 'number', label: 'Items per module', type: 'number', default: 1 },
+            { name: 'title', label: 'Title prefix', type: 'text', default: 'Item' }
+        ],
+        outputs: ['moduleItemIds'],
+        build: (inputs, { domain, token }) => ({
+            domain,
+            token,
+            course_id: inputs.courseId,
+            module_ids: toList(inputs.moduleIds),
+            items: Array.from({ length: toCount(inputs.number) }, (_, i) => ({
+                type: inputs.itemType || 'Assignment',
+                title: `${inputs.title || inputs.itemType || 'Item'} ${i + 1}`
+            }))
+        }),
+        extract: (result) => ({ moduleItemIds: createdIds(result) })
+    }
+};
+
+/**
+ * Step type descriptions for the renderer (no functions)
+ * @returns {Array<{ type, label, channel, inputs, outputs }>}
+ */
+function describeStepTypes() {
+    return Object.entries(STEP_TYPES).map(([type, def]) => ({
+        type,
+        label: def.label,
+        channel: def.channel,
+        inputs: def.inputs,
+        outputs: def.outputs
+    }));
+}
+
+/**
+ * References ({{stepId.output}}) used anywhere in a value
+ * @param {*} value - Input value
+ * @returns {Array<{ stepId: string, output: string }>}
+ */
+function getReferences(value) {
+    const references = [];
+    const visit = (v) => {
+        if (typeof v === 'string') {
+            for (const match of v.matchAll(REFERENCE_PATTERN)) {
+                references.push({ stepId: match[1], output: match[2] });
+            }
+        } else if (Array.isArray(v)) {
+            v.forEach(visit);
+        } else if (v && typeof v === 'object') {
+            Object.values(v).forEach(visit);
+        }
+    };
+    visit(value);
+    return references;
+}
+
+/**
+ * Replace references with earlier steps' outputs
+ * @param {*} value - Input value
+ * @param {Object} outputs - { stepId: { output: value } }
+ * @returns {*} Resolved value
+ * @throws {Error} If a referenced output is missing
+ */
+function resolveReferences(value, outputs) {
+    const lookup = (stepId, output) => {
+        const stepOutputs = outputs[stepId];
+        if (!stepOutputs || !(output in stepOutputs)) {
+            throw new Error(`{{${stepId}.${output}}} has no value; step "${stepId}" has not produced "${output}"`);
+        }
+        return stepOutputs[output];
+    };
+
+    if (typeof value === 'string') {
+        const whole = value.trim().match(WHOLE_REFERENCE);
+        if (whole) return lookup(whole[1], whole[2]);
+        return value.replace(REFERENCE_PATTERN, (_match, stepId, output) => {
+            const resolved = lookup(stepId, output);
+            return Array.isArray(resolved) ? resolved.join(',') : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => resolveReferences(item, outputs));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolveReferences(v, outputs)]));
+    }
+    return value;
+}
+
+/**
+ * Check and clean workflow fields from the renderer. Every reference must
+ * point at an output of an earlier step.
+ * @param {Object} input - { name, description, steps }
+ * @returns {{ name: string, description: string, steps: Array<Object> }}
+ * @throws {Error} Describing the first problem found
+ */
+function validateWorkflow(input) {
+    const name = String(input?.name || '').trim();
+    if (!name) throw new Error('Workflow name is required');
+    const rawSteps = Array.isArray(input?.steps) ? input.steps : [];
+    if (rawSteps.length === 0) throw new Error('A workflow needs at least one step');
+
+    const earlier = new Map();
+    const steps = rawSteps.map((raw, index) => {
+        const label = `Step ${index + 1}`;
+        const id = String(raw?.id || '').trim();
+        const def = STEP_TYPES[raw?.type];
+        if (!STEP_ID_PATTERN.test(id)) {
+            throw new Error(`${label}: the step id must start with a letter and use only letters, digits, - and _`);
+        }
+        if (earlier.has(id)) throw new Error(`${label}: the step id "${id}" is already used`);
+        if (!def) throw new Error(`${label}: unknown step type "${raw?.type}"`);
+
+        const inputs = {};
+        for (const field of def.inputs) {
+            let value = raw.inputs?.[field.name];
+            if (value === undefined || value === null || value === '') value = field.default;
+            if (field.required && (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0))) {
+                throw new Error(`${label} (${id}): ${field.label} is required`);
+            }
+            if (value !== undefined) inputs[field.name] = value;
+        }
+
+        for (const { stepId, output } of getReferences(inputs)) {
+            if (!earlier.has(stepId)) {
+                throw new Error(`${label} (${id}): {{${stepId}.${output}}} must refer to an earlier step`);
+            }
+            if (!earlier.get(stepId).includes(output)) {
+                throw new Error(`${label} (${id}): step "${stepId}" has no output "${output}"`);
+            }
+        }
+
+        earlier.set(id, def.outputs);
+        return { id, type: raw.type, inputs };
+    });
+
+    return { name, description: String(input?.description || '').trim(), steps };
+}
+
+/**
+ * Add a workflow or update the one with the same id
+ * @param {Array<Object>} workflows - Stored workflows
+ * @param {Object} input - Renderer fields plus optional id
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {Function} [options.createId]
+ * @returns {{ workflows: Array<Object>, workflow: Object }} New list and the saved workflow
+ * @throws {Error} If the fields are invalid or another workflow already uses the name
+ */
+function upsertWorkflow(workflows, input, { now = new Date(), createId = () => `workflow-${Date.now()}` } = {}) {
+    const fields = validateWorkflow(input);
+    const existing = input?.id ? workflows.find(w => w.id === input.id) : null;
+
+    if (workflows.some(w => w.id !== existing?.id && w.name.toLowerCase() === fields.name.toLowerCase())) {
+        throw new Error(`A workflow named "${fields.name}" already exists`);
+    }
+
+    const workflow = {
+        id: existing?.id || createId(),
+        ...fields,
+        createdAt: existing?.createdAt || now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+    const next = existing
+        ? workflows.map(w => (w.id === existing.id ? workflow : w))
+        : [...workflows, workflow];
+    return { workflows: next, workflow };
+}
+
+/**
+ * Successes and failures in a step handler's result
+ * @param {*} result - Handler return value
+ * @returns {{ succeeded: number, failed: number }}
+ */
+function countStepResult(result) {
+    const count = (value) => (Array.isArray(value) ? value.length : Number(value) || 0);
+    if (result && typeof result === 'object' && ('successful' in result || 'failed' in result)) {
+        return { succeeded: count(result.successful), failed: count(result.failed) };
+    }
+    return { succeeded: 1, failed: 0 };
+}
+
+/**
+ * Run a workflow's steps in order. A step whose items all failed, or that
+ * throws, stops the run; a step with some failures continues with what it created.
+ * @param {Object} workflow - Stored workflow
+ * @param {Object} deps
+ * @param {Function} deps.invoke - async (channel, payload) => result
+ * @param {string} deps.domain - Canvas domain of the chosen profile
+ * @param {string} deps.token - Its token
+ * @param {Function} [deps.onStep] - (stepReport) => void, called as each step starts and finishes
+ * @param {Function} [deps.isCancelled] - () => boolean, checked between steps
+ * @returns {Promise<{ status: string, outputs: Object, steps: Array<Object> }>} status is 'completed', 'failed' or 'cancelled'
+ */
+async function runWorkflow(workflow, { invoke, domain, token, onStep = () => { }, isCancelled = () => false }) {
+    const outputs = {};
+    const steps = workflow.steps.map(step => ({ id: step.id, type: step.type, status: 'pending' }));
+    let status = 'completed';
+
+    for (let index = 0; index < workflow.steps.length; index++) {
+        const step = workflow.steps[index];
+        const report = steps[index];
+        if (isCancelled()) {
+            status = 'cancelled';
+            break;
+        }
+
+        const def = STEP_TYPES[step.type];
+        report.status = 'running';
+        report.startedAt = new Date().toISOString();
+        onStep({ index, ...report });
+
+        try {
+            const inputs = resolveReferences(step.inputs, outputs);
+            const result = await invoke(def.channel, def.build(inputs, { domain, token }));
+            const counts = countStepResult(result);
+            outputs[step.id] = def.extract(result);
+            Object.assign(report, counts, { outputs: outputs[step.id] });
+            if (result?.cancelled) {
+                report.status = 'cancelled';
+                status = 'cancelled';
+            } else if (counts.failed > 0 && counts.succeeded === 0) {
+                report.status = 'failed';
+                report.error = `All ${counts.failed} item(s) failed`;
+                status = 'failed';
+            } else {
+                report.status = counts.failed > 0 ? 'partial' : 'completed';
+            }
+        } catch (error) {
+            report.status = 'failed';
+            report.error = error.message;
+            status = 'failed';
+        }
+
+        report.finishedAt = new Date().toISOString();
+        onStep({ index, ...report });
+        if (status !== 'completed') break;
+    }
+
+    return { status, outputs, steps };
+}
+
+module.exports = {
+    STEP_TYPES,
+    describeStepTypes,
+    getReferences,
+    resolveReferences,
+    validateWorkflow,
+    upsertWorkflow,
+    countStepResult,
+    runWorkflow
+};
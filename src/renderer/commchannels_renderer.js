@@ -25,12 +25,6 @@ async function commChannelTemplate(e) {
             }
             unconfirmed(e);
             break;
-        case 'download-conversations-csv':
-            downloadConvos(e);
-            break;
-        case 'gc-between-users':
-            getConvos(e);
-            break;
         default:
             break;
     }
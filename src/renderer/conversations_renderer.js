@@ -6,11 +6,18 @@ async function conversationTemplate(e) {
     switch (e.target.id) {
         case 'delete-conversations-subject':
             return deleteConvos(e);
-        case 'download-conversations-csv': // Not Complete\n            return downloadConvos(e);
+        case 'search-conversations-content':
+            return searchConvosByContent(e);
+        case 'export-conversations':
+            return exportConvos(e);
+        case 'gc-between-users':
+            return getConvos(e);
         case 'get-deleted-conversations':
             return getDeletedConversations(e);
         case 'restore-deleted-conversations':
             return restoreDeletedConversations(e);
+        case 'quarantined-attachments':
+            return quarantinedAttachments(e);
         default:
             return;
     }
@@ -1455,6 +1462,11 @@ async function deleteConvos(e) {
                             <div class="mt-3">
                                 <h6 class="text-primary" style="font-size: 0.95rem;"><i class="bi bi-paperclip me-1"></i>File Attachments (${totalAttachments} unique)</h6>
                                 <div class="form-text mb-2">Select files to delete along with conversations:</div>
+                                <div class="form-check form-switch mb-2">
+                                    <input id="dcs-quarantine" class="form-check-input" type="checkbox" role="switch" checked>
+                                    <label for="dcs-quarantine" class="form-check-label" style="font-size: 0.85rem;">Quarantine attachments before deleting</label>
+                                    <div class="form-text">Keeps an encrypted copy of each file, with its conversation and file IDs and hash, that can be reviewed under Quarantined Attachments. Files that cannot be copied are not deleted.</div>
+                                </div>
                                 <div class="border rounded p-2" style="max-height: 300px; overflow-y: auto; background-color: #f8f9fa;">
                                     <div class="form-check mb-2">
                                         <input class="form-check-input" type="checkbox" id="select-all-attachments">
@@ -1675,15 +1687,19 @@ async function deleteConvos(e) {
             const domain = document.querySelector('#domain').value.trim();
             const token = document.querySelector('#token').value.trim();
 
-            // Collect selected file attachments
+            // Collect selected file attachments with the conversations they were found in
             const selectedFiles = [];
             const attachmentCheckboxes = resultDiv.querySelectorAll('.attachment-checkbox:checked');
             attachmentCheckboxes.forEach(cb => {
                 selectedFiles.push({
                     id: cb.dataset.fileId,
-                    name: cb.dataset.fileName
+                    name: cb.dataset.fileName,
+                    conversationIds: foundMessages
+                        .filter(msg => (msg.attachments || []).some(att => String(att.id) === cb.dataset.fileId))
+                        .map(msg => msg.id)
                 });
             });
+            const quarantineFiles = resultDiv.querySelector('#dcs-quarantine')?.checked ?? false;
 
             deleteBtn.disabled = true;
             deleteProgressDiv.hidden = false; deleteProgressBar.style.width = '0%';
@@ -1709,12 +1725,20 @@ async function deleteConvos(e) {
                 // Delete selected files if any
                 let fileSuccess = 0;
                 let fileFailed = 0;
+                let quarantined = null;
                 if (selectedFiles.length > 0) {
-                    deleteProgressInfo.textContent = `Deleting ${selectedFiles.length} file(s)...`;
+                    deleteProgressInfo.textContent = `${quarantineFiles ? 'Quarantining and deleting' : 'Deleting'} ${selectedFiles.length} file(s)...`;
                     try {
-                        const fileRes = await window.axios.deleteFiles({ domain, token, files: selectedFiles });
+                        const fileRes = await window.axios.deleteFiles({
+                            domain,
+                            token,
+                            files: selectedFiles,
+                            quarantine: quarantineFiles,
+                            label: `Subject "${subjectInput.value.trim()}" from user ${userInput.value.trim()}`
+                        });
                         fileSuccess = fileRes?.successful?.length || 0;
                         fileFailed = fileRes?.failed?.length || 0;
+                        quarantined = fileRes?.quarantine || null;
                     } catch (err) {
                         console.error('Error deleting files:', err);
                         fileFailed = selectedFiles.length;
@@ -1745,6 +1769,7 @@ async function deleteConvos(e) {
                                 <li><strong>Total:</strong> <span class="badge bg-primary">${selectedFiles.length}</span></li>
                                 <li><strong>Successfully Deleted:</strong> <span class="badge bg-success">${fileSuccess}</span></li>
                                 ${fileFailed > 0 ? `<li><strong>Failed:</strong> <span class="badge bg-danger">${fileFailed}</span></li>` : ''}
+                                ${quarantined ? `<li><strong>Quarantined:</strong> <span class="badge bg-secondary">${quarantined.count}</span> in archive <code>${quarantined.archiveId}</code></li>` : ''}
                             </ul>
                         ` : ''}
                         ${(convoFailed === 0 && fileFailed === 0) ? '<p class="text-success mb-0"><i class="bi bi-check-circle me-1"></i>All items deleted successfully!</p>' : ''}
@@ -1777,85 +1802,946 @@ async function deleteConvos(e) {
     }
 }
 
-async function downloadConvos(e) {
+// ****************************************
+// Export Conversations
+// - Full message bodies, participants and timestamps for one user
+// - MBOX, EML and/or PDF transcripts; attachments saved next to them
+// - The main process asks for the destination folder
+// ****************************************
+async function exportConvos(e) {
+    if (window.progressAPI?.removeAllProgressListeners) window.progressAPI.removeAllProgressListeners();
     hideEndpoints(e);
     const eContent = document.querySelector('#endpoint-content');
-    let downloadConversationsForm = eContent.querySelector('#download-conversations-form');
-    if (!downloadConversationsForm) {
-        downloadConversationsForm = document.createElement('form');
-        downloadConversationsForm.id = 'download-conversations-form';
-        downloadConversationsForm.innerHTML = `
+    let form = eContent.querySelector('#export-conversations-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'export-conversations-form';
+        form.innerHTML = `
             <style>
-                #download-conversations-form h3 { font-size: 1.1rem; margin-bottom: 0.5rem; }
-                #download-conversations-form .form-label { font-size: 0.85rem; }
-                #download-conversations-form .form-control { font-size: 0.85rem; }
-                #download-conversations-form .form-text { font-size: 0.7rem; }
-                #download-conversations-form .form-check-label { font-size: 0.85rem; }
-                #download-conversations-form .btn { font-size: 0.85rem; padding: 0.35rem 0.75rem; }
-                #download-conversations-form .mt-2 { margin-top: 0.5rem !important; }
-                #download-conversations-form .mt-3 { margin-top: 0.5rem !important; }
-                #download-conversations-form .mt-5 { margin-top: 1rem !important; }
-                #download-conversations-form .mb-2 { margin-bottom: 0.5rem !important; }
+                #export-conversations-form .card-title { font-size: 1.1rem; }
+                #export-conversations-form .card-header small { font-size: 0.75rem; }
+                #export-conversations-form .form-label { font-size: 0.85rem; }
+                #export-conversations-form .form-control, #export-conversations-form .form-select { font-size: 0.85rem; }
+                #export-conversations-form .form-text { font-size: 0.7rem; }
+                #export-conversations-form .form-check-label { font-size: 0.85rem; }
+                #export-conversations-form .btn { font-size: 0.85rem; padding: 0.35rem 0.75rem; }
+                #export-conversations-form .card-body { padding: 0.75rem; }
+                #export-conversations-form .mt-2 { margin-top: 0.5rem !important; }
             </style>
-            <div>
-                <h3>Download Conversations to CSV</h3>
-            </div>
-                <div class="row">
-                    <div class="col-auto">
-                        <label for="user-id" class="form-label">Canvas user ID</label>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark">
+                        <i class="bi bi-envelope-arrow-down me-1"></i>Export Conversations
+                    </h3>
+                    <small class="text-muted">Export a user's conversations with full message bodies, participants and timestamps for records requests and legal holds. Conversations are not marked as read.</small>
+                </div>
+                <div class="card-body">
+                    <div class="row">
+                        <div class="col-auto"><label for="ecv-user-id" class="form-label">User ID</label></div>
+                        <div class="col-2">
+                            <input id="ecv-user-id" type="text" class="form-control form-control-sm">
+                            <span id="ecv-user-help" class="form-text" style="display:none;">Must be a number</span>
+                        </div>
+                        <div class="col-auto"><label for="ecv-scope" class="form-label">Folder</label></div>
+                        <div class="col-auto">
+                            <select id="ecv-scope" class="form-select form-select-sm">
+                                <option value="inbox" selected>Inbox</option>
+                                <option value="sent">Sent</option>
+                                <option value="archived">Archived</option>
+                                <option value="all">Inbox, Sent and Archived</option>
+                            </select>
+                        </div>
                     </div>
-                    <div class="col-2">
-                        <input type="text" id="user-id" class="form-control form-control-sm" aria-desribedby="userChecker">
+                    <div class="row mt-2">
+                        <div class="col-auto"><label for="ecv-start" class="form-label">Messages sent on/after</label></div>
+                        <div class="col-auto"><input id="ecv-start" type="date" class="form-control form-control-sm"></div>
+                        <div class="col-auto"><label for="ecv-end" class="form-label">and before</label></div>
+                        <div class="col-auto"><input id="ecv-end" type="date" class="form-control form-control-sm"></div>
+                        <div class="w-100"></div>
+                        <div class="col-auto form-text">Optional. Dates are UTC; conversations with no messages in the range are left out.</div>
                     </div>
-                    <div class="col-auto">
-                        <span id="userChecker" class="form-text" style="display: none;">Must only contain numbers</span>
+                    <div class="row mt-2">
+                        <div class="col-auto form-check ms-3">
+                            <input id="ecv-mbox" class="form-check-input" type="checkbox" checked>
+                            <label for="ecv-mbox" class="form-check-label">MBOX (one mailbox file)</label>
+                        </div>
+                        <div class="col-auto form-check ms-3">
+                            <input id="ecv-eml" class="form-check-input" type="checkbox">
+                            <label for="ecv-eml" class="form-check-label">EML (one file per message)</label>
+                        </div>
+                        <div class="col-auto form-check ms-3">
+                            <input id="ecv-pdf" class="form-check-input" type="checkbox">
+                            <label for="ecv-pdf" class="form-check-label">PDF transcript per conversation</label>
+                        </div>
+                        <div class="w-100"></div>
+                        <div class="col-auto form-check form-switch ms-3 mt-2">
+                            <input id="ecv-attachments" class="form-check-input" type="checkbox" role="switch" checked>
+                            <label for="ecv-attachments" class="form-check-label">Download attachments into an <code>attachments</code> folder</label>
+                        </div>
                     </div>
-                </div>
-                <div class="row align-items-center">
-                    <div class="col-auto form-check form-switch mt-2 ms-3 mb-2">
-                        <input id="delete-convos" class="form-check-input" type="checkbox" role="switch" />
-                        <label for="deleted-convos" class="form-check-label">Only search for <em>Deleted</em> Conversations</label>
-                            <div id="graded-help" class="form-text">
-                                (otherwise this will search for active and deleted)
-                            </div>
+                    <div class="row mt-2">
+                        <div class="col-auto"><button id="ecv-export" type="button" class="btn btn-sm btn-primary" disabled>Export</button></div>
+                        <div class="col-auto"><button id="ecv-cancel" type="button" class="btn btn-sm btn-outline-danger" disabled>Cancel</button></div>
                     </div>
-                    <div class="w-100"></div>
-                    <div class="col-auto">
-                        <label for="start-date" class="form-label">Start</label>
+                    <div hidden id="ecv-progress-div" class="mt-2">
+                        <p id="ecv-progress-info" class="mb-1"></p>
+                        <div class="progress" style="width: 75%; height: 12px;" role="progressbar" aria-label="progress bar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">
+                            <div class="progress-bar" style="width: 0%"></div>
+                        </div>
                     </div>
-                    <div class="col-auto">
-                        <input id="start-date" type="date" class="form-control form-control-sm">
+                    <div id="ecv-result" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+    }
+    form.hidden = false;
+    if (form.dataset.bound === 'true') return;
+    form.dataset.bound = 'true';
+
+    const userInput = form.querySelector('#ecv-user-id');
+    const formatInputs = ['#ecv-mbox', '#ecv-eml', '#ecv-pdf'].map(id => form.querySelector(id));
+    const exportBtn = form.querySelector('#ecv-export');
+    const cancelBtn = form.querySelector('#ecv-cancel');
+    const progressDiv = form.querySelector('#ecv-progress-div');
+    const progressInfo = form.querySelector('#ecv-progress-info');
+    const progressBar = progressDiv.querySelector('.progress-bar');
+    const resultDiv = form.querySelector('#ecv-result');
+
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    const toggleExportEnabled = () => {
+        const validUser = /^\d+$/.test(userInput.value.trim());
+        form.querySelector('#ecv-user-help').style.display = validUser || !userInput.value ? 'none' : 'inline';
+        exportBtn.disabled = !(validUser && formatInputs.some(input => input.checked));
+    };
+    userInput.addEventListener('input', toggleExportEnabled);
+    formatInputs.forEach(input => input.addEventListener('change', toggleExportEnabled));
+
+    cancelBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        cancelBtn.disabled = true;
+        progressInfo.textContent = 'Cancelling export...';
+        try { await window.axios.cancelExportConversations(); } catch { }
+    });
+
+    exportBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault(); evt.stopPropagation();
+        exportBtn.disabled = true;
+        cancelBtn.disabled = false;
+        resultDiv.innerHTML = '';
+        progressDiv.hidden = false;
+        progressBar.style.width = '0%';
+        progressBar.parentElement.hidden = false;
+        progressInfo.textContent = 'Choose a folder for the export...';
+
+        const unsubscribe = window.progressAPI?.onUpdateProgress((progress) => {
+            if (!progress || typeof progress !== 'object' || !progress.message) return;
+            progressInfo.textContent = progress.message;
+            if (progress.total) progressBar.style.width = `${Math.round((progress.done / progress.total) * 100)}%`;
+        });
+
+        try {
+            const result = await window.axios.exportConversations({
+                domain: document.querySelector('#domain').value.trim(),
+                token: document.querySelector('#token').value.trim(),
+                user_id: userInput.value.trim(),
+                scope: form.querySelector('#ecv-scope').value,
+                sent_on_or_after: form.querySelector('#ecv-start').value,
+                sent_before: form.querySelector('#ecv-end').value,
+                formats: { mbox: formatInputs[0].checked, eml: formatInputs[1].checked, pdf: formatInputs[2].checked },
+                includeAttachments: form.querySelector('#ecv-attachments').checked
+            });
+
+            progressDiv.hidden = true;
+            if (result.cancelled && !result.folder) {
+                resultDiv.innerHTML = '<div class="alert alert-info"><i class="bi bi-info-circle me-1"></i>Export cancelled.</div>';
+                return;
+            }
+            const failed = result.failedAttachments || [];
+            resultDiv.innerHTML = `
+                <div class="card ${failed.length > 0 || result.cancelled ? 'border-warning' : 'border-success'}">
+                    <div class="card-body">
+                        <p class="mb-1">${result.cancelled ? 'Export cancelled part way. ' : ''}Exported <strong>${result.conversations}</strong> conversation(s) with <strong>${result.messages}</strong> message(s) and <strong>${result.attachments}</strong> attachment(s).</p>
+                        <p class="mb-1 text-muted" style="font-size: 0.85rem;">
+                            ${result.files.mbox ? 'conversations.mbox &middot; ' : ''}${result.files.eml ? `${result.files.eml} EML file(s) &middot; ` : ''}${result.files.pdf ? `${result.files.pdf} PDF transcript(s) &middot; ` : ''}manifest.json
+                        </p>
+                        ${result.skippedCount > 0 ? `<p class="mb-1 text-muted" style="font-size: 0.85rem;">${result.skippedCount} conversation(s) had no messages in the date range.</p>` : ''}
+                        <p class="mb-0" style="font-size: 0.85rem;">Saved to <code>${escape(result.folder)}</code></p>
+                        ${failed.length > 0 ? `
+                            <div class="mt-2 text-warning-emphasis" style="font-size: 0.85rem;">${failed.length} attachment(s) could not be downloaded:</div>
+                            <ul class="mb-0" style="font-size: 0.8rem;">
+                                ${failed.slice(0, 20).map(f => `<li>${escape(f.name)} (ID: ${escape(f.id)}): ${escape(f.reason)}</li>`).join('')}
+                                ${failed.length > 20 ? `<li>...and ${failed.length - 20} more (see manifest.json)</li>` : ''}
+                            </ul>` : ''}
                     </div>
-                    <div class="col-auto">
-                        <label for="end-date" class="form-label">End</label>
+                </div>`;
+        } catch (error) {
+            progressBar.parentElement.hidden = true;
+            errorHandler(error, progressInfo);
+        } finally {
+            if (typeof unsubscribe === 'function') unsubscribe();
+            cancelBtn.disabled = true;
+            toggleExportEnabled();
+        }
+    });
+}
+
+// ****************************************
+// Search Conversations by Content
+// - Sender's sent conversations matched on body text, regex,
+//   subject, attachment name, recipient count and date range
+// - Matches are reviewed in a table, then deleted for all recipients
+// ****************************************
+async function searchConvosByContent(e) {
+    if (window.progressAPI?.removeAllProgressListeners) window.progressAPI.removeAllProgressListeners();
+    hideEndpoints(e);
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#search-conversations-content-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'search-conversations-content-form';
+        form.innerHTML = `
+            <style>
+                #search-conversations-content-form .card-title { font-size: 1.1rem; }
+                #search-conversations-content-form .card-header small { font-size: 0.75rem; }
+                #search-conversations-content-form .form-label { font-size: 0.85rem; margin-bottom: 0.1rem; }
+                #search-conversations-content-form .form-control { font-size: 0.85rem; }
+                #search-conversations-content-form .form-text { font-size: 0.7rem; }
+                #search-conversations-content-form .btn { font-size: 0.85rem; padding: 0.35rem 0.75rem; }
+                #search-conversations-content-form .card-body { padding: 0.75rem; }
+                #search-conversations-content-form table { font-size: 0.8rem; }
+                #search-conversations-content-form .scc-excerpt { max-width: 420px; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark">
+                        <i class="bi bi-search me-1"></i>Search Conversations by Content
+                    </h3>
+                    <small class="text-muted">Find a sender's conversations by what the message says, not just its subject. Every filled-in field must match the same message. Review the matches, then delete the selected ones for all recipients.</small>
+                </div>
+                <div class="card-body">
+                    <div class="row g-2">
+                        <div class="col-md-2">
+                            <label for="scc-user-id" class="form-label">Sender user ID</label>
+                            <input id="scc-user-id" type="text" class="form-control form-control-sm">
+                        </div>
+                        <div class="col-md-5">
+                            <label for="scc-body-text" class="form-label">Body contains</label>
+                            <input id="scc-body-text" type="text" class="form-control form-control-sm" placeholder="verify your account">
+                        </div>
+                        <div class="col-md-5">
+                            <label for="scc-subject-text" class="form-label">Subject contains</label>
+                            <input id="scc-subject-text" type="text" class="form-control form-control-sm">
+                        </div>
+                        <div class="col-md-5">
+                            <label for="scc-pattern" class="form-label">Body matches pattern</label>
+                            <input id="scc-pattern" type="text" class="form-control form-control-sm font-monospace" placeholder="https?://[^\\s]*\\.(ru|top)/">
+                            <div class="form-text">JavaScript regular expression, case-insensitive.</div>
+                        </div>
+                        <div class="col-md-3">
+                            <label for="scc-attachment" class="form-label">Attachment name</label>
+                            <input id="scc-attachment" type="text" class="form-control form-control-sm" placeholder="*.html">
+                            <div class="form-text">* matches anything.</div>
+                        </div>
+                        <div class="col-md-2">
+                            <label for="scc-min-recipients" class="form-label">Min recipients</label>
+                            <input id="scc-min-recipients" type="number" min="0" class="form-control form-control-sm">
+                        </div>
+                        <div class="col-md-2">
+                            <label for="scc-max-recipients" class="form-label">Max recipients</label>
+                            <input id="scc-max-recipients" type="number" min="0" class="form-control form-control-sm">
+                        </div>
+                        <div class="col-md-3">
+                            <label for="scc-start" class="form-label">Sent on/after</label>
+                            <input id="scc-start" type="date" class="form-control form-control-sm">
+                        </div>
+                        <div class="col-md-3">
+                            <label for="scc-end" class="form-label">Sent before</label>
+                            <input id="scc-end" type="date" class="form-control form-control-sm">
+                        </div>
                     </div>
-                    <div class="col-auto">
-                        <input id="end-date" type="date" class="form-control form-control-sm">
+                    <div class="row mt-2">
+                        <div class="col-auto"><button id="scc-search" type="button" class="btn btn-sm btn-primary" disabled>Search</button></div>
+                        <div class="col-auto"><button id="scc-cancel" type="button" class="btn btn-sm btn-outline-danger" disabled>Cancel</button></div>
                     </div>
-                    <div class="w-100"></div>
-                    <div class="col-auto">
-                        <button type="button" class="btn btn-sm btn-primary mt-2" id="convo-search">Search</button>
+                    <p hidden id="scc-progress-info" class="mt-2 mb-0"></p>
+                    <div id="scc-results" class="mt-2"></div>
+                    <div id="scc-delete-section" class="mt-2" hidden>
+                        <button id="scc-delete" type="button" class="btn btn-sm btn-danger"><i class="bi bi-trash me-1"></i>Delete Selected</button>
                     </div>
+                    <div id="scc-delete-result" class="mt-2"></div>
                 </div>
-            <div id="response-container" class="mt-2"></div>`;
-        eContent.append(downloadConversationsForm);
+            </div>
+        `;
+        eContent.append(form);
     }
-    downloadConversationsForm.hidden = false;
+    form.hidden = false;
+    if (form.dataset.bound === 'true') return;
+    form.dataset.bound = 'true';
+
+    const field = (id) => form.querySelector(`#scc-${id}`);
+    const searchBtn = field('search');
+    const cancelBtn = field('cancel');
+    const progressInfo = field('progress-info');
+    const resultsDiv = field('results');
+    const deleteSection = field('delete-section');
+    const deleteBtn = field('delete');
+    const deleteResult = field('delete-result');
+    const criteriaFields = ['body-text', 'subject-text', 'pattern', 'attachment', 'min-recipients', 'max-recipients'];
+
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    let matches = [];
+    let searchedAs = null;
+
+    const toggleSearchEnabled = () => {
+        const validUser = /^\d+$/.test(field('user-id').value.trim());
+        const hasCriteria = criteriaFields.some(id => field(id).value.trim() !== '');
+        searchBtn.disabled = !(validUser && hasCriteria);
+    };
+    ['user-id', ...criteriaFields].forEach(id => field(id).addEventListener('input', toggleSearchEnabled));
+
+    const selectedMatches = () => {
+        const ids = new Set([...resultsDiv.querySelectorAll('.scc-select:checked')].map(cb => cb.dataset.id));
+        return matches.filter(m => ids.has(String(m.id)));
+    };
+    const updateDeleteButton = () => {
+        const count = selectedMatches().length;
+        deleteSection.hidden = matches.length === 0;
+        deleteBtn.disabled = count === 0;
+        deleteBtn.innerHTML = `<i class="bi bi-trash me-1"></i>Delete Selected (${count})`;
+    };
+
+    const renderMatches = (scanned) => {
+        if (matches.length === 0) {
+            resultsDiv.innerHTML = `<div class="alert alert-info mb-0">No matches in ${scanned} sent conversation(s).</div>`;
+            updateDeleteButton();
+            return;
+        }
+        resultsDiv.innerHTML = `
+            <p class="mb-1"><strong>${matches.length}</strong> of ${scanned} sent conversation(s) matched. Uncheck any that should be kept.</p>
+            <div class="table-responsive" style="max-height: 420px; overflow-y: auto;">
+                <table class="table table-sm table-hover align-middle mb-0">
+                    <thead class="table-light" style="position: sticky; top: 0;">
+                        <tr>
+                            <th><input class="form-check-input" type="checkbox" id="scc-select-all" checked aria-label="Select all"></th>
+                            <th>Sent</th>
+                            <th>Subject</th>
+                            <th>Recipients</th>
+                            <th>Attachments</th>
+                            <th>Message</th>
+                            <th>Matched on</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${matches.map(m => `
+                            <tr>
+                                <td><input class="form-check-input scc-select" type="checkbox" checked data-id="${escape(m.id)}" aria-label="Select conversation ${escape(m.id)}"></td>
+                                <td class="text-nowrap">${escape(new Date(m.createdAt).toLocaleString())}</td>
+                                <td>${escape(m.subject || '(no subject)')}<div class="text-muted">ID ${escape(m.id)}</div></td>
+                                <td>${m.recipientCount}</td>
+                                <td>${escape(m.attachments.join(', '))}</td>
+                                <td class="scc-excerpt">${escape(m.excerpt)}</td>
+                                <td>${escape(m.reasons.join(', '))}${m.matchedMessages > 1 ? ` <span class="badge bg-secondary">${m.matchedMessages} messages</span>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        const selectAll = resultsDiv.querySelector('#scc-select-all');
+        const boxes = [...resultsDiv.querySelectorAll('.scc-select')];
+        selectAll.addEventListener('change', () => {
+            boxes.forEach(cb => { cb.checked = selectAll.checked; });
+            updateDeleteButton();
+        });
+        boxes.forEach(cb => cb.addEventListener('change', () => {
+            selectAll.checked = boxes.every(b => b.checked);
+            selectAll.indeterminate = !selectAll.checked && boxes.some(b => b.checked);
+            updateDeleteButton();
+        }));
+        updateDeleteButton();
+    };
+
+    cancelBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        cancelBtn.disabled = true;
+        progressInfo.textContent = 'Cancelling search...';
+        try { await window.axios.cancelGetConvos(); } catch { }
+    });
+
+    searchBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault(); evt.stopPropagation();
+        searchBtn.disabled = true;
+        cancelBtn.disabled = false;
+        matches = [];
+        resultsDiv.innerHTML = '';
+        deleteResult.innerHTML = '';
+        deleteSection.hidden = true;
+        progressInfo.hidden = false;
+        progressInfo.innerHTML = '<i class="bi bi-arrow-repeat spin"></i> Searching sent conversations...';
+        const unsubscribe = window.progressAPI?.onUpdateProgress((progress) => {
+            if (progress?.message) progressInfo.innerHTML = `<i class="bi bi-arrow-repeat spin"></i> ${escape(progress.message)}`;
+        });
+
+        searchedAs = {
+            domain: document.querySelector('#domain').value.trim(),
+            token: document.querySelector('#token').value.trim()
+        };
+        try {
+            const result = await window.axios.searchConvos({
+                ...searchedAs,
+                user_id: field('user-id').value.trim(),
+                criteria: {
+                    bodyText: field('body-text').value.trim(),
+                    subjectText: field('subject-text').value.trim(),
+                    bodyPattern: field('pattern').value.trim(),
+                    attachmentName: field('attachment').value.trim(),
+                    minRecipients: field('min-recipients').value.trim(),
+                    maxRecipients: field('max-recipients').value.trim(),
+                    sentOnOrAfter: field('start').value,
+                    sentBefore: field('end').value
+                }
+            });
+            matches = result.matches || [];
+            progressInfo.hidden = true;
+            renderMatches(result.scanned);
+        } catch (error) {
+            if (/abort|cancel/i.test(error?.message || '')) {
+                progressInfo.textContent = 'Search cancelled.';
+            } else {
+                errorHandler(error, progressInfo);
+            }
+        } finally {
+            if (typeof unsubscribe === 'function') unsubscribe();
+            cancelBtn.disabled = true;
+            toggleSearchEnabled();
+        }
+    });
+
+    deleteBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        const selected = selectedMatches();
+        if (selected.length === 0) return;
+        if (!confirm(`Delete ${selected.length} conversation(s) for ALL recipients? This cannot be undone from Canvas.`)) return;
+
+        deleteBtn.disabled = true;
+        deleteResult.innerHTML = `<i class="bi bi-arrow-repeat spin"></i> Deleting ${selected.length} conversation(s)...`;
+        const unsubscribe = window.progressAPI?.onUpdateProgress((progress) => {
+            if (typeof progress === 'number') deleteResult.innerHTML = `<i class="bi bi-arrow-repeat spin"></i> Deleting ${selected.length} conversation(s)... ${progress}%`;
+        });
+        try {
+            const result = await window.axios.deleteConvos({ ...searchedAs, messages: selected.map(m => ({ id: m.id, subject: m.subject })) });
+            if (result?.dryRun) {
+                deleteResult.innerHTML = `<div class="alert alert-info mb-0">Dry run: ${result.count} conversation(s) would be deleted.</div>`;
+                return;
+            }
+            const deletedIds = new Set((result?.successful || []).map(item => String(item.id)));
+            const failed = result?.failed || [];
+            matches = matches.filter(m => !deletedIds.has(String(m.id)));
+            resultsDiv.querySelectorAll('.scc-select').forEach(cb => {
+                if (deletedIds.has(cb.dataset.id)) cb.closest('tr').remove();
+            });
+            deleteResult.innerHTML = `<div class="alert ${failed.length > 0 ? 'alert-warning' : 'alert-success'} mb-0">
+                Deleted ${deletedIds.size} conversation(s)${failed.length > 0 ? `; ${failed.length} failed: ${failed.slice(0, 10).map(f => `${escape(f.id)} (${escape(f.reason)})`).join(', ')}` : ''}${result?.cancelled ? ' (cancelled)' : ''}.
+            </div>`;
+        } catch (error) {
+            deleteResult.innerHTML = '';
+            errorHandler(error, deleteResult);
+        } finally {
+            if (typeof unsubscribe === 'function') unsubscribe();
+            updateDeleteButton();
+        }
+    });
 }
 
-function flattenMessages(conversations) {
-    const flattened = [];
-    for (const conversation of conversations) {
-        flattened.push({ id: conversation.id, subject: conversation.subject, workflow_state: conversation.workflow_state, last_message: conversation.last_message, last_message_at: conversation.last_message_at, message_count: conversation.message_count });
+// ****************************************
+// Conversations Between Two Users
+// - Scans both users' conversations (as_user_id) for threads they share
+// - Shows full threads with message bodies
+// - Export or delete (for all recipients) just the selected threads
+// ****************************************
+async function getConvos(e) {
+    if (window.progressAPI?.removeAllProgressListeners) window.progressAPI.removeAllProgressListeners();
+    hideEndpoints(e);
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#gc-between-users-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'gc-between-users-form';
+        form.innerHTML = `
+            <style>
+                #gc-between-users-form .card-title { font-size: 1.1rem; }
+                #gc-between-users-form .card-header small { font-size: 0.75rem; }
+                #gc-between-users-form .form-label { font-size: 0.85rem; }
+                #gc-between-users-form .form-control { font-size: 0.85rem; }
+                #gc-between-users-form .form-text { font-size: 0.7rem; }
+                #gc-between-users-form .form-check-label { font-size: 0.85rem; }
+                #gc-between-users-form .btn { font-size: 0.85rem; padding: 0.35rem 0.75rem; }
+                #gc-between-users-form .card-body { padding: 0.75rem; }
+                #gc-between-users-form .gcb-thread .card-header { padding: 0.4rem 0.75rem; font-size: 0.85rem; }
+                #gc-between-users-form .gcb-message { border-bottom: 1px solid #dee2e6; padding: 0.4rem 0; font-size: 0.85rem; }
+                #gc-between-users-form .gcb-message:last-child { border-bottom: none; }
+                #gc-between-users-form .gcb-body { white-space: pre-wrap; word-wrap: break-word; }
+                #gc-between-users-form .mt-2 { margin-top: 0.5rem !important; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark">
+                        <i class="bi bi-people me-1"></i>Conversations Between Two Users
+                    </h3>
+                    <small class="text-muted">Finds every conversation both users are part of by scanning each user's inbox, sent and archived conversations. Conversations are not marked as read.</small>
+                </div>
+                <div class="card-body">
+                    <div class="row">
+                        <div class="col-auto"><label for="gcb-user-a" class="form-label">User ID</label></div>
+                        <div class="col-2"><input id="gcb-user-a" type="text" class="form-control form-control-sm"></div>
+                        <div class="col-auto"><label for="gcb-user-b" class="form-label">and user ID</label></div>
+                        <div class="col-2"><input id="gcb-user-b" type="text" class="form-control form-control-sm"></div>
+                        <div class="col-auto"><span id="gcb-user-help" class="form-text" style="display:none;">Two different numeric user IDs</span></div>
+                    </div>
+                    <div class="row mt-2">
+                        <div class="col-auto"><label for="gcb-start" class="form-label">Messages sent on/after</label></div>
+                        <div class="col-auto"><input id="gcb-start" type="date" class="form-control form-control-sm"></div>
+                        <div class="col-auto"><label for="gcb-end" class="form-label">and before</label></div>
+                        <div class="col-auto"><input id="gcb-end" type="date" class="form-control form-control-sm"></div>
+                        <div class="col-auto form-text">Optional (UTC).</div>
+                    </div>
+                    <div class="row mt-2">
+                        <div class="col-auto"><button id="gcb-search" type="button" class="btn btn-sm btn-primary" disabled>Search</button></div>
+                        <div class="col-auto"><button id="gcb-cancel" type="button" class="btn btn-sm btn-outline-danger" disabled>Cancel</button></div>
+                    </div>
+                    <p hidden id="gcb-progress-info" class="mt-2 mb-0"></p>
+                    <div id="gcb-results" class="mt-2"></div>
+                    <div id="gcb-actions" class="mt-2" hidden>
+                        <hr class="my-2" />
+                        <div class="row align-items-center">
+                            <div class="col-auto form-check ms-3">
+                                <input id="gcb-mbox" class="form-check-input" type="checkbox" checked>
+                                <label for="gcb-mbox" class="form-check-label">MBOX</label>
+                            </div>
+                            <div class="col-auto form-check ms-3">
+                                <input id="gcb-eml" class="form-check-input" type="checkbox">
+                                <label for="gcb-eml" class="form-check-label">EML</label>
+                            </div>
+                            <div class="col-auto form-check ms-3">
+                                <input id="gcb-pdf" class="form-check-input" type="checkbox">
+                                <label for="gcb-pdf" class="form-check-label">PDF transcripts</label>
+                            </div>
+                            <div class="col-auto form-check form-switch ms-3">
+                                <input id="gcb-attachments" class="form-check-input" type="checkbox" role="switch" checked>
+                                <label for="gcb-attachments" class="form-check-label">Attachments</label>
+                            </div>
+                        </div>
+                        <div class="row mt-2">
+                            <div class="col-auto"><button id="gcb-export" type="button" class="btn btn-sm btn-outline-primary"><i class="bi bi-download me-1"></i>Export Selected</button></div>
+                            <div class="col-auto"><button id="gcb-delete" type="button" class="btn btn-sm btn-danger"><i class="bi bi-trash me-1"></i>Delete Selected</button></div>
+                        </div>
+                    </div>
+                    <div id="gcb-action-result" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
     }
-    return flattened;
+    form.hidden = false;
+    if (form.dataset.bound === 'true') return;
+    form.dataset.bound = 'true';
+
+    const userAInput = form.querySelector('#gcb-user-a');
+    const userBInput = form.querySelector('#gcb-user-b');
+    const searchBtn = form.querySelector('#gcb-search');
+    const cancelBtn = form.querySelector('#gcb-cancel');
+    const progressInfo = form.querySelector('#gcb-progress-info');
+    const resultsDiv = form.querySelector('#gcb-results');
+    const actionsDiv = form.querySelector('#gcb-actions');
+    const exportBtn = form.querySelector('#gcb-export');
+    const deleteBtn = form.querySelector('#gcb-delete');
+    const actionResult = form.querySelector('#gcb-action-result');
+
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    // The search the current results came from, reused by export so it covers exactly these threads
+    let lastSearch = null;
+    let threads = [];
+
+    const toggleSearchEnabled = () => {
+        const a = userAInput.value.trim();
+        const b = userBInput.value.trim();
+        const valid = /^\d+$/.test(a) && /^\d+$/.test(b) && a !== b;
+        form.querySelector('#gcb-user-help').style.display = valid || (!a || !b) ? 'none' : 'inline';
+        searchBtn.disabled = !valid;
+    };
+    userAInput.addEventListener('input', toggleSearchEnabled);
+    userBInput.addEventListener('input', toggleSearchEnabled);
+
+    const selectedThreads = () => {
+        const ids = new Set([...resultsDiv.querySelectorAll('.gcb-select:checked')].map(cb => cb.dataset.id));
+        return threads.filter(t => ids.has(String(t.id)));
+    };
+
+    const updateActions = () => {
+        const count = selectedThreads().length;
+        actionsDiv.hidden = threads.length === 0;
+        exportBtn.disabled = count === 0 || !['#gcb-mbox', '#gcb-eml', '#gcb-pdf'].some(id => form.querySelector(id).checked);
+        deleteBtn.disabled = count === 0;
+        exportBtn.innerHTML = `<i class="bi bi-download me-1"></i>Export Selected (${count})`;
+        deleteBtn.innerHTML = `<i class="bi bi-trash me-1"></i>Delete Selected (${count})`;
+    };
+    ['#gcb-mbox', '#gcb-eml', '#gcb-pdf'].forEach(id => form.querySelector(id).addEventListener('change', updateActions));
+
+    const nameOf = (thread, userId) => thread.participants.find(p => String(p.id) === String(userId))?.name || `User ${userId}`;
+
+    const renderThreads = () => {
+        if (threads.length === 0) {
+            resultsDiv.innerHTML = '<div class="alert alert-info mb-0">These users do not share any conversations.</div>';
+            updateActions();
+            return;
+        }
+        resultsDiv.innerHTML = `
+            <div class="form-check mb-2">
+                <input class="form-check-input" type="checkbox" id="gcb-select-all" checked>
+                <label class="form-check-label fw-bold" for="gcb-select-all">Select all ${threads.length} conversation(s)</label>
+            </div>
+            ${threads.map(thread => `
+                <div class="card gcb-thread mb-2">
+                    <div class="card-header d-flex align-items-center gap-2">
+                        <input class="form-check-input gcb-select m-0" type="checkbox" checked data-id="${escape(thread.id)}" aria-label="Select conversation ${escape(thread.id)}">
+                        <a href="#" class="gcb-toggle text-decoration-none flex-grow-1" data-id="${escape(thread.id)}">
+                            <strong>${escape(thread.subject || '(no subject)')}</strong>
+                        </a>
+                        <span class="text-muted">${thread.messages.length} message(s) &middot; ${escape(thread.participants.map(p => p.name || p.id).join(', '))} &middot; ID ${escape(thread.id)}</span>
+                    </div>
+                    <div class="card-body py-1" hidden data-thread="${escape(thread.id)}">
+                        ${thread.messages.map(message => `
+                            <div class="gcb-message">
+                                <div class="text-muted"><strong>${escape(nameOf(thread, message.authorId))}</strong> &middot; ${escape(new Date(message.createdAt).toLocaleString())}</div>
+                                <div class="gcb-body">${escape(message.body)}</div>
+                                ${message.attachments.length > 0 ? `<div class="text-muted"><i class="bi bi-paperclip"></i> ${message.attachments.map(a => escape(a.name)).join(', ')}</div>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        const selectAll = resultsDiv.querySelector('#gcb-select-all');
+        const boxes = [...resultsDiv.querySelectorAll('.gcb-select')];
+        selectAll.addEventListener('change', () => {
+            boxes.forEach(cb => { cb.checked = selectAll.checked; });
+            updateActions();
+        });
+        boxes.forEach(cb => cb.addEventListener('change', () => {
+            selectAll.checked = boxes.every(b => b.checked);
+            selectAll.indeterminate = !selectAll.checked && boxes.some(b => b.checked);
+            updateActions();
+        }));
+        resultsDiv.querySelectorAll('.gcb-toggle').forEach(link => link.addEventListener('click', (evt) => {
+            evt.preventDefault();
+            const body = resultsDiv.querySelector(`[data-thread="${link.dataset.id}"]`);
+            body.hidden = !body.hidden;
+        }));
+        updateActions();
+    };
+
+    cancelBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        cancelBtn.disabled = true;
+        progressInfo.textContent = 'Cancelling...';
+        try { await window.axios.cancelGetConvos(); } catch { }
+        try { await window.axios.cancelExportConversations(); } catch { }
+    });
+
+    searchBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault(); evt.stopPropagation();
+        searchBtn.disabled = true;
+        cancelBtn.disabled = false;
+        resultsDiv.innerHTML = '';
+        actionResult.innerHTML = '';
+        actionsDiv.hidden = true;
+        threads = [];
+        progressInfo.hidden = false;
+        progressInfo.innerHTML = '<i class="bi bi-arrow-repeat spin"></i> Searching for shared conversations...';
+
+        const unsubscribe = window.progressAPI?.onUpdateProgress((progress) => {
+            if (progress?.message) progressInfo.innerHTML = `<i class="bi bi-arrow-repeat spin"></i> ${escape(progress.message)}`;
+        });
+        lastSearch = {
+            domain: document.querySelector('#domain').value.trim(),
+            token: document.querySelector('#token').value.trim(),
+            user_id: userAInput.value.trim(),
+            other_user_id: userBInput.value.trim(),
+            sent_on_or_after: form.querySelector('#gcb-start').value,
+            sent_before: form.querySelector('#gcb-end').value
+        };
+        try {
+            const result = await window.axios.getConvosBetweenUsers(lastSearch);
+            threads = result.conversations || [];
+            progressInfo.textContent = `Found ${threads.length} shared conversation(s)${result.skippedCount ? `; ${result.skippedCount} had no messages in the date range` : ''}.`;
+            renderThreads();
+        } catch (error) {
+            if (/abort|cancel/i.test(error?.message || '')) {
+                progressInfo.textContent = 'Search cancelled.';
+            } else {
+                errorHandler(error, progressInfo);
+            }
+        } finally {
+            if (typeof unsubscribe === 'function') unsubscribe();
+            cancelBtn.disabled = true;
+            toggleSearchEnabled();
+        }
+    });
+
+    exportBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        const selected = selectedThreads();
+        exportBtn.disabled = true;
+        deleteBtn.disabled = true;
+        cancelBtn.disabled = false;
+        actionResult.innerHTML = '';
+        progressInfo.textContent = 'Choose a folder for the export...';
+        const unsubscribe = window.progressAPI?.onUpdateProgress((progress) => {
+            if (progress?.message) progressInfo.textContent = progress.message;
+        });
+        try {
+            const result = await window.axios.exportConversations({
+                ...lastSearch,
+                conversation_ids: selected.map(t => t.id),
+                formats: { mbox: form.querySelector('#gcb-mbox').checked, eml: form.querySelector('#gcb-eml').checked, pdf: form.querySelector('#gcb-pdf').checked },
+                includeAttachments: form.querySelector('#gcb-attachments').checked
+            });
+            if (result.cancelled && !result.folder) {
+                progressInfo.textContent = 'Export cancelled.';
+                return;
+            }
+            const failed = result.failedAttachments?.length || 0;
+            progressInfo.textContent = '';
+            actionResult.innerHTML = `<div class="alert ${failed > 0 || result.cancelled ? 'alert-warning' : 'alert-success'} mb-0">
+                Exported ${result.conversations} conversation(s), ${result.messages} message(s) and ${result.attachments} attachment(s)${failed > 0 ? ` (${failed} attachment(s) failed; see manifest.json)` : ''} to <code>${escape(result.folder)}</code>.
+            </div>`;
+        } catch (error) {
+            errorHandler(error, progressInfo);
+        } finally {
+            if (typeof unsubscribe === 'function') unsubscribe();
+            cancelBtn.disabled = true;
+            updateActions();
+        }
+    });
+
+    deleteBtn.addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        const selected = selectedThreads();
+        if (selected.length === 0) return;
+        if (!confirm(`Delete ${selected.length} conversation(s) for ALL participants? This cannot be undone from Canvas.`)) return;
+
+        exportBtn.disabled = true;
+        deleteBtn.disabled = true;
+        actionResult.innerHTML = '';
+        progressInfo.textContent = `Deleting ${selected.length} conversation(s)...`;
+        const unsubscribe = window.progressAPI?.onUpdateProgress((progress) => {
+            if (typeof progress === 'number') progressInfo.textContent = `Deleting ${selected.length} conversation(s)... ${progress}%`;
+        });
+        try {
+            const { domain, token } = lastSearch;
+            const result = await window.axios.deleteConvos({ domain, token, messages: selected.map(t => ({ id: t.id, subject: t.subject })) });
+            if (result?.dryRun) {
+                progressInfo.textContent = `Dry run: ${result.count} conversation(s) would be deleted.`;
+                return;
+            }
+            const deletedIds = new Set((result?.successful || []).map(item => String(item.id)));
+            const failed = result?.failed || [];
+            threads = threads.filter(t => !deletedIds.has(String(t.id)));
+            renderThreads();
+            progressInfo.textContent = '';
+            actionResult.innerHTML = `<div class="alert ${failed.length > 0 ? 'alert-warning' : 'alert-success'} mb-0">
+                Deleted ${deletedIds.size} conversation(s)${failed.length > 0 ? `; ${failed.length} failed: ${failed.slice(0, 10).map(f => `${escape(f.id)} (${escape(f.reason)})`).join(', ')}` : ''}${result?.cancelled ? ' (cancelled)' : ''}.
+            </div>`;
+        } catch (error) {
+            errorHandler(error, progressInfo);
+        } finally {
+            if (typeof unsubscribe === 'function') unsubscribe();
+            updateActions();
+        }
+    });
 }
 
-async function getConvos(e) {
+// ****************************************
+// Quarantined Attachments
+// - Encrypted copies kept by "Quarantine attachments before deleting"
+// - Review each archive's manifest (conversation IDs, file IDs, hashes, Canvas status)
+// - Extract originals, export a CSV/JSON report, or purge the archive
+// ****************************************
+async function quarantinedAttachments(e) {
+    hideEndpoints(e);
     const eContent = document.querySelector('#endpoint-content');
-    eContent.innerHTML = `
-        <div>
-            <h3>Get Conversations Between Two Users</h3>
-        </div>
-    `;
-}
\ No newline at end of file
+    let form = eContent.querySelector('#quarantined-attachments-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'quarantined-attachments-form';
+        form.innerHTML = `
+            <style>
+                #quarantined-attachments-form .card-title { font-size: 1.1rem; }
+                #quarantined-attachments-form .card-header small { font-size: 0.75rem; }
+                #quarantined-attachments-form .form-select { font-size: 0.85rem; }
+                #quarantined-attachments-form .form-text { font-size: 0.7rem; }
+                #quarantined-attachments-form .btn { font-size: 0.85rem; padding: 0.35rem 0.75rem; }
+                #quarantined-attachments-form .card-body { padding: 0.75rem; }
+                #quarantined-attachments-form table { font-size: 0.8rem; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark"><i class="bi bi-shield-lock me-1"></i>Quarantined Attachments</h3>
+                    <small class="text-muted">Encrypted copies of conversation attachments taken before they were deleted. Extract originals for a security review, export the manifest as a report, or permanently delete an archive.</small>
+                </div>
+                <div class="card-body">
+                    <div class="row align-items-end">
+                        <div class="col-6">
+                            <label for="qa-archive" class="form-label" style="font-size: 0.85rem;">Archive</label>
+                            <select id="qa-archive" class="form-select form-select-sm"></select>
+                        </div>
+                        <div class="col-auto"><button id="qa-refresh" type="button" class="btn btn-sm btn-outline-secondary"><i class="bi bi-arrow-clockwise"></i> Refresh</button></div>
+                    </div>
+                    <div id="qa-archive-info" class="form-text mt-1"></div>
+                    <div id="qa-files" class="mt-2"></div>
+                    <div id="qa-actions" class="row mt-2 g-2" hidden>
+                        <div class="col-auto"><button id="qa-extract" type="button" class="btn btn-sm btn-warning">Extract Selected</button></div>
+                        <div class="col-auto"><button id="qa-report-csv" type="button" class="btn btn-sm btn-outline-primary">Report (CSV)</button></div>
+                        <div class="col-auto"><button id="qa-report-json" type="button" class="btn btn-sm btn-outline-primary">Report (JSON)</button></div>
+                        <div class="col-auto"><button id="qa-delete" type="button" class="btn btn-sm btn-outline-danger">Delete Archive</button></div>
+                    </div>
+                    <div id="qa-result" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+    }
+    form.hidden = false;
+
+    const archiveSelect = form.querySelector('#qa-archive');
+    const archiveInfo = form.querySelector('#qa-archive-info');
+    const filesDiv = form.querySelector('#qa-files');
+    const actions = form.querySelector('#qa-actions');
+    const resultDiv = form.querySelector('#qa-result');
+
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const formatSize = (bytes) => bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    const statusBadge = {
+        deleted: '<span class="badge bg-success">Deleted in Canvas</span>',
+        deleteFailed: '<span class="badge bg-danger">Delete failed</span>',
+        pending: '<span class="badge bg-secondary">Not deleted</span>'
+    };
+
+    const showArchive = async () => {
+        filesDiv.innerHTML = '';
+        archiveInfo.textContent = '';
+        actions.hidden = true;
+        if (!archiveSelect.value) return;
+        try {
+            const archive = await window.quarantine.get(archiveSelect.value);
+            archiveInfo.textContent = `${archive.label || ''} · ${archive.domain || ''} · created ${new Date(archive.createdAt).toLocaleString()}`;
+            filesDiv.innerHTML = `
+                <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+                    <table class="table table-sm table-hover align-middle mb-0">
+                        <thead>
+                            <tr>
+                                <th><input id="qa-select-all" class="form-check-input" type="checkbox" checked></th>
+                                <th>File</th>
+                                <th>File ID</th>
+                                <th>Conversation IDs</th>
+                                <th>Size</th>
+                                <th>SHA-256</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${archive.files.map(file => `
+                                <tr>
+                                    <td><input class="form-check-input qa-file" type="checkbox" data-file-id="${escape(file.fileId)}" checked></td>
+                                    <td>${escape(file.displayName)}<div class="text-muted">${escape(file.contentType)}</div></td>
+                                    <td>${escape(file.fileId)}</td>
+                                    <td>${escape(file.conversationIds.join(', '))}</td>
+                                    <td>${formatSize(file.size)}</td>
+                                    <td><code title="${escape(file.sha256)}">${escape(file.sha256.slice(0, 12))}…</code></td>
+                                    <td>${statusBadge[file.status] || ''}${file.reason ? `<div class="text-muted">${escape(file.reason)}</div>` : ''}</td>
+                                </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+            const selectAll = filesDiv.querySelector('#qa-select-all');
+            selectAll.addEventListener('change', () => {
+                filesDiv.querySelectorAll('.qa-file').forEach(cb => { cb.checked = selectAll.checked; });
+            });
+            actions.hidden = archive.files.length === 0;
+        } catch (error) {
+            errorHandler(error, resultDiv);
+        }
+    };
+
+    const loadArchives = async () => {
+        const current = archiveSelect.value;
+        try {
+            const archives = await window.quarantine.list();
+            archiveSelect.innerHTML = archives.length === 0
+                ? '<option value="">No quarantine archives</option>'
+                : archives.map(a => `<option value="${escape(a.id)}">${escape(new Date(a.createdAt).toLocaleString())} · ${escape(a.label || a.id)} (${a.fileCount} file(s), ${a.deletedCount} deleted)</option>`).join('');
+            if (archives.some(a => a.id === current)) archiveSelect.value = current;
+            await showArchive();
+        } catch (error) {
+            errorHandler(error, resultDiv);
+        }
+    };
+
+    // The list can change whenever a cleanup runs, so reload it each time the form is shown
+    resultDiv.innerHTML = '';
+    await loadArchives();
+    if (form.dataset.bound === 'true') return;
+    form.dataset.bound = 'true';
+
+    archiveSelect.addEventListener('change', () => { resultDiv.innerHTML = ''; showArchive(); });
+    form.querySelector('#qa-refresh').addEventListener('click', (evt) => { evt.preventDefault(); resultDiv.innerHTML = ''; loadArchives(); });
+
+    form.querySelector('#qa-extract').addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        const fileIds = [...filesDiv.querySelectorAll('.qa-file:checked')].map(cb => cb.dataset.fileId);
+        if (fileIds.length === 0) {
+            resultDiv.innerHTML = '<div class="alert alert-info">Select at least one file to extract.</div>';
+            return;
+        }
+        try {
+            const result = await window.quarantine.extract(archiveSelect.value, fileIds);
+            if (result.cancelled) return;
+            resultDiv.innerHTML = `
+                <div class="alert ${result.failed.length > 0 ? 'alert-warning' : 'alert-success'}">
+                    Extracted ${result.extracted.length} file(s) to <code>${escape(result.folder)}</code>.
+                    ${result.failed.length > 0 ? `<ul class="mb-0 mt-1">${result.failed.map(f => `<li>File ${escape(f.fileId)}: ${escape(f.reason)}</li>`).join('')}</ul>` : ''}
+                </div>`;
+        } catch (error) {
+            errorHandler(error, resultDiv);
+        }
+    });
+
+    const exportReport = async (format) => {
+        try {
+            const result = await window.quarantine.exportReport(archiveSelect.value, format);
+            if (result.cancelled) return;
+            resultDiv.innerHTML = `<div class="alert alert-success">Saved a report of ${result.count} file(s) to <code>${escape(result.filePath)}</code>.</div>`;
+        } catch (error) {
+            errorHandler(error, resultDiv);
+        }
+    };
+    form.querySelector('#qa-report-csv').addEventListener('click', (evt) => { evt.preventDefault(); exportReport('csv'); });
+    form.querySelector('#qa-report-json').addEventListener('click', (evt) => { evt.preventDefault(); exportReport('json'); });
+
+    form.querySelector('#qa-delete').addEventListener('click', async (evt) => {
+        evt.preventDefault();
+        if (!confirm('Permanently delete this quarantine archive? The encrypted copies cannot be recovered afterwards.')) return;
+        try {
+            await window.quarantine.delete(archiveSelect.value);
+            resultDiv.innerHTML = '<div class="alert alert-success">Archive deleted.</div>';
+            await loadArchives();
+        } catch (error) {
+            errorHandler(error, resultDiv);
+        }
+    });
+}
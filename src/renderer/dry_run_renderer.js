@@ -0,0 +1,135 @@
+// dry_run_renderer.js - Global dry-run switch and preview of what a destructive operation would do
+
+const DRY_RUN_PREVIEW_ROWS = 200; // rows rendered in the modal; the CSV export always has every row
+
+function initDryRunToggle() {
+    const toggle = document.querySelector('#dry-run-toggle');
+    if (!toggle || !window.dryRun) return;
+
+    const applyState = (enabled) => {
+        toggle.checked = enabled;
+        const label = toggle.parentElement.querySelector('label');
+        label.classList.toggle('text-warning', enabled);
+        label.classList.toggle('fw-bold', enabled);
+    };
+
+    window.dryRun.isEnabled().then(applyState).catch(() => applyState(false));
+
+    toggle.addEventListener('change', async () => {
+        try {
+            applyState(await window.dryRun.setEnabled(toggle.checked));
+        } catch (error) {
+            console.error('Failed to change dry run mode:', error);
+            applyState(!toggle.checked);
+        }
+    });
+
+    window.dryRun.onPreview((preview) => showDryRunPreview(preview));
+}
+
+// Previews shown in the open modal. Operations that call several handlers
+// (e.g. deleting imported content) add one preview each.
+let dryRunPreviews = [];
+
+function showDryRunPreview(preview) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    const modalId = 'dry-run-preview-modal';
+    let modal = document.getElementById(modalId);
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = modalId;
+        modal.className = 'modal fade';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog modal-xl modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header bg-warning-subtle">
+                        <h5 class="modal-title"><i class="bi bi-eye me-1"></i>Dry Run Preview</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="dry-run-summary" class="mb-2"></div>
+                        <div id="dry-run-table"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <span id="dry-run-export-status" class="me-auto small text-muted"></span>
+                        <button type="button" class="btn btn-outline-primary" id="dry-run-export">
+                            <i class="bi bi-filetype-csv me-1"></i>Export CSV
+                        </button>
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.addEventListener('hidden.bs.modal', () => { dryRunPreviews = []; });
+        modal.querySelector('#dry-run-export').addEventListener('click', exportDryRunPreviews);
+    }
+
+    dryRunPreviews.push(preview);
+
+    const summaries = dryRunPreviews.map(p => {
+        const byType = Object.entries(p.byType || {})
+            .map(([type, count]) => `<span class="badge bg-secondary me-1">${escape(type)}: ${count}</span>`)
+            .join('');
+        return `
+            <li>
+                <code>${escape(p.operation)}</code> would ${escape(p.action)}
+                <strong>${p.count}</strong> item(s) on <strong>${escape(p.domain)}</strong>${p.skipped ? `, skipping ${p.skipped}` : ''}
+                ${byType}
+            </li>`;
+    }).join('');
+    modal.querySelector('#dry-run-summary').innerHTML = `
+        <div class="alert alert-warning mb-2">
+            <strong>Nothing was changed.</strong>
+            <ul class="mb-0 mt-1">${summaries}</ul>
+        </div>
+    `;
+
+    const rows = getDryRunRows();
+    const columns = rows.length > 0 ? Object.keys(rows[0]).filter(col => col !== 'domain') : [];
+    const body = rows.slice(0, DRY_RUN_PREVIEW_ROWS).map(row => `
+        <tr class="${row.action === 'skip' ? 'table-secondary' : ''}">
+            ${columns.map(col => `<td>${escape(row[col])}</td>`).join('')}
+        </tr>`).join('');
+    modal.querySelector('#dry-run-table').innerHTML = rows.length === 0
+        ? '<p class="text-muted mb-0">No targets were resolved.</p>'
+        : `
+            <table class="table table-sm table-striped mb-0">
+                <thead><tr>${columns.map(col => `<th>${escape(col)}</th>`).join('')}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+            ${rows.length > DRY_RUN_PREVIEW_ROWS ? `<p class="small text-muted mt-1 mb-0">Showing ${DRY_RUN_PREVIEW_ROWS} of ${rows.length}. Export for the full list.</p>` : ''}
+        `;
+
+    modal.querySelector('#dry-run-export-status').textContent = '';
+    modal.querySelector('#dry-run-export').disabled = rows.length === 0;
+
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+}
+
+// All target rows of the open previews with the same columns, as the CSV exporter takes its header from the first row
+function getDryRunRows() {
+    const rows = dryRunPreviews.flatMap(p => p.targets || []);
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(col => { if (!columns.includes(col)) columns.push(col); }));
+    return rows.map(row => Object.fromEntries(columns.map(col => [col, row[col] ?? ''])));
+}
+
+async function exportDryRunPreviews() {
+    const exportStatus = document.querySelector('#dry-run-export-status');
+    const first = dryRunPreviews[0];
+    if (!first) return;
+
+    const operationName = dryRunPreviews.length === 1 ? String(first.operation).replace(/^axios:/, '') : 'multiple';
+    const stamp = first.generatedAt.replace(/[:.]/g, '-');
+    try {
+        const result = await window.csv.sendToCSV({ data: getDryRunRows(), fileName: `dry-run-${operationName}-${stamp}.csv` });
+        if (result?.success) exportStatus.textContent = `Saved to ${result.filePath}`;
+    } catch (error) {
+        exportStatus.textContent = `Export failed: ${error.message}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initDryRunToggle);
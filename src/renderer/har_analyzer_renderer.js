@@ -41,6 +41,12 @@ function showHARAnalyzerUI() {
                 <li class="nav-item" role="presentation">
                     <button class="nav-link" id="ai-analyzer-tab" data-bs-toggle="tab" data-bs-target="#ai-analyzer-pane" type="button" role="tab" aria-controls="ai-analyzer-pane" aria-selected="false">AI Advisor</button>
                 </li>
+                <li class="nav-item" role="presentation">
+                    <button class="nav-link" id="compare-har-tab" data-bs-toggle="tab" data-bs-target="#compare-har-pane" type="button" role="tab" aria-controls="compare-har-pane" aria-selected="false">Compare</button>
+                </li>
+                <li class="nav-item" role="presentation">
+                    <button class="nav-link" id="sanitize-har-tab" data-bs-toggle="tab" data-bs-target="#sanitize-har-pane" type="button" role="tab" aria-controls="sanitize-har-pane" aria-selected="false">Sanitize & Save</button>
+                </li>
             </ul>
 
             <div class="tab-content" id="harTabsContent">
@@ -88,6 +94,59 @@ function showHARAnalyzerUI() {
                     </div>
                      <div id="har-ai-results"></div>
                 </div>
+
+                <!-- Compare Pane -->
+                <div class="tab-pane fade" id="compare-har-pane" role="tabpanel" aria-labelledby="compare-har-tab" tabindex="0">
+                    <div class="card mb-4">
+                        <div class="card-body">
+                            <h5 class="card-title">Compare Two HAR Files</h5>
+                            <p class="card-text text-muted">
+                                Line up two captures of the same steps (e.g. Chrome and Safari, or yesterday and today)
+                                and see requests made by only one, changed status codes, headers and cookies, slower requests
+                                and response body differences.
+                            </p>
+                            <div class="row g-2 mb-3">
+                                <div class="col-md-6">
+                                    <button id="select-har-compare-a" class="btn btn-outline-primary w-100">
+                                        <i class="bi bi-1-circle"></i> Select HAR A (e.g. working)
+                                    </button>
+                                    <div id="har-compare-a-name" class="small text-muted mt-1 text-truncate"></div>
+                                </div>
+                                <div class="col-md-6">
+                                    <button id="select-har-compare-b" class="btn btn-outline-primary w-100">
+                                        <i class="bi bi-2-circle"></i> Select HAR B (e.g. failing)
+                                    </button>
+                                    <div id="har-compare-b-name" class="small text-muted mt-1 text-truncate"></div>
+                                </div>
+                            </div>
+                            <button id="run-har-compare" class="btn btn-primary" disabled>
+                                <i class="bi bi-arrow-left-right"></i> Compare
+                            </button>
+                        </div>
+                    </div>
+                    <div id="har-compare-results"></div>
+                </div>
+
+                <!-- Sanitize Pane -->
+                <div class="tab-pane fade" id="sanitize-har-pane" role="tabpanel" aria-labelledby="sanitize-har-tab" tabindex="0">
+                    <div class="card mb-4">
+                        <div class="card-body">
+                            <h5 class="card-title">Sanitize & Save</h5>
+                            <p class="card-text text-muted">
+                                Write a copy of a HAR file with session cookies, tokens, SAML messages and personal data
+                                removed, so it can be forwarded safely. A redaction report is saved next to it.
+                                <strong>Hash</strong> replaces a value with a short code that is the same everywhere the
+                                value appears in the file, so sessions and users can still be followed.
+                            </p>
+                            <div id="har-sanitize-rules" class="mb-3"></div>
+                            <button id="select-har-file-sanitize" class="btn btn-primary">
+                                <i class="bi bi-shield-lock"></i> Select HAR File, Sanitize & Save
+                            </button>
+                            <button id="reset-har-sanitize-rules" class="btn btn-outline-secondary ms-2">Restore Defaults</button>
+                        </div>
+                    </div>
+                    <div id="har-sanitize-results"></div>
+                </div>
             </div>
         </div>
     `;
@@ -135,6 +194,12 @@ function showHARAnalyzerUI() {
             showHarAiError('Failed to run AI analysis: ' + error.message);
         }
     });
+
+    // 3. Compare
+    setupHarCompare();
+
+    // 4. Sanitize & Save
+    setupHarSanitizer();
 }
 
 function showHarLoadingState() {
@@ -212,6 +277,389 @@ function showHarAiError(message) {
     `;
 }
 
+// ─── Compare ─────────────────────────────────────────────────────────────────
+
+function setupHarCompare() {
+    const files = { a: null, b: null };
+    const runBtn = document.getElementById('run-har-compare');
+    const resultsDiv = document.getElementById('har-compare-results');
+
+    ['a', 'b'].forEach(side => {
+        document.getElementById(`select-har-compare-${side}`).addEventListener('click', async () => {
+            const result = await window.ipcRenderer.invoke('har:selectFile');
+            if (result.canceled) return;
+            files[side] = result.filePath;
+            document.getElementById(`har-compare-${side}-name`).textContent = result.filePath;
+            runBtn.disabled = !(files.a && files.b);
+        });
+    });
+
+    runBtn.addEventListener('click', async () => {
+        resultsDiv.innerHTML = `
+            <div class="text-center p-5">
+                <div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div>
+                <p class="mt-3">Comparing HAR files...</p>
+            </div>
+        `;
+        try {
+            const comparison = await window.ipcRenderer.invoke('har:compare', { filePathA: files.a, filePathB: files.b });
+            displayHarComparison(comparison);
+        } catch (error) {
+            resultsDiv.innerHTML = `<div class="alert alert-danger"><i class="bi bi-exclamation-triangle-fill"></i> ${escapeHtml(error.message)}</div>`;
+        }
+    });
+}
+
+const COMPARE_FILTERS = [
+    { value: 'changed', label: 'All differences' },
+    { value: 'status', label: 'Status changed' },
+    { value: 'headers', label: 'Headers changed' },
+    { value: 'cookies', label: 'Cookies changed' },
+    { value: 'timing', label: 'Slower in B' },
+    { value: 'body', label: 'Body changed' },
+    { value: 'onlyA', label: 'Only in A' },
+    { value: 'onlyB', label: 'Only in B' },
+    { value: 'all', label: 'All matched requests' }
+];
+
+function pairDifferences(pair) {
+    return {
+        status: pair.statusChanged,
+        headers: pair.headers.length > 0,
+        cookies: pair.cookies.length > 0,
+        timing: pair.timing.regression,
+        body: pair.bodyChanged
+    };
+}
+
+function displayHarComparison(comparison) {
+    const resultsDiv = document.getElementById('har-compare-results');
+    const { sides, summary, files } = comparison;
+    const sideCard = (label, name, side) => `
+        <div class="col-md-6">
+            <div class="border rounded p-2 h-100 small">
+                <div class="fw-semibold text-truncate" title="${escapeHtml(name)}">${label}: ${escapeHtml(name)}</div>
+                <div>${escapeHtml(side.browser)} on ${escapeHtml(side.os)}</div>
+                <div>${side.totalRequests} requests · ${side.failedRequests} failed · ${side.redirectRequests} redirects · ${formatDuration(side.totalDuration)}</div>
+                <div class="text-muted">Auth: ${escapeHtml(side.authType)}${side.startTime ? ` · ${escapeHtml(new Date(side.startTime).toLocaleString())}` : ''}</div>
+            </div>
+        </div>
+    `;
+    const count = (value, label, cls) => `
+        <div class="col-6 col-md-3 col-lg">
+            <div class="border rounded p-2 text-center">
+                <div class="fs-5 fw-semibold ${value > 0 ? cls : ''}">${value}</div>
+                <div class="small text-muted">${label}</div>
+            </div>
+        </div>
+    `;
+
+    resultsDiv.innerHTML = `
+        <div class="card mb-3">
+            <div class="card-header"><h5 class="mb-0"><i class="bi bi-arrow-left-right"></i> Comparison</h5></div>
+            <div class="card-body">
+                <div class="row g-2 mb-3">
+                    ${sideCard('A', files.a, sides.a)}
+                    ${sideCard('B', files.b, sides.b)}
+                </div>
+                <div class="row g-2">
+                    ${count(summary.matched, 'Matched', '')}
+                    ${count(summary.onlyA, 'Only in A', 'text-warning')}
+                    ${count(summary.onlyB, 'Only in B', 'text-warning')}
+                    ${count(summary.statusChanged, 'Status changed', 'text-danger')}
+                    ${count(summary.headersChanged, 'Headers changed', 'text-info')}
+                    ${count(summary.cookiesChanged, 'Cookies changed', 'text-info')}
+                    ${count(summary.timingRegressions, 'Slower in B', 'text-danger')}
+                    ${count(summary.bodiesChanged, 'Body changed', 'text-info')}
+                </div>
+            </div>
+        </div>
+        <div class="card mb-3">
+            <div class="card-header d-flex align-items-center gap-2">
+                <h5 class="mb-0 me-auto"><i class="bi bi-list-ul"></i> Requests</h5>
+                <select class="form-select form-select-sm w-auto" id="har-compare-filter">
+                    ${COMPARE_FILTERS.map(f => `<option value="${f.value}">${f.label}</option>`).join('')}
+                </select>
+            </div>
+            <div id="har-compare-rows" style="max-height: 700px; overflow-y: auto;"></div>
+        </div>
+    `;
+
+    const filterSel = document.getElementById('har-compare-filter');
+    const rowsDiv = document.getElementById('har-compare-rows');
+    const render = () => {
+        rowsDiv.innerHTML = renderComparisonRows(comparison, filterSel.value);
+    };
+    filterSel.addEventListener('change', render);
+    render();
+
+    rowsDiv.addEventListener('click', async (evt) => {
+        const bodyBtn = evt.target.closest('[data-compare-body]');
+        if (bodyBtn) {
+            const target = rowsDiv.querySelector(`#har-compare-body-${bodyBtn.dataset.compareBody}`);
+            bodyBtn.disabled = true;
+            target.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm"></span> Comparing bodies…</div>';
+            try {
+                const diff = await window.ipcRenderer.invoke('har:compareBodies', Number(bodyBtn.dataset.compareBody));
+                target.innerHTML = renderBodyDiff(diff);
+            } catch (error) {
+                target.innerHTML = `<div class="alert alert-danger small mb-0">${escapeHtml(error.message)}</div>`;
+            } finally {
+                bodyBtn.disabled = false;
+            }
+            return;
+        }
+        const header = evt.target.closest('.har-compare-row > div[role="button"]');
+        if (header) {
+            const details = header.parentElement.querySelector('.har-compare-details');
+            if (details) details.hidden = !details.hidden;
+        }
+    });
+}
+
+function renderComparisonRows(comparison, filter) {
+    if (filter === 'onlyA' || filter === 'onlyB') {
+        const items = comparison[filter];
+        if (items.length === 0) return '<p class="text-muted small p-3 mb-0">None.</p>';
+        return `
+            <table class="table table-sm small mb-0">
+                <thead><tr><th>#</th><th>Method</th><th>Status</th><th>Time</th><th>URL</th></tr></thead>
+                <tbody>${items.map(item => `
+                    <tr>
+                        <td>${item.id}</td>
+                        <td>${escapeHtml(item.method)}</td>
+                        <td><span class="badge bg-${statusBadgeClass(item.status)}">${item.status}</span></td>
+                        <td>${formatDuration(item.time)}</td>
+                        <td class="text-break">${escapeHtml(item.url)}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    const pairs = comparison.pairs.filter(pair => {
+        const diff = pairDifferences(pair);
+        if (filter === 'all') return true;
+        if (filter === 'changed') return Object.values(diff).some(Boolean);
+        return diff[filter];
+    });
+    if (pairs.length === 0) return '<p class="text-muted small p-3 mb-0">No matched requests differ in this way.</p>';
+
+    return pairs.map(pair => {
+        const diff = pairDifferences(pair);
+        const badges = [
+            diff.status ? '<span class="badge bg-danger">status</span>' : '',
+            diff.headers ? `<span class="badge bg-info text-dark">${pair.headers.length} header${pair.headers.length === 1 ? '' : 's'}</span>` : '',
+            diff.cookies ? `<span class="badge bg-info text-dark">${pair.cookies.length} cookie${pair.cookies.length === 1 ? '' : 's'}</span>` : '',
+            diff.timing ? `<span class="badge bg-danger">+${formatDuration(pair.timing.delta)}</span>` : '',
+            diff.body ? '<span class="badge bg-secondary">body</span>' : ''
+        ].join(' ');
+
+        return `
+            <div class="har-compare-row border-bottom">
+                <div class="d-flex align-items-center gap-2 px-3 py-1 small" role="button">
+                    <span class="text-truncate me-auto font-monospace" title="${escapeHtml(pair.a.url)}">${escapeHtml(pair.key)}</span>
+                    <span class="badge bg-${statusBadgeClass(pair.a.status)}">${pair.a.status}</span>
+                    <i class="bi bi-arrow-right text-muted"></i>
+                    <span class="badge bg-${statusBadgeClass(pair.b.status)}">${pair.b.status}</span>
+                    <span class="text-muted text-nowrap">${formatDuration(pair.timing.a)} → ${formatDuration(pair.timing.b)}</span>
+                    <span class="text-nowrap">${badges}</span>
+                </div>
+                <div class="har-compare-details px-3 pb-2" hidden>
+                    ${renderPairDetails(pair)}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderPairDetails(pair) {
+    const valueCell = value => value === null
+        ? '<td class="text-muted fst-italic">absent</td>'
+        : `<td class="text-break font-monospace">${escapeHtml(value)}</td>`;
+    const headerRows = pair.headers.map(h => `
+        <tr><td class="text-nowrap">${h.side}</td><td class="text-nowrap">${escapeHtml(h.name)}</td>${valueCell(h.a)}${valueCell(h.b)}</tr>
+    `).join('');
+    const cookieRows = pair.cookies.map(c => `
+        <tr><td class="text-nowrap">${c.kind === 'sent' ? 'sent by browser' : 'set by server'}</td><td class="text-nowrap">${escapeHtml(c.name)}</td>${valueCell(c.a)}${valueCell(c.b)}</tr>
+    `).join('');
+
+    return `
+        <div class="small mb-2">
+            <div class="text-break"><strong>A #${pair.a.id}:</strong> ${escapeHtml(pair.a.url)} <span class="text-muted">${escapeHtml(pair.a.statusText)}</span></div>
+            <div class="text-break"><strong>B #${pair.b.id}:</strong> ${escapeHtml(pair.b.url)} <span class="text-muted">${escapeHtml(pair.b.statusText)}</span></div>
+        </div>
+        ${headerRows || cookieRows ? `
+            <table class="table table-sm small">
+                <thead><tr><th></th><th>Name</th><th>A</th><th>B</th></tr></thead>
+                <tbody>${headerRows}${cookieRows}</tbody>
+            </table>
+        ` : ''}
+        ${pair.hasBodies ? `
+            <button class="btn btn-sm btn-outline-secondary mb-2" data-compare-body="${pair.id}">
+                <i class="bi bi-file-diff"></i> ${pair.bodyChanged ? 'Compare response bodies' : 'Show response bodies (identical)'}
+            </button>
+            <div id="har-compare-body-${pair.id}"></div>
+        ` : '<div class="text-muted small">Neither capture recorded a text response body.</div>'}
+    `;
+}
+
+// Side-by-side hunks in the Diff Checker's layout and styles
+function renderBodyDiff(diff) {
+    if (diff.identical) {
+        return '<div class="alert alert-success small mb-0">The response bodies are identical.</div>';
+    }
+    if (typeof addDiffStyles === 'function') addDiffStyles();
+    const hunks = diff.hunks.slice(0, 50).map(hunk => {
+        const rows = buildSideBySideRows(hunk.lines).map(row => `
+            <div class="diff-row">
+                <div class="diff-side diff-left ${row.left.type === 'removed' ? 'diff-line-removed' : row.left.type === 'empty' ? 'diff-line-empty' : 'diff-line-context'}">
+                    <span class="diff-line-num">${row.left.lineNum || ''}</span>
+                    <span class="diff-line-content">${escapeHtml(row.left.content || '')}</span>
+                </div>
+                <div class="diff-side diff-right ${row.right.type === 'added' ? 'diff-line-added' : row.right.type === 'empty' ? 'diff-line-empty' : 'diff-line-context'}">
+                    <span class="diff-line-num">${row.right.lineNum || ''}</span>
+                    <span class="diff-line-content">${escapeHtml(row.right.content || '')}</span>
+                </div>
+            </div>
+        `).join('');
+        return `
+            <div class="diff-hunk">
+                <div class="diff-hunk-header"><code>@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</code></div>
+                <div class="diff-hunk-content">${rows}</div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="small text-muted mb-1">${escapeHtml(diff.summary)}${diff.hunks.length > 50 ? ` · showing the first 50 of ${diff.hunks.length} changes` : ''}</div>
+        <div class="diff-hunks border rounded">${hunks}</div>
+    `;
+}
+
+// ─── Sanitize & Save ─────────────────────────────────────────────────────────
+
+const SANITIZE_CATEGORIES = [
+    { key: 'cookies', label: 'Cookies', help: 'Cookie and Set-Cookie values, e.g. _normandy_session, _csrf_token' },
+    { key: 'headers', label: 'Headers', help: 'Values of these request/response headers', hasNames: true },
+    { key: 'parameters', label: 'Parameters', help: 'Query, form and JSON fields with these names, in URLs and bodies', hasNames: true },
+    { key: 'saml', label: 'SAML messages', help: 'SAMLRequest/SAMLResponse parameters and IdP auto-post forms' },
+    { key: 'jwt', label: 'JWTs', help: 'Any other JSON Web Token in headers, URLs and bodies' },
+    { key: 'pii', label: 'Personal data', help: 'Email addresses, and body fields with these names', hasNames: true }
+];
+
+function renderSanitizeRules(rules) {
+    const container = document.getElementById('har-sanitize-rules');
+    container.innerHTML = SANITIZE_CATEGORIES.map(c => `
+        <div class="row g-2 align-items-start mb-2">
+            <div class="col-12 col-md-3">
+                <label class="form-label mb-0 fw-semibold" for="sanitize-${c.key}-action">${c.label}</label>
+                <div class="form-text mt-0">${escapeHtml(c.help)}</div>
+            </div>
+            <div class="col-4 col-md-2">
+                <select class="form-select form-select-sm" id="sanitize-${c.key}-action">
+                    ${['redact', 'hash', 'keep'].map(a => `<option value="${a}" ${rules[c.key].action === a ? 'selected' : ''}>${a[0].toUpperCase()}${a.slice(1)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="col-8 col-md-7">
+                ${c.hasNames ? `<textarea class="form-control form-control-sm font-monospace" id="sanitize-${c.key}-names" rows="2" aria-label="${c.label} names, comma separated">${escapeHtml(rules[c.key].names.join(', '))}</textarea>` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+function readSanitizeRules() {
+    const rules = {};
+    SANITIZE_CATEGORIES.forEach(c => {
+        rules[c.key] = { action: document.getElementById(`sanitize-${c.key}-action`).value };
+        if (c.hasNames) {
+            rules[c.key].names = document.getElementById(`sanitize-${c.key}-names`).value
+                .split(/[,\n]/).map(n => n.trim()).filter(Boolean);
+        }
+    });
+    return rules;
+}
+
+async function setupHarSanitizer() {
+    const resultsDiv = document.getElementById('har-sanitize-results');
+    let defaults;
+    try {
+        const saved = await window.ipcRenderer.invoke('har:getSanitizeRules');
+        defaults = saved.defaults;
+        renderSanitizeRules(saved.rules);
+    } catch (error) {
+        resultsDiv.innerHTML = `<div class="alert alert-danger">${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    document.getElementById('reset-har-sanitize-rules').addEventListener('click', () => renderSanitizeRules(defaults));
+
+    document.getElementById('select-har-file-sanitize').addEventListener('click', async () => {
+        try {
+            const selected = await window.ipcRenderer.invoke('har:selectFile');
+            if (selected.canceled) return;
+
+            resultsDiv.innerHTML = `
+                <div class="text-center p-5">
+                    <div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div>
+                    <p class="mt-3">Sanitizing HAR file...</p>
+                </div>
+            `;
+            const result = await window.ipcRenderer.invoke('har:sanitize', { filePath: selected.filePath, rules: readSanitizeRules() });
+            resultsDiv.innerHTML = result.canceled
+                ? '<div class="alert alert-secondary">Not saved.</div>'
+                : renderSanitizeReport(result);
+        } catch (error) {
+            resultsDiv.innerHTML = `<div class="alert alert-danger"><i class="bi bi-exclamation-triangle-fill"></i> ${escapeHtml(error.message)}</div>`;
+        }
+    });
+}
+
+function renderSanitizeReport(result) {
+    const { report } = result;
+    const totals = SANITIZE_CATEGORIES.map(c => `
+        <div class="col-6 col-md-2">
+            <div class="border rounded p-2 text-center">
+                <div class="fs-5 fw-semibold">${report.totals[c.key]}</div>
+                <div class="small text-muted">${c.label}${report.rules[c.key].action === 'keep' ? ' (kept)' : ''}</div>
+            </div>
+        </div>
+    `).join('');
+    const residual = report.residual.length > 0 ? `
+        <div class="alert alert-warning small">
+            <strong>Still readable:</strong> check these before sharing the file.
+            <ul class="mb-0">${report.residual.map(r => `<li>Request #${r.entryId}: ${escapeHtml(r.message)} (${escapeHtml(r.source)})</li>`).join('')}</ul>
+        </div>
+    ` : '';
+    const rows = report.entries.map(e => `
+        <tr>
+            <td>${e.entryId}</td>
+            <td class="text-break" style="max-width: 420px;">${escapeHtml(e.url)}</td>
+            <td>${e.redactions.map(r => `<span class="badge bg-light text-dark border me-1">${escapeHtml(r.name)} <span class="text-muted">${escapeHtml(r.location)}</span>${r.count > 1 ? ` ×${r.count}` : ''}</span>`).join('')}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="card">
+            <div class="card-header bg-success text-white"><i class="bi bi-shield-check"></i> Sanitized HAR saved</div>
+            <div class="card-body">
+                <p class="small mb-1"><strong>HAR:</strong> ${escapeHtml(result.filePath)}</p>
+                <p class="small"><strong>Report:</strong> ${escapeHtml(result.reportPath)}</p>
+                <div class="row g-2 mb-3">${totals}</div>
+                ${residual}
+                ${report.entries.length > 0 ? `
+                    <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+                        <table class="table table-sm small">
+                            <thead><tr><th>#</th><th>URL</th><th>Redacted</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p class="text-muted small mb-0">Nothing matched the rules.</p>'}
+            </div>
+        </div>
+    `;
+}
+
 // ─── HAR Parser Display ──────────────────────────────────────────────────────
 
 /** Stored data for live filter re-renders */
@@ -224,12 +672,15 @@ function displayHarAnalysisResults(data) {
     resultsDiv.innerHTML = `
         <div class="har-parser-results">
             ${renderSummary(data)}
+            ${renderAuthAssertions(data)}
+            ${renderWaterfall(data)}
             ${renderResourceBreakdown(data)}
             ${renderDomainsTable(data)}
             ${renderRequestsTable(data, data.entries)}
         </div>
     `;
 
+    setupWaterfall(data);
     setupRequestFilters(data);
 }
 
@@ -297,6 +748,462 @@ function renderSummary(data) {
     `;
 }
 
+// ─── Authentication (decoded SAML / OAuth / JWT) ─────────────────────────────
+
+const ISSUE_BADGES = { error: 'danger', warning: 'warning', info: 'info' };
+
+function renderAuthIssues(issues) {
+    if (!issues || issues.length === 0) {
+        return '<div class="small text-success"><i class="bi bi-check-circle"></i> No problems found</div>';
+    }
+    return `<ul class="list-unstyled small mb-2">${issues.map(i => `
+        <li><span class="badge bg-${ISSUE_BADGES[i.severity] || 'secondary'} me-1">${escapeHtml(i.severity)}</span>${escapeHtml(i.message)}</li>
+    `).join('')}</ul>`;
+}
+
+function renderFieldRows(fields) {
+    return fields
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `<tr><th class="text-muted fw-normal text-nowrap" style="width: 20%">${escapeHtml(label)}</th><td class="text-break">${escapeHtml(value)}</td></tr>`)
+        .join('');
+}
+
+function renderSamlItem(item) {
+    const a = item.assertion;
+    const signedIn = [item.signature?.message ? 'message' : null, item.signature?.assertion ? 'assertion' : null].filter(Boolean);
+    const fields = [
+        ['Issuer', item.issuer || a?.issuer],
+        ['ID', item.id],
+        ['Issue instant', item.issueInstant],
+        ['Destination', item.destination],
+        ['ACS URL', item.assertionConsumerServiceUrl],
+        ['InResponseTo', item.inResponseTo],
+        ['Status', item.status ? [item.status.code, item.status.subCode].filter(Boolean).map(c => c.split(':').pop()).join(' / ') + (item.status.message ? ` — ${item.status.message}` : '') : null],
+        ['Signature', item.type === 'Response' ? (signedIn.length > 0 ? `Signed (${signedIn.join(' and ')})` : 'Not signed') : (signedIn.length > 0 ? 'Signed' : null)],
+        ['Encrypted', item.encrypted ? 'Yes (EncryptedAssertion)' : null]
+    ];
+    if (a) {
+        fields.push(
+            ['Audience', a.audiences.join(', ')],
+            ['NameID', a.nameId ? `${a.nameId}${a.nameIdFormat ? ` (${a.nameIdFormat.split(':').pop()})` : ''}` : null],
+            ['NotBefore', a.notBefore],
+            ['NotOnOrAfter', a.notOnOrAfter],
+            ['Recipient', a.recipient],
+            ['AuthnInstant', a.authnInstant],
+            ['SessionNotOnOrAfter', a.sessionNotOnOrAfter]
+        );
+    }
+    const attributes = a && a.attributes.length > 0 ? `
+        <div class="small fw-semibold mt-2">Attributes</div>
+        <table class="table table-sm small mb-0">
+            <tbody>${a.attributes.map(attr => `
+                <tr>
+                    <td class="text-break" style="width: 40%">${escapeHtml(attr.friendlyName || attr.name)}${attr.friendlyName ? `<div class="text-muted">${escapeHtml(attr.name)}</div>` : ''}</td>
+                    <td class="text-break">${attr.values.length > 0 ? attr.values.map(escapeHtml).join('<br>') : '<span class="text-danger">(no value)</span>'}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>` : '';
+
+    return `
+        <div class="border rounded p-2 mb-2">
+            <div class="mb-1">
+                <span class="badge bg-primary">SAML</span>
+                <strong>${escapeHtml(item.type)}</strong>
+                <span class="text-muted small">· ${escapeHtml(item.parameter)}${item.binding ? ` (${escapeHtml(item.binding)} binding)` : ''} · request #${item.entryId}</span>
+            </div>
+            ${renderAuthIssues(item.issues)}
+            <table class="table table-sm small mb-0"><tbody>${renderFieldRows(fields)}</tbody></table>
+            ${attributes}
+        </div>
+    `;
+}
+
+function renderOAuthItem(item) {
+    const fields = Object.entries(item.params);
+    return `
+        <div class="border rounded p-2 mb-2">
+            <div class="mb-1">
+                <span class="badge bg-success">OAuth</span>
+                <strong>${escapeHtml(item.kind)}</strong>
+                <span class="text-muted small">· ${item.status !== null ? `${escapeHtml(item.status)} · ` : ''}request #${item.entryId}</span>
+            </div>
+            ${renderAuthIssues(item.issues)}
+            <table class="table table-sm small mb-0"><tbody>${renderFieldRows([['URL', item.url.split('?')[0]], ...fields])}</tbody></table>
+        </div>
+    `;
+}
+
+function renderJwtItem(item) {
+    const time = (seconds) => typeof seconds === 'number' ? `${new Date(seconds * 1000).toISOString()} (${seconds})` : null;
+    const c = item.claims;
+    const known = ['iss', 'aud', 'sub', 'exp', 'nbf', 'iat'];
+    const fields = [
+        ['Algorithm', [item.header.alg, item.header.kid ? `kid ${item.header.kid}` : null].filter(Boolean).join(', ')],
+        ['Issuer (iss)', c.iss],
+        ['Audience (aud)', Array.isArray(c.aud) ? c.aud.join(', ') : c.aud],
+        ['Subject (sub)', c.sub],
+        ['Expires (exp)', time(c.exp)],
+        ['Not before (nbf)', time(c.nbf)],
+        ['Issued (iat)', time(c.iat)],
+        ...Object.entries(c).filter(([key]) => !known.includes(key)).map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value])
+    ];
+    return `
+        <div class="border rounded p-2 mb-2">
+            <div class="mb-1">
+                <span class="badge bg-secondary">JWT</span>
+                <strong>${escapeHtml(item.source)}</strong>
+                <span class="text-muted small">· request #${item.entryId}</span>
+            </div>
+            ${renderAuthIssues(item.issues)}
+            <table class="table table-sm small mb-0"><tbody>${renderFieldRows(fields)}</tbody></table>
+        </div>
+    `;
+}
+
+function renderAuthAssertions(data) {
+    const auth = data.auth;
+    if (!auth || (auth.saml.length + auth.oauth.length + auth.jwt.length) === 0) return '';
+
+    const counts = auth.issueCount;
+    const headerClass = counts.error > 0 ? 'bg-danger text-white' : counts.warning > 0 ? 'bg-warning' : '';
+    const section = (title, items, render) => items.length === 0 ? '' : `
+        <h6 class="mt-2">${title} <span class="badge bg-light text-dark">${items.length}</span></h6>
+        ${items.map(render).join('')}
+    `;
+
+    return `
+        <div class="card mb-3">
+            <div class="card-header ${headerClass}" role="button" data-bs-toggle="collapse" data-bs-target="#har-auth-collapse" aria-expanded="true">
+                <h5 class="mb-0">
+                    <i class="bi bi-shield-lock"></i> Authentication
+                    <span class="small fw-normal ms-2">${counts.error} error(s), ${counts.warning} warning(s)</span>
+                    <i class="bi bi-chevron-down float-end"></i>
+                </h5>
+            </div>
+            <div id="har-auth-collapse" class="collapse show">
+                <div class="card-body">
+                    <p class="small text-muted mb-2">
+                        Decoded from the requests in this file. Times are compared with the browser's clock when each request was made.
+                        JWT signatures are not verified.
+                    </p>
+                    ${section('SAML', auth.saml, renderSamlItem)}
+                    ${section('OAuth', auth.oauth, renderOAuthItem)}
+                    ${section('JWT', auth.jwt, renderJwtItem)}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ─── Waterfall ────────────────────────────────────────────────────────────────
+
+const WATERFALL_PHASES = [
+    { key: 'blocked', label: 'Blocked', color: '#bdbdbd' },
+    { key: 'dns', label: 'DNS', color: '#009688' },
+    { key: 'connect', label: 'Connect', color: '#ff9800' },
+    { key: 'ssl', label: 'SSL', color: '#9c27b0' },
+    { key: 'send', label: 'Send', color: '#2196f3' },
+    { key: 'wait', label: 'Wait', color: '#4caf50' },
+    { key: 'receive', label: 'Receive', color: '#03a9f4' }
+];
+
+function formatDuration(ms) {
+    if (ms >= 1000) return `${(ms / 1000).toFixed(2)} s`;
+    return `${Math.round(ms)} ms`;
+}
+
+function statusBadgeClass(status) {
+    if (status === 0) return 'dark';
+    if (status >= 200 && status < 300) return 'success';
+    if (status >= 300 && status < 400) return 'info';
+    if (status >= 400 && status < 500) return 'warning';
+    if (status >= 500) return 'danger';
+    return 'secondary';
+}
+
+function renderWaterfall(data) {
+    const waterfall = data.waterfall;
+    if (!waterfall || waterfall.rows.length === 0) return '';
+
+    const domains = [...new Set(waterfall.rows.map(r => r.domain).filter(Boolean))].sort();
+    const legend = WATERFALL_PHASES.map(p => `
+        <span class="me-3 text-nowrap"><span class="d-inline-block me-1" style="width: 10px; height: 10px; background: ${p.color};"></span>${p.label}</span>
+    `).join('');
+
+    return `
+        <div class="card mb-3">
+            <div class="card-header" role="button" data-bs-toggle="collapse" data-bs-target="#har-waterfall-collapse" aria-expanded="false">
+                <h5 class="mb-0">
+                    <i class="bi bi-bar-chart-steps"></i> Waterfall
+                    <span class="small fw-normal ms-2">${formatDuration(waterfall.totalDuration)} total</span>
+                    <i class="bi bi-chevron-down float-end"></i>
+                </h5>
+            </div>
+            <div id="har-waterfall-collapse" class="collapse">
+                <div class="card-body pb-2">
+                    <div class="row g-2 mb-2">
+                        <div class="col-12 col-md-4">
+                            <select class="form-select form-select-sm" id="wf-filter-domain">
+                                <option value="">All Domains</option>
+                                ${domains.map(d => `<option value="${escapeHtml(d)}">${escapeHtml(d)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="col-6 col-md-3">
+                            <select class="form-select form-select-sm" id="wf-filter-type">
+                                <option value="">All Types</option>
+                                ${['Document', 'Script', 'Stylesheet', 'Image', 'XHR/Fetch', 'Font', 'Media', 'Other'].map(t => `<option value="${t}">${t}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="col-6 col-md-3">
+                            <select class="form-select form-select-sm" id="wf-filter-status">
+                                <option value="">All Statuses</option>
+                                <option value="2">2xx Success</option>
+                                <option value="3">3xx Redirect</option>
+                                <option value="4">4xx Client Error</option>
+                                <option value="5">5xx Server Error</option>
+                                <option value="0">Failed (0)</option>
+                            </select>
+                        </div>
+                        <div class="col-12 col-md-2 text-muted small align-self-center" id="wf-count-label"></div>
+                    </div>
+                    <div class="small text-muted mb-2">${legend}<span class="text-nowrap"><span class="d-inline-block me-1" style="width: 2px; height: 10px; background: #0d6efd;"></span>DOMContentLoaded</span>
+                        <span class="text-nowrap ms-3"><span class="d-inline-block me-1" style="width: 2px; height: 10px; background: #dc3545;"></span>Load</span>
+                    </div>
+                    <div class="small text-muted mb-1">Click a request to see its headers and body.</div>
+                </div>
+                <div id="wf-rows" style="max-height: 600px; overflow-y: auto;" class="border-top"></div>
+            </div>
+        </div>
+    `;
+}
+
+// One bar: phases laid end to end from the request's start offset
+function buildWaterfallBar(row, total) {
+    const pct = (ms) => `${((ms / total) * 100).toFixed(3)}%`;
+    const title = WATERFALL_PHASES
+        .filter(p => row.phases[p.key] > 0)
+        .map(p => `${p.label}: ${formatDuration(row.phases[p.key])}`)
+        .join('\n');
+    const segments = WATERFALL_PHASES
+        .filter(p => row.phases[p.key] > 0)
+        .map(p => `<div style="width: ${pct(row.phases[p.key])}; background: ${p.color};"></div>`)
+        .join('');
+    return `
+        <div class="d-flex position-absolute h-100" style="left: ${pct(row.startOffset)}; min-width: 1px;" title="${escapeHtml(title)}">
+            ${segments || `<div style="width: ${pct(row.duration)}; min-width: 1px; background: ${WATERFALL_PHASES[5].color};"></div>`}
+            <span class="ps-1 text-muted text-nowrap" style="font-size: 0.7rem;">${formatDuration(row.duration)}</span>
+        </div>
+    `;
+}
+
+function buildWaterfallRow(row, total, resourceType) {
+    let path = row.url;
+    try {
+        const url = new URL(row.url);
+        path = `${url.pathname}${url.search}`;
+    } catch (_) { /* keep the raw URL */ }
+    const label = path.length > 70 ? path.substring(0, 70) + '…' : path;
+
+    return `
+        <div class="wf-row border-bottom" data-id="${row.id}">
+            <div class="d-flex align-items-center small" role="button" style="min-height: 22px;">
+                <div class="text-truncate px-2" style="width: 38%;" title="${escapeHtml(row.url)}">
+                    <span class="text-muted me-1">${row.id}</span>
+                    <span class="badge bg-${statusBadgeClass(row.status)}">${row.status || '0'}</span>
+                    <span class="fw-semibold">${escapeHtml(row.method)}</span>
+                    <span class="text-muted">${escapeHtml(row.domain)}</span>${escapeHtml(label)}
+                    <span class="text-muted">· ${escapeHtml(resourceType || '')}</span>
+                </div>
+                <div class="position-relative flex-grow-1 me-5" style="height: 12px;">
+                    ${buildWaterfallBar(row, total)}
+                </div>
+            </div>
+            <div class="wf-details px-2 pb-2" hidden></div>
+        </div>
+    `;
+}
+
+function buildWaterfallPageHeader(page, total) {
+    const markers = [
+        page.onContentLoad !== null ? `<div class="position-absolute h-100" style="left: ${(((page.startOffset + page.onContentLoad) / total) * 100).toFixed(3)}%; width: 2px; background: #0d6efd;" title="DOMContentLoaded ${formatDuration(page.onContentLoad)}"></div>` : '',
+        page.onLoad !== null ? `<div class="position-absolute h-100" style="left: ${(((page.startOffset + page.onLoad) / total) * 100).toFixed(3)}%; width: 2px; background: #dc3545;" title="Load ${formatDuration(page.onLoad)}"></div>` : ''
+    ].join('');
+    const timings = [
+        page.onContentLoad !== null ? `DOMContentLoaded ${formatDuration(page.onContentLoad)}` : null,
+        page.onLoad !== null ? `Load ${formatDuration(page.onLoad)}` : null
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <div class="d-flex align-items-center small bg-light border-bottom fw-semibold" style="min-height: 24px;">
+            <div class="text-truncate px-2" style="width: 38%;" title="${escapeHtml(page.title)}">
+                <i class="bi bi-window"></i> ${escapeHtml(page.title || page.id)}
+                ${timings ? `<span class="fw-normal text-muted">· ${timings}</span>` : ''}
+            </div>
+            <div class="position-relative flex-grow-1 me-5" style="height: 16px;">${markers}</div>
+        </div>
+    `;
+}
+
+function buildWaterfallAxis(total) {
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => `
+        <span class="position-absolute text-muted" style="left: ${f * 100}%; transform: translateX(${f === 1 ? '-100%' : f === 0 ? '0' : '-50%'}); font-size: 0.7rem;">${formatDuration(total * f)}</span>
+    `).join('');
+    return `
+        <div class="d-flex small border-bottom sticky-top bg-white" style="min-height: 20px;">
+            <div class="px-2 text-muted" style="width: 38%;">Request</div>
+            <div class="position-relative flex-grow-1 me-5">${ticks}</div>
+        </div>
+    `;
+}
+
+function renderHeaderTable(headers) {
+    if (!headers || headers.length === 0) return '<div class="text-muted small">None</div>';
+    return `
+        <table class="table table-sm small mb-2">
+            <tbody>${headers.map(h => `
+                <tr><th class="fw-normal text-muted text-nowrap" style="width: 25%;">${escapeHtml(h.name)}</th><td class="text-break font-monospace">${escapeHtml(h.value)}</td></tr>
+            `).join('')}</tbody>
+        </table>
+    `;
+}
+
+function renderBody(body, emptyText) {
+    if (!body || body.text === null || body.text === undefined || body.text === '') {
+        return `<div class="text-muted small">${emptyText}</div>`;
+    }
+    const note = [
+        body.encoding === 'base64' ? 'Base64-encoded in the HAR file.' : '',
+        body.truncated ? 'Showing the first 200 KB.' : ''
+    ].filter(Boolean).join(' ');
+    return `
+        ${note ? `<div class="text-muted small mb-1">${note}</div>` : ''}
+        <pre class="small bg-light border rounded p-2 mb-0" style="max-height: 300px; overflow: auto; white-space: pre-wrap; word-break: break-all;">${escapeHtml(body.text)}</pre>
+    `;
+}
+
+function renderEntryDetails(detail) {
+    const req = detail.request;
+    const res = detail.response;
+    const timingRows = WATERFALL_PHASES
+        .map(p => [p.label, detail.timings[p.key]])
+        .filter(([, value]) => typeof value === 'number' && value >= 0)
+        .map(([label, value]) => `<tr><th class="fw-normal text-muted" style="width: 25%;">${label}</th><td>${formatDuration(value)}</td></tr>`)
+        .join('');
+    const tabId = `wf-detail-${detail.id}`;
+    const tab = (key, label, active) => `
+        <li class="nav-item"><button class="nav-link py-1 ${active ? 'active' : ''}" data-bs-toggle="tab" data-bs-target="#${tabId}-${key}" type="button">${label}</button></li>
+    `;
+
+    return `
+        <div class="border rounded p-2 bg-white">
+            <div class="small mb-2 text-break">
+                <span class="badge bg-primary">${escapeHtml(req.method)}</span>
+                <span class="badge bg-${statusBadgeClass(res.status)}">${res.status} ${escapeHtml(res.statusText)}</span>
+                ${escapeHtml(req.url)}
+                ${res.redirectURL ? `<div class="text-muted">→ ${escapeHtml(res.redirectURL)}</div>` : ''}
+            </div>
+            <ul class="nav nav-tabs small">
+                ${tab('headers', 'Headers', true)}
+                ${tab('payload', 'Payload', false)}
+                ${tab('response', 'Response', false)}
+                ${tab('timing', 'Timing', false)}
+            </ul>
+            <div class="tab-content pt-2">
+                <div class="tab-pane fade show active" id="${tabId}-headers">
+                    <div class="small fw-semibold">Request headers</div>
+                    ${renderHeaderTable(req.headers)}
+                    <div class="small fw-semibold">Response headers</div>
+                    ${renderHeaderTable(res.headers)}
+                </div>
+                <div class="tab-pane fade" id="${tabId}-payload">
+                    <div class="small fw-semibold">Query string</div>
+                    ${renderHeaderTable(req.queryString)}
+                    <div class="small fw-semibold">Request body${req.postData?.mimeType ? ` (${escapeHtml(req.postData.mimeType)})` : ''}</div>
+                    ${req.postData?.params?.length ? renderHeaderTable(req.postData.params) : ''}
+                    ${renderBody(req.postData, req.postData?.params?.length ? '' : 'No request body')}
+                </div>
+                <div class="tab-pane fade" id="${tabId}-response">
+                    <div class="small text-muted mb-1">${escapeHtml(res.content.mimeType || 'unknown type')}${res.content.size >= 0 ? ` · ${formatBytes(res.content.size)}` : ''}</div>
+                    ${renderBody(res.content, 'The HAR file has no response body for this request')}
+                </div>
+                <div class="tab-pane fade" id="${tabId}-timing">
+                    <table class="table table-sm small mb-0"><tbody>
+                        ${detail.startedDateTime ? `<tr><th class="fw-normal text-muted" style="width: 25%;">Started</th><td>${escapeHtml(new Date(detail.startedDateTime).toLocaleString())}</td></tr>` : ''}
+                        ${detail.serverIPAddress ? `<tr><th class="fw-normal text-muted">Server IP</th><td>${escapeHtml(detail.serverIPAddress)}</td></tr>` : ''}
+                        ${timingRows}
+                    </tbody></table>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function setupWaterfall(data) {
+    const container = document.getElementById('wf-rows');
+    if (!container || !data.waterfall) return;
+
+    const domainSel = document.getElementById('wf-filter-domain');
+    const typeSel = document.getElementById('wf-filter-type');
+    const statusSel = document.getElementById('wf-filter-status');
+    const countLabel = document.getElementById('wf-count-label');
+    const { rows, pages } = data.waterfall;
+    const total = data.waterfall.totalDuration || 1;
+    const typeById = new Map(data.entries.map(e => [e.id, e.resourceType]));
+
+    function render() {
+        const domain = domainSel.value;
+        const type = typeSel.value;
+        const status = statusSel.value;
+        const visible = rows.filter(r =>
+            (!domain || r.domain === domain) &&
+            (!type || typeById.get(r.id) === type) &&
+            (!status || (status === '0' ? r.status === 0 : String(r.status).startsWith(status)))
+        );
+
+        // Group by page in page order; requests outside any page come last
+        const groups = pages.map(page => ({ page, rows: visible.filter(r => r.pageref === page.id) }));
+        const pageIds = new Set(pages.map(p => p.id));
+        const loose = visible.filter(r => !r.pageref || !pageIds.has(r.pageref));
+
+        let html = buildWaterfallAxis(total);
+        groups.filter(g => g.rows.length > 0).forEach(g => {
+            html += buildWaterfallPageHeader(g.page, total);
+            html += g.rows.map(r => buildWaterfallRow(r, total, typeById.get(r.id))).join('');
+        });
+        if (loose.length > 0) {
+            if (pages.length > 0) {
+                html += `<div class="small bg-light border-bottom fw-semibold px-2" style="min-height: 24px;">Requests without a page</div>`;
+            }
+            html += loose.map(r => buildWaterfallRow(r, total, typeById.get(r.id))).join('');
+        }
+        container.innerHTML = html;
+        countLabel.textContent = `${visible.length} of ${rows.length} requests`;
+    }
+
+    container.addEventListener('click', async (evt) => {
+        const header = evt.target.closest('.wf-row > div[role="button"]');
+        if (!header) return;
+        const rowEl = header.parentElement;
+        const details = rowEl.querySelector('.wf-details');
+        details.hidden = !details.hidden;
+        if (details.hidden || details.dataset.loaded === 'true') return;
+
+        details.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm"></span> Loading request…</div>';
+        try {
+            const detail = await window.ipcRenderer.invoke('har:getEntry', Number(rowEl.dataset.id));
+            details.innerHTML = renderEntryDetails(detail);
+            details.dataset.loaded = 'true';
+        } catch (error) {
+            details.innerHTML = `<div class="alert alert-danger small mb-0">${escapeHtml(error.message)}</div>`;
+        }
+    });
+
+    domainSel.addEventListener('change', render);
+    typeSel.addEventListener('change', render);
+    statusSel.addEventListener('change', render);
+    render();
+}
+
 function renderResourceBreakdown(data) {
     const typeCounts = {};
     data.entries.forEach(e => {
@@ -0,0 +1,205 @@
+// history_renderer.js - Browse, filter and export the audit log of mutating operations
+
+const HISTORY_OUTCOME_BADGES = {
+    success: 'bg-success',
+    partial: 'bg-warning text-dark',
+    failed: 'bg-danger',
+    error: 'bg-danger',
+    cancelled: 'bg-secondary'
+};
+
+function historyTemplate(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#operation-history-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'operation-history-form';
+        form.innerHTML = `
+            <style>
+                #operation-history-form .card-title { font-size: 1.1rem; }
+                #operation-history-form .card-header small { font-size: 0.7rem; }
+                #operation-history-form .card-body { padding: 0.75rem; }
+                #operation-history-form .btn { padding: 0.25rem 0.5rem; font-size: 0.8rem; }
+                #operation-history-form .form-label { font-size: 0.8rem; margin-bottom: 0.1rem; }
+                #operation-history-form table { font-size: 0.85rem; }
+                #operation-history-form .alert { padding: 0.5rem 0.75rem; font-size: 0.85rem; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle d-flex justify-content-between align-items-center">
+                    <div>
+                        <h3 class="card-title mb-0 text-dark">
+                            <i class="bi bi-clock-history me-1"></i>History
+                        </h3>
+                        <small class="text-muted">Every operation that changed data in Canvas, newest first</small>
+                    </div>
+                    <div>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" id="history-refresh-btn">
+                            <i class="bi bi-arrow-clockwise me-1"></i>Refresh
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-primary" id="history-export-csv-btn">
+                            <i class="bi bi-filetype-csv me-1"></i>Export CSV
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-primary" id="history-export-json-btn">
+                            <i class="bi bi-filetype-json me-1"></i>Export JSON
+                        </button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="row g-2 mb-2">
+                        <div class="col-md-2">
+                            <label for="history-from" class="form-label">From</label>
+                            <input type="date" class="form-control form-control-sm" id="history-from">
+                        </div>
+                        <div class="col-md-2">
+                            <label for="history-to" class="form-label">To</label>
+                            <input type="date" class="form-control form-control-sm" id="history-to">
+                        </div>
+                        <div class="col-md-3">
+                            <label for="history-domain" class="form-label">Domain</label>
+                            <select class="form-select form-select-sm" id="history-domain"></select>
+                        </div>
+                        <div class="col-md-3">
+                            <label for="history-operation" class="form-label">Operation</label>
+                            <select class="form-select form-select-sm" id="history-operation"></select>
+                        </div>
+                        <div class="col-md-2">
+                            <label for="history-outcome" class="form-label">Outcome</label>
+                            <select class="form-select form-select-sm" id="history-outcome">
+                                <option value="">Any</option>
+                                <option value="success">Success</option>
+                                <option value="partial">Partial</option>
+                                <option value="failed">Failed</option>
+                                <option value="error">Error</option>
+                                <option value="cancelled">Cancelled</option>
+                            </select>
+                        </div>
+                        <div class="col-12">
+                            <input type="search" class="form-control form-control-sm" id="history-search" placeholder="Search course IDs, profiles, schedules, errors...">
+                        </div>
+                    </div>
+                    <div id="history-summary" class="small text-muted mb-1"></div>
+                    <div id="history-list"></div>
+                    <div id="history-response" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+
+        form.addEventListener('submit', (event) => event.preventDefault());
+        form.querySelector('#history-refresh-btn').addEventListener('click', () => renderHistory(form));
+        form.querySelector('#history-export-csv-btn').addEventListener('click', () => exportHistory(form, 'csv'));
+        form.querySelector('#history-export-json-btn').addEventListener('click', () => exportHistory(form, 'json'));
+        ['#history-from', '#history-to', '#history-domain', '#history-operation', '#history-outcome'].forEach(selector => {
+            form.querySelector(selector).addEventListener('change', () => renderHistory(form));
+        });
+        let searchTimer = null;
+        form.querySelector('#history-search').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => renderHistory(form), 250);
+        });
+    }
+    form.hidden = false;
+
+    renderHistory(form);
+}
+
+function getHistoryFilters(form) {
+    const value = (selector) => form.querySelector(selector).value.trim();
+    const filters = {
+        from: value('#history-from'),
+        to: value('#history-to'),
+        domain: value('#history-domain'),
+        operation: value('#history-operation'),
+        outcome: value('#history-outcome'),
+        search: value('#history-search')
+    };
+    Object.keys(filters).forEach(key => { if (!filters[key]) delete filters[key]; });
+    return filters;
+}
+
+function fillHistorySelect(select, values, anyLabel) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const current = select.value;
+    select.innerHTML = `<option value="">${anyLabel}</option>` + values.map(v => `<option value="${escape(v)}">${escape(v)}</option>`).join('');
+    select.value = values.includes(current) ? current : '';
+}
+
+async function renderHistory(form) {
+    const list = form.querySelector('#history-list');
+    const summary = form.querySelector('#history-summary');
+    const responseDiv = form.querySelector('#history-response');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    responseDiv.innerHTML = '';
+
+    let result;
+    try {
+        result = await window.audit.list(getHistoryFilters(form));
+    } catch (error) {
+        errorHandler(error, summary, responseDiv);
+        return;
+    }
+
+    fillHistorySelect(form.querySelector('#history-domain'), result.domains, 'Any domain');
+    fillHistorySelect(form.querySelector('#history-operation'), result.operations, 'Any operation');
+
+    if (result.total === 0) {
+        summary.textContent = '';
+        list.innerHTML = `<div class="alert alert-secondary mb-0">No operations have been recorded yet.</div>`;
+        return;
+    }
+    summary.textContent = result.matched > result.entries.length
+        ? `Showing the newest ${result.entries.length} of ${result.matched} matching operations (${result.total} recorded). Export to get all of them.`
+        : `${result.matched} of ${result.total} recorded operations`;
+    if (result.entries.length === 0) {
+        list.innerHTML = `<div class="alert alert-secondary mb-0">No operations match these filters.</div>`;
+        return;
+    }
+
+    const rows = result.entries.map(entry => {
+        const courses = entry.courseIds || [];
+        const target = [
+            courses.length > 0 ? `Course ${courses.slice(0, 3).join(', ')}${courses.length > 3 ? ` +${courses.length - 3}` : ''}` : '',
+            entry.accountId ? `Account ${entry.accountId}` : ''
+        ].filter(Boolean).map(escape).join('<br>');
+        const profile = entry.profile
+            ? `<div class="small text-muted">${escape(entry.profile)}${entry.environment ? ` (${escape(entry.environment)})` : ''}</div>`
+            : '';
+        return `
+            <tr title="${escape(entry.error || '')}">
+                <td class="text-nowrap">${escape(new Date(entry.startedAt).toLocaleString())}</td>
+                <td>${escape(entry.operation.replace(/^[a-zA-Z]+:/, ''))}${entry.source === 'cli' ? ' <span class="badge bg-info text-dark">CLI</span>' : ''}${entry.source === 'schedule' ? ` <span class="badge bg-primary" title="${escape(entry.schedule)}">Scheduled</span>` : ''}</td>
+                <td>${escape(entry.domain)}${profile}</td>
+                <td>${target}</td>
+                <td class="text-end">${entry.itemCount}</td>
+                <td class="text-end text-success">${entry.succeeded}</td>
+                <td class="text-end ${entry.failed > 0 ? 'text-danger' : ''}">${entry.failed}</td>
+                <td><span class="badge ${HISTORY_OUTCOME_BADGES[entry.outcome] || 'bg-secondary'}">${escape(entry.outcome)}</span></td>
+                <td>${escape(entry.user)}</td>
+            </tr>`;
+    }).join('');
+
+    list.innerHTML = `
+        <div class="table-responsive">
+            <table class="table table-sm table-hover align-middle mb-0">
+                <thead>
+                    <tr><th>When</th><th>Operation</th><th>Domain</th><th>Target</th><th class="text-end">Items</th><th class="text-end">OK</th><th class="text-end">Failed</th><th>Outcome</th><th>User</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+async function exportHistory(form, format) {
+    const responseDiv = form.querySelector('#history-response');
+    responseDiv.innerHTML = '';
+    try {
+        const result = await window.audit.export(format, getHistoryFilters(form));
+        if (result.cancelled) return;
+        const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+        responseDiv.innerHTML = `<div class="alert alert-success mb-0"><i class="bi bi-check-circle me-1"></i>Exported ${result.count} operation(s) to ${escape(result.filePath)}</div>`;
+    } catch (error) {
+        errorHandler(error, form.querySelector('#history-summary'), responseDiv);
+    }
+}
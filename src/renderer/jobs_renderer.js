@@ -0,0 +1,181 @@
+// jobs_renderer.js - UI for resuming bulk operations that were interrupted
+
+const JOB_OPERATION_LABELS = {
+    'axios:deleteAssignments': 'Delete Assignments',
+    'axios:resetEmails': 'Reset Communication Channels',
+    'axios:restoreCourses': 'Restore Courses'
+};
+
+function jobsTemplate(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#unfinished-jobs-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'unfinished-jobs-form';
+        form.innerHTML = `
+            <style>
+                #unfinished-jobs-form .card-title { font-size: 1.1rem; }
+                #unfinished-jobs-form .card-header small { font-size: 0.7rem; }
+                #unfinished-jobs-form .card-body { padding: 0.75rem; }
+                #unfinished-jobs-form .btn { padding: 0.25rem 0.5rem; font-size: 0.8rem; }
+                #unfinished-jobs-form table { font-size: 0.85rem; }
+                #unfinished-jobs-form .progress { height: 12px; }
+                #unfinished-jobs-form .alert { padding: 0.5rem 0.75rem; font-size: 0.85rem; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle d-flex justify-content-between align-items-center">
+                    <div>
+                        <h3 class="card-title mb-0 text-dark">
+                            <i class="bi bi-journal-check me-1"></i>Unfinished Jobs
+                        </h3>
+                        <small class="text-muted">Bulk operations that stopped before every item was processed</small>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="jobs-refresh-btn">
+                        <i class="bi bi-arrow-clockwise me-1"></i>Refresh
+                    </button>
+                </div>
+                <div class="card-body">
+                    <div class="form-text text-muted mb-2">
+                        <i class="bi bi-info-circle me-1"></i>
+                        Resuming reruns only the items that were never processed, using the token entered above.
+                    </div>
+                    <div id="jobs-list"></div>
+                    <div id="jobs-progress-div" class="mt-2" hidden>
+                        <p id="jobs-progress-info" class="mb-1"></p>
+                        <div class="progress">
+                            <div class="progress-bar" role="progressbar" style="width: 0%"></div>
+                        </div>
+                    </div>
+                    <div id="jobs-response" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+
+        form.querySelector('#jobs-refresh-btn').addEventListener('click', () => renderUnfinishedJobs(form));
+        form.querySelector('#jobs-list').addEventListener('click', (event) => handleJobAction(event, form));
+    }
+    form.hidden = false;
+
+    renderUnfinishedJobs(form);
+}
+
+async function renderUnfinishedJobs(form) {
+    const list = form.querySelector('#jobs-list');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    let jobs = [];
+    try {
+        jobs = await window.jobs.listUnfinished();
+    } catch (error) {
+        errorHandler(error, form.querySelector('#jobs-response'));
+        return;
+    }
+
+    if (jobs.length === 0) {
+        list.innerHTML = `<div class="alert alert-success mb-0"><i class="bi bi-check-circle me-1"></i>No unfinished jobs.</div>`;
+        return;
+    }
+
+    const rows = jobs.map(job => {
+        const pct = job.total > 0 ? Math.round(((job.total - job.pending) / job.total) * 100) : 0;
+        const stateBadge = job.state === 'cancelled'
+            ? '<span class="badge bg-secondary">Cancelled</span>'
+            : '<span class="badge bg-warning text-dark">Interrupted</span>';
+        return `
+            <tr>
+                <td>${escape(JOB_OPERATION_LABELS[job.operation] || job.operation)}</td>
+                <td>${escape(job.inputs?.domain || '')}</td>
+                <td>${escape(new Date(job.startedAt).toLocaleString())}</td>
+                <td>${stateBadge}</td>
+                <td>
+                    <div class="small">${job.succeeded} done, ${job.failed} failed, <strong>${job.pending} remaining</strong> of ${job.total} (${pct}%)</div>
+                </td>
+                <td class="text-nowrap">
+                    ${job.resumable === false ? '' : `<button type="button" class="btn btn-sm btn-primary" data-action="resume" data-job-id="${escape(job.jobId)}">
+                        <i class="bi bi-play-fill"></i> Resume
+                    </button>`}
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-action="discard" data-job-id="${escape(job.jobId)}">
+                        <i class="bi bi-trash"></i> Discard
+                    </button>
+                </td>
+            </tr>`;
+    }).join('');
+
+    list.innerHTML = `
+        <table class="table table-sm table-hover align-middle mb-0">
+            <thead>
+                <tr><th>Operation</th><th>Domain</th><th>Started</th><th>State</th><th>Progress</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+async function handleJobAction(event, form) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const jobId = button.dataset.jobId;
+    const responseDiv = form.querySelector('#jobs-response');
+    responseDiv.innerHTML = '';
+
+    if (button.dataset.action === 'discard') {
+        if (!confirm('Discard this job? Its remaining items will not be processed.')) return;
+        await window.jobs.discard(jobId);
+        renderUnfinishedJobs(form);
+        return;
+    }
+
+    const job = await window.jobs.get(jobId);
+    const domain = document.querySelector('#domain').value.trim();
+    const token = document.querySelector('#token').value.trim();
+    if (!token) {
+        responseDiv.innerHTML = `<div class="alert alert-warning">Enter an API token for ${job?.inputs?.domain || 'the job\'s domain'} before resuming.</div>`;
+        return;
+    }
+    if (job?.inputs?.domain && domain && job.inputs.domain !== domain) {
+        if (!confirm(`This job was started against ${job.inputs.domain}, but the current domain is ${domain}. The job will run against ${job.inputs.domain} using the current token. Continue?`)) return;
+    }
+
+    const progressDiv = form.querySelector('#jobs-progress-div');
+    const progressBar = progressDiv.querySelector('.progress-bar');
+    const progressInfo = form.querySelector('#jobs-progress-info');
+    progressDiv.hidden = false;
+    progressInfo.textContent = `Resuming ${job?.pending ?? ''} remaining items...`;
+    updateProgressWithPercent(progressBar, 0);
+    form.querySelectorAll('#jobs-list button').forEach(btn => btn.disabled = true);
+
+    const progressUnsub = window.progressAPI?.onUpdateProgress?.((p) => {
+        if (typeof p === 'number') {
+            updateProgressWithPercent(progressBar, p);
+        } else if (p && typeof p.value === 'number') {
+            updateProgressWithPercent(progressBar, p.value * 100);
+            if (p.label) progressInfo.textContent = p.label;
+        }
+    });
+
+    try {
+        const { remaining } = await window.jobs.resume(jobId, token);
+        updateProgressWithPercent(progressBar, 100);
+        responseDiv.innerHTML = `<div class="alert alert-success mb-0"><i class="bi bi-check-circle me-1"></i>Resumed job processed ${remaining} remaining items.</div>`;
+    } catch (error) {
+        errorHandler(error, progressInfo, responseDiv);
+    } finally {
+        if (typeof progressUnsub === 'function') progressUnsub();
+        renderUnfinishedJobs(form);
+    }
+}
+
+// Surface interrupted jobs as soon as the app starts
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const jobs = await window.jobs?.listUnfinished?.();
+        if (Array.isArray(jobs) && jobs.length > 0) {
+            jobsTemplate(null);
+        }
+    } catch (error) {
+        console.warn('Unable to check for unfinished jobs:', error);
+    }
+});
@@ -0,0 +1,253 @@
+// profiles_renderer.js - Saved instance profiles: header switcher, environment badge and manage dialog
+
+const ENVIRONMENT_BADGES = {
+    production: { label: 'PRODUCTION', className: 'bg-danger' },
+    beta: { label: 'BETA', className: 'bg-warning text-dark' },
+    test: { label: 'TEST', className: 'bg-success' }
+};
+
+let savedProfiles = [];
+
+function profileDomain(value) {
+    return String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+}
+
+async function initProfiles() {
+    const select = document.querySelector('#profile-select');
+    if (!select || !window.profiles) return;
+
+    select.addEventListener('change', () => activateProfile(select.value));
+    document.querySelector('#manage-profiles').addEventListener('click', showProfilesModal);
+    // The badge follows the domain actually typed in, not only the selected profile
+    document.querySelector('#domain').addEventListener('input', updateEnvironmentBadge);
+    document.querySelector('#domain').addEventListener('blur', updateEnvironmentBadge);
+
+    window.profiles.onProductionWarning((warning) => {
+        const badge = document.querySelector('#environment-badge');
+        const profile = savedProfiles.find(p => p.domain === profileDomain(warning.domain));
+        if (profile) setEnvironmentBadge(profile);
+        badge.classList.remove('environment-warning');
+        void badge.offsetWidth; // restart the animation
+        badge.classList.add('environment-warning');
+    });
+
+    const { activeId } = await loadProfiles();
+    if (activeId) {
+        await activateProfile(activeId);
+    }
+}
+
+async function loadProfiles() {
+    const select = document.querySelector('#profile-select');
+    let result = { activeId: null, profiles: [] };
+    try {
+        result = await window.profiles.list();
+    } catch (error) {
+        console.error('Failed to load profiles:', error);
+    }
+    savedProfiles = result.profiles;
+
+    const current = select.value || result.activeId || '';
+    select.innerHTML = '<option value="">No profile</option>';
+    savedProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+    select.value = savedProfiles.some(p => p.id === current) ? current : '';
+    updateEnvironmentBadge();
+    return result;
+}
+
+async function activateProfile(id) {
+    const select = document.querySelector('#profile-select');
+    try {
+        const profile = await window.profiles.activate(id || null);
+        if (profile) {
+            document.querySelector('#domain').value = profile.domain;
+            document.querySelector('#token').value = profile.token;
+            const aiToken = document.querySelector('#ai-assistant-token');
+            if (aiToken) aiToken.value = profile.token;
+            if (typeof validateDomainAndToken === 'function') validateDomainAndToken();
+        }
+        select.value = profile ? profile.id : '';
+    } catch (error) {
+        console.error('Failed to switch profile:', error);
+        alert(error.message);
+        select.value = '';
+    }
+    updateEnvironmentBadge();
+}
+
+function updateEnvironmentBadge() {
+    const domain = profileDomain(document.querySelector('#domain').value);
+    const selectedId = document.querySelector('#profile-select').value;
+    const matches = savedProfiles.filter(p => p.domain === domain);
+    setEnvironmentBadge(matches.find(p => p.id === selectedId) || matches[0] || null);
+}
+
+function setEnvironmentBadge(profile) {
+    const badge = document.querySelector('#environment-badge');
+    const style = profile ? ENVIRONMENT_BADGES[profile.environment] : null;
+    badge.hidden = !style;
+    badge.className = `badge ${style ? style.className : ''}`;
+    badge.textContent = style ? style.label : '';
+    badge.title = profile ? `${profile.name} (${profile.domain})` : '';
+}
+
+function showProfilesModal() {
+    const modalId = 'profiles-modal';
+    let modal = document.getElementById(modalId);
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = modalId;
+        modal.className = 'modal fade';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-person-badge me-1"></i>Instance Profiles</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="profiles-list" class="mb-3"></div>
+                        <form id="profile-form" class="border rounded p-2">
+                            <input type="hidden" id="profile-id">
+                            <div class="row g-2">
+                                <div class="col-md-4">
+                                    <label for="profile-name" class="form-label">Name</label>
+                                    <input type="text" class="form-control form-control-sm" id="profile-name" placeholder="district-prod">
+                                </div>
+                                <div class="col-md-5">
+                                    <label for="profile-domain" class="form-label">Domain</label>
+                                    <input type="text" class="form-control form-control-sm" id="profile-domain" placeholder="school.instructure.com">
+                                </div>
+                                <div class="col-md-3">
+                                    <label for="profile-environment" class="form-label">Environment</label>
+                                    <select class="form-select form-select-sm" id="profile-environment">
+                                        <option value="production">Production</option>
+                                        <option value="beta">Beta</option>
+                                        <option value="test">Test</option>
+                                    </select>
+                                </div>
+                                <div class="col-12">
+                                    <label for="profile-token" class="form-label">Token</label>
+                                    <input type="password" class="form-control form-control-sm" id="profile-token" autocomplete="off">
+                                    <div class="form-text" id="profile-token-help">Encrypted with the system keychain before it is stored.</div>
+                                </div>
+                            </div>
+                            <div class="d-flex gap-2 mt-2">
+                                <button type="submit" class="btn btn-sm btn-primary">Save profile</button>
+                                <button type="button" class="btn btn-sm btn-outline-secondary" id="profile-use-current">Use current domain and token</button>
+                                <button type="button" class="btn btn-sm btn-outline-secondary ms-auto" id="profile-clear">New</button>
+                            </div>
+                            <div id="profile-form-status" class="small mt-2"></div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('#profile-form').addEventListener('submit', saveProfileForm);
+        modal.querySelector('#profile-clear').addEventListener('click', () => fillProfileForm(null));
+        modal.querySelector('#profile-use-current').addEventListener('click', () => {
+            modal.querySelector('#profile-domain').value = profileDomain(document.querySelector('#domain').value);
+            modal.querySelector('#profile-token').value = document.querySelector('#token').value.trim();
+        });
+        modal.querySelector('#profiles-list').addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const profile = savedProfiles.find(p => p.id === button.dataset.profileId);
+            if (!profile) return;
+            if (button.dataset.action === 'edit') {
+                fillProfileForm(profile);
+            } else if (button.dataset.action === 'delete') {
+                if (!confirm(`Delete profile "${profile.name}" and its saved token?`)) return;
+                await window.profiles.delete(profile.id);
+                await loadProfiles();
+                renderProfilesList();
+            }
+        });
+    }
+
+    fillProfileForm(null);
+    renderProfilesList();
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+}
+
+function renderProfilesList() {
+    const list = document.querySelector('#profiles-list');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    if (savedProfiles.length === 0) {
+        list.innerHTML = '<div class="alert alert-secondary mb-0">No profiles saved yet.</div>';
+        return;
+    }
+
+    const rows = savedProfiles.map(profile => {
+        const style = ENVIRONMENT_BADGES[profile.environment];
+        return `
+            <tr>
+                <td>${escape(profile.name)}</td>
+                <td>${escape(profile.domain)}</td>
+                <td><span class="badge ${style.className}">${style.label}</span></td>
+                <td>${profile.hasToken ? '<i class="bi bi-lock-fill text-success" title="Token saved"></i>' : ''}</td>
+                <td class="text-nowrap text-end">
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="edit" data-profile-id="${escape(profile.id)}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-profile-id="${escape(profile.id)}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>`;
+    }).join('');
+
+    list.innerHTML = `
+        <table class="table table-sm table-hover align-middle mb-0">
+            <thead><tr><th>Name</th><th>Domain</th><th>Environment</th><th>Token</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function fillProfileForm(profile) {
+    const form = document.querySelector('#profile-form');
+    form.querySelector('#profile-id').value = profile?.id || '';
+    form.querySelector('#profile-name').value = profile?.name || '';
+    form.querySelector('#profile-domain').value = profile?.domain || '';
+    form.querySelector('#profile-environment').value = profile?.environment || 'production';
+    form.querySelector('#profile-token').value = '';
+    form.querySelector('#profile-token-help').textContent = profile
+        ? 'Leave empty to keep the saved token.'
+        : 'Encrypted with the system keychain before it is stored.';
+    form.querySelector('#profile-form-status').textContent = '';
+}
+
+async function saveProfileForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const status = form.querySelector('#profile-form-status');
+
+    try {
+        const saved = await window.profiles.save({
+            id: form.querySelector('#profile-id').value || undefined,
+            name: form.querySelector('#profile-name').value,
+            domain: form.querySelector('#profile-domain').value,
+            environment: form.querySelector('#profile-environment').value,
+            token: form.querySelector('#profile-token').value.trim() || undefined
+        });
+        await loadProfiles();
+        renderProfilesList();
+        fillProfileForm(null);
+        status.className = 'small mt-2 text-success';
+        status.textContent = `Saved "${saved.name}".`;
+    } catch (error) {
+        status.className = 'small mt-2 text-danger';
+        status.textContent = String(error.message || error).replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initProfiles);
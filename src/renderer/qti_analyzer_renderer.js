@@ -48,10 +48,51 @@ function showQTIAnalyzerUI() {
                     </div>
                 </div>
             </div>
+
+            <div class="card mb-4">
+                <div class="card-body">
+                    <h5 class="card-title">Build / Convert QTI Package</h5>
+                    <p class="card-text text-muted">
+                        Write a QTI package from a CSV or JSON question bank, or convert a QTI file between
+                        versions. QTI 1.2 packages are Canvas-flavoured and import as Classic Quizzes or question banks.
+                    </p>
+                    <div class="row g-2 align-items-end">
+                        <div class="col-md-4">
+                            <button id="qti-writer-select" class="btn btn-outline-primary btn-sm w-100">
+                                <i class="bi bi-folder2-open"></i> Select Questions (.csv, .json, .xml, .zip)
+                            </button>
+                        </div>
+                        <div class="col-md-3">
+                            <label for="qti-writer-version" class="form-label small">Output version</label>
+                            <select id="qti-writer-version" class="form-select form-select-sm">
+                                <option value="1.2" selected>QTI 1.2 (Canvas)</option>
+                                <option value="2.1">QTI 2.1</option>
+                            </select>
+                        </div>
+                        <div class="col-md-3">
+                            <label for="qti-writer-title" class="form-label small">Title (optional)</label>
+                            <input id="qti-writer-title" type="text" class="form-control form-control-sm">
+                        </div>
+                        <div class="col-md-2">
+                            <button id="qti-writer-build" class="btn btn-primary btn-sm w-100" disabled>
+                                <i class="bi bi-box-seam"></i> Build Package
+                            </button>
+                        </div>
+                    </div>
+                    <div class="mt-2 text-muted small">
+                        <i class="bi bi-info-circle"></i> CSV columns: type, title, points, question, answer_1..n,
+                        correct, match_1..n, tolerance, feedback, correct_feedback, incorrect_feedback, image
+                    </div>
+                    <div id="qti-writer-source" class="small mt-2"></div>
+                    <div id="qti-writer-result" class="mt-3"></div>
+                </div>
+            </div>
             <div id="qti-results"></div>
         </div>
     `;
 
+    setupQtiWriter();
+
     // Standard Analysis
     const selectButton = document.getElementById('select-qti-file');
     selectButton.addEventListener('click', async () => {
@@ -98,6 +139,7 @@ function displayQtiAnalysisResults(analysis, filePath) {
     const html = `
         <div class="qti-analysis-results">
             ${renderCompatibilityOverview(analysis)}
+            ${renderSendToCanvas(analysis, filePath)}
             ${renderCanvasImportReadiness(analysis)}
             ${renderMetadata(analysis)}
             ${renderValidation(analysis)}
@@ -168,6 +210,209 @@ function displayQtiAnalysisResults(analysis, filePath) {
     }
 
     // Note: Identifier fixes are now handled by the combined 'Fix All Issues' button above
+
+    if (filePath) {
+        setupSendToCanvas(filePath);
+    }
+}
+
+function setupQtiWriter() {
+    const selectButton = document.getElementById('qti-writer-select');
+    const buildButton = document.getElementById('qti-writer-build');
+    const sourceDiv = document.getElementById('qti-writer-source');
+    const resultDiv = document.getElementById('qti-writer-result');
+    let sourcePath = null;
+
+    selectButton.addEventListener('click', async () => {
+        try {
+            const result = await window.ipcRenderer.invoke('qti:selectQuestionSource');
+            if (result.canceled) return;
+            sourcePath = result.filePath;
+            sourceDiv.innerHTML = `<i class="bi bi-file-earmark-text"></i> <code>${escapeHtml(sourcePath)}</code>`;
+            resultDiv.innerHTML = '';
+            buildButton.disabled = false;
+        } catch (error) {
+            resultDiv.innerHTML = `<div class="alert alert-danger mb-0">${escapeHtml(error.message)}</div>`;
+        }
+    });
+
+    buildButton.addEventListener('click', async () => {
+        if (!sourcePath) return;
+        buildButton.disabled = true;
+        resultDiv.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm"></span> Building package...</div>';
+        try {
+            const result = await window.ipcRenderer.invoke('qti:writePackage', {
+                sourcePath,
+                version: document.getElementById('qti-writer-version').value,
+                title: document.getElementById('qti-writer-title').value.trim()
+            });
+            resultDiv.innerHTML = result.canceled ? '' : renderQtiWriterResult(result);
+        } catch (error) {
+            resultDiv.innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-exclamation-triangle-fill"></i> ${escapeHtml(error.message)}</div>`;
+        } finally {
+            buildButton.disabled = false;
+        }
+    });
+}
+
+function renderQtiWriterResult(result) {
+    const notes = [
+        ...result.skipped.map(s => `Skipped <strong>${escapeHtml(s.title || s.id || `question ${s.index + 1}`)}</strong>: ${escapeHtml(s.reason)}`),
+        ...result.warnings.map(w => `<strong>${escapeHtml(w.title || w.id)}</strong>: ${escapeHtml(w.warning)}`),
+        ...result.missingMedia.map(m => `Media file not found: <code>${escapeHtml(m)}</code>`)
+    ];
+
+    return `
+        <div class="alert alert-${notes.length > 0 ? 'warning' : 'success'} mb-0">
+            <i class="bi bi-check-circle-fill"></i>
+            Wrote ${result.questionCount} question${result.questionCount === 1 ? '' : 's'} as QTI ${escapeHtml(result.version)}
+            to <code>${escapeHtml(result.filePath)}</code>
+            ${notes.length > 0 ? `<ul class="small mb-0 mt-2">${notes.map(n => `<li>${n}</li>`).join('')}</ul>` : ''}
+        </div>
+    `;
+}
+
+function renderSendToCanvas(analysis, filePath) {
+    if (!filePath) return '';
+    const isQti21 = String(analysis.metadata?.version || '').startsWith('2');
+
+    return `
+        <div class="card mb-3">
+            <div class="card-header">
+                <h5 class="mb-0"><i class="bi bi-cloud-upload"></i> Send to Canvas</h5>
+            </div>
+            <div class="card-body">
+                <p class="small text-muted">
+                    Imports this package into a course as a QTI content migration. The same fixes as
+                    <em>Fix All Issues</em> are applied first; the file on disk is not changed.
+                    Uses the domain and token entered above.
+                </p>
+                <div class="row g-2 align-items-end">
+                    <div class="col-md-3">
+                        <label for="qti-send-course" class="form-label small">Course ID</label>
+                        <input id="qti-send-course" type="text" class="form-control form-control-sm" placeholder="e.g. 1234 or sis_course_id:BIO101">
+                    </div>
+                    <div class="col-md-4">
+                        <label for="qti-send-bank" class="form-label small">Question bank name (optional)</label>
+                        <input id="qti-send-bank" type="text" class="form-control form-control-sm">
+                    </div>
+                    <div class="col-md-3">
+                        <div class="form-check form-switch mb-1">
+                            <input id="qti-send-new-quiz" class="form-check-input" type="checkbox" ${isQti21 ? 'checked' : ''}>
+                            <label for="qti-send-new-quiz" class="form-check-label small">Import as New Quiz</label>
+                        </div>
+                    </div>
+                    <div class="col-md-2">
+                        <button id="qti-send-to-canvas" class="btn btn-primary btn-sm w-100">
+                            <i class="bi bi-send"></i> Send to Canvas
+                        </button>
+                    </div>
+                </div>
+                <div id="qti-send-progress" class="progress mt-3" style="height: 20px;" hidden>
+                    <div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" style="width: 0%">Uploading...</div>
+                </div>
+                <div id="qti-send-result" class="mt-3"></div>
+            </div>
+        </div>
+    `;
+}
+
+function setupSendToCanvas(filePath) {
+    const button = document.getElementById('qti-send-to-canvas');
+    if (!button) return;
+
+    button.addEventListener('click', async () => {
+        const domain = document.querySelector('#domain').value.trim();
+        const token = document.querySelector('#token').value.trim();
+        const courseId = document.getElementById('qti-send-course').value.trim();
+        const resultDiv = document.getElementById('qti-send-result');
+        const progressDiv = document.getElementById('qti-send-progress');
+        const bar = progressDiv.querySelector('.progress-bar');
+
+        if (!domain || !token) {
+            resultDiv.innerHTML = '<div class="alert alert-warning mb-0">Enter your Canvas domain and API token first.</div>';
+            return;
+        }
+        if (!courseId) {
+            resultDiv.innerHTML = '<div class="alert alert-warning mb-0">Enter the ID of the course to import into.</div>';
+            return;
+        }
+
+        button.disabled = true;
+        resultDiv.innerHTML = '';
+        progressDiv.hidden = false;
+        bar.style.width = '0%';
+        bar.textContent = 'Uploading...';
+        const unsubscribe = window.progressAPI.onQtiImportProgress((progress) => {
+            const completion = Math.round(progress.completion || 0);
+            bar.style.width = `${progress.stage === 'uploading' ? 5 : Math.max(5, completion)}%`;
+            bar.textContent = progress.stage === 'uploading' ? 'Uploading...' : `Importing... ${completion}%`;
+        });
+
+        try {
+            const result = await window.ipcRenderer.invoke('qti:sendToCanvas', {
+                filePath,
+                domain,
+                token,
+                courseId,
+                importAsNewQuiz: document.getElementById('qti-send-new-quiz').checked,
+                questionBankName: document.getElementById('qti-send-bank').value.trim()
+            });
+            resultDiv.innerHTML = renderMigrationResult(result);
+            const importsLink = resultDiv.querySelector('#qti-open-imports');
+            if (importsLink) {
+                importsLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    window.shell.openExternal(result.importsUrl);
+                });
+            }
+        } catch (error) {
+            resultDiv.innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-exclamation-triangle-fill"></i> ${escapeHtml(error.message)}</div>`;
+        } finally {
+            unsubscribe();
+            progressDiv.hidden = true;
+            button.disabled = false;
+        }
+    });
+}
+
+const MIGRATION_ISSUE_BADGES = { error: 'danger', warning: 'warning', todo: 'info' };
+
+function renderMigrationResult(result) {
+    const state = result.workflowState;
+    const failed = state === 'failed';
+    const alertClass = failed ? 'danger' : result.issues.length > 0 ? 'warning' : 'success';
+    const summary = failed
+        ? 'Canvas could not import the package.'
+        : `Imported into the course${result.migration.settings?.import_quizzes_next ? ' as a New Quiz' : ''}.`;
+    const link = result.importsUrl
+        ? ' <a href="#" id="qti-open-imports">View the course\'s imports</a>'
+        : '';
+    const fixed = result.fixes.length > 0
+        ? `<div class="small text-muted mt-1">Fixed before upload: ${result.fixes.map(f => `<code>${escapeHtml(f.filename)}</code>`).join(', ')}</div>`
+        : '';
+
+    const issues = result.issues.length > 0 ? `
+        <h6 class="mt-3">Migration Issues (${result.issues.length})</h6>
+        <ul class="list-group list-group-flush">
+            ${result.issues.map(issue => `
+                <li class="list-group-item">
+                    <span class="badge bg-${MIGRATION_ISSUE_BADGES[issue.issue_type] || 'secondary'} me-2">${escapeHtml(issue.issue_type)}</span>
+                    <strong>${escapeHtml(issue.description)}</strong>
+                    ${issue.error_message ? `<div class="text-muted small">${escapeHtml(issue.error_message)}</div>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    ` : '';
+
+    return `
+        <div class="alert alert-${alertClass} mb-0">
+            <i class="bi bi-${failed ? 'x-circle-fill' : 'check-circle-fill'}"></i>
+            <strong>Migration ${escapeHtml(String(result.migration.id))}: ${escapeHtml(state)}.</strong> ${summary}${link}
+            ${fixed}
+        </div>
+        ${issues}
+    `;
 }
 
 function renderCompatibilityOverview(analysis) {
@@ -399,6 +399,19 @@ function routeEndpointRequest(e, category) {
                 aiAssistantTemplate(e);
             }
             break;
+        case 'jobs':
+            if (e.target.id === 'undo-deletions' && typeof undoTemplate === 'function') {
+                undoTemplate(e);
+            } else if (e.target.id === 'operation-history' && typeof historyTemplate === 'function') {
+                historyTemplate(e);
+            } else if (e.target.id === 'scheduled-operations' && typeof schedulesTemplate === 'function') {
+                schedulesTemplate(e);
+            } else if (e.target.id === 'workflow-builder' && typeof workflowsTemplate === 'function') {
+                workflowsTemplate(e);
+            } else if (typeof jobsTemplate === 'function') {
+                jobsTemplate(e);
+            }
+            break;
         default:
             console.warn('No template function found for category:', normalizedCategory);
             break;
@@ -0,0 +1,348 @@
+// schedules_renderer.js - Schedule catalog operations to run once or on a cron recurrence
+
+const SCHEDULE_OUTCOME_BADGES = {
+    success: 'bg-success',
+    partial: 'bg-warning text-dark',
+    failed: 'bg-danger',
+    error: 'bg-danger',
+    missed: 'bg-secondary',
+    preview: 'bg-info text-dark'
+};
+
+let schedulesUnsubscribe = null;
+
+function schedulesTemplate(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#scheduled-operations-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'scheduled-operations-form';
+        form.innerHTML = `
+            <style>
+                #scheduled-operations-form .card-title { font-size: 1.1rem; }
+                #scheduled-operations-form .card-header small { font-size: 0.7rem; }
+                #scheduled-operations-form .card-body { padding: 0.75rem; }
+                #scheduled-operations-form .btn { padding: 0.25rem 0.5rem; font-size: 0.8rem; }
+                #scheduled-operations-form .form-label { font-size: 0.8rem; margin-bottom: 0.1rem; }
+                #scheduled-operations-form table { font-size: 0.85rem; }
+                #scheduled-operations-form .alert { padding: 0.5rem 0.75rem; font-size: 0.85rem; }
+            </style>
+            <div class="card mb-2">
+                <div class="card-header bg-secondary-subtle d-flex justify-content-between align-items-center">
+                    <div>
+                        <h3 class="card-title mb-0 text-dark">
+                            <i class="bi bi-alarm me-1"></i>Scheduled Operations
+                        </h3>
+                        <small class="text-muted">Run operations at a set time or on a recurrence while the app is open or in the tray</small>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="schedules-refresh-btn">
+                        <i class="bi bi-arrow-clockwise me-1"></i>Refresh
+                    </button>
+                </div>
+                <div class="card-body">
+                    <div id="schedules-list"></div>
+                </div>
+            </div>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark" id="schedule-editor-title">New Schedule</h3>
+                </div>
+                <div class="card-body">
+                    <input type="hidden" id="schedule-id">
+                    <div class="row g-2">
+                        <div class="col-md-4">
+                            <label for="schedule-name" class="form-label">Name</label>
+                            <input type="text" class="form-control form-control-sm" id="schedule-name" placeholder="Nightly module relock">
+                        </div>
+                        <div class="col-md-4">
+                            <label for="schedule-operation" class="form-label">Operation</label>
+                            <select class="form-select form-select-sm" id="schedule-operation"></select>
+                        </div>
+                        <div class="col-md-4">
+                            <label for="schedule-profile" class="form-label">Profile</label>
+                            <select class="form-select form-select-sm" id="schedule-profile"></select>
+                        </div>
+                        <div class="col-12">
+                            <div class="form-text" id="schedule-operation-description"></div>
+                        </div>
+                        <div class="col-12">
+                            <div class="row g-2" id="schedule-params"></div>
+                        </div>
+                        <div class="col-12">
+                            <label for="schedule-extra-params" class="form-label">Other parameters (JSON, optional)</label>
+                            <textarea class="form-control form-control-sm font-monospace" id="schedule-extra-params" rows="2" placeholder='{"queryType": "list"}'></textarea>
+                        </div>
+                        <div class="col-md-3">
+                            <label class="form-label d-block">When</label>
+                            <div class="form-check form-check-inline">
+                                <input class="form-check-input" type="radio" name="schedule-type" id="schedule-type-once" value="once" checked>
+                                <label class="form-check-label" for="schedule-type-once">Once</label>
+                            </div>
+                            <div class="form-check form-check-inline">
+                                <input class="form-check-input" type="radio" name="schedule-type" id="schedule-type-cron" value="cron">
+                                <label class="form-check-label" for="schedule-type-cron">Recurring</label>
+                            </div>
+                        </div>
+                        <div class="col-md-5" id="schedule-once-group">
+                            <label for="schedule-run-at" class="form-label">Run at</label>
+                            <input type="datetime-local" class="form-control form-control-sm" id="schedule-run-at">
+                        </div>
+                        <div class="col-md-5" id="schedule-cron-group" hidden>
+                            <label for="schedule-cron" class="form-label">Cron expression (minute hour day month weekday)</label>
+                            <input type="text" class="form-control form-control-sm font-monospace" id="schedule-cron" placeholder="0 2 * * mon-fri">
+                            <div class="form-text">e.g. <code>0 2 * * *</code> every night at 2:00, <code>*/30 8-17 * * mon-fri</code> every half hour during work hours, <code>@weekly</code></div>
+                        </div>
+                        <div class="col-md-4 d-flex align-items-end justify-content-end gap-1">
+                            <button type="button" class="btn btn-sm btn-outline-secondary" id="schedule-clear-btn">Clear</button>
+                            <button type="button" class="btn btn-sm btn-primary" id="schedule-save-btn">
+                                <i class="bi bi-save me-1"></i>Save Schedule
+                            </button>
+                        </div>
+                    </div>
+                    <div id="schedules-response" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+
+        form.addEventListener('submit', (event) => event.preventDefault());
+        form.querySelector('#schedules-refresh-btn').addEventListener('click', () => renderSchedules(form));
+        form.querySelector('#schedule-operation').addEventListener('change', () => renderScheduleParams(form, {}));
+        form.querySelectorAll('input[name="schedule-type"]').forEach(radio => {
+            radio.addEventListener('change', () => toggleScheduleType(form));
+        });
+        form.querySelector('#schedule-clear-btn').addEventListener('click', () => fillScheduleEditor(form, null));
+        form.querySelector('#schedule-save-btn').addEventListener('click', () => saveSchedule(form));
+
+        if (!schedulesUnsubscribe && window.schedules?.onChanged) {
+            schedulesUnsubscribe = window.schedules.onChanged(() => {
+                if (!form.hidden) renderSchedules(form);
+            });
+        }
+    }
+    form.hidden = false;
+
+    renderSchedules(form);
+}
+
+function toggleScheduleType(form) {
+    const recurring = form.querySelector('#schedule-type-cron').checked;
+    form.querySelector('#schedule-once-group').hidden = recurring;
+    form.querySelector('#schedule-cron-group').hidden = !recurring;
+}
+
+function renderScheduleParams(form, values) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const select = form.querySelector('#schedule-operation');
+    const operation = (form._scheduleOperations || []).find(op => op.name === select.value);
+    form.querySelector('#schedule-operation-description').innerHTML = operation
+        ? `${escape(operation.description)}${operation.mutating ? ' <span class="badge bg-warning text-dark">Changes data</span>' : ''}`
+        : '';
+
+    const params = operation?.requiredParams || [];
+    form.querySelector('#schedule-params').innerHTML = params.map(param => {
+        const value = Array.isArray(values[param]) ? values[param].join(', ') : values[param];
+        const hint = /Ids$/.test(param) ? ' <span class="text-muted">(comma separated)</span>' : '';
+        return `
+            <div class="col-md-4">
+                <label class="form-label" for="schedule-param-${escape(param)}">${escape(param)}${hint}</label>
+                <input type="text" class="form-control form-control-sm" id="schedule-param-${escape(param)}" data-param="${escape(param)}" value="${escape(value)}">
+            </div>`;
+    }).join('');
+
+    const required = new Set(params);
+    const extra = Object.fromEntries(Object.entries(values).filter(([key]) => !required.has(key)));
+    form.querySelector('#schedule-extra-params').value = Object.keys(extra).length > 0 ? JSON.stringify(extra) : '';
+}
+
+// datetime-local wants local time without a zone
+function toLocalInputValue(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function fillScheduleEditor(form, schedule) {
+    form.querySelector('#schedule-editor-title').textContent = schedule ? `Edit "${schedule.name}"` : 'New Schedule';
+    form.querySelector('#schedule-id').value = schedule?.id || '';
+    form.querySelector('#schedule-name').value = schedule?.name || '';
+    if (schedule) {
+        form.querySelector('#schedule-operation').value = schedule.operation;
+        form.querySelector('#schedule-profile').value = schedule.profileId;
+    }
+    form.querySelector(schedule?.type === 'cron' ? '#schedule-type-cron' : '#schedule-type-once').checked = true;
+    form.querySelector('#schedule-run-at').value = toLocalInputValue(schedule?.runAt);
+    form.querySelector('#schedule-cron').value = schedule?.cron || '';
+    toggleScheduleType(form);
+    renderScheduleParams(form, schedule?.parameters || {});
+    form.querySelector('#schedules-response').innerHTML = '';
+}
+
+function getScheduleInput(form) {
+    const parameters = {};
+    const extraText = form.querySelector('#schedule-extra-params').value.trim();
+    if (extraText) {
+        let extra;
+        try {
+            extra = JSON.parse(extraText);
+        } catch (error) {
+            throw new Error(`Other parameters are not valid JSON: ${error.message}`);
+        }
+        if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+            throw new Error('Other parameters must be a JSON object');
+        }
+        Object.assign(parameters, extra);
+    }
+    form.querySelectorAll('#schedule-params input[data-param]').forEach(input => {
+        const value = input.value.trim();
+        parameters[input.dataset.param] = /Ids$/.test(input.dataset.param)
+            ? value.split(/[\s,]+/).filter(Boolean)
+            : value;
+    });
+
+    const type = form.querySelector('#schedule-type-cron').checked ? 'cron' : 'once';
+    const runAt = form.querySelector('#schedule-run-at').value;
+    return {
+        id: form.querySelector('#schedule-id').value || undefined,
+        name: form.querySelector('#schedule-name').value.trim(),
+        operation: form.querySelector('#schedule-operation').value,
+        profileId: form.querySelector('#schedule-profile').value,
+        parameters,
+        type,
+        runAt: type === 'once' && runAt ? new Date(runAt).toISOString() : null,
+        cron: type === 'cron' ? form.querySelector('#schedule-cron').value.trim() : null
+    };
+}
+
+async function saveSchedule(form) {
+    const responseDiv = form.querySelector('#schedules-response');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    responseDiv.innerHTML = '';
+    try {
+        const result = await window.schedules.save(getScheduleInput(form));
+        if (result.cancelled) return;
+        const next = result.schedule.nextRunAt ? new Date(result.schedule.nextRunAt).toLocaleString() : 'never';
+        fillScheduleEditor(form, null);
+        responseDiv.innerHTML = `<div class="alert alert-success mb-0"><i class="bi bi-check-circle me-1"></i>Saved "${escape(result.schedule.name)}". Next run: ${escape(next)}</div>`;
+        await renderSchedules(form);
+    } catch (error) {
+        errorHandler(error, form.querySelector('#schedule-editor-title'), responseDiv);
+    }
+}
+
+async function renderSchedules(form) {
+    const list = form.querySelector('#schedules-list');
+    const responseDiv = form.querySelector('#schedules-response');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    let result;
+    let profileResult;
+    try {
+        [result, profileResult] = await Promise.all([window.schedules.list(), window.profiles.list()]);
+    } catch (error) {
+        errorHandler(error, list, responseDiv);
+        return;
+    }
+
+    const profiles = profileResult.profiles || [];
+    const profileNames = Object.fromEntries(profiles.map(p => [p.id, `${p.name} (${p.environment})`]));
+
+    // Fill the editor's dropdowns once; keep the current selection on refresh
+    form._scheduleOperations = result.operations;
+    const operationSelect = form.querySelector('#schedule-operation');
+    if (operationSelect.options.length === 0) {
+        operationSelect.innerHTML = result.operations
+            .map(op => `<option value="${escape(op.name)}">${escape(op.name)}</option>`)
+            .join('');
+        operationSelect.value = result.operations.some(op => op.name === 'check-unconfirmed-emails') ? 'check-unconfirmed-emails' : operationSelect.value;
+        renderScheduleParams(form, {});
+    }
+    const profileSelect = form.querySelector('#schedule-profile');
+    const currentProfile = profileSelect.value;
+    profileSelect.innerHTML = profiles.length > 0
+        ? profiles.map(p => `<option value="${escape(p.id)}">${escape(profileNames[p.id])}</option>`).join('')
+        : '<option value="">Save a profile first (header)</option>';
+    if (profiles.some(p => p.id === currentProfile)) profileSelect.value = currentProfile;
+
+    if (result.schedules.length === 0) {
+        list.innerHTML = `<div class="alert alert-secondary mb-0">No schedules yet. Schedules run with a saved profile's domain and token.</div>`;
+        return;
+    }
+
+    const rows = result.schedules.map(schedule => {
+        const isRunning = result.running.includes(schedule.id);
+        const when = schedule.type === 'cron'
+            ? `<code>${escape(schedule.cron)}</code>`
+            : escape(new Date(schedule.runAt).toLocaleString());
+        const next = schedule.enabled && schedule.nextRunAt ? escape(new Date(schedule.nextRunAt).toLocaleString()) : '<span class="text-muted">-</span>';
+        const last = schedule.lastRunAt || schedule.lastOutcome
+            ? `<span class="badge ${SCHEDULE_OUTCOME_BADGES[schedule.lastOutcome] || 'bg-secondary'}">${escape(schedule.lastOutcome)}</span>
+               <div class="small text-muted">${schedule.lastRunAt ? escape(new Date(schedule.lastRunAt).toLocaleString()) : ''} ${escape(schedule.lastMessage)}</div>`
+            : '<span class="text-muted">Never run</span>';
+        return `
+            <tr data-id="${escape(schedule.id)}">
+                <td>
+                    <div class="form-check form-switch mb-0">
+                        <input class="form-check-input schedule-enabled" type="checkbox" ${schedule.enabled ? 'checked' : ''} title="Enabled">
+                    </div>
+                </td>
+                <td>${escape(schedule.name)}${schedule.allowProduction ? ' <span class="badge bg-danger">Production</span>' : ''}</td>
+                <td>${escape(schedule.operation)}</td>
+                <td>${escape(profileNames[schedule.profileId] || 'Missing profile')}</td>
+                <td>${when}</td>
+                <td class="text-nowrap">${isRunning ? '<span class="spinner-border spinner-border-sm me-1"></span>Running' : next}</td>
+                <td>${last}</td>
+                <td class="text-nowrap text-end">
+                    <button type="button" class="btn btn-sm btn-outline-success schedule-run-btn" ${isRunning ? 'disabled' : ''} title="Run now"><i class="bi bi-play-fill"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary schedule-edit-btn" title="Edit"><i class="bi bi-pencil"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline-danger schedule-delete-btn" title="Delete"><i class="bi bi-trash"></i></button>
+                </td>
+            </tr>`;
+    }).join('');
+
+    list.innerHTML = `
+        <div class="table-responsive">
+            <table class="table table-sm table-hover align-middle mb-0">
+                <thead>
+                    <tr><th>On</th><th>Name</th><th>Operation</th><th>Profile</th><th>When</th><th>Next run</th><th>Last run</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+
+    list.querySelectorAll('tr[data-id]').forEach(row => {
+        const schedule = result.schedules.find(s => s.id === row.dataset.id);
+        row.querySelector('.schedule-enabled').addEventListener('change', async (event) => {
+            try {
+                await window.schedules.setEnabled(schedule.id, event.target.checked);
+            } catch (error) {
+                event.target.checked = !event.target.checked;
+                errorHandler(error, list, responseDiv);
+            }
+            renderSchedules(form);
+        });
+        row.querySelector('.schedule-run-btn').addEventListener('click', async () => {
+            responseDiv.innerHTML = '';
+            try {
+                const summary = await window.schedules.runNow(schedule.id);
+                responseDiv.innerHTML = `<div class="alert ${summary.outcome === 'success' ? 'alert-success' : 'alert-warning'} mb-0">"${escape(schedule.name)}": ${escape(summary.message)}</div>`;
+            } catch (error) {
+                errorHandler(error, list, responseDiv);
+            }
+            renderSchedules(form);
+        });
+        row.querySelector('.schedule-edit-btn').addEventListener('click', () => fillScheduleEditor(form, schedule));
+        row.querySelector('.schedule-delete-btn').addEventListener('click', async () => {
+            if (!confirm(`Delete the schedule "${schedule.name}"?`)) return;
+            try {
+                await window.schedules.delete(schedule.id);
+            } catch (error) {
+                errorHandler(error, list, responseDiv);
+            }
+            renderSchedules(form);
+        });
+    });
+}
@@ -6,6 +6,15 @@ function sisImportsTemplate(e) {
         case 'create-bulk-sis-files':
             createBulkSISFiles(e);
             break;
+        case 'validate-sis-files':
+            validateSISFiles(e);
+            break;
+        case 'sis-import-history':
+            sisImportHistory(e);
+            break;
+        case 'export-sis-from-canvas':
+            exportSISFromCanvas(e);
+            break;
         default:
             break;
     }
@@ -2472,6 +2481,174 @@ async function createSingleSISFile(e) {
     }
 }
 
+// Files the Submit to Canvas panel sends: { folderPath, fileNames }
+let sisSubmitSource = null;
+
+function showSisSubmitPanel(folderPath, fileNames) {
+    sisSubmitSource = { folderPath, fileNames };
+    document.getElementById('bulk-submit-container').hidden = fileNames.length === 0;
+    document.getElementById('sis-submit-result').innerHTML = '';
+}
+
+function setupSisSubmitPanel() {
+    const batch = document.getElementById('sis-submit-batch');
+    const override = document.getElementById('sis-submit-override');
+    batch.addEventListener('change', () => {
+        document.getElementById('sis-submit-batch-term').hidden = !batch.checked;
+        document.getElementById('sis-submit-batch-warning').hidden = !batch.checked;
+    });
+    override.addEventListener('change', () => {
+        document.getElementById('sis-submit-stickiness').hidden = !override.checked;
+    });
+    document.getElementById('sis-submit-cancel').addEventListener('click', async (e) => {
+        e.currentTarget.disabled = true;
+        await window.electronAPI.cancelSubmitSISImport();
+    });
+
+    document.getElementById('sis-submit-button').addEventListener('click', async () => {
+        const button = document.getElementById('sis-submit-button');
+        const resultDiv = document.getElementById('sis-submit-result');
+        const progressDiv = document.getElementById('sis-submit-progress');
+        const bar = progressDiv.querySelector('.progress-bar');
+        const domain = document.querySelector('#domain').value.trim();
+        const token = document.querySelector('#token').value.trim();
+
+        if (!domain || !token) {
+            resultDiv.innerHTML = '<div class="alert alert-warning mb-0">Enter your Canvas domain and API token first.</div>';
+            return;
+        }
+        if (!sisSubmitSource) return;
+
+        const cancelButton = document.getElementById('sis-submit-cancel');
+        button.disabled = true;
+        cancelButton.disabled = false;
+        cancelButton.hidden = false;
+        resultDiv.innerHTML = '';
+        progressDiv.hidden = false;
+        bar.style.width = '0%';
+        bar.textContent = 'Uploading...';
+        const unsubscribe = window.progressAPI.onSisImportProgress((progress) => {
+            bar.style.width = `${Math.max(5, progress.progress || 0)}%`;
+            bar.textContent = `${progress.workflowState} ${progress.progress || 0}%`;
+        });
+
+        try {
+            const result = await window.electronAPI.submitSISImport({
+                domain,
+                token,
+                accountId: document.getElementById('sis-submit-account').value.trim(),
+                folderPath: sisSubmitSource.folderPath,
+                fileNames: sisSubmitSource.fileNames,
+                options: {
+                    batchMode: batch.checked,
+                    batchModeTermId: document.getElementById('sis-submit-batch-term').value.trim(),
+                    diffingDataSetIdentifier: document.getElementById('sis-submit-diffing').value.trim(),
+                    diffingRemasterDataSet: document.getElementById('sis-submit-remaster').checked,
+                    overrideSisStickiness: override.checked,
+                    addSisStickiness: document.getElementById('sis-submit-add-sticky').checked,
+                    clearSisStickiness: document.getElementById('sis-submit-clear-sticky').checked,
+                    changeThreshold: document.getElementById('sis-submit-threshold').value
+                }
+            });
+            if (result?.dryRun) {
+                const batchNote = batch.checked ? ' in batch mode' : '';
+                resultDiv.innerHTML = `<div class="alert alert-info mb-0">Dry run: ${result.count} file(s) would be imported${batchNote}. Nothing was sent to Canvas.</div>`;
+                return;
+            }
+            resultDiv.innerHTML = result.cancelled ? renderSisImportCancelled(result) : renderSisImportResult(result);
+            const pageLink = resultDiv.querySelector('#sis-open-import-page');
+            if (pageLink) {
+                pageLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    window.shell.openExternal(result.importPageUrl);
+                });
+            }
+        } catch (error) {
+            resultDiv.innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-exclamation-triangle-fill me-1"></i>${escapeHtml(error.message)}</div>`;
+        } finally {
+            unsubscribe();
+            progressDiv.hidden = true;
+            cancelButton.hidden = true;
+            button.disabled = false;
+        }
+    });
+}
+
+function renderSisImportCancelled(result) {
+    const link = result.importPageUrl ? ' <a href="#" id="sis-open-import-page">Open the SIS Import page</a>' : '';
+    return `
+        <div class="alert alert-info mb-0">
+            Stopped waiting for SIS import ${escapeHtml(String(result.sisImport.id))}, which was <strong>${escapeHtml(result.workflowState)}</strong>.
+            Canvas is still running it; check its result on the account's SIS Import page.${link}
+        </div>
+    `;
+}
+
+function renderSisImportResult(result) {
+    const state = result.workflowState;
+    const failed = /^failed|aborted/.test(state);
+    const messages = [
+        ...result.errors.map(m => ({ ...m, kind: 'error' })),
+        ...result.warnings.map(m => ({ ...m, kind: 'warning' }))
+    ];
+    const alertClass = failed ? 'danger' : messages.length > 0 ? 'warning' : 'success';
+    const counts = Object.entries(result.counts || {})
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => `${escapeHtml(type)}: ${count}`)
+        .join(', ');
+    const link = result.importPageUrl ? ' <a href="#" id="sis-open-import-page">Open the SIS Import page</a>' : '';
+
+    // The row's SIS IDs are enough to recognise it; the full row is in the tooltip
+    const rowSummary = (row) => {
+        if (!row) return '';
+        const ids = Object.entries(row).filter(([column, value]) => value && /(^|_)id$/.test(column)).slice(0, 3);
+        const full = Object.entries(row).map(([column, value]) => `${column}: ${value}`).join('\n');
+        return `<span title="${escapeHtml(full)}">${ids.map(([column, value]) => `<code>${escapeHtml(column)}=${escapeHtml(value)}</code>`).join(' ')}</span>`;
+    };
+    const table = messages.length > 0 ? `
+        <div class="table-responsive mt-3">
+            <table class="table table-sm align-middle">
+                <thead>
+                    <tr><th></th><th>File</th><th>Line</th><th>Message</th><th>Row</th></tr>
+                </thead>
+                <tbody>
+                    ${messages.map(m => `
+                        <tr>
+                            <td><span class="badge bg-${m.kind === 'error' ? 'danger' : 'warning text-dark'}">${m.kind}</span></td>
+                            <td><code>${escapeHtml(m.file)}</code></td>
+                            <td>${m.line ?? '<span class="text-muted">—</span>'}</td>
+                            <td class="small">${escapeHtml(m.message)}</td>
+                            <td class="small">${rowSummary(m.row)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    ` : '';
+
+    return `
+        <div class="alert alert-${alertClass} mb-0">
+            SIS import ${escapeHtml(String(result.sisImport.id))} finished as <strong>${escapeHtml(state)}</strong>
+            with ${result.errors.length} error${result.errors.length === 1 ? '' : 's'} and ${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}.${link}
+            ${counts ? `<div class="small mt-1">Rows processed: ${counts}</div>` : ''}
+        </div>
+        ${table}
+    `;
+}
+
+// File types offered by the bulk form, in the order Canvas resolves their references
+const BULK_FILE_TYPES = [
+    { id: 'accounts', type: 'accounts' },
+    { id: 'terms', type: 'terms' },
+    { id: 'users', type: 'users' },
+    { id: 'courses', type: 'courses' },
+    { id: 'sections', type: 'sections' },
+    { id: 'enrollments', type: 'enrollments' },
+    { id: 'group-categories', type: 'group_categories' },
+    { id: 'groups', type: 'groups' },
+    { id: 'group-memberships', type: 'group_memberships' }
+];
+
 async function createBulkSISFiles(e) {
     hideEndpoints(e);
 
@@ -2578,10 +2755,66 @@ async function createBulkSISFiles(e) {
                                         <small class="text-muted">Student and teacher enrollments</small>
                                     </div>
                                 </div>
+                                <div class="row mb-2">
+                                    <div class="col-1">
+                                        <input type="checkbox" id="include-group-categories" class="form-check-input">
+                                    </div>
+                                    <div class="col-3">
+                                        <label for="include-group-categories" class="form-check-label">Group Categories</label>
+                                    </div>
+                                    <div class="col-3">
+                                        <input type="number" id="group-categories-count" class="form-control form-control-sm" min="1" max="1000" value="5">
+                                    </div>
+                                    <div class="col-5">
+                                        <small class="text-muted">Group sets in the generated courses</small>
+                                    </div>
+                                </div>
+                                <div class="row mb-2">
+                                    <div class="col-1">
+                                        <input type="checkbox" id="include-groups" class="form-check-input">
+                                    </div>
+                                    <div class="col-3">
+                                        <label for="include-groups" class="form-check-label">Groups</label>
+                                    </div>
+                                    <div class="col-3">
+                                        <input type="number" id="groups-count" class="form-control form-control-sm" min="1" max="10000" value="20">
+                                    </div>
+                                    <div class="col-5">
+                                        <small class="text-muted">Groups within the group categories</small>
+                                    </div>
+                                </div>
+                                <div class="row mb-2">
+                                    <div class="col-1">
+                                        <input type="checkbox" id="include-group-memberships" class="form-check-input">
+                                    </div>
+                                    <div class="col-3">
+                                        <label for="include-group-memberships" class="form-check-label">Group Memberships</label>
+                                    </div>
+                                    <div class="col-3">
+                                        <input type="number" id="group-memberships-count" class="form-control form-control-sm" min="1" max="50000" value="100">
+                                    </div>
+                                    <div class="col-5">
+                                        <small class="text-muted">Enrolled students placed in groups</small>
+                                    </div>
+                                </div>
                             </div>
                         </div>
                     </div>
                     
+                    <div class="row mb-3">
+                        <div class="col-12">
+                            <div class="form-check form-switch">
+                                <input type="checkbox" id="bulk-coherent" class="form-check-input" checked>
+                                <label for="bulk-coherent" class="form-check-label">Coherent dataset</label>
+                            </div>
+                            <small class="text-muted">
+                                All files share one set of IDs: courses use the generated accounts and terms, sections the generated courses,
+                                enrollments the generated users and sections, and group memberships the generated groups. The ZIP imports
+                                cleanly into a fresh sandbox.
+                            </small>
+                        </div>
+                    </div>
+
                     <div class="row mb-3">
                         <div class="col-12">
                             <label for="bulk-output-path" class="form-label">Output Folder</label>
@@ -2609,6 +2842,71 @@ async function createBulkSISFiles(e) {
                     <div id="bulk-result-container" class="mt-4" style="display: none;">
                         <div id="bulk-result-message" class="alert"></div>
                     </div>
+
+                    <div id="bulk-submit-container" class="card mt-4" hidden>
+                        <div class="card-header">
+                            <h5 class="mb-0"><i class="bi bi-cloud-upload me-2"></i>Submit to Canvas</h5>
+                        </div>
+                        <div class="card-body">
+                            <p class="small text-muted">
+                                Zips the generated files and starts a SIS import in the account, using the domain and token entered above.
+                            </p>
+                            <div class="row g-2 mb-2">
+                                <div class="col-md-4">
+                                    <label for="sis-submit-account" class="form-label small">Account ID</label>
+                                    <input type="text" id="sis-submit-account" class="form-control form-control-sm" value="self" placeholder="e.g. 1 or self">
+                                </div>
+                                <div class="col-md-4">
+                                    <label for="sis-submit-diffing" class="form-label small">Diffing data set identifier (optional)</label>
+                                    <input type="text" id="sis-submit-diffing" class="form-control form-control-sm">
+                                </div>
+                                <div class="col-md-4">
+                                    <label for="sis-submit-threshold" class="form-label small">Change threshold % (batch mode or diffing)</label>
+                                    <input type="number" id="sis-submit-threshold" class="form-control form-control-sm" min="1" max="100">
+                                </div>
+                            </div>
+                            <div class="row g-2 mb-3">
+                                <div class="col-md-4">
+                                    <div class="form-check form-switch">
+                                        <input type="checkbox" id="sis-submit-batch" class="form-check-input">
+                                        <label for="sis-submit-batch" class="form-check-label small">Batch mode</label>
+                                    </div>
+                                    <input type="text" id="sis-submit-batch-term" class="form-control form-control-sm mt-1" placeholder="Term SIS ID" hidden>
+                                </div>
+                                <div class="col-md-4">
+                                    <div class="form-check form-switch">
+                                        <input type="checkbox" id="sis-submit-remaster" class="form-check-input">
+                                        <label for="sis-submit-remaster" class="form-check-label small">Remaster the diffing data set</label>
+                                    </div>
+                                </div>
+                                <div class="col-md-4">
+                                    <div class="form-check form-switch">
+                                        <input type="checkbox" id="sis-submit-override" class="form-check-input">
+                                        <label for="sis-submit-override" class="form-check-label small">Override SIS stickiness</label>
+                                    </div>
+                                    <div class="form-check form-check-inline ms-4" id="sis-submit-stickiness" hidden>
+                                        <input type="checkbox" id="sis-submit-add-sticky" class="form-check-input">
+                                        <label for="sis-submit-add-sticky" class="form-check-label small me-3">Add</label>
+                                        <input type="checkbox" id="sis-submit-clear-sticky" class="form-check-input">
+                                        <label for="sis-submit-clear-sticky" class="form-check-label small">Clear</label>
+                                    </div>
+                                </div>
+                            </div>
+                            <div class="alert alert-warning small py-2" id="sis-submit-batch-warning" hidden>
+                                <i class="bi bi-exclamation-triangle me-1"></i>Batch mode deletes everything in the term that isn't in these files. Set a change threshold to stop runaway deletions.
+                            </div>
+                            <button type="button" id="sis-submit-button" class="btn btn-primary btn-sm">
+                                <i class="bi bi-send me-1"></i>Submit SIS Import
+                            </button>
+                            <button type="button" id="sis-submit-cancel" class="btn btn-outline-secondary btn-sm" hidden>
+                                <i class="bi bi-x-circle me-1"></i>Stop Waiting
+                            </button>
+                            <div id="sis-submit-progress" class="progress mt-3" style="height: 20px;" hidden>
+                                <div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" style="width: 0%">Uploading...</div>
+                            </div>
+                            <div id="sis-submit-result" class="mt-3"></div>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
@@ -2633,22 +2931,19 @@ async function createBulkSISFiles(e) {
             const generateBtn = document.getElementById('generate-bulk-files');
 
             // Check if at least one file type is selected
-            const checkboxes = [
-                'include-users', 'include-accounts', 'include-terms',
-                'include-courses', 'include-sections', 'include-enrollments'
-            ];
+            const checkboxes = BULK_FILE_TYPES.map(t => `include-${t.id}`);
             const anyChecked = checkboxes.some(id => document.getElementById(id).checked);
 
             generateBtn.disabled = !(outputPath && anyChecked);
         }
 
         // Add validation to checkboxes
-        ['include-users', 'include-accounts', 'include-terms',
-            'include-courses', 'include-sections', 'include-enrollments'].forEach(id => {
-                document.getElementById(id).addEventListener('change', validateBulkForm);
-            });
+        BULK_FILE_TYPES.forEach(t => {
+            document.getElementById(`include-${t.id}`).addEventListener('change', validateBulkForm);
+        });
 
-        document.getElementById('generate-bulk-files').addEventListener('click', async () => {
+        document.getElementById('generate-bulk-files').addEventListener('click', async (event) => {
+            event.preventDefault();
             const outputPath = document.getElementById('bulk-output-path').value;
             const generateBtn = document.getElementById('generate-bulk-files');
 
@@ -2657,25 +2952,9 @@ async function createBulkSISFiles(e) {
                 return;
             }
 
-            const fileTypes = [];
-            if (document.getElementById('include-users').checked) {
-                fileTypes.push({ type: 'users', count: parseInt(document.getElementById('users-count').value) });
-            }
-            if (document.getElementById('include-accounts').checked) {
-                fileTypes.push({ type: 'accounts', count: parseInt(document.getElementById('accounts-count').value) });
-            }
-            if (document.getElementById('include-terms').checked) {
-                fileTypes.push({ type: 'terms', count: parseInt(document.getElementById('terms-count').value) });
-            }
-            if (document.getElementById('include-courses').checked) {
-                fileTypes.push({ type: 'courses', count: parseInt(document.getElementById('courses-count').value) });
-            }
-            if (document.getElementById('include-sections').checked) {
-                fileTypes.push({ type: 'sections', count: parseInt(document.getElementById('sections-count').value) });
-            }
-            if (document.getElementById('include-enrollments').checked) {
-                fileTypes.push({ type: 'enrollments', count: parseInt(document.getElementById('enrollments-count').value) });
-            }
+            const fileTypes = BULK_FILE_TYPES
+                .filter(t => document.getElementById(`include-${t.id}`).checked)
+                .map(t => ({ type: t.type, count: parseInt(document.getElementById(`${t.id}-count`).value) }));
 
             if (fileTypes.length === 0) {
                 showBulkResult('Please select at least one file type to generate.', 'danger');
@@ -2686,14 +2965,22 @@ async function createBulkSISFiles(e) {
             showBulkProgress(0, 'Starting bulk generation...');
 
             try {
-                const result = await window.electronAPI.generateBulkSISFiles({
+                const coherent = document.getElementById('bulk-coherent').checked;
+                const result = await window.electronAPI.createBulkSISFiles(
+                    fileTypes.map(t => t.type),
+                    fileTypes.map(t => t.count),
                     outputPath,
-                    fileTypes,
-                    emailDomain: '@instructure.com'
-                });
+                    true,
+                    '@instructure.com',
+                    '',
+                    {},
+                    { coherent }
+                );
 
                 hideBulkProgress();
-                showBulkResult(`Bulk SIS package generated successfully! ${result.filesGenerated} files created.`, 'success');
+                showSisSubmitPanel(outputPath, result.files.filter(name => /\.csv$/i.test(name)));
+                const warnings = result.warnings && result.warnings.length > 0 ? ` ${result.warnings.join(' ')}` : '';
+                showBulkResult(`Bulk SIS package generated successfully! ${result.files.length} files created${result.zipPath ? ` and zipped to ${result.zipPath}` : ''}.${warnings}`, warnings ? 'warning' : 'success');
             } catch (error) {
                 hideBulkProgress();
                 showBulkResult(`Error generating bulk package: ${error.message}`, 'danger');
@@ -2702,6 +2989,7 @@ async function createBulkSISFiles(e) {
             }
         });
 
+        setupSisSubmitPanel();
         createBulkSISForm.setAttribute('data-listeners-added', 'true');
     }
 
@@ -2731,4 +3019,546 @@ async function createBulkSISFiles(e) {
     function hideBulkProgress() {
         document.getElementById('bulk-progress').style.display = 'none';
     }
-}
\ No newline at end of file
+}
+async function validateSISFiles(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let validateForm = eContent.querySelector('#validate-sis-form');
+
+    if (!validateForm) {
+        validateForm = document.createElement('form');
+        validateForm.id = 'validate-sis-form';
+        validateForm.innerHTML = `
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark">
+                        <i class="bi bi-clipboard-check me-2"></i>Validate SIS Files
+                    </h3>
+                    <small class="text-muted">Check SIS CSVs or a ZIP against Canvas's file formats before importing them</small>
+                </div>
+                <div class="card-body">
+                    <p class="small text-muted mb-3">
+                        Checks required headers, status values, dates, duplicate IDs, row widths and UTF-8 encoding.
+                        CSVs chosen together, and the CSVs of a ZIP, are also checked for IDs that point at rows missing from the other files.
+                    </p>
+                    <button type="button" id="validate-sis-choose" class="btn btn-primary btn-sm">
+                        <i class="bi bi-folder2-open me-1"></i>Choose CSV or ZIP Files
+                    </button>
+                    <div id="validate-sis-result" class="mt-3"></div>
+                </div>
+            </div>
+        `;
+
+        eContent.appendChild(validateForm);
+    } else {
+        validateForm.hidden = false;
+    }
+
+    if (!validateForm.hasAttribute('data-listeners-added')) {
+        document.getElementById('validate-sis-choose').addEventListener('click', async () => {
+            const button = document.getElementById('validate-sis-choose');
+            const resultDiv = document.getElementById('validate-sis-result');
+            const selected = await window.electronAPI.selectFile({
+                multiple: true,
+                filters: [
+                    { name: 'SIS Files', extensions: ['csv', 'zip'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+            if (!selected) return;
+
+            button.disabled = true;
+            resultDiv.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm me-2"></span>Validating...</div>';
+            try {
+                const result = await window.electronAPI.validateSISFiles(selected.filePaths);
+                resultDiv.innerHTML = renderSisValidationResult(result);
+            } catch (error) {
+                resultDiv.innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-exclamation-triangle-fill me-1"></i>${escapeHtml(error.message)}</div>`;
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        validateForm.setAttribute('data-listeners-added', 'true');
+    }
+}
+
+function renderSisValidationResult(result) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const alertClass = !result.valid ? 'danger' : result.warningCount > 0 ? 'warning' : 'success';
+    const summary = result.valid && result.warningCount === 0
+        ? 'No problems found. Canvas should accept these files.'
+        : `Found ${plural(result.errorCount, 'error')} and ${plural(result.warningCount, 'warning')}.`;
+
+    const fileCard = (file) => {
+        const badge = file.errorCount > 0
+            ? `<span class="badge bg-danger">${plural(file.errorCount, 'error')}</span>`
+            : file.warningCount > 0
+                ? `<span class="badge bg-warning text-dark">${plural(file.warningCount, 'warning')}</span>`
+                : '<span class="badge bg-success">OK</span>';
+        const encoding = file.encoding ? `${escapeHtml(file.encoding.type)}${file.encoding.hasBOM ? ' with BOM' : ''}` : '';
+        const rows = file.issues.map(issue => `
+            <tr>
+                <td><span class="badge bg-${issue.severity === 'error' ? 'danger' : 'warning text-dark'}">${issue.severity}</span></td>
+                <td>${issue.line ?? '<span class="text-muted">—</span>'}</td>
+                <td>${issue.column ? `<code>${escapeHtml(issue.column)}</code>` : ''}</td>
+                <td class="small">${escapeHtml(issue.message)}</td>
+            </tr>
+        `).join('');
+        return `
+            <div class="card mt-2">
+                <div class="card-header d-flex justify-content-between align-items-center py-2">
+                    <span><code>${escapeHtml(file.fileName)}</code> <span class="text-muted small ms-2">${escapeHtml(file.fileType || 'unknown type')} · ${plural(file.rowCount, 'row')} · ${encoding}</span></span>
+                    ${badge}
+                </div>
+                ${rows ? `
+                    <div class="table-responsive">
+                        <table class="table table-sm align-middle mb-0">
+                            <thead><tr><th></th><th>Line</th><th>Column</th><th>Problem</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                    ${file.truncated ? `<div class="card-footer small text-muted">Only the first ${file.issues.length} problems are listed.</div>` : ''}
+                ` : ''}
+            </div>
+        `;
+    };
+
+    return `
+        <div class="alert alert-${alertClass} mb-2">${summary}</div>
+        ${result.packages.map(pkg => `
+            <h6 class="mt-3 mb-1"><i class="bi bi-${/\.zip$/i.test(pkg.name) ? 'file-zip' : 'files'} me-1"></i>${escapeHtml(pkg.name)}</h6>
+            ${pkg.files.map(fileCard).join('')}
+        `).join('')}
+    `;
+}
+
+// Imports listed by the history panel, by ID
+let sisHistoryImports = new Map();
+
+async function sisImportHistory(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let historyForm = eContent.querySelector('#sis-history-form');
+
+    if (!historyForm) {
+        historyForm = document.createElement('form');
+        historyForm.id = 'sis-history-form';
+        historyForm.innerHTML = `
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark">
+                        <i class="bi bi-clock-history me-2"></i>SIS Import History
+                    </h3>
+                    <small class="text-muted">Review an account's recent SIS imports and compare the files of two of them</small>
+                </div>
+                <div class="card-body">
+                    <div class="row g-2 align-items-end mb-3">
+                        <div class="col-md-3">
+                            <label for="sis-history-account" class="form-label small">Account ID</label>
+                            <input type="text" id="sis-history-account" class="form-control form-control-sm" value="self">
+                        </div>
+                        <div class="col-md-2">
+                            <label for="sis-history-max" class="form-label small">Show</label>
+                            <select id="sis-history-max" class="form-select form-select-sm">
+                                <option value="10">10 imports</option>
+                                <option value="25" selected>25 imports</option>
+                                <option value="50">50 imports</option>
+                                <option value="100">100 imports</option>
+                            </select>
+                        </div>
+                        <div class="col-md-3">
+                            <button type="button" id="sis-history-load" class="btn btn-primary btn-sm">
+                                <i class="bi bi-arrow-clockwise me-1"></i>Load Imports
+                            </button>
+                        </div>
+                    </div>
+                    <div id="sis-history-list"></div>
+                    <div id="sis-history-compare" class="mt-3" hidden>
+                        <p class="small text-muted mb-2">Pick an earlier import as A and a later one as B to see which rows dropped out, were added or changed. Rows that drop out are what a batch-mode run of B deletes.</p>
+                        <button type="button" id="sis-history-diff" class="btn btn-outline-primary btn-sm" disabled>
+                            <i class="bi bi-file-diff me-1"></i>Compare A → B
+                        </button>
+                    </div>
+                    <div id="sis-history-result" class="mt-3"></div>
+                </div>
+            </div>
+        `;
+
+        eContent.appendChild(historyForm);
+    } else {
+        historyForm.hidden = false;
+    }
+
+    if (!historyForm.hasAttribute('data-listeners-added')) {
+        const credentials = () => ({
+            domain: document.querySelector('#domain').value.trim(),
+            token: document.querySelector('#token').value.trim(),
+            accountId: document.getElementById('sis-history-account').value.trim() || 'self'
+        });
+        const showError = (target, error) => {
+            document.getElementById(target).innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-exclamation-triangle-fill me-1"></i>${escapeHtml(error.message)}</div>`;
+        };
+        const updateCompareButton = () => {
+            const a = historyForm.querySelector('input[name="sis-history-a"]:checked');
+            const b = historyForm.querySelector('input[name="sis-history-b"]:checked');
+            document.getElementById('sis-history-diff').disabled = !(a && b && a.value !== b.value);
+        };
+
+        document.getElementById('sis-history-load').addEventListener('click', async () => {
+            const button = document.getElementById('sis-history-load');
+            const listDiv = document.getElementById('sis-history-list');
+            button.disabled = true;
+            listDiv.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm me-2"></span>Loading SIS imports...</div>';
+            document.getElementById('sis-history-result').innerHTML = '';
+            try {
+                const imports = await window.electronAPI.listSISImports({
+                    ...credentials(),
+                    max: Number(document.getElementById('sis-history-max').value)
+                });
+                sisHistoryImports = new Map(imports.map(imp => [String(imp.id), imp]));
+                listDiv.innerHTML = renderSisImportHistory(imports);
+                document.getElementById('sis-history-compare').hidden = imports.length < 2;
+                updateCompareButton();
+            } catch (error) {
+                showError('sis-history-list', error);
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        document.getElementById('sis-history-list').addEventListener('change', (event) => {
+            if (event.target.name === 'sis-history-a' || event.target.name === 'sis-history-b') updateCompareButton();
+        });
+
+        document.getElementById('sis-history-list').addEventListener('click', async (event) => {
+            const button = event.target.closest('[data-sis-errors]');
+            if (!button) return;
+            event.preventDefault();
+            button.disabled = true;
+            try {
+                await window.electronAPI.downloadSISImportErrors({ ...credentials(), importId: button.dataset.sisErrors });
+            } catch (error) {
+                showError('sis-history-result', error);
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        document.getElementById('sis-history-diff').addEventListener('click', async () => {
+            const button = document.getElementById('sis-history-diff');
+            const resultDiv = document.getElementById('sis-history-result');
+            const importIdA = historyForm.querySelector('input[name="sis-history-a"]:checked').value;
+            const importIdB = historyForm.querySelector('input[name="sis-history-b"]:checked').value;
+            button.disabled = true;
+            resultDiv.innerHTML = '<div class="text-muted small"><span class="spinner-border spinner-border-sm me-2"></span>Downloading and comparing the imports\' files...</div>';
+            try {
+                const result = await window.electronAPI.diffSISImports({ ...credentials(), importIdA, importIdB });
+                resultDiv.innerHTML = renderSisImportDiff(result);
+            } catch (error) {
+                showError('sis-history-result', error);
+            } finally {
+                updateCompareButton();
+            }
+        });
+
+        historyForm.setAttribute('data-listeners-added', 'true');
+    }
+}
+
+function renderSisImportHistory(imports) {
+    if (imports.length === 0) {
+        return '<div class="alert alert-info mb-0">This account has no SIS imports.</div>';
+    }
+    const stateClass = (state) => /^failed|aborted/.test(state) ? 'danger'
+        : state === 'imported_with_messages' ? 'warning text-dark'
+            : state === 'imported' ? 'success' : 'secondary';
+    const messages = (imp) => {
+        const items = [
+            ...imp.errors.map(([file, message]) => ({ kind: 'error', file, message })),
+            ...imp.warnings.map(([file, message]) => ({ kind: 'warning', file, message }))
+        ];
+        if (items.length === 0) return '<span class="text-muted">—</span>';
+        return `
+            <details>
+                <summary class="small">${imp.errors.length} error${imp.errors.length === 1 ? '' : 's'}, ${imp.warnings.length} warning${imp.warnings.length === 1 ? '' : 's'}</summary>
+                <ul class="small mb-1 ps-3">
+                    ${items.slice(0, 20).map(m => `<li class="${m.kind === 'error' ? 'text-danger' : ''}"><code>${escapeHtml(m.file || '')}</code> ${escapeHtml(m.message || '')}</li>`).join('')}
+                </ul>
+                ${items.length > 20 ? `<div class="small text-muted">and ${items.length - 20} more</div>` : ''}
+            </details>
+            ${imp.hasErrorsAttachment ? `<button type="button" class="btn btn-link btn-sm p-0" data-sis-errors="${imp.id}"><i class="bi bi-download me-1"></i>Errors CSV</button>` : ''}
+        `;
+    };
+
+    return `
+        <div class="table-responsive">
+            <table class="table table-sm align-middle">
+                <thead>
+                    <tr><th title="Earlier import">A</th><th title="Later import">B</th><th>ID</th><th>Created</th><th>State</th><th>Mode</th><th>Rows</th><th>Messages</th></tr>
+                </thead>
+                <tbody>
+                    ${imports.map(imp => {
+                        const counts = Object.entries(imp.counts)
+                            .filter(([, count]) => count > 0)
+                            .map(([type, count]) => `${escapeHtml(type)}: ${count}`)
+                            .join('<br>');
+                        const mode = [
+                            imp.batchMode ? `<span class="badge bg-danger-subtle text-danger-emphasis">Batch${imp.batchModeTermId ? ` · ${escapeHtml(imp.batchModeTermId)}` : ''}</span>` : '',
+                            imp.diffingDataSetIdentifier ? `<span class="badge bg-info-subtle text-info-emphasis">Diffing · ${escapeHtml(imp.diffingDataSetIdentifier)}</span>` : '',
+                            imp.changeThreshold ? `<span class="badge bg-light text-dark">Threshold ${imp.changeThreshold}%</span>` : ''
+                        ].filter(Boolean).join(' ');
+                        return `
+                            <tr>
+                                <td><input type="radio" class="form-check-input" name="sis-history-a" value="${imp.id}"></td>
+                                <td><input type="radio" class="form-check-input" name="sis-history-b" value="${imp.id}"></td>
+                                <td>${imp.id}</td>
+                                <td class="small">${escapeHtml(imp.createdAt ? new Date(imp.createdAt).toLocaleString() : '')}${imp.user ? `<div class="text-muted">${escapeHtml(imp.user)}</div>` : ''}</td>
+                                <td><span class="badge bg-${stateClass(imp.workflowState)}">${escapeHtml(imp.workflowState)}</span></td>
+                                <td>${mode || '<span class="text-muted small">Standard</span>'}</td>
+                                <td class="small">${counts || '<span class="text-muted">—</span>'}</td>
+                                <td>${messages(imp)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderSisImportDiff(result) {
+    const { counts } = result;
+    const rowLabel = (n) => `${n} row${n === 1 ? '' : 's'}`;
+    const alertClass = counts.dropped > 0 || counts.deleted > 0 ? 'warning' : 'success';
+    const batchNote = result.importB.batchMode
+        ? ' Import B ran in batch mode, so the rows that dropped out were deleted from its term.'
+        : '';
+    const rowSummary = (row) => Object.entries(row)
+        .filter(([, value]) => value)
+        .map(([column, value]) => `<code>${escapeHtml(column)}=${escapeHtml(value)}</code>`)
+        .join(' ');
+    const rowTable = (title, badge, items, total, render) => items.length === 0 ? '' : `
+        <h6 class="mt-3 small"><span class="badge bg-${badge} me-1">${total}</span>${title}</h6>
+        <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+            <table class="table table-sm small mb-0">
+                <tbody>${items.map(item => `<tr><td class="text-nowrap"><strong>${escapeHtml(item.key)}</strong></td><td>${render(item)}</td></tr>`).join('')}</tbody>
+            </table>
+        </div>
+        ${items.length < total ? `<div class="small text-muted">Showing the first ${items.length}.</div>` : ''}
+    `;
+    const hunks = (type) => type.diff.hunks.slice(0, 50).map(hunk => `
+        <div class="diff-hunk">
+            <div class="diff-hunk-header"><code>${escapeHtml(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`)}</code></div>
+            <div class="diff-hunk-content">
+                ${buildSideBySideRows(hunk.lines).map(row => `
+                    <div class="diff-row">
+                        <div class="diff-side diff-left ${row.left.type === 'removed' ? 'diff-line-removed' : row.left.type === 'empty' ? 'diff-line-empty' : 'diff-line-context'}">
+                            <span class="diff-line-num">${row.left.lineNum || ''}</span>
+                            <span class="diff-line-content">${escapeHtml(row.left.content || '')}</span>
+                        </div>
+                        <div class="diff-side diff-right ${row.right.type === 'added' ? 'diff-line-added' : row.right.type === 'empty' ? 'diff-line-empty' : 'diff-line-context'}">
+                            <span class="diff-line-num">${row.right.lineNum || ''}</span>
+                            <span class="diff-line-content">${escapeHtml(row.right.content || '')}</span>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    return `
+        <div class="alert alert-${alertClass}">
+            From import ${result.importA.id} to import ${result.importB.id}: ${rowLabel(counts.dropped)} dropped out,
+            ${rowLabel(counts.deleted)} set to deleted, ${rowLabel(counts.added)} added and ${rowLabel(counts.changed)} changed.${batchNote}
+        </div>
+        ${result.types.map(type => `
+            <div class="card mt-2">
+                <div class="card-header d-flex justify-content-between align-items-center py-2">
+                    <span><strong>${escapeHtml(type.fileType)}</strong>
+                        <span class="text-muted small ms-2">A: ${rowLabel(type.rowCountA)}${type.fileNamesA.length ? ` (${escapeHtml(type.fileNamesA.join(', '))})` : ''} · B: ${rowLabel(type.rowCountB)}${type.fileNamesB.length ? ` (${escapeHtml(type.fileNamesB.join(', '))})` : ''}</span>
+                    </span>
+                    <span class="small">${escapeHtml(type.diff.summary)}</span>
+                </div>
+                <div class="card-body py-2">
+                    <div class="small text-muted">Rows matched on ${escapeHtml(type.keyColumns.join(' / '))}</div>
+                    ${rowTable('Dropped out (in A, not in B)', 'danger', type.dropped, type.counts.dropped, item => rowSummary(item.row))}
+                    ${rowTable('Set to deleted in B', 'danger', type.deleted, type.counts.deleted, item => rowSummary(item.after))}
+                    ${rowTable('Added in B', 'success', type.added, type.counts.added, item => rowSummary(item.row))}
+                    ${rowTable('Changed', 'secondary', type.changed, type.counts.changed, item => item.columns
+                        .map(column => `<code>${escapeHtml(column)}</code>: ${escapeHtml(item.before[column] || '∅')} → ${escapeHtml(item.after[column] || '∅')}`)
+                        .join('<br>'))}
+                    ${type.diff.identical ? '' : `
+                        <details class="mt-3">
+                            <summary class="small">Line diff (rows sorted by key)</summary>
+                            <div class="diff-hunks mt-2">${hunks(type)}</div>
+                        </details>
+                    `}
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+async function exportSISFromCanvas(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let exportForm = eContent.querySelector('#sis-export-form');
+
+    if (!exportForm) {
+        exportForm = document.createElement('form');
+        exportForm.id = 'sis-export-form';
+        exportForm.innerHTML = `
+            <div class="card">
+                <div class="card-header bg-secondary-subtle">
+                    <h3 class="card-title mb-0 text-dark">
+                        <i class="bi bi-box-arrow-down me-2"></i>Export SIS Files from Canvas
+                    </h3>
+                    <small class="text-muted">Build terms, courses, sections, users and enrollments CSVs from a live course or account</small>
+                </div>
+                <div class="card-body">
+                    <div class="mb-3">
+                        <div class="form-check form-check-inline">
+                            <input class="form-check-input" type="radio" name="sis-export-source" id="sis-export-source-courses" value="courses" checked>
+                            <label class="form-check-label" for="sis-export-source-courses">Courses</label>
+                        </div>
+                        <div class="form-check form-check-inline">
+                            <input class="form-check-input" type="radio" name="sis-export-source" id="sis-export-source-account" value="account">
+                            <label class="form-check-label" for="sis-export-source-account">Every course in an account</label>
+                        </div>
+                    </div>
+                    <div id="sis-export-courses-fields" class="mb-3">
+                        <label for="sis-export-course-ids" class="form-label small">Course IDs</label>
+                        <textarea id="sis-export-course-ids" class="form-control form-control-sm" rows="2" placeholder="e.g. 1234, 5678 or sis_course_id:MATH101"></textarea>
+                    </div>
+                    <div id="sis-export-account-fields" class="row g-2 mb-3" hidden>
+                        <div class="col-md-4">
+                            <label for="sis-export-account" class="form-label small">Account ID</label>
+                            <input type="text" id="sis-export-account" class="form-control form-control-sm" value="self">
+                        </div>
+                        <div class="col-md-4">
+                            <label for="sis-export-term" class="form-label small">Term ID <span class="text-muted">(optional)</span></label>
+                            <input type="text" id="sis-export-term" class="form-control form-control-sm" placeholder="All terms">
+                        </div>
+                    </div>
+                    <div class="mb-3">
+                        <div class="form-check">
+                            <input type="checkbox" id="sis-export-deleted" class="form-check-input">
+                            <label for="sis-export-deleted" class="form-check-label small">Include deleted enrollments</label>
+                        </div>
+                        <div class="form-check">
+                            <input type="checkbox" id="sis-export-zip" class="form-check-input" checked>
+                            <label for="sis-export-zip" class="form-check-label small">Also package the CSVs as a ZIP</label>
+                        </div>
+                    </div>
+                    <div class="mb-3">
+                        <label for="sis-export-output" class="form-label small">Output Folder</label>
+                        <div class="input-group input-group-sm">
+                            <input type="text" id="sis-export-output" class="form-control" placeholder="Select output folder..." readonly>
+                            <button type="button" id="sis-export-browse" class="btn btn-outline-secondary">Browse</button>
+                        </div>
+                    </div>
+                    <p class="small text-muted">Rows refer to each other by SIS ID, so courses, sections and users without one are left out and listed as warnings. Base roles are written by name rather than role ID, so the files import into another Canvas as they are.</p>
+                    <button type="button" id="sis-export-run" class="btn btn-primary btn-sm" disabled>
+                        <i class="bi bi-box-arrow-down me-1"></i>Export
+                    </button>
+                    <div id="sis-export-progress" class="small text-muted mt-3" hidden></div>
+                    <div id="sis-export-result" class="mt-3"></div>
+                </div>
+            </div>
+        `;
+
+        eContent.appendChild(exportForm);
+    } else {
+        exportForm.hidden = false;
+    }
+
+    if (!exportForm.hasAttribute('data-listeners-added')) {
+        const source = () => exportForm.querySelector('input[name="sis-export-source"]:checked').value;
+        const updateForm = () => {
+            document.getElementById('sis-export-courses-fields').hidden = source() !== 'courses';
+            document.getElementById('sis-export-account-fields').hidden = source() !== 'account';
+            const hasSource = source() === 'account'
+                ? document.getElementById('sis-export-account').value.trim() !== ''
+                : document.getElementById('sis-export-course-ids').value.trim() !== '';
+            document.getElementById('sis-export-run').disabled = !(hasSource && document.getElementById('sis-export-output').value);
+        };
+
+        exportForm.querySelectorAll('input[name="sis-export-source"]').forEach(radio => radio.addEventListener('change', updateForm));
+        document.getElementById('sis-export-course-ids').addEventListener('input', updateForm);
+        document.getElementById('sis-export-account').addEventListener('input', updateForm);
+
+        document.getElementById('sis-export-browse').addEventListener('click', async () => {
+            const result = await window.electronAPI.selectFolder();
+            if (result) {
+                document.getElementById('sis-export-output').value = result;
+                updateForm();
+            }
+        });
+
+        document.getElementById('sis-export-run').addEventListener('click', async () => {
+            const button = document.getElementById('sis-export-run');
+            const progressDiv = document.getElementById('sis-export-progress');
+            const resultDiv = document.getElementById('sis-export-result');
+            const domain = document.querySelector('#domain').value.trim();
+            const token = document.querySelector('#token').value.trim();
+
+            if (!domain || !token) {
+                resultDiv.innerHTML = '<div class="alert alert-warning mb-0">Enter your Canvas domain and API token first.</div>';
+                return;
+            }
+
+            button.disabled = true;
+            resultDiv.innerHTML = '';
+            progressDiv.hidden = false;
+            progressDiv.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Starting export...';
+            const unsubscribe = window.progressAPI.onSisExportProgress((progress) => {
+                const count = progress.total ? ` ${progress.current} of ${progress.total}` : '';
+                progressDiv.innerHTML = `<span class="spinner-border spinner-border-sm me-2"></span>${escapeHtml(progress.step)}${count}...`;
+            });
+
+            try {
+                const result = await window.electronAPI.exportSISFromCanvas({
+                    domain,
+                    token,
+                    courseIds: source() === 'courses' ? document.getElementById('sis-export-course-ids').value : [],
+                    accountId: source() === 'account' ? document.getElementById('sis-export-account').value.trim() : '',
+                    enrollmentTermId: source() === 'account' ? document.getElementById('sis-export-term').value.trim() : '',
+                    includeDeleted: document.getElementById('sis-export-deleted').checked,
+                    createZip: document.getElementById('sis-export-zip').checked,
+                    outputPath: document.getElementById('sis-export-output').value
+                });
+                resultDiv.innerHTML = renderSisExportResult(result);
+            } catch (error) {
+                resultDiv.innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-exclamation-triangle-fill me-1"></i>${escapeHtml(error.message)}</div>`;
+            } finally {
+                unsubscribe();
+                progressDiv.hidden = true;
+                updateForm();
+            }
+        });
+
+        exportForm.setAttribute('data-listeners-added', 'true');
+    }
+}
+
+function renderSisExportResult(result) {
+    const counts = Object.entries(result.counts)
+        .map(([fileType, count]) => `<span class="badge bg-secondary me-1">${escapeHtml(fileType)}: ${count}</span>`)
+        .join('');
+    const warnings = result.warnings.length === 0 ? '' : `
+        <div class="alert alert-warning small mt-2 mb-0">
+            <ul class="mb-0 ps-3">${result.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>
+        </div>
+    `;
+    return `
+        <div class="alert alert-success mb-0">
+            <i class="bi bi-check-circle-fill me-1"></i>Wrote ${result.files.map(name => `<code>${escapeHtml(name)}</code>`).join(', ')}${result.zipPath ? ` and <code>${escapeHtml(result.zipPath)}</code>` : ''}.
+            <div class="mt-2">${counts}</div>
+        </div>
+        ${warnings}
+    `;
+}
@@ -0,0 +1,171 @@
+// undo_renderer.js - Recreate deleted assignments and pages from local snapshots
+
+function undoTemplate(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#undo-deletions-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'undo-deletions-form';
+        form.innerHTML = `
+            <style>
+                #undo-deletions-form .card-title { font-size: 1.1rem; }
+                #undo-deletions-form .card-header small { font-size: 0.7rem; }
+                #undo-deletions-form .card-body { padding: 0.75rem; }
+                #undo-deletions-form .btn { padding: 0.25rem 0.5rem; font-size: 0.8rem; }
+                #undo-deletions-form table { font-size: 0.85rem; }
+                #undo-deletions-form .progress { height: 12px; }
+                #undo-deletions-form .alert { padding: 0.5rem 0.75rem; font-size: 0.85rem; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle d-flex justify-content-between align-items-center">
+                    <div>
+                        <h3 class="card-title mb-0 text-dark">
+                            <i class="bi bi-arrow-counterclockwise me-1"></i>Undo Deletions
+                        </h3>
+                        <small class="text-muted">Recreate assignments and pages from the copies saved before they were deleted</small>
+                    </div>
+                    <div>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" id="undo-refresh-btn">
+                            <i class="bi bi-arrow-clockwise me-1"></i>Refresh
+                        </button>
+                        <button type="button" class="btn btn-sm btn-warning" id="undo-last-btn">
+                            <i class="bi bi-arrow-counterclockwise me-1"></i>Undo last operation
+                        </button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="form-text text-muted mb-2">
+                        <i class="bi bi-info-circle me-1"></i>
+                        Restored items are new copies with new IDs. Submissions and grades are not restored.
+                    </div>
+                    <div id="undo-list"></div>
+                    <div id="undo-progress-div" class="mt-2" hidden>
+                        <p id="undo-progress-info" class="mb-1"></p>
+                        <div class="progress">
+                            <div class="progress-bar" role="progressbar" style="width: 0%"></div>
+                        </div>
+                    </div>
+                    <div id="undo-response" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+
+        form.querySelector('#undo-refresh-btn').addEventListener('click', () => renderUndoOperations(form));
+        form.querySelector('#undo-last-btn').addEventListener('click', () => runUndo(form, null));
+        form.querySelector('#undo-list').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'undo') {
+                runUndo(form, button.dataset.operationId);
+            } else if (button.dataset.action === 'discard') {
+                if (!confirm('Discard these snapshots? The deleted items can no longer be restored from this app.')) return;
+                window.undo.discard(button.dataset.operationId).then(() => renderUndoOperations(form));
+            }
+        });
+    }
+    form.hidden = false;
+
+    renderUndoOperations(form);
+}
+
+async function renderUndoOperations(form) {
+    const list = form.querySelector('#undo-list');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    let operations = [];
+    try {
+        operations = await window.undo.listOperations();
+    } catch (error) {
+        errorHandler(error, form.querySelector('#undo-response'));
+        return;
+    }
+
+    form.querySelector('#undo-last-btn').disabled = !operations.some(op => !op.undoneAt);
+
+    if (operations.length === 0) {
+        list.innerHTML = `<div class="alert alert-secondary mb-0">No deletions have been captured yet.</div>`;
+        return;
+    }
+
+    const rows = operations.map(op => {
+        const status = op.undoneAt
+            ? '<span class="badge bg-success">Undone</span>'
+            : (op.restoredCount > 0
+                ? `<span class="badge bg-warning text-dark">${op.restoredCount}/${op.deletedCount} restored</span>`
+                : '<span class="badge bg-secondary">Deleted</span>');
+        return `
+            <tr>
+                <td>${escape(op.label)}</td>
+                <td>${escape(op.domain)}</td>
+                <td>${escape(op.course_id)}</td>
+                <td>${escape(new Date(op.createdAt).toLocaleString())}</td>
+                <td>${status}</td>
+                <td class="text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="undo" data-operation-id="${escape(op.id)}" ${op.undoneAt ? 'disabled' : ''}>
+                        <i class="bi bi-arrow-counterclockwise"></i> Undo
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-action="discard" data-operation-id="${escape(op.id)}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>`;
+    }).join('');
+
+    list.innerHTML = `
+        <table class="table table-sm table-hover align-middle mb-0">
+            <thead>
+                <tr><th>Operation</th><th>Domain</th><th>Course</th><th>Deleted</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+async function runUndo(form, operationId) {
+    const responseDiv = form.querySelector('#undo-response');
+    responseDiv.innerHTML = '';
+
+    const token = document.querySelector('#token').value.trim();
+    if (!token) {
+        responseDiv.innerHTML = `<div class="alert alert-warning">Enter an API token before restoring.</div>`;
+        return;
+    }
+
+    const progressDiv = form.querySelector('#undo-progress-div');
+    const progressBar = progressDiv.querySelector('.progress-bar');
+    const progressInfo = form.querySelector('#undo-progress-info');
+    progressDiv.hidden = false;
+    progressInfo.textContent = 'Restoring deleted items...';
+    updateProgressWithPercent(progressBar, 0);
+    form.querySelectorAll('button').forEach(btn => btn.disabled = true);
+
+    const progressUnsub = window.progressAPI?.onUpdateProgress?.((p) => {
+        if (p && typeof p.value === 'number') {
+            updateProgressWithPercent(progressBar, p.value * 100);
+            if (p.label) progressInfo.textContent = `${p.label} (${p.processed}/${p.total})`;
+        }
+    });
+
+    try {
+        const result = operationId
+            ? await window.undo.undoOperation(operationId, token)
+            : await window.undo.undoLast(token);
+        updateProgressWithPercent(progressBar, 100);
+
+        const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+        const restored = result.successful.length;
+        const failed = result.failed.length;
+        responseDiv.innerHTML = failed === 0
+            ? `<div class="alert alert-success mb-0"><i class="bi bi-check-circle me-1"></i>Restored ${restored} item(s) from "${escape(result.label)}".</div>`
+            : `<div class="alert alert-warning mb-0">Restored ${restored} item(s); ${failed} could not be restored. Try again to retry the failed items.<br>
+                <small>${result.failed.map(f => escape(f.reason)).filter(Boolean).slice(0, 5).join('<br>')}</small></div>`;
+    } catch (error) {
+        errorHandler(error, progressInfo, responseDiv);
+    } finally {
+        if (typeof progressUnsub === 'function') progressUnsub();
+        form.querySelectorAll('button').forEach(btn => btn.disabled = false);
+        renderUndoOperations(form);
+    }
+}
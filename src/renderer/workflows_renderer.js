@@ -0,0 +1,406 @@
+// workflows_renderer.js - Build, save and run chains of operations that pass outputs to later steps
+
+const WORKFLOW_STATUS_BADGES = {
+    pending: 'bg-secondary',
+    running: 'bg-primary',
+    completed: 'bg-success',
+    partial: 'bg-warning text-dark',
+    failed: 'bg-danger',
+    cancelled: 'bg-secondary'
+};
+
+// Support course with two sections, enrolled users, and modules holding assignments
+const WORKFLOW_EXAMPLE = {
+    name: 'Support course setup',
+    description: 'Course, sections, enrollments, modules and assignments inside the modules',
+    steps: [
+        { id: 'course', type: 'createCourse', inputs: { name: 'Support Course', publish: false } },
+        { id: 'sections', type: 'createSections', inputs: { courseId: '{{course.courseId}}', number: 2, prefix: 'Section' } },
+        { id: 'enroll', type: 'enrollUsers', inputs: { courseId: '{{course.courseId}}', userIds: '', type: 'StudentEnrollment', sectionIds: '{{sections.sectionIds}}' } },
+        { id: 'modules', type: 'createModules', inputs: { courseId: '{{course.courseId}}', number: 3, prefix: 'Week' } },
+        { id: 'assignments', type: 'addModuleItems', inputs: { courseId: '{{course.courseId}}', moduleIds: '{{modules.moduleIds}}', itemType: 'Assignment', number: 2, title: 'Assignment' } }
+    ]
+};
+
+const workflowEditor = {
+    draft: { id: null, name: '', description: '', steps: [] },
+    stepTypes: [],
+    saved: [],
+    runId: null,
+    unsubscribe: null
+};
+
+function workflowsTemplate(e) {
+    hideEndpoints(e);
+
+    const eContent = document.querySelector('#endpoint-content');
+    let form = eContent.querySelector('#workflow-builder-form');
+    if (!form) {
+        form = document.createElement('form');
+        form.id = 'workflow-builder-form';
+        form.innerHTML = `
+            <style>
+                #workflow-builder-form .card-title { font-size: 1.1rem; }
+                #workflow-builder-form .card-header small { font-size: 0.7rem; }
+                #workflow-builder-form .card-body { padding: 0.75rem; }
+                #workflow-builder-form .btn { padding: 0.25rem 0.5rem; font-size: 0.8rem; }
+                #workflow-builder-form .form-label { font-size: 0.8rem; margin-bottom: 0.1rem; }
+                #workflow-builder-form .workflow-step .card-header { padding: 0.35rem 0.75rem; }
+                #workflow-builder-form .workflow-connector { text-align: center; color: var(--bs-secondary); line-height: 1; }
+                #workflow-builder-form .alert { padding: 0.5rem 0.75rem; font-size: 0.85rem; }
+            </style>
+            <div class="card">
+                <div class="card-header bg-secondary-subtle d-flex justify-content-between align-items-center">
+                    <div>
+                        <h3 class="card-title mb-0 text-dark">
+                            <i class="bi bi-diagram-3 me-1"></i>Workflows
+                        </h3>
+                        <small class="text-muted">Chain operations; later steps can use what earlier steps created, e.g. {{course.courseId}}</small>
+                    </div>
+                    <div class="d-flex gap-1">
+                        <select class="form-select form-select-sm" id="workflow-saved" style="min-width: 14rem;"></select>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" id="workflow-new-btn">New</button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" id="workflow-example-btn">Example</button>
+                        <button type="button" class="btn btn-sm btn-outline-danger" id="workflow-delete-btn">Delete</button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="row g-2 mb-2">
+                        <div class="col-md-4">
+                            <label for="workflow-name" class="form-label">Name</label>
+                            <input type="text" class="form-control form-control-sm" id="workflow-name">
+                        </div>
+                        <div class="col-md-8">
+                            <label for="workflow-description" class="form-label">Description</label>
+                            <input type="text" class="form-control form-control-sm" id="workflow-description">
+                        </div>
+                    </div>
+                    <div id="workflow-steps"></div>
+                    <div class="d-flex gap-1 align-items-center my-2">
+                        <select class="form-select form-select-sm w-auto" id="workflow-add-type"></select>
+                        <button type="button" class="btn btn-sm btn-outline-primary" id="workflow-add-btn">
+                            <i class="bi bi-plus-lg me-1"></i>Add Step
+                        </button>
+                    </div>
+                    <hr>
+                    <div class="d-flex gap-1 align-items-end">
+                        <div>
+                            <label for="workflow-profile" class="form-label">Run against profile</label>
+                            <select class="form-select form-select-sm" id="workflow-profile"></select>
+                        </div>
+                        <button type="button" class="btn btn-sm btn-outline-primary" id="workflow-save-btn">
+                            <i class="bi bi-save me-1"></i>Save
+                        </button>
+                        <button type="button" class="btn btn-sm btn-success" id="workflow-run-btn">
+                            <i class="bi bi-play-fill me-1"></i>Run
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-danger" id="workflow-cancel-btn" hidden>Stop after this step</button>
+                    </div>
+                    <div id="workflow-response" class="mt-2"></div>
+                </div>
+            </div>
+        `;
+        eContent.append(form);
+
+        form.addEventListener('submit', (event) => event.preventDefault());
+        form.querySelector('#workflow-name').addEventListener('input', (event) => { workflowEditor.draft.name = event.target.value; });
+        form.querySelector('#workflow-description').addEventListener('input', (event) => { workflowEditor.draft.description = event.target.value; });
+        form.querySelector('#workflow-saved').addEventListener('change', (event) => {
+            const workflow = workflowEditor.saved.find(w => w.id === event.target.value);
+            if (workflow) loadWorkflowDraft(form, workflow);
+        });
+        form.querySelector('#workflow-new-btn').addEventListener('click', () => loadWorkflowDraft(form, { id: null, name: '', description: '', steps: [] }));
+        form.querySelector('#workflow-example-btn').addEventListener('click', () => loadWorkflowDraft(form, { ...WORKFLOW_EXAMPLE, id: null }));
+        form.querySelector('#workflow-delete-btn').addEventListener('click', () => deleteWorkflow(form));
+        form.querySelector('#workflow-add-btn').addEventListener('click', () => addWorkflowStep(form, form.querySelector('#workflow-add-type').value));
+        form.querySelector('#workflow-save-btn').addEventListener('click', () => saveWorkflow(form));
+        form.querySelector('#workflow-run-btn').addEventListener('click', () => runWorkflowDraft(form));
+        form.querySelector('#workflow-cancel-btn').addEventListener('click', async () => {
+            if (workflowEditor.runId) await window.workflows.cancel(workflowEditor.runId);
+        });
+
+        if (!workflowEditor.unsubscribe && window.workflows?.onProgress) {
+            workflowEditor.unsubscribe = window.workflows.onProgress((progress) => {
+                if (progress.runId === workflowEditor.runId) renderWorkflowStepStatus(form, progress.step);
+            });
+        }
+    }
+    form.hidden = false;
+
+    refreshWorkflows(form);
+}
+
+async function refreshWorkflows(form, selectId) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const responseDiv = form.querySelector('#workflow-response');
+    let result;
+    let profileResult;
+    try {
+        [result, profileResult] = await Promise.all([window.workflows.list(), window.profiles.list()]);
+    } catch (error) {
+        errorHandler(error, form.querySelector('#workflow-steps'), responseDiv);
+        return;
+    }
+
+    workflowEditor.stepTypes = result.stepTypes;
+    workflowEditor.saved = result.workflows;
+    const currentId = selectId ?? workflowEditor.draft.id;
+
+    form.querySelector('#workflow-saved').innerHTML = '<option value="">Saved workflows...</option>'
+        + result.workflows.map(w => `<option value="${escape(w.id)}">${escape(w.name)} (${w.steps.length} steps)</option>`).join('');
+    form.querySelector('#workflow-saved').value = result.workflows.some(w => w.id === currentId) ? currentId : '';
+    form.querySelector('#workflow-add-type').innerHTML = result.stepTypes
+        .map(t => `<option value="${escape(t.type)}">${escape(t.label)}</option>`)
+        .join('');
+
+    const profiles = profileResult.profiles || [];
+    const profileSelect = form.querySelector('#workflow-profile');
+    const currentProfile = profileSelect.value || profileResult.activeId;
+    profileSelect.innerHTML = profiles.length > 0
+        ? profiles.map(p => `<option value="${escape(p.id)}">${escape(p.name)} (${escape(p.environment)})</option>`).join('')
+        : '<option value="">Save a profile first (header)</option>';
+    if (profiles.some(p => p.id === currentProfile)) profileSelect.value = currentProfile;
+
+    renderWorkflowSteps(form);
+}
+
+function loadWorkflowDraft(form, workflow) {
+    workflowEditor.draft = JSON.parse(JSON.stringify({ id: workflow.id, name: workflow.name, description: workflow.description || '', steps: workflow.steps }));
+    form.querySelector('#workflow-name').value = workflowEditor.draft.name;
+    form.querySelector('#workflow-description').value = workflowEditor.draft.description;
+    form.querySelector('#workflow-saved').value = workflow.id || '';
+    form.querySelector('#workflow-response').innerHTML = '';
+    renderWorkflowSteps(form);
+}
+
+function addWorkflowStep(form, type) {
+    const stepType = workflowEditor.stepTypes.find(t => t.type === type);
+    if (!stepType) return;
+    const steps = workflowEditor.draft.steps;
+    let id = type.replace(/^(create|add)/, '').replace(/^./, ch => ch.toLowerCase()) || 'step';
+    for (let n = 2; steps.some(step => step.id === id); n++) {
+        id = `${id.replace(/\d+$/, '')}${n}`;
+    }
+
+    const inputs = {};
+    stepType.inputs.forEach(field => {
+        if (field.default !== undefined) inputs[field.name] = field.default;
+    });
+    // Point course inputs at the most recent step that creates a course
+    const courseStep = [...steps].reverse().find(step => workflowEditor.stepTypes.find(t => t.type === step.type)?.outputs.includes('courseId'));
+    if (courseStep && stepType.inputs.some(field => field.name === 'courseId')) {
+        inputs.courseId = `{{${courseStep.id}.courseId}}`;
+    }
+    steps.push({ id, type, inputs });
+    renderWorkflowSteps(form);
+}
+
+function renderWorkflowSteps(form) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const container = form.querySelector('#workflow-steps');
+    const steps = workflowEditor.draft.steps;
+
+    if (steps.length === 0) {
+        container.innerHTML = `<div class="alert alert-secondary mb-0">No steps yet. Add a step below, or load the example.</div>`;
+        return;
+    }
+
+    container.innerHTML = steps.map((step, index) => {
+        const stepType = workflowEditor.stepTypes.find(t => t.type === step.type);
+        if (!stepType) {
+            return `<div class="alert alert-danger">Step ${index + 1} has an unknown type "${escape(step.type)}"</div>`;
+        }
+
+        // Outputs of earlier steps this step can use
+        const available = steps.slice(0, index).flatMap(earlier => {
+            const earlierType = workflowEditor.stepTypes.find(t => t.type === earlier.type);
+            return (earlierType?.outputs || []).map(output => `{{${earlier.id}.${output}}}`);
+        });
+
+        const fields = stepType.inputs.map(field => {
+            const value = step.inputs[field.name];
+            const inputId = `workflow-step-${index}-${field.name}`;
+            let control;
+            if (field.type === 'boolean') {
+                control = `
+                    <div class="form-check mt-1">
+                        <input class="form-check-input" type="checkbox" id="${inputId}" data-field="${escape(field.name)}" ${value === true || value === 'true' ? 'checked' : ''}>
+                        <label class="form-check-label small" for="${inputId}">${escape(field.label)}</label>
+                    </div>`;
+                return `<div class="col-md-3">${control}</div>`;
+            }
+            if (field.type === 'select') {
+                control = `<select class="form-select form-select-sm" id="${inputId}" data-field="${escape(field.name)}">
+                    ${field.options.map(option => `<option value="${escape(option)}" ${option === value ? 'selected' : ''}>${escape(option)}</option>`).join('')}
+                </select>`;
+            } else {
+                const outputs = available.length > 0
+                    ? `<button class="btn btn-outline-secondary dropdown-toggle" type="button" data-bs-toggle="dropdown" title="Use an earlier step's output"><i class="bi bi-link-45deg"></i></button>
+                       <ul class="dropdown-menu dropdown-menu-end">
+                           ${available.map(ref => `<li><a class="dropdown-item small workflow-use-output" href="#" data-target="${inputId}" data-ref="${escape(ref)}">${escape(ref)}</a></li>`).join('')}
+                       </ul>`
+                    : '';
+                control = `
+                    <div class="input-group input-group-sm">
+                        <input type="text" class="form-control" id="${inputId}" data-field="${escape(field.name)}" value="${escape(Array.isArray(value) ? value.join(', ') : value)}"
+                            placeholder="${field.type === 'list' ? 'Comma separated' : ''}">
+                        ${outputs}
+                    </div>`;
+            }
+            return `
+                <div class="col-md-${field.type === 'list' ? 6 : 3}">
+                    <label class="form-label" for="${inputId}">${escape(field.label)}${field.required ? ' *' : ''}</label>
+                    ${control}
+                </div>`;
+        }).join('');
+
+        return `
+            ${index > 0 ? '<div class="workflow-connector"><i class="bi bi-arrow-down"></i></div>' : ''}
+            <div class="card workflow-step mb-1" data-index="${index}">
+                <div class="card-header d-flex align-items-center gap-2">
+                    <span class="badge bg-secondary">${index + 1}</span>
+                    <strong class="small">${escape(stepType.label)}</strong>
+                    <div class="input-group input-group-sm w-auto">
+                        <span class="input-group-text">id</span>
+                        <input type="text" class="form-control workflow-step-id" value="${escape(step.id)}" style="max-width: 9rem;">
+                    </div>
+                    <span class="small text-muted">outputs: ${stepType.outputs.map(o => `<code>${escape(o)}</code>`).join(', ')}</span>
+                    <span class="badge workflow-step-status ms-auto" hidden></span>
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary workflow-step-up" ${index === 0 ? 'disabled' : ''} title="Move up"><i class="bi bi-arrow-up"></i></button>
+                        <button type="button" class="btn btn-outline-secondary workflow-step-down" ${index === steps.length - 1 ? 'disabled' : ''} title="Move down"><i class="bi bi-arrow-down"></i></button>
+                        <button type="button" class="btn btn-outline-danger workflow-step-remove" title="Remove"><i class="bi bi-x-lg"></i></button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="row g-2">${fields}</div>
+                    <div class="workflow-step-detail small mt-1"></div>
+                </div>
+            </div>`;
+    }).join('');
+
+    container.querySelectorAll('.workflow-step').forEach(card => {
+        const index = Number(card.dataset.index);
+        const step = steps[index];
+        card.querySelectorAll('[data-field]').forEach(input => {
+            const update = () => {
+                step.inputs[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+            };
+            input.addEventListener(input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input', update);
+        });
+        card.querySelector('.workflow-step-id').addEventListener('change', (event) => {
+            step.id = event.target.value.trim();
+            renderWorkflowSteps(form);
+        });
+        card.querySelectorAll('.workflow-use-output').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                const input = card.querySelector(`#${link.dataset.target}`);
+                input.value = link.dataset.ref;
+                input.dispatchEvent(new Event('input'));
+            });
+        });
+        const move = (offset) => {
+            steps.splice(index + offset, 0, steps.splice(index, 1)[0]);
+            renderWorkflowSteps(form);
+        };
+        card.querySelector('.workflow-step-up').addEventListener('click', () => move(-1));
+        card.querySelector('.workflow-step-down').addEventListener('click', () => move(1));
+        card.querySelector('.workflow-step-remove').addEventListener('click', () => {
+            steps.splice(index, 1);
+            renderWorkflowSteps(form);
+        });
+    });
+}
+
+function renderWorkflowStepStatus(form, step) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const card = form.querySelector(`.workflow-step[data-index="${step.index}"]`);
+    if (!card) return;
+    const badge = card.querySelector('.workflow-step-status');
+    badge.hidden = false;
+    badge.className = `badge workflow-step-status ms-auto ${WORKFLOW_STATUS_BADGES[step.status] || 'bg-secondary'}`;
+    badge.textContent = step.status;
+
+    const detail = card.querySelector('.workflow-step-detail');
+    const parts = [];
+    if (step.succeeded !== undefined) parts.push(`${step.succeeded} succeeded, ${step.failed} failed`);
+    if (step.outputs) {
+        parts.push(Object.entries(step.outputs)
+            .map(([name, value]) => `<code>${escape(name)}</code> = ${escape(Array.isArray(value) ? value.join(', ') || '(none)' : value)}`)
+            .join('; '));
+    }
+    if (step.error) parts.push(`<span class="text-danger">${escape(step.error)}</span>`);
+    detail.innerHTML = parts.join(' · ');
+}
+
+function getWorkflowInput(form) {
+    return {
+        id: workflowEditor.draft.id || undefined,
+        name: form.querySelector('#workflow-name').value.trim(),
+        description: form.querySelector('#workflow-description').value.trim(),
+        steps: workflowEditor.draft.steps
+    };
+}
+
+async function saveWorkflow(form) {
+    const responseDiv = form.querySelector('#workflow-response');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    responseDiv.innerHTML = '';
+    try {
+        const saved = await window.workflows.save(getWorkflowInput(form));
+        workflowEditor.draft.id = saved.id;
+        workflowEditor.draft.steps = saved.steps;
+        await refreshWorkflows(form, saved.id);
+        responseDiv.innerHTML = `<div class="alert alert-success mb-0"><i class="bi bi-check-circle me-1"></i>Saved "${escape(saved.name)}"</div>`;
+    } catch (error) {
+        errorHandler(error, form.querySelector('#workflow-steps'), responseDiv);
+    }
+}
+
+async function deleteWorkflow(form) {
+    const { id, name } = workflowEditor.draft;
+    if (!id || !confirm(`Delete the workflow "${name}"?`)) return;
+    try {
+        await window.workflows.delete(id);
+        loadWorkflowDraft(form, { id: null, name: '', description: '', steps: [] });
+        await refreshWorkflows(form, '');
+    } catch (error) {
+        errorHandler(error, form.querySelector('#workflow-steps'), form.querySelector('#workflow-response'));
+    }
+}
+
+async function runWorkflowDraft(form) {
+    const responseDiv = form.querySelector('#workflow-response');
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const profileSelect = form.querySelector('#workflow-profile');
+    const runButton = form.querySelector('#workflow-run-btn');
+    const cancelButton = form.querySelector('#workflow-cancel-btn');
+    responseDiv.innerHTML = '';
+
+    const profileName = profileSelect.selectedOptions[0]?.textContent || '';
+    if (!confirm(`Run "${form.querySelector('#workflow-name').value.trim() || 'this workflow'}" against ${profileName}? Every step creates real data.`)) return;
+
+    renderWorkflowSteps(form);
+    workflowEditor.runId = `run-${Date.now()}`;
+    runButton.disabled = true;
+    cancelButton.hidden = false;
+    try {
+        const result = await window.workflows.run({
+            workflow: getWorkflowInput(form),
+            profileId: profileSelect.value,
+            runId: workflowEditor.runId
+        });
+        const failedStep = result.steps.find(step => step.status === 'failed' || step.status === 'cancelled');
+        const message = result.status === 'completed'
+            ? `Completed ${result.steps.length} step(s) on ${escape(result.domain)}`
+            : `Workflow ${escape(result.status)}${failedStep ? ` at step "${escape(failedStep.id)}"${failedStep.error ? `: ${escape(failedStep.error)}` : ''}` : ''}. Earlier steps are not rolled back.`;
+        responseDiv.innerHTML = `<div class="alert ${result.status === 'completed' ? 'alert-success' : 'alert-warning'} mb-0">${message}</div>`;
+    } catch (error) {
+        errorHandler(error, form.querySelector('#workflow-steps'), responseDiv);
+    } finally {
+        workflowEditor.runId = null;
+        runButton.disabled = false;
+        cancelButton.hidden = true;
+    }
+}
@@ -0,0 +1,499 @@
+// authAssertions.js - Decode SAML messages, OAuth parameters and JWTs found in a HAR file
+//
+// Works on raw HAR entries (log.entries) and returns, per entry:
+//
+//   saml:  SAMLRequest/SAMLResponse from query strings (redirect binding,
+//          base64 + raw deflate), form posts and auto-post HTML forms (POST
+//          binding, base64). Shows issuer, audience, NameID, attributes,
+//          validity window and where the message is signed.
+//   oauth: authorization requests (response_type + client_id) and callbacks
+//          (code / state / error) from query strings, fragments and form posts.
+//   jwt:   tokens from Authorization headers, parameters and JSON bodies.
+//          Only the header and claims are decoded; signatures are not verified.
+//
+// Each item has an issues list of { severity: 'error'|'warning'|'info', code, message }.
+// Times are checked against the entry's startedDateTime, i.e. the browser's clock.
+// XML is read with regular expressions (no parser in the main process), which
+// is enough for the well-formed messages identity providers send.
+
+const zlib = require('zlib');
+
+const CLOCK_SKEW_TOLERANCE_MS = 60 * 1000;
+const SAML_PARAMS = ['SAMLRequest', 'SAMLResponse'];
+const OAUTH_PARAMS = ['code', 'state', 'error', 'error_description', 'error_uri', 'client_id', 'redirect_uri', 'response_type', 'scope', 'grant_type'];
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g;
+const SUCCESS_STATUS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+
+// ---- small helpers ------------------------------------------------------
+
+const issue = (severity, code, message) => ({ severity, code, message });
+
+function decodeXmlEntities(text) {
+    return String(text ?? '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+// Every <prefix:Tag ...>...</prefix:Tag> (or self-closing) element, ignoring the namespace prefix
+function elements(xml, tag) {
+    const pattern = new RegExp(`<((?:[\\w.-]+:)?${tag})\\b([^>]*?)(?:/>|>([\\s\\S]*?)</\\1\\s*>)`, 'g');
+    const found = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        found.push({ attrs: match[2], inner: match[3] ?? '', outer: match[0] });
+    }
+    return found;
+}
+
+function element(xml, tag) {
+    return elements(xml, tag)[0] || null;
+}
+
+// Attributes of every opening tag, including nested ones (e.g. a StatusCode inside a StatusCode)
+function openingTags(xml, tag) {
+    const pattern = new RegExp(`<(?:[\\w.-]+:)?${tag}\\b([^>]*?)/?>`, 'g');
+    const found = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) found.push(match[1]);
+    return found;
+}
+
+function attribute(attrs, name) {
+    const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(attrs || '');
+    return match ? decodeXmlEntities(match[1] ?? match[2]) : null;
+}
+
+function text(el) {
+    return el ? decodeXmlEntities(el.inner.replace(/<[^>]+>/g, '')).trim() : null;
+}
+
+function parseTime(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+function describeSkew(ms) {
+    const seconds = Math.round(Math.abs(ms) / 1000);
+    return seconds < 120 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+}
+
+function origin(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.origin}${parsed.pathname}`;
+    } catch {
+        return null;
+    }
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+// Only the start of a secret value is shown so a screenshot of the report can't be replayed
+function mask(value) {
+    const s = String(value ?? '');
+    return s.length > 10 ? `${s.slice(0, 6)}…(${s.length} chars)` : s;
+}
+
+// ---- where parameters come from -----------------------------------------
+
+/**
+ * Name/value parameters of one HAR entry: query string, URL fragment, form body and auto-post HTML forms
+ * @param {Object} entry - HAR entry
+ * @returns {Array<{ name: string, value: string, location: 'query'|'fragment'|'body'|'responseForm' }>}
+ */
+function entryParameters(entry) {
+    const params = [];
+    const request = entry.request || {};
+    let url = null;
+    try {
+        url = new URL(request.url);
+    } catch { /* not a valid URL */ }
+
+    if (url) {
+        url.searchParams.forEach((value, name) => params.push({ name, value, location: 'query' }));
+        if (url.hash.length > 1) {
+            new URLSearchParams(url.hash.slice(1)).forEach((value, name) => params.push({ name, value, location: 'fragment' }));
+        }
+    }
+
+    const post = request.postData || {};
+    if (Array.isArray(post.params) && post.params.length > 0) {
+        post.params.forEach(p => params.push({ name: p.name, value: safeDecodeURIComponent(p.value ?? ''), location: 'body' }));
+    } else if (post.text && /x-www-form-urlencoded/i.test(post.mimeType || '')) {
+        new URLSearchParams(post.text).forEach((value, name) => params.push({ name, value, location: 'body' }));
+    }
+
+    // IdPs deliver POST-binding responses as an HTML form that posts itself
+    const content = entry.response?.content || {};
+    if (content.text && /html/i.test(content.mimeType || '') && /SAMLRe(?:quest|sponse)/.test(content.text)) {
+        const body = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+        for (const input of body.match(/<input\b[^>]*>/gi) || []) {
+            const name = attribute(input.slice(6, -1), 'name');
+            const value = attribute(input.slice(6, -1), 'value');
+            if (SAML_PARAMS.includes(name) && value) params.push({ name, value, location: 'responseForm' });
+        }
+    }
+    return params;
+}
+
+function safeDecodeURIComponent(value) {
+    try {
+        return decodeURIComponent(String(value).replace(/\+/g, ' '));
+    } catch {
+        return String(value);
+    }
+}
+
+// ---- SAML ----------------------------------------------------------------
+
+/**
+ * Decode a SAMLRequest/SAMLResponse parameter to XML
+ * @param {string} value - Parameter value (already URL-decoded)
+ * @returns {{ xml: string, binding: 'redirect'|'post' }}
+ * @throws {Error} When the value is not base64 SAML
+ */
+function decodeSamlParameter(value) {
+    // A '+' that was form-decoded to a space is put back before line breaks are dropped
+    const raw = Buffer.from(String(value).replace(/ /g, '+').replace(/\s+/g, ''), 'base64');
+    try {
+        const inflated = zlib.inflateRawSync(raw).toString('utf8');
+        if (inflated.trim().startsWith('<')) return { xml: inflated, binding: 'redirect' };
+    } catch { /* not deflated: POST binding */ }
+    const xml = raw.toString('utf8');
+    if (!xml.trim().startsWith('<')) {
+        throw new Error('Value is not base64-encoded SAML XML');
+    }
+    return { xml, binding: 'post' };
+}
+
+/**
+ * Read the fields support needs from a SAML message
+ * @param {string} xml
+ * @returns {Object} { type, id, issueInstant, destination, inResponseTo, assertionConsumerServiceUrl, issuer,
+ *   status: { code, subCode, message }, encrypted, assertion: { issuer, nameId, nameIdFormat, notBefore, notOnOrAfter,
+ *   audiences, recipient, subjectNotOnOrAfter, authnInstant, sessionNotOnOrAfter, attributes }, signature: { message, assertion } }
+ */
+function parseSamlXml(xml) {
+    const root = /<(?:[\w.-]+:)?(AuthnRequest|Response|LogoutRequest|LogoutResponse|ArtifactResolve|ArtifactResponse)\b([^>]*)>/.exec(xml);
+    const rootAttrs = root ? root[2] : '';
+    const assertionEl = element(xml, 'Assertion');
+    // Message-level parts are what's left once the assertion is cut out
+    const outside = assertionEl ? xml.replace(assertionEl.outer, '') : xml;
+
+    const statusCodes = openingTags(outside, 'StatusCode').map(attrs => attribute(attrs, 'Value'));
+    const parsed = {
+        type: root ? root[1] : 'Unknown',
+        id: attribute(rootAttrs, 'ID'),
+        issueInstant: attribute(rootAttrs, 'IssueInstant'),
+        destination: attribute(rootAttrs, 'Destination'),
+        inResponseTo: attribute(rootAttrs, 'InResponseTo'),
+        assertionConsumerServiceUrl: attribute(rootAttrs, 'AssertionConsumerServiceURL'),
+        issuer: text(element(outside, 'Issuer')),
+        status: statusCodes.length > 0
+            ? { code: statusCodes[0], subCode: statusCodes[1] || null, message: text(element(outside, 'StatusMessage')) }
+            : null,
+        encrypted: /<(?:[\w.-]+:)?EncryptedAssertion\b/.test(xml),
+        assertion: null,
+        signature: {
+            message: /<(?:[\w.-]+:)?Signature\b/.test(outside),
+            assertion: assertionEl ? /<(?:[\w.-]+:)?Signature\b/.test(assertionEl.inner) : false
+        }
+    };
+
+    if (assertionEl) {
+        const a = assertionEl.inner;
+        const nameId = element(a, 'NameID');
+        const conditions = element(a, 'Conditions');
+        const confirmation = element(a, 'SubjectConfirmationData');
+        const authn = element(a, 'AuthnStatement');
+        parsed.assertion = {
+            issuer: text(element(a, 'Issuer')),
+            nameId: text(nameId),
+            nameIdFormat: nameId ? attribute(nameId.attrs, 'Format') : null,
+            notBefore: conditions ? attribute(conditions.attrs, 'NotBefore') : null,
+            notOnOrAfter: conditions ? attribute(conditions.attrs, 'NotOnOrAfter') : null,
+            audiences: elements(a, 'Audience').map(text).filter(Boolean),
+            recipient: confirmation ? attribute(confirmation.attrs, 'Recipient') : null,
+            subjectNotOnOrAfter: confirmation ? attribute(confirmation.attrs, 'NotOnOrAfter') : null,
+            authnInstant: authn ? attribute(authn.attrs, 'AuthnInstant') : null,
+            sessionNotOnOrAfter: authn ? attribute(authn.attrs, 'SessionNotOnOrAfter') : null,
+            attributes: elements(a, 'Attribute').map(el => ({
+                name: attribute(el.attrs, 'Name'),
+                friendlyName: attribute(el.attrs, 'FriendlyName'),
+                values: elements(el.inner, 'AttributeValue').map(text)
+            }))
+        };
+    }
+    return parsed;
+}
+
+/**
+ * Flag common SAML failures
+ * @param {Object} saml - From parseSamlXml
+ * @param {Object} context
+ * @param {number|null} context.capturedAt - Browser time of the entry (ms)
+ * @param {string} [context.postedTo] - URL the message was sent to
+ * @param {Object} [context.request] - The AuthnRequest this responds to, if it is in the HAR
+ * @returns {Array<Object>} Issues
+ */
+function samlIssues(saml, { capturedAt, postedTo, request }) {
+    const issues = [];
+    const isResponse = saml.type === 'Response';
+
+    if (saml.status && saml.status.code !== SUCCESS_STATUS) {
+        const code = [saml.status.code, saml.status.subCode].filter(Boolean).map(c => c.split(':').pop()).join(' / ');
+        issues.push(issue('error', 'saml_status', `IdP returned status ${code}${saml.status.message ? `: ${saml.status.message}` : ''}`));
+    }
+
+    const issued = parseTime(saml.issueInstant);
+    if (capturedAt && issued && Math.abs(issued - capturedAt) > CLOCK_SKEW_TOLERANCE_MS) {
+        issues.push(issue('warning', 'clock_skew',
+            `IssueInstant is ${describeSkew(issued - capturedAt)} ${issued > capturedAt ? 'ahead of' : 'behind'} the browser's clock; the IdP, Canvas or this computer may have the wrong time`));
+    }
+
+    if (postedTo && saml.destination && origin(saml.destination) !== origin(postedTo)) {
+        issues.push(issue('warning', 'destination_mismatch', `Destination ${saml.destination} does not match the URL it was sent to (${origin(postedTo)})`));
+    }
+    if (request && saml.inResponseTo && request.id && saml.inResponseTo !== request.id) {
+        issues.push(issue('warning', 'in_response_to_mismatch', `InResponseTo ${saml.inResponseTo} does not match the AuthnRequest ID ${request.id} in this HAR`));
+    }
+
+    if (!isResponse) return issues;
+
+    if (saml.encrypted && !saml.assertion) {
+        issues.push(issue('info', 'encrypted_assertion', 'The assertion is encrypted, so its subject, audience and attributes cannot be shown'));
+    } else if (!saml.assertion) {
+        if (!saml.status || saml.status.code === SUCCESS_STATUS) {
+            issues.push(issue('error', 'missing_assertion', 'The response has no assertion'));
+        }
+        return issues;
+    }
+
+    // An encrypted assertion carries its signature inside the encryption
+    if (!saml.signature.message && !saml.signature.assertion && !saml.encrypted) {
+        issues.push(issue('error', 'unsigned', 'Neither the response nor the assertion is signed'));
+    }
+    const a = saml.assertion;
+    if (!a) return issues;
+
+    const notBefore = parseTime(a.notBefore);
+    const notOnOrAfter = parseTime(a.notOnOrAfter);
+    if (capturedAt && notBefore && capturedAt < notBefore - CLOCK_SKEW_TOLERANCE_MS) {
+        issues.push(issue('error', 'not_yet_valid',
+            `The assertion is not valid until ${a.notBefore}, ${describeSkew(notBefore - capturedAt)} after it was received (IdP clock is ahead)`));
+    }
+    if (capturedAt && notOnOrAfter && capturedAt >= notOnOrAfter) {
+        issues.push(issue('error', 'expired',
+            `The assertion expired at ${a.notOnOrAfter}, ${describeSkew(capturedAt - notOnOrAfter)} before it was received (IdP clock is behind or the response was replayed)`));
+    }
+    const subjectExpiry = parseTime(a.subjectNotOnOrAfter);
+    if (capturedAt && subjectExpiry && capturedAt >= subjectExpiry) {
+        issues.push(issue('error', 'subject_expired', `SubjectConfirmationData expired at ${a.subjectNotOnOrAfter}`));
+    }
+
+    const expectedAudience = request?.issuer || null;
+    if (a.audiences.length === 0) {
+        issues.push(issue('warning', 'no_audience', 'The assertion has no AudienceRestriction'));
+    } else if (expectedAudience && !a.audiences.includes(expectedAudience)) {
+        issues.push(issue('error', 'audience_mismatch',
+            `Audience ${a.audiences.join(', ')} does not match the service provider entity ID ${expectedAudience} from the AuthnRequest`));
+    } else if (!expectedAudience && postedTo && !a.audiences.some(aud => hostOf(aud) === hostOf(postedTo))) {
+        issues.push(issue('warning', 'audience_mismatch',
+            `Audience ${a.audiences.join(', ')} is not on ${hostOf(postedTo)}, where the response was sent; check the entity ID configured at the IdP`));
+    }
+    if (postedTo && a.recipient && origin(a.recipient) !== origin(postedTo)) {
+        issues.push(issue('warning', 'recipient_mismatch', `Recipient ${a.recipient} does not match the URL the response was sent to`));
+    }
+
+    if (!a.nameId) {
+        issues.push(issue('error', 'missing_name_id', 'The assertion has no NameID'));
+    } else if (/transient/i.test(a.nameIdFormat || '')) {
+        issues.push(issue('warning', 'transient_name_id', 'NameID format is transient, so it changes on every login and cannot match a Canvas login ID'));
+    }
+    if (a.attributes.length === 0) {
+        issues.push(issue('warning', 'no_attributes', 'The IdP released no attributes'));
+    }
+    const empty = a.attributes.filter(attr => attr.values.length === 0 || attr.values.every(v => !v));
+    if (empty.length > 0) {
+        issues.push(issue('warning', 'empty_attributes', `Attributes with no value: ${empty.map(attr => attr.friendlyName || attr.name).join(', ')}`));
+    }
+    return issues;
+}
+
+// ---- JWT -----------------------------------------------------------------
+
+function base64UrlJson(part) {
+    return JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+}
+
+/**
+ * Decode a JWT without verifying it
+ * @param {string} token
+ * @returns {{ header: Object, claims: Object, signed: boolean }|null} Null if it is not a JWT
+ */
+function decodeJwt(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    try {
+        return { header: base64UrlJson(parts[0]), claims: base64UrlJson(parts[1]), signed: parts[2].length > 0 };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Flag expired, not-yet-valid and unsigned tokens
+ * @param {Object} jwt - From decodeJwt
+ * @param {number|null} capturedAt - Browser time of the entry (ms)
+ * @returns {Array<Object>} Issues
+ */
+function jwtIssues(jwt, capturedAt) {
+    const issues = [];
+    const { claims, header } = jwt;
+    if (String(header.alg).toLowerCase() === 'none' || !jwt.signed) {
+        issues.push(issue('error', 'unsigned', 'The token is not signed (alg "none" or no signature)'));
+    }
+    if (!capturedAt) return issues;
+    if (typeof claims.exp === 'number' && capturedAt >= claims.exp * 1000) {
+        issues.push(issue('warning', 'expired', `Expired ${describeSkew(capturedAt - claims.exp * 1000)} before this request`));
+    }
+    if (typeof claims.nbf === 'number' && capturedAt < claims.nbf * 1000 - CLOCK_SKEW_TOLERANCE_MS) {
+        issues.push(issue('error', 'not_yet_valid', `Not valid until ${describeSkew(claims.nbf * 1000 - capturedAt)} after this request (issuer clock is ahead)`));
+    }
+    if (typeof claims.iat === 'number' && claims.iat * 1000 - capturedAt > CLOCK_SKEW_TOLERANCE_MS) {
+        issues.push(issue('warning', 'clock_skew', `Issued ${describeSkew(claims.iat * 1000 - capturedAt)} in the future relative to the browser's clock`));
+    }
+    return issues;
+}
+
+function jwtSources(entry, params) {
+    const found = [];
+    for (const header of entry.request?.headers || []) {
+        const match = /^Bearer\s+(\S+)/i.exec(header.value || '');
+        if (header.name.toLowerCase() === 'authorization' && match) found.push({ token: match[1], source: 'Authorization header' });
+    }
+    for (const p of params) {
+        if (p.location !== 'responseForm') {
+            for (const token of String(p.value).match(JWT_PATTERN) || []) found.push({ token, source: `${p.location} parameter ${p.name}` });
+        }
+    }
+    const content = entry.response?.content || {};
+    if (content.text && /json/i.test(content.mimeType || '') && content.encoding !== 'base64') {
+        for (const token of content.text.match(JWT_PATTERN) || []) found.push({ token, source: 'response body' });
+    }
+    return found;
+}
+
+// ---- all together ---------------------------------------------------------
+
+/**
+ * Find and decode SAML, OAuth and JWT artifacts in HAR entries
+ * @param {Array<Object>} entries - log.entries; item entryId is the 1-based index
+ * @returns {{ saml: Array<Object>, oauth: Array<Object>, jwt: Array<Object>, issueCount: { error: number, warning: number, info: number } }}
+ */
+function analyzeAuthArtifacts(entries) {
+    const saml = [];
+    const oauth = [];
+    const jwt = [];
+    const seenTokens = new Set();
+    let lastAuthnRequest = null;
+    const authorizeRequests = [];
+
+    entries.forEach((entry, index) => {
+        const entryId = index + 1;
+        const url = entry.request?.url || '';
+        const capturedAt = parseTime(entry.startedDateTime);
+        const params = entryParameters(entry);
+
+        for (const p of params.filter(param => SAML_PARAMS.includes(param.name))) {
+            const item = { entryId, url, time: entry.startedDateTime || null, parameter: p.name, location: p.location };
+            try {
+                const { xml, binding } = decodeSamlParameter(p.value);
+                const parsed = parseSamlXml(xml);
+                // A response form is posted to its form action, not to the URL that returned it
+                const postedTo = p.location === 'responseForm' ? parsed.destination : url;
+                const request = parsed.type === 'Response' ? lastAuthnRequest : null;
+                Object.assign(item, { binding, ...parsed, xml, issues: samlIssues(parsed, { capturedAt, postedTo, request }) });
+                if (parsed.type === 'AuthnRequest') lastAuthnRequest = parsed;
+            } catch (error) {
+                Object.assign(item, { type: 'Unknown', issues: [issue('error', 'undecodable', `Could not decode ${p.name}: ${error.message}`)] });
+            }
+            // The same response is often both in the IdP's form and the browser's POST
+            if (!saml.some(s => s.xml && s.xml === item.xml)) saml.push(item);
+        }
+
+        const values = Object.fromEntries(params.filter(p => OAUTH_PARAMS.includes(p.name) && p.location !== 'responseForm').map(p => [p.name, p.value]));
+        const isAuthorize = values.response_type && values.client_id;
+        const isCallback = !isAuthorize && !values.grant_type && (values.code || values.error) && ('state' in values || values.error);
+        const isToken = values.grant_type && values.code;
+        if (isAuthorize || isCallback || isToken) {
+            const kind = isAuthorize ? 'authorize' : isToken ? 'token' : 'callback';
+            const item = {
+                entryId, url, time: entry.startedDateTime || null, kind, status: entry.response?.status ?? null,
+                params: Object.fromEntries(Object.entries(values).map(([k, v]) => [k, k === 'code' ? mask(v) : v])),
+                issues: []
+            };
+            if (values.error) {
+                item.issues.push(issue('error', 'oauth_error', `${values.error}${values.error_description ? `: ${values.error_description}` : ''}`));
+            }
+            if (kind === 'authorize') {
+                authorizeRequests.push({ item, state: values.state, redirectUri: values.redirect_uri, answered: false });
+                if (!values.state) item.issues.push(issue('warning', 'missing_state', 'The authorization request has no state parameter'));
+            } else if (kind === 'callback') {
+                // A redirect can repeat the authorization request with the same state
+                const matches = authorizeRequests.filter(r => r.state && r.state === values.state);
+                const match = matches[0];
+                if (match) {
+                    matches.forEach(r => { r.answered = true; });
+                    if (match.redirectUri && origin(match.redirectUri) !== origin(url)) {
+                        item.issues.push(issue('warning', 'redirect_uri_mismatch', `Callback arrived at ${origin(url)} but redirect_uri was ${match.redirectUri}`));
+                    }
+                } else if (authorizeRequests.some(r => r.state)) {
+                    item.issues.push(issue('error', 'state_mismatch', 'The state does not match any authorization request in this HAR, so the callback will be rejected'));
+                    authorizeRequests.forEach(r => { r.answered = true; });
+                }
+            }
+            oauth.push(item);
+        }
+
+        for (const { token, source } of jwtSources(entry, params)) {
+            if (seenTokens.has(token)) continue;
+            seenTokens.add(token);
+            const decoded = decodeJwt(token);
+            if (!decoded) continue;
+            jwt.push({ entryId, url, time: entry.startedDateTime || null, source, header: decoded.header, claims: decoded.claims, issues: jwtIssues(decoded, capturedAt) });
+        }
+    });
+
+    authorizeRequests.filter(r => !r.answered).forEach(r => {
+        r.item.issues.push(issue('warning', 'no_callback', 'No callback with a code or error came back for this authorization request'));
+    });
+
+    // The raw XML is only kept for de-duplication
+    const samlItems = saml.map(({ xml, ...item }) => item);
+    const issueCount = { error: 0, warning: 0, info: 0 };
+    [...samlItems, ...oauth, ...jwt].forEach(item => item.issues.forEach(i => { issueCount[i.severity]++; }));
+    return { saml: samlItems, oauth, jwt, issueCount };
+}
+
+module.exports = {
+    CLOCK_SKEW_TOLERANCE_MS,
+    entryParameters,
+    decodeSamlParameter,
+    parseSamlXml,
+    samlIssues,
+    decodeJwt,
+    jwtIssues,
+    analyzeAuthArtifacts
+};
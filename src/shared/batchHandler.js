@@ -1,18 +1,44 @@
 // batchHandler.js - Batch processing utility for Canvas API requests
 
+const axios = require('axios');
 const { waitFunc } = require('./utilities');
+const { installRateLimiter, getAdaptiveBatchSize, getAdaptiveDelay } = require('./rateLimiter');
+const { installDomainOverride } = require('./domainOverride');
+
+installRateLimiter(axios);
+installDomainOverride(axios);
+
+// Opens a journal for a run that wasn't given one (set by main/state/jobJournal.install)
+let journalFactory = null;
+
+/**
+ * Journal every batch run that isn't passed a journal of its own
+ * @param {Function|null} factory - (requests) => journal or null
+ */
+function setJournalFactory(factory) {
+    journalFactory = typeof factory === 'function' ? factory : null;
+}
 
 /**
- * Processes requests in batches with retry logic for throttling
+ * Processes requests in batches with retry logic for throttling.
+ * Batch size and the pause between batches adapt to the Canvas rate limit
+ * headers seen by the shared rate limiter; batchSize and timeDelay act as the
+ * upper bound and the fallback when no headers have been seen yet.
+ * When a job journal is passed (see main/state/jobJournal.js), each request's
+ * outcome is recorded under request.journalKey (or request.id) so the job can
+ * be resumed after a crash. Without one, the journal factory (if set) opens a
+ * journal for the run, which is closed when the run ends.
  * @param {Array} requests - Array of request objects with id and request function
  * @param {number|Object} batchSize - Batch size or options object
  * @param {number} timeDelay - Delay between batches in milliseconds
  * @returns {Promise<Object>} Object with successful and failed arrays
  */
 async function batchHandler(requests, batchSize = 35, timeDelay) {
-    // Support options overload: batchHandler(reqs, { batchSize, timeDelay, isCancelled, operationId })
+    // Support options overload: batchHandler(reqs, { batchSize, timeDelay, isCancelled, operationId, domain, journal })
     let isCancelled = null;
     let operationId = null;
+    let domain = null;
+    let journal = null;
     const getEnvNumber = (name, fallback) => {
         const n = Number(process.env[name]);
         return Number.isFinite(n) && n >= 0 ? n : fallback;
@@ -22,12 +48,16 @@ async function batchHandler(requests, batchSize = 35, timeDelay) {
         const opts = batchSize;
         isCancelled = typeof opts.isCancelled === 'function' ? opts.isCancelled : null;
         operationId = opts.operationId || null;
+        domain = opts.domain || null;
+        journal = opts.journal || null;
         timeDelay = typeof opts.timeDelay === 'number' ? opts.timeDelay : envTimeDelay;
         batchSize = typeof opts.batchSize === 'number' ? opts.batchSize : 35;
     } else if (typeof timeDelay === 'object' && timeDelay !== null) {
         const opts = timeDelay;
         isCancelled = typeof opts.isCancelled === 'function' ? opts.isCancelled : null;
         operationId = opts.operationId || null;
+        domain = opts.domain || null;
+        journal = opts.journal || null;
         timeDelay = typeof opts.timeDelay === 'number' ? opts.timeDelay : envTimeDelay;
     }
 
@@ -35,6 +65,9 @@ async function batchHandler(requests, batchSize = 35, timeDelay) {
         timeDelay = envTimeDelay;
     }
 
+    const ownJournal = !journal && journalFactory ? journalFactory(requests) : null;
+    if (ownJournal) journal = ownJournal;
+
     const log = (msg) => {
         if (operationId) {
             console.log(`[${operationId}] ${msg}`);
@@ -61,28 +94,38 @@ async function batchHandler(requests, batchSize = 35, timeDelay) {
         }
 
         // const results = [];
-        for (let i = 0; i < myRequests.length; i += batchSize) {
+        let i = 0;
+        while (i < myRequests.length) {
             if (isCancelled && isCancelled()) {
                 console.log('BatchHandler: Cancellation detected before batch', i);
                 break;
             }
-            const batch = myRequests.slice(i, i + batchSize);
+            // Size each batch from what the rate limit bucket can currently afford
+            const currentBatchSize = getAdaptiveBatchSize(domain, batchSize);
+            const batch = myRequests.slice(i, i + currentBatchSize);
             await Promise.allSettled(batch.map(request => request.request()
                 .then(response => successful.push(handleSuccess(response, request)))
                 .catch(error => failed.push(handleError(error, request)))));
             // results.push(...batchResults);
-            if (i + batchSize < myRequests.length) {
+            if (journal) journal.flush();
+            i += currentBatchSize;
+            if (i < myRequests.length) {
                 if (isCancelled && isCancelled()) {
                     console.log('BatchHandler: Cancellation detected after batch', i);
                     break;
                 }
-                await waitFunc(timeDelay);
+                const delay = getAdaptiveDelay(domain, timeDelay);
+                if (delay > 0) {
+                    await waitFunc(delay);
+                }
             }
         }
 
         // return results;
 
         function handleSuccess(response, request) {
+            // Failures are journaled once retries are exhausted, so a crash mid-retry leaves them pending
+            if (journal) journal.markItem(request.journalKey ?? request.id, 'succeeded');
             return {
                 id: request.id,
                 status: 'fulfilled',
@@ -147,10 +190,18 @@ async function batchHandler(requests, batchSize = 35, timeDelay) {
         }
     } while (counter < 5 && retryRequests.length > 0); // loop through if there are failed requests until the counter is over 5
 
+    if (journal) {
+        const journalKeys = new Map(requests.map(request => [request.id, request.journalKey ?? request.id]));
+        failed.forEach(f => journal.markItem(journalKeys.get(f.id), 'failed', f.reason));
+        journal.flush();
+    }
+    if (ownJournal) ownJournal.finish(isCancelled && isCancelled() ? 'cancelled' : 'completed');
+
     log(`Batch handler complete. Successful: ${successful.length}, Failed: ${failed.length}`);
     return { successful, failed };
 }
 
 module.exports = {
-    batchHandler
+    batchHandler,
+    setJournalFactory
 };
\ No newline at end of file
@@ -13,6 +13,7 @@ const csvExporter = require('../csvExporter');
 const axios = require('axios');
 const { deleteRequester, errorCheck } = require('../utilities.js');
 const modulesAPI = require('./modules');
+const snapshotStore = require('../snapshotStore');
 // const questionAsker = require('../questionAsker');
 // const readline = require('readline');
 
@@ -75,9 +76,9 @@ async function createAssignments(data) {
     //
     //********************************************
 
-    const createAssignmentMutation = `mutation createAssignments($courseId: ID!, $name: String!, $submissionTypes: [SubmissionType!], $gradingType: GradingType, $pointsPossible: Float, $state: AssignmentState, $peerReviews: Boolean, $peerReviewCount: Int, $anonymous: Boolean, $assignmentGroupId: ID) {
+    const createAssignmentMutation = `mutation createAssignments($courseId: ID!, $name: String!, $description: String, $submissionTypes: [SubmissionType!], $gradingType: GradingType, $pointsPossible: Float, $state: AssignmentState, $peerReviews: Boolean, $peerReviewCount: Int, $anonymous: Boolean, $assignmentGroupId: ID, $dueAt: DateTime, $lockAt: DateTime, $unlockAt: DateTime) {
   createAssignment(
-        input: {courseId: $courseId, name: $name, description: "I'm a cool description", pointsPossible: $pointsPossible, gradingType: $gradingType, submissionTypes: $submissionTypes, state: $state, anonymousGrading: $anonymous, peerReviews: {enabled: $peerReviews, automaticReviews: $peerReviews, count: $peerReviewCount}, postToSis: false, assignmentGroupId: $assignmentGroupId}
+        input: {courseId: $courseId, name: $name, description: $description, pointsPossible: $pointsPossible, gradingType: $gradingType, submissionTypes: $submissionTypes, state: $state, anonymousGrading: $anonymous, peerReviews: {enabled: $peerReviews, automaticReviews: $peerReviews, count: $peerReviewCount}, postToSis: false, assignmentGroupId: $assignmentGroupId, dueAt: $dueAt, lockAt: $lockAt, unlockAt: $unlockAt}
   ) {
     assignment {
       _id
@@ -97,6 +98,7 @@ async function createAssignments(data) {
     const mutationVariables = {
         "courseId": data.course_id,
         "name": data.name,
+        "description": data.description ?? "I'm a cool description",
         "submissionTypes": normalizedSubmissionTypes,
         "gradingType": data.grade_type,
         "pointsPossible": data.points,
@@ -104,7 +106,10 @@ async function createAssignments(data) {
         "peerReviews": data.peer_reviews,
         "peerReviewCount": data.peer_review_count || 1,
         "anonymous": data.anonymous,
-        "assignmentGroupId": assignmentGroupId || null
+        "assignmentGroupId": assignmentGroupId || null,
+        "dueAt": data.due_at || null,
+        "lockAt": data.lock_at || null,
+        "unlockAt": data.unlock_at || null
     };
 
     try {
@@ -148,11 +153,38 @@ async function createAssignments(data) {
     }
 }
 
+async function getAssignment(data) {
+    const url = `https://${data.domain}/api/v1/courses/${data.course_id}/assignments/${data.id}`;
+
+    const request = async () => {
+        return await axios.get(url, {
+            headers: {
+                'Authorization': `Bearer ${data.token}`
+            }
+        });
+    };
+
+    const response = await errorCheck(request);
+    return response.data;
+}
+
 async function deleteAssignments(data) {
     console.log('Deleting assignment ', data.id);
     const url = `https://${data.domain}/api/v1/courses/${data.course_id}/assignments/${data.id}`;
 
     try {
+        // Keep a full copy so the deletion can be undone (data.snapshotOperationId groups a batch)
+        let snapshot = null;
+        if (snapshotStore.isEnabled()) {
+            const assignment = await getAssignment(data);
+            snapshot = snapshotStore.capture(data.snapshotOperationId, {
+                kind: 'assignment',
+                domain: data.domain,
+                course_id: data.course_id,
+                object: assignment
+            });
+        }
+
         const request = async () => {
             return await axios.delete(url, {
                 headers: {
@@ -162,6 +194,7 @@ async function deleteAssignments(data) {
         };
 
         const response = await errorCheck(request);
+        snapshotStore.markDeleted(snapshot);
 
         return response.data.id;
     } catch (error) {
@@ -170,6 +203,31 @@ async function deleteAssignments(data) {
     }
 }
 
+async function createRubricAssociation(data) {
+    // POST /api/v1/courses/:course_id/rubric_associations
+    const url = `https://${data.domain}/api/v1/courses/${data.course_id}/rubric_associations`;
+
+    const request = async () => {
+        return await axios.post(url, {
+            rubric_association: {
+                rubric_id: data.rubric_id,
+                association_id: data.assignment_id,
+                association_type: 'Assignment',
+                use_for_grading: !!data.use_for_grading,
+                hide_score_total: !!data.hide_score_total,
+                purpose: 'grading'
+            }
+        }, {
+            headers: {
+                'Authorization': `Bearer ${data.token}`
+            }
+        });
+    };
+
+    const response = await errorCheck(request);
+    return response.data;
+}
+
 async function getAssignments(domain, courseID, token) {
     console.log('Getting assignment(s)');
 
@@ -1282,5 +1340,5 @@ async function getAssignmentsInModules(data) {
 // }) ();
 
 module.exports = {
-    createAssignments, deleteAssignments, getAssignments, updateAssignment, getNoSubmissionAssignments, getUnpublishedAssignments, deleteNoSubmissionAssignments, getNonModuleAssignments, getAssignmentsToMove, moveAssignmentToGroup, getOldAssignmentsGraphQL, getImportedAssignments, deleteAssignmentGroupWithAssignments, getAssignmentsInOtherGroups, getAssignmentsInGroup, getNoDueDateAssignments, getAssignmentsInModules, getAllAssignmentsForCombined
+    createAssignments, deleteAssignments, getAssignment, createRubricAssociation, getAssignments, updateAssignment, getNoSubmissionAssignments, getUnpublishedAssignments, deleteNoSubmissionAssignments, getNonModuleAssignments, getAssignmentsToMove, moveAssignmentToGroup, getOldAssignmentsGraphQL, getImportedAssignments, deleteAssignmentGroupWithAssignments, getAssignmentsInOtherGroups, getAssignmentsInGroup, getNoDueDateAssignments, getAssignmentsInModules, getAllAssignmentsForCombined
 }
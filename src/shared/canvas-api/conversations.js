@@ -1,6 +1,7 @@
 // conversations.js
 const pagination = require('../pagination');
 const csvExporter = require('../csvExporter');
+const conversationSearch = require('../conversationSearch');
 //const questionAsker = require('./questionAsker');
 const { deleteRequester, errorCheck } = require('../utilities');
 
@@ -61,6 +62,62 @@ async function getConversations(user, url, scope, token) {
     return myConversations;
 }
 
+// POST a conversations GraphQL query, retrying throttling, 5xx and network errors with backoff.
+// onRetry({ attempt, delayMs }) is called before each wait; aborts throw an AbortError.
+async function postGraphQLWithRetry(axiosConfig, { signal, onRetry } = {}) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const maxRetries = 4;
+    const baseRetryMs = 500;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (signal?.aborted) {
+            const e = new Error('Aborted');
+            e.name = 'AbortError';
+            throw e;
+        }
+
+        try {
+            const response = await axios(axiosConfig);
+            if (response?.data?.errors?.length) {
+                const err = new Error(response.data.errors.map(e => e?.message || 'GraphQL error').join('; '));
+                err.status = response.status || 0;
+                throw err;
+            }
+            return response;
+        } catch (error) {
+            const cancelled = signal?.aborted || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+            if (cancelled) {
+                const e = new Error('Aborted');
+                e.name = 'AbortError';
+                throw e;
+            }
+
+            const status = Number(error?.response?.status || error?.status || 0);
+            const retryAfterHeader = error?.response?.headers?.['retry-after'] || error?.response?.headers?.['Retry-After'];
+            const retryAfterMs = Number.isFinite(Number(retryAfterHeader)) ? Number(retryAfterHeader) * 1000 : null;
+
+            const apiMessage = Array.isArray(error?.response?.data?.errors)
+                ? error.response.data.errors.map(e => e?.message || '').join(' ')
+                : (error?.response?.data?.message || error?.message || '');
+
+            const throttled403 = status === 403 && /throttl|rate.?limit|too many|try again later|exceed/i.test(String(apiMessage));
+            const nonRetryableNetwork = error?.code === 'ERR_TLS_CERT_ALTNAME_INVALID' || error?.code === 'ENOTFOUND';
+            const isRetryableStatus = [429, 500, 502, 503, 504].includes(status) || throttled403;
+            const shouldRetry = !nonRetryableNetwork && (isRetryableStatus || (!status && attempt < maxRetries));
+
+            if (!shouldRetry || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const backoff = retryAfterMs ?? (baseRetryMs * Math.pow(2, attempt) + Math.floor(Math.random() * 250));
+            if (typeof onRetry === 'function') {
+                onRetry({ attempt: attempt + 1, delayMs: backoff });
+            }
+            await sleep(backoff);
+        }
+    }
+}
+
 // gets all messages with the specific scope (inbox, sent, etc.) for a single user
 async function getConversationsGraphQL(data) {
     console.log('conversations.js > getConversationsGraphQL');
@@ -136,59 +193,14 @@ async function getConversationsGraphQL(data) {
     const sentOnOrAfterDate = sentOnOrAfter ? new Date(`${sentOnOrAfter}T00:00:00.000Z`) : null;
     const hasDateFilter = sentOnOrAfterDate instanceof Date && !isNaN(sentOnOrAfterDate.getTime());
 
-    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-    const maxRetries = 4;
-    const baseRetryMs = 500;
-
-    const fetchPageWithRetry = async () => {
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            if (signal?.aborted) {
-                const e = new Error('Aborted');
-                e.name = 'AbortError';
-                throw e;
-            }
-
-            try {
-                const response = await axios(axiosConfig);
-                if (response?.data?.errors?.length) {
-                    const err = new Error(response.data.errors.map(e => e?.message || 'GraphQL error').join('; '));
-                    err.status = response.status || 0;
-                    throw err;
-                }
-                return response;
-            } catch (error) {
-                const cancelled = signal?.aborted || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
-                if (cancelled) {
-                    const e = new Error('Aborted');
-                    e.name = 'AbortError';
-                    throw e;
-                }
-
-                const status = Number(error?.response?.status || error?.status || 0);
-                const retryAfterHeader = error?.response?.headers?.['retry-after'] || error?.response?.headers?.['Retry-After'];
-                const retryAfterMs = Number.isFinite(Number(retryAfterHeader)) ? Number(retryAfterHeader) * 1000 : null;
-
-                const apiMessage = Array.isArray(error?.response?.data?.errors)
-                    ? error.response.data.errors.map(e => e?.message || '').join(' ')
-                    : (error?.response?.data?.message || error?.message || '');
-
-                const throttled403 = status === 403 && /throttl|rate.?limit|too many|try again later|exceed/i.test(String(apiMessage));
-                const nonRetryableNetwork = error?.code === 'ERR_TLS_CERT_ALTNAME_INVALID' || error?.code === 'ENOTFOUND';
-                const isRetryableStatus = [429, 500, 502, 503, 504].includes(status) || throttled403;
-                const shouldRetry = !nonRetryableNetwork && (isRetryableStatus || (!status && attempt < maxRetries));
-
-                if (!shouldRetry || attempt >= maxRetries) {
-                    throw error;
-                }
-
-                const backoff = retryAfterMs ?? (baseRetryMs * Math.pow(2, attempt) + Math.floor(Math.random() * 250));
-                if (onProgress && typeof onProgress === 'function') {
-                    onProgress({ page: pageNumber, retrying: true, attempt: attempt + 1, delayMs: backoff });
-                }
-                await sleep(backoff);
+    const fetchPageWithRetry = () => postGraphQLWithRetry(axiosConfig, {
+        signal,
+        onRetry: ({ attempt, delayMs }) => {
+            if (onProgress && typeof onProgress === 'function') {
+                onProgress({ page: pageNumber, retrying: true, attempt, delayMs });
             }
         }
-    };
+    });
 
     while (nextPage) {
         pageNumber++;
@@ -852,7 +864,310 @@ async function restoreConversationById({ domain, token, conversation_id }) {
     }
 }
 
+// Scopes the export can read; Canvas treats a missing scope as the inbox
+const EXPORT_SCOPES = ['inbox', 'sent', 'archived'];
+
+function parseExportRange(data) {
+    const from = data.sent_on_or_after ? new Date(`${data.sent_on_or_after}T00:00:00.000Z`) : null;
+    const before = data.sent_before ? new Date(`${data.sent_before}T00:00:00.000Z`) : null;
+    return {
+        from,
+        inRange: (value) => {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) return !from && !before;
+            return (!from || date >= from) && (!before || date < before);
+        }
+    };
+}
+
+const includesUser = (participants, userId) => (participants || []).some(p => String(p.id) === String(userId));
+
+// List one user's conversation summaries in the given scopes, deduplicated across scopes.
+// with_user_id keeps only conversations that user also takes part in.
+async function listConversationSummaries({ domain, token, user_id, scopes, with_user_id, signal, report }) {
+    const summaries = new Map();
+    for (const scope of scopes) {
+        const params = new URLSearchParams({ as_user_id: user_id, per_page: '100' });
+        if (scope !== 'inbox') params.append('scope', scope);
+        if (with_user_id) params.append('filter[]', `user_${with_user_id}`);
+        let url = `https://${domain}/api/v1/conversations?${params.toString()}`;
+        while (url) {
+            report({ message: `Listing ${scope} conversations for user ${user_id} (${summaries.size} found)...` });
+            const response = await axios.get(url, { headers: { 'Authorization': `Bearer ${token}` }, signal });
+            for (const summary of Array.isArray(response.data) ? response.data : []) {
+                if (with_user_id && !includesUser(summary.participants, with_user_id)) continue;
+                summaries.set(String(summary.id), summary);
+            }
+            const next = response.headers && response.headers.link ? pagination.getNextPage(response.headers.link) : false;
+            url = next || false;
+        }
+    }
+    return [...summaries.values()];
+}
+
+// Fetch one conversation as user_id and normalize it; messages outside the range are dropped
+async function fetchConversationForExport({ domain, token, user_id, summary, inRange, signal }) {
+    const params = new URLSearchParams({ as_user_id: user_id, auto_mark_as_read: 'false' });
+    const response = await axios.get(`https://${domain}/api/v1/conversations/${summary.id}?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        signal
+    });
+    const detail = response.data || {};
+
+    return {
+        id: detail.id ?? summary.id,
+        subject: detail.subject ?? summary.subject ?? '',
+        workflowState: detail.workflow_state ?? summary.workflow_state ?? '',
+        participants: (detail.participants || summary.participants || []).map(p => ({
+            id: p.id,
+            name: p.full_name || p.name || ''
+        })),
+        messages: (detail.messages || [])
+            .filter(message => inRange(message.created_at))
+            .map(message => ({
+                id: message.id,
+                createdAt: message.created_at,
+                authorId: message.author_id,
+                recipientIds: message.participating_user_ids || [],
+                body: message.body || '',
+                attachments: (message.attachments || []).map(a => ({
+                    id: a.id,
+                    name: a.display_name || a.filename || `file-${a.id}`,
+                    contentType: a['content-type'] || a.content_type || '',
+                    size: a.size || null,
+                    url: a.url || null
+                }))
+            }))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    };
+}
+
+// Fetch every conversation a user can see in the given scopes, with full message
+// bodies, participants and attachment links, for records requests and legal holds.
+// Uses the REST API because GraphQL does not return attachment download URLs.
+// - scope: 'inbox' | 'sent' | 'archived' | 'all'
+// - sent_on_or_after / sent_before (YYYY-MM-DD, UTC): keep only messages in that range
+// - conversation_ids: only export these conversations
+// - Conversations are not marked as read (auto_mark_as_read=false)
+// Returns { conversations, skippedCount } with messages oldest first.
+async function getConversationsForExport(data) {
+    console.log('conversations.js > getConversationsForExport');
+
+    const { domain, token, user_id, signal, onProgress } = data;
+    const scopes = data.scope === 'all' ? EXPORT_SCOPES : [data.scope || 'inbox'];
+    if (!scopes.every(scope => EXPORT_SCOPES.includes(scope))) {
+        throw new Error(`Unknown conversation scope "${data.scope}"`);
+    }
+    const { from, inRange } = parseExportRange(data);
+    const onlyIds = Array.isArray(data.conversation_ids) ? new Set(data.conversation_ids.map(String)) : null;
+    const report = (progress) => {
+        if (typeof onProgress === 'function') onProgress(progress);
+    };
+
+    const summaries = await listConversationSummaries({ domain, token, user_id, scopes, signal, report });
+
+    // Nothing newer than the start date can be skipped before fetching details
+    const candidates = summaries.filter(summary => {
+        if (onlyIds && !onlyIds.has(String(summary.id))) return false;
+        if (!from || !summary.last_message_at) return true;
+        return new Date(summary.last_message_at) >= from;
+    });
+
+    const conversations = [];
+    let skippedCount = (onlyIds ? summaries.filter(summary => onlyIds.has(String(summary.id))).length : summaries.length) - candidates.length;
+    for (const [index, summary] of candidates.entries()) {
+        report({ message: `Fetching conversation ${index + 1} of ${candidates.length}...`, done: index, total: candidates.length });
+        const conversation = await fetchConversationForExport({ domain, token, user_id, summary, inRange, signal });
+        if (conversation.messages.length === 0) {
+            skippedCount++;
+            continue;
+        }
+        conversations.push(conversation);
+    }
+    report({ message: `Fetched ${conversations.length} conversation(s)`, done: candidates.length, total: candidates.length });
+
+    return { conversations, skippedCount };
+}
+
+// Find every conversation two users share, with full threads. Both users' own views are
+// scanned (as_user_id), so a thread one of them deleted is still found through the other.
+// Accepts the same range and conversation_ids options as getConversationsForExport.
+// Returns { conversations, skippedCount }, most recent activity first; each
+// conversation has viewerId, the user it was read as.
+async function getConversationsBetweenUsers(data) {
+    console.log('conversations.js > getConversationsBetweenUsers');
+
+    const { domain, token, user_id, other_user_id, signal, onProgress } = data;
+    if (!user_id || !other_user_id || String(user_id) === String(other_user_id)) {
+        throw new Error('Two different user IDs are required');
+    }
+    const { from, inRange } = parseExportRange(data);
+    const onlyIds = Array.isArray(data.conversation_ids) ? new Set(data.conversation_ids.map(String)) : null;
+    const report = (progress) => {
+        if (typeof onProgress === 'function') onProgress(progress);
+    };
+
+    const found = new Map(); // conversation id -> { summary, viewerId }
+    for (const [viewerId, otherId] of [[user_id, other_user_id], [other_user_id, user_id]]) {
+        const summaries = await listConversationSummaries({ domain, token, user_id: viewerId, scopes: EXPORT_SCOPES, with_user_id: otherId, signal, report });
+        for (const summary of summaries) {
+            if (onlyIds && !onlyIds.has(String(summary.id))) continue;
+            if (!found.has(String(summary.id))) found.set(String(summary.id), { summary, viewerId });
+        }
+    }
+
+    const candidates = [...found.values()].filter(({ summary }) => !from || !summary.last_message_at || new Date(summary.last_message_at) >= from);
+    const conversations = [];
+    let skippedCount = found.size - candidates.length;
+    for (const [index, { summary, viewerId }] of candidates.entries()) {
+        report({ message: `Fetching conversation ${index + 1} of ${candidates.length}...`, done: index, total: candidates.length });
+        const conversation = await fetchConversationForExport({ domain, token, user_id: viewerId, summary, inRange, signal });
+        if (!includesUser(conversation.participants, user_id) || !includesUser(conversation.participants, other_user_id)) continue;
+        if (conversation.messages.length === 0) {
+            skippedCount++;
+            continue;
+        }
+        conversations.push({ ...conversation, viewerId });
+    }
+    report({ message: `Fetched ${conversations.length} shared conversation(s)`, done: candidates.length, total: candidates.length });
+
+    const lastActivity = (conversation) => new Date(conversation.messages[conversation.messages.length - 1].createdAt).getTime() || 0;
+    conversations.sort((a, b) => lastActivity(b) - lastActivity(a));
+    return { conversations, skippedCount };
+}
+
+// Search a sender's sent conversations by content (see conversationSearch.js for the criteria).
+// Reads 50 conversations per GraphQL page with the latest 50 messages of each, so bodies
+// come back without a request per conversation; only the sender's own messages are tested.
+// Longer threads are read in full through the REST API instead.
+// Returns { matches, scanned, fullThreadsFetched }.
+async function searchSentConversations(data) {
+    console.log('conversations.js > searchSentConversations');
+
+    const { domain, token, user_id, signal, onProgress } = data;
+    const compiled = conversationSearch.compileCriteria(data.criteria);
+
+    const query = `
+        query searchSent($userID: ID!, $nextPage: String) {
+            legacyNode(_id: $userID, type: User) {
+                ... on User {
+                    conversationsConnection(scope: "sent", first: 50, after: $nextPage) {
+                        pageInfo {
+                            hasNextPage
+                            endCursor
+                        }
+                        nodes {
+                            conversation {
+                                _id
+                                subject
+                                updatedAt
+                            }
+                            messages(first: 50) {
+                                pageInfo {
+                                    hasNextPage
+                                }
+                                nodes {
+                                    _id
+                                    body
+                                    createdAt
+                                    author {
+                                        _id
+                                    }
+                                    recipients {
+                                        _id
+                                    }
+                                    attachments {
+                                        _id
+                                        displayName
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    `;
+    const variables = { userID: user_id, nextPage: '' };
+    const axiosConfig = {
+        method: 'post',
+        url: `https://${domain}/api/graphql?as_user_id=${user_id}`,
+        headers: { 'Authorization': `Bearer ${token}` },
+        signal,
+        data: { query, variables }
+    };
+    const report = (progress) => {
+        if (typeof onProgress === 'function') onProgress(progress);
+    };
+
+    const matches = [];
+    let scanned = 0;
+    let fullThreadsFetched = 0;
+    let pageNumber = 0;
+    let hasNextPage = true;
+    while (hasNextPage) {
+        pageNumber++;
+        report({ page: pageNumber, message: `Searching sent conversations (page ${pageNumber}, ${scanned} scanned, ${matches.length} matched)...` });
+        const response = await postGraphQLWithRetry(axiosConfig, {
+            signal,
+            onRetry: ({ attempt, delayMs }) => report({ page: pageNumber, retrying: true, attempt, delayMs })
+        });
+        const connection = response?.data?.data?.legacyNode?.conversationsConnection;
+        if (!connection) {
+            throw new Error('Unexpected GraphQL response format while searching conversations.');
+        }
+
+        const conversations = [];
+        for (const node of connection.nodes) {
+            const conversation = {
+                id: node.conversation._id,
+                subject: node.conversation.subject,
+                participants: [],
+                messages: (node.messages?.nodes || []).map(message => ({
+                    id: message._id,
+                    createdAt: message.createdAt,
+                    authorId: message.author?._id,
+                    recipientIds: (message.recipients || []).map(r => r._id),
+                    body: message.body || '',
+                    attachments: (message.attachments || []).map(a => ({ id: a._id, name: a.displayName }))
+                }))
+            };
+            if (node.messages?.pageInfo?.hasNextPage) {
+                // Older messages are past the first page; read the whole thread instead
+                report({ page: pageNumber, message: `Reading the full thread of conversation ${conversation.id}...` });
+                const full = await fetchConversationForExport({ domain, token, user_id, summary: conversation, inRange: () => true, signal });
+                // REST lists the author among participating_user_ids; GraphQL recipients do not
+                conversation.messages = full.messages.map(message => ({
+                    ...message,
+                    recipientIds: message.recipientIds.filter(id => String(id) !== String(message.authorId))
+                }));
+                fullThreadsFetched++;
+            }
+            conversations.push(conversation);
+        }
+        scanned += conversations.length;
+        matches.push(...conversationSearch.findMatches(conversations, user_id, compiled));
+
+        hasNextPage = connection.pageInfo.hasNextPage;
+        variables.nextPage = connection.pageInfo.endCursor;
+    }
+    report({ message: `Searched ${scanned} sent conversation(s); ${matches.length} matched` });
+
+    return { matches, scanned, fullThreadsFetched };
+}
+
+// Download one conversation attachment; resolves to a Buffer
+async function downloadConversationAttachment({ url, token, signal }) {
+    const response = await axios.get(url, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        responseType: 'arraybuffer',
+        signal
+    });
+    return Buffer.from(response.data);
+}
+
 
 module.exports = {
-    getConversations, getConversationsGraphQL, bulkDelete, bulkDeleteNew, deleteForAll, getDeletedConversations, restoreConversation, restoreConversationById
+    getConversations, getConversationsGraphQL, bulkDelete, bulkDeleteNew, deleteForAll, getDeletedConversations, restoreConversation, restoreConversationById,
+    getConversationsForExport, getConversationsBetweenUsers, searchSentConversations, downloadConversationAttachment
 };
\ No newline at end of file
@@ -282,6 +282,29 @@ async function searchCourses(searchTerm) {
     }
 }
 
+/**
+ * List the courses in an account (and its sub-accounts).
+ * GET /api/v1/accounts/:account_id/courses
+ * @param {string} domain - Canvas domain
+ * @param {string} token - API token
+ * @param {string|number} accountId - Account ID, or 'self'
+ * @param {Object} [options]
+ * @param {string|number} [options.enrollmentTermId] - Only courses in this term
+ * @returns {Promise<Array<Object>>} Canvas course objects
+ */
+async function listAccountCourses(domain, token, accountId, options = {}) {
+    const axiosConfig = {
+        method: 'get',
+        url: `https://${domain}/api/v1/accounts/${accountId}/courses`,
+        headers: { 'Authorization': `Bearer ${token}` },
+        params: { per_page: 100 }
+    };
+    if (options.enrollmentTermId) {
+        axiosConfig.params.enrollment_term_id = options.enrollmentTermId;
+    }
+    return pagination.getAllPages(axiosConfig);
+}
+
 /**
  * Check the workflow_state of a single course.
  * GET /api/v1/accounts/self/courses/:id?include[]=all_courses
@@ -369,5 +392,5 @@ async function cancelProgressJob(domain, token, progressId, message) {
 
 module.exports = {
     resetCourse, createSupportCourse, editCourse, getCourseInfo, associateCourses, syncBPCourses, restoreContent, searchCourses,
-    restoreCourseBatch, pollProgressOnce, cancelProgressJob, getCourseState, updateCoursePublishState
+    restoreCourseBatch, pollProgressOnce, cancelProgressJob, getCourseState, updateCoursePublishState, listAccountCourses
 };
\ No newline at end of file
@@ -218,13 +218,13 @@ async function getUserEnrollments(domain, token, userId) {
 // GraphQL function to get course enrollments
 async function getCourseEnrollments(domain, token, courseId) {
     const query = `
-        query myQuery {
+        query myQuery($nextPage: String) {
             course(id: "${courseId}") {
                 sisId
                 enrollmentsConnection(
                     first: 100
-                    after: ""
-                    filter: {states: [deleted, active, inactive, completed]}
+                    after: $nextPage
+                    filter: {states: [deleted, active, inactive, completed, invited, creation_pending]}
                 ) {
                     pageInfo {
                         hasNextPage
@@ -237,8 +237,10 @@ async function getCourseEnrollments(domain, token, courseId) {
                             startAt
                             endAt
                             limitPrivilegesToCourseSection
+                            type
                             role {
                                 _id
+                                name
                             }
                             user {
                                 sisId
@@ -264,21 +266,31 @@ async function getCourseEnrollments(domain, token, courseId) {
             'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
         },
-        data: { query }
+        data: { query, variables: { nextPage: '' } }
     };
 
     try {
-        const response = await axios(config);
         const enrollments = [];
+        let hasNextPage = true;
+
+        while (hasNextPage) {
+            const response = await axios(config);
+            const course = response.data?.data?.course;
+            // course(id:) is null for an unknown course or a SIS ID, which would otherwise look like an empty course
+            if (!course) {
+                throw new Error(`Course ${courseId} was not found (use the Canvas course ID)`);
+            }
+            const connection = course.enrollmentsConnection;
+            if (!connection?.edges) break;
 
-        if (response.data?.data?.course?.enrollmentsConnection?.edges) {
-            const course = response.data.data.course;
-            course.enrollmentsConnection.edges.forEach(edge => {
+            connection.edges.forEach(edge => {
                 const enrollment = edge.node;
                 enrollments.push({
                     course_id: course.sisId || '',
                     user_id: enrollment.user?.sisId || '',
                     role_id: enrollment.role?._id || '',
+                    role_name: enrollment.role?.name || '',
+                    type: enrollment.type || '',
                     section_id: enrollment.section?.sisId || '',
                     status: enrollment.enrollmentState || '',
                     integration_id: enrollment.user?.integrationId || '',
@@ -288,6 +300,9 @@ async function getCourseEnrollments(domain, token, courseId) {
                     limit_section_privileges: enrollment.limitPrivilegesToCourseSection || false
                 });
             });
+
+            hasNextPage = connection.pageInfo?.hasNextPage || false;
+            config.data.variables.nextPage = connection.pageInfo?.endCursor || '';
         }
 
         return { success: true, enrollments, searchType: 'course' };
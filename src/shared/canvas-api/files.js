@@ -24,4 +24,25 @@ async function deleteFile(data) {
     }
 }
 
-module.exports = { deleteFile };
\ No newline at end of file
+// Download a file's metadata and original bytes
+// GET /api/v1/files/:id, then its download url
+async function downloadFile(data) {
+    const fileId = data.file_id || data.id;
+    const headers = { Authorization: `Bearer ${data.token}` };
+
+    const metaRequest = async () => axios({ method: 'get', url: `https://${data.domain}/api/v1/files/${fileId}`, headers });
+    const meta = (await errorCheck(metaRequest)).data || {};
+    if (!meta.url) {
+        throw new Error('Canvas did not return a download link for this file');
+    }
+    const contentRequest = async () => axios({ method: 'get', url: meta.url, headers, responseType: 'arraybuffer' });
+    const response = await errorCheck(contentRequest);
+    return {
+        id: meta.id ?? fileId,
+        displayName: meta.display_name || meta.filename || '',
+        contentType: meta['content-type'] || '',
+        content: Buffer.from(response.data)
+    };
+}
+
+module.exports = { deleteFile, downloadFile };
\ No newline at end of file
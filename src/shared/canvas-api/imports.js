@@ -2,6 +2,8 @@
 
 const axios = require('axios');
 const { errorCheck } = require('../utilities');
+const pagination = require('../pagination.js');
+const { pollProgressOnce } = require('./courses');
 
 // Fetch imported assets for a given content migration (import) id
 // Returns an object: { assignments: string[], discussions: string[], quizzes: string[] }
@@ -48,4 +50,148 @@ async function listContentMigrations(data) {
     }
 }
 
-module.exports.listContentMigrations = listContentMigrations;
\ No newline at end of file
+module.exports.listContentMigrations = listContentMigrations;
+// Start a QTI import (qti_converter) into a course. Canvas answers with a
+// pre_attachment describing where to upload the package; the migration
+// starts once the upload finishes.
+// data: { domain, token, course_id, file_name, file_size, import_as_new_quiz, question_bank_name }
+async function createQtiMigration(data) {
+    // POST /api/v1/courses/:course_id/content_migrations
+    const settings = { import_quizzes_next: Boolean(data.import_as_new_quiz) };
+    if (data.question_bank_name) {
+        settings.question_bank_name = data.question_bank_name;
+    }
+    const axiosConfig = {
+        method: 'post',
+        url: `https://${data.domain}/api/v1/courses/${data.course_id}/content_migrations`,
+        headers: {
+            'Authorization': `Bearer ${data.token}`,
+            'Content-Type': 'application/json'
+        },
+        data: {
+            migration_type: 'qti_converter',
+            pre_attachment: {
+                name: data.file_name,
+                size: data.file_size,
+                content_type: 'application/zip'
+            },
+            settings
+        }
+    };
+
+    try {
+        const request = async () => axios(axiosConfig);
+        const response = await errorCheck(request);
+        return response.data;
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Upload the package to a migration's pre_attachment. The upload URL is
+// authorized by upload_params, so the API token is not sent to it; older
+// storage backends redirect to a confirmation URL that does need the token.
+// data: { domain, token, pre_attachment, file_name, buffer }
+async function uploadMigrationFile(data) {
+    const { upload_url, upload_params = {}, file_param = 'file' } = data.pre_attachment;
+    const form = new FormData();
+    Object.entries(upload_params).forEach(([key, value]) => form.append(key, value));
+    // The file must be the last field
+    form.append(file_param, new Blob([data.buffer], { type: 'application/zip' }), data.file_name);
+
+    const axiosConfig = {
+        method: 'post',
+        url: upload_url,
+        data: form,
+        maxRedirects: 0,
+        validateStatus: (status) => status < 400
+    };
+
+    try {
+        const request = async () => axios(axiosConfig);
+        const response = await errorCheck(request);
+        if (response.status >= 300 && response.headers.location) {
+            const confirm = async () => axios({
+                method: 'get',
+                url: response.headers.location,
+                headers: { 'Authorization': `Bearer ${data.token}` }
+            });
+            return (await errorCheck(confirm)).data;
+        }
+        return response.data;
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Fetch one content migration
+async function getContentMigration(data) {
+    // GET /api/v1/courses/:course_id/content_migrations/:id
+    const axiosConfig = {
+        method: 'get',
+        url: `https://${data.domain}/api/v1/courses/${data.course_id}/content_migrations/${data.migration_id}`,
+        headers: {
+            'Authorization': `Bearer ${data.token}`
+        }
+    };
+
+    try {
+        const request = async () => axios(axiosConfig);
+        const response = await errorCheck(request);
+        return response.data;
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Every issue (error, warning, todo) Canvas recorded for a content migration
+async function listMigrationIssues(data) {
+    // GET /api/v1/courses/:course_id/content_migrations/:id/migration_issues
+    return pagination.getAllPages({
+        method: 'get',
+        url: `https://${data.domain}/api/v1/courses/${data.course_id}/content_migrations/${data.migration_id}/migration_issues`,
+        headers: {
+            'Authorization': `Bearer ${data.token}`
+        }
+    });
+}
+
+// Send a QTI package to a course and wait for Canvas to finish importing it.
+// data: createQtiMigration's fields plus { buffer, poll_interval, timeout }
+// onProgress({ stage: 'uploading' | 'importing', completion }) reports each step.
+// Returns { migration, progress, issues } whether the import completed or failed.
+async function importQtiPackage(data, onProgress = () => { }) {
+    const pollInterval = data.poll_interval ?? 1500;
+    const timeout = data.timeout ?? 30 * 60 * 1000;
+
+    onProgress({ stage: 'uploading', completion: 0 });
+    const created = await createQtiMigration({ ...data, file_size: data.buffer.length });
+    await uploadMigrationFile({ ...data, pre_attachment: created.pre_attachment });
+    onProgress({ stage: 'importing', completion: 0 });
+
+    const progressId = String(created.progress_url || '').split('/').pop();
+    const startedAt = Date.now();
+    let progress = null;
+    if (progressId) {
+        while (true) {
+            progress = await pollProgressOnce(data.domain, data.token, progressId);
+            onProgress({ stage: 'importing', completion: progress.completion || 0, workflowState: progress.workflow_state });
+            if (progress.workflow_state === 'completed' || progress.workflow_state === 'failed') break;
+            if (Date.now() - startedAt > timeout) {
+                throw new Error(`Content migration ${created.id} is still ${progress.workflow_state} after ${Math.round(timeout / 60000)} minutes; check the course's import page for its result`);
+            }
+            await new Promise((resolve) => setTimeout(resolve, pollInterval));
+        }
+    }
+
+    const ids = { domain: data.domain, token: data.token, course_id: data.course_id, migration_id: created.id };
+    const migration = await getContentMigration(ids);
+    const issues = await listMigrationIssues(ids);
+    return { migration, progress, issues };
+}
+
+module.exports.createQtiMigration = createQtiMigration;
+module.exports.uploadMigrationFile = uploadMigrationFile;
+module.exports.getContentMigration = getContentMigration;
+module.exports.listMigrationIssues = listMigrationIssues;
+module.exports.importQtiPackage = importQtiPackage;
@@ -2,6 +2,7 @@
 
 const axios = require('axios');
 const { errorCheck } = require('../utilities');
+const snapshotStore = require('../snapshotStore');
 
 async function getPagesGraphQL(data) {
     const pages = [];
@@ -82,6 +83,8 @@ async function createPage(data) {
                 title: data.title,
                 body: data.body ?? '',
                 published: data.published ?? true,
+                ...(data.editing_roles ? { editing_roles: data.editing_roles } : {}),
+                ...(data.front_page ? { front_page: true } : {}),
             },
         },
     };
@@ -95,6 +98,21 @@ async function createPage(data) {
     }
 }
 
+async function getPage(data) {
+    // GET /api/v1/courses/:course_id/pages/:url_or_id
+    const axiosConfig = {
+        method: 'get',
+        url: `https://${data.domain}/api/v1/courses/${data.course_id}/pages/${data.page_url || data.page_id}`,
+        headers: {
+            Authorization: `Bearer ${data.token}`,
+        },
+    };
+
+    const request = async () => axios(axiosConfig);
+    const response = await errorCheck(request);
+    return response.data;
+}
+
 async function deletePage(data) {
     // DELETE /api/v1/courses/:course_id/pages/:url_or_id
     const axiosConfig = {
@@ -106,12 +124,24 @@ async function deletePage(data) {
     };
 
     try {
+        // Keep the page body so the deletion can be undone (data.snapshotOperationId groups a batch)
+        let snapshot = null;
+        if (snapshotStore.isEnabled()) {
+            snapshot = snapshotStore.capture(data.snapshotOperationId, {
+                kind: 'page',
+                domain: data.domain,
+                course_id: data.course_id,
+                object: await getPage(data)
+            });
+        }
+
         const request = async () => axios(axiosConfig);
         const response = await errorCheck(request);
+        snapshotStore.markDeleted(snapshot);
         return response.data;
     } catch (error) {
         throw error;
     }
 }
 
-module.exports = { createPage, deletePage, getPagesGraphQL };
\ No newline at end of file
+module.exports = { createPage, getPage, deletePage, getPagesGraphQL };
\ No newline at end of file
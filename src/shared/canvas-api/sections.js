@@ -2,6 +2,7 @@
 
 const axios = require('axios');
 const { errorCheck } = require('../utilities');
+const pagination = require('../pagination');
 
 async function createSection(data) {
     // POST /api/v1/courses/:course_id/sections
@@ -54,21 +55,9 @@ async function searchSection(domain, token, sectionId) {
         const request = async () => axios(axiosConfig);
         const response = await errorCheck(request);
 
-        const section = response.data;
-
-        // Map REST API response to SIS CSV format
-        const mappedSection = {
-            section_id: section.sis_section_id || '',
-            course_id: section.sis_course_id || '',
-            name: section.name || '',
-            status: 'active', // Any returned section is active (deleted sections won't return)
-            start_date: section.start_at || '',
-            end_date: section.end_at || ''
-        };
-
         return {
             success: true,
-            data: [mappedSection] // Return as array to match expected format
+            data: [mapSectionToSis(response.data)] // Return as array to match expected format
         };
     } catch (error) {
         console.error('Section search error:', error);
@@ -81,6 +70,45 @@ async function searchSection(domain, token, sectionId) {
     }
 }
 
+async function searchCourseSections(domain, token, courseId) {
+    // GET /api/v1/courses/:course_id/sections
+    const axiosConfig = {
+        method: 'get',
+        url: `https://${domain}/api/v1/courses/${courseId}/sections`,
+        headers: {
+            Authorization: `Bearer ${token}`,
+        },
+        params: { per_page: 100 }
+    };
+
+    try {
+        const courseSections = await pagination.getAllPages(axiosConfig);
+        return {
+            success: true,
+            data: courseSections.map(mapSectionToSis)
+        };
+    } catch (error) {
+        console.error('Course sections search error:', error);
+        const failure = new Error(error.message || 'Failed to fetch course sections');
+        failure.status = error.response?.status || error.status;
+        failure.code = error.code;
+        throw failure;
+    }
+}
+
+// Map a REST API section to SIS CSV format
+function mapSectionToSis(section) {
+    return {
+        section_id: section.sis_section_id || '',
+        course_id: section.sis_course_id || '',
+        name: section.name || '',
+        status: 'active', // Any returned section is active (deleted sections won't return)
+        start_date: section.start_at || '',
+        end_date: section.end_at || '',
+        integration_id: section.integration_id || ''
+    };
+}
+
 /**
  * Fetch all course sections + enrollments via GraphQL with pagination.
  * Includes rate-limit retry logic for 403/429 responses with exponential backoff.
@@ -274,4 +302,4 @@ async function deleteSection(data) {
     return response.data;
 }
 
-module.exports = { createSection, searchSection, getCourseSectionsGraphQL, deleteEnrollment, deleteSection };
\ No newline at end of file
+module.exports = { createSection, searchSection, searchCourseSections, getCourseSectionsGraphQL, deleteEnrollment, deleteSection };
\ No newline at end of file
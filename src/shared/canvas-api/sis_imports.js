@@ -1,12 +1,35 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { errorCheck, getNextPage } = require('../utilities');
+const { parseCsv } = require('../csvParser');
 
 // SIS CSV data generators with realistic fake data
 const firstNames = ['John', 'Jane', 'Michael', 'Sarah', 'David', 'Lisa', 'Robert', 'Ashley', 'James', 'Emily', 'Christopher', 'Jessica', 'Daniel', 'Amanda', 'Matthew', 'Jennifer', 'Anthony', 'Stephanie', 'Mark', 'Nicole'];
 const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin'];
 const subjects = ['Math', 'Science', 'English', 'History', 'Art', 'Music', 'PE', 'Spanish', 'French', 'Computer Science', 'Biology', 'Chemistry', 'Physics', 'Literature', 'Psychology'];
 
+// Column layout of each SIS CSV type, as written by the generators below
+const SIS_CSV_HEADERS = {
+    users: 'user_id,login_id,authentication_provider_id,password,ssha_password,first_name,last_name,full_name,sortable_name,short_name,email,status,integration_id,pronouns,declared_user_type,canvas_password_notification,home_account',
+    accounts: 'account_id,parent_account_id,name,status',
+    terms: 'term_id,name,status,start_date,end_date,integration_id,date_override_enrollment_type',
+    courses: 'course_id,short_name,long_name,account_id,term_id,status,integration_id,start_date,end_date,course_format,blueprint_course_id,grade_passback_setting,homeroom_course,friendly_name',
+    sections: 'section_id,course_id,name,status,start_date,end_date,integration_id',
+    enrollments: 'course_id,user_id,role,section_id,status,user_integration_id,role_id,root_account',
+    group_categories: 'group_category_id,account_id,course_id,category_name,status',
+    groups: 'group_id,group_category_id,account_id,course_id,name,status',
+    group_memberships: 'group_id,user_id,status',
+    admins: 'user_id,account_id,role,status',
+    logins: 'user_id,login_id,authentication_provider_id,password,existing_user_id,existing_integration_id,existing_canvas_user_id,email',
+    xlists: 'xlist_course_id,section_id,status',
+    user_observers: 'observer_id,student_id,status',
+    change_sis_id: 'old_id,new_id,old_integration_id,new_integration_id,type',
+    differentiation_tag_sets: 'tag_set_id,course_id,set_name,status',
+    differentiation_tags: 'tag_id,tag_set_id,course_id,name,status',
+    differentiation_tag_membership: 'tag_id,user_id,status'
+};
+
 function generateRandomId(prefix = '', length = 6) {
     const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
     let result = prefix;
@@ -51,7 +74,7 @@ function escapeCSVValue(value) {
 }
 
 function generateUsersCSV(rowCount, emailDomain = '@school.edu', authProviderId = '', userOptions = {}) {
-    const headers = 'user_id,login_id,authentication_provider_id,password,ssha_password,first_name,last_name,full_name,sortable_name,short_name,email,status,integration_id,pronouns,declared_user_type,canvas_password_notification,home_account';
+    const headers = SIS_CSV_HEADERS.users;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -130,7 +153,7 @@ function generateUsersCSV(rowCount, emailDomain = '@school.edu', authProviderId
 }
 
 function generateAccountsCSV(rowCount, accountOptions = {}) {
-    const headers = 'account_id,parent_account_id,name,status';
+    const headers = SIS_CSV_HEADERS.accounts;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -178,7 +201,7 @@ function generateAccountsCSV(rowCount, accountOptions = {}) {
 }
 
 function generateTermsCSV(rowCount, termOptions = {}) {
-    const headers = 'term_id,name,status,start_date,end_date,integration_id,date_override_enrollment_type';
+    const headers = SIS_CSV_HEADERS.terms;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -272,7 +295,7 @@ function generateTermsCSV(rowCount, termOptions = {}) {
 }
 
 function generateCoursesCSV(rowCount, courseOptions = {}) {
-    const headers = 'course_id,short_name,long_name,account_id,term_id,status,integration_id,start_date,end_date,course_format,blueprint_course_id,grade_passback_setting,homeroom_course,friendly_name';
+    const headers = SIS_CSV_HEADERS.courses;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -335,9 +358,31 @@ function generateCoursesCSV(rowCount, courseOptions = {}) {
 }
 
 function generateSectionsCSV(rowCount, sectionOptions = {}) {
-    const headers = 'section_id,course_id,name,status,start_date,end_date,integration_id';
+    const headers = SIS_CSV_HEADERS.sections;
     const rows = [headers];
 
+    // If search data is available, use it instead of generating random data
+    if (sectionOptions.searchData && Array.isArray(sectionOptions.searchData)) {
+        console.log('Using search data for sections CSV generation');
+
+        sectionOptions.searchData.forEach(section => {
+            // Map from the search API response format to SIS CSV format
+            // Ensure ALL columns are included, even if empty
+            const sectionId = escapeCSVValue(section.section_id || '');
+            const courseId = escapeCSVValue(section.course_id || '');
+            const name = escapeCSVValue(section.name || '');
+            const status = escapeCSVValue(section.status || 'active');
+            const startDate = escapeCSVValue(section.start_date || '');
+            const endDate = escapeCSVValue(section.end_date || '');
+            const integrationId = escapeCSVValue(section.integration_id || '');
+
+            const row = `${sectionId},${courseId},${name},${status},${startDate},${endDate},${integrationId}`;
+            rows.push(row);
+        });
+
+        return rows.join('\n');
+    }
+
     for (let i = 0; i < rowCount; i++) {
         // Use specific values if provided, otherwise generate random ones
         const sectionId = sectionOptions.specificSectionId || generateRandomId('S', 6);
@@ -357,7 +402,7 @@ function generateSectionsCSV(rowCount, sectionOptions = {}) {
 }
 
 function generateEnrollmentsCSV(rowCount, enrollmentOptions = {}) {
-    const headers = 'course_id,user_id,role,section_id,status,user_integration_id,role_id,root_account';
+    const headers = SIS_CSV_HEADERS.enrollments;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -411,7 +456,7 @@ function generateEnrollmentsCSV(rowCount, enrollmentOptions = {}) {
 }
 
 function generateGroupCategoriesCSV(rowCount, groupCategoryOptions = {}) {
-    const headers = 'group_category_id,account_id,course_id,category_name,status';
+    const headers = SIS_CSV_HEADERS.group_categories;
     const rows = [headers];
 
     const categoryNames = ['Project Groups', 'Study Groups', 'Lab Groups', 'Discussion Groups', 'Presentation Groups'];
@@ -448,7 +493,7 @@ function generateGroupCategoriesCSV(rowCount, groupCategoryOptions = {}) {
 }
 
 function generateGroupsCSV(rowCount, groupOptions = {}) {
-    const headers = 'group_id,account_id,name,status';
+    const headers = SIS_CSV_HEADERS.groups;
     const rows = [headers];
 
     for (let i = 0; i < rowCount; i++) {
@@ -462,7 +507,8 @@ function generateGroupsCSV(rowCount, groupOptions = {}) {
         // Use specific status if provided
         const status = groupOptions.specificStatus || 'available';
 
-        const row = `${escapeCSVValue(groupId)},${escapeCSVValue(accountId)},${escapeCSVValue(name)},${escapeCSVValue(status)}`;
+        // Account groups outside any category; group_category_id and course_id stay empty
+        const row = `${escapeCSVValue(groupId)},,${escapeCSVValue(accountId)},,${escapeCSVValue(name)},${escapeCSVValue(status)}`;
         rows.push(row);
     }
 
@@ -470,7 +516,7 @@ function generateGroupsCSV(rowCount, groupOptions = {}) {
 }
 
 function generateAdminsCSV(rowCount, emailDomain = '@school.edu', adminOptions = {}) {
-    const headers = 'user_id,account_id,role,status';
+    const headers = SIS_CSV_HEADERS.admins;
     const rows = [headers];
 
     const adminRoles = ['AccountAdmin', 'CustomAdmin', 'SubAccountAdmin'];
@@ -496,7 +542,7 @@ function generateAdminsCSV(rowCount, emailDomain = '@school.edu', adminOptions =
 }
 
 function generateGroupMembershipsCSV(rowCount, groupMembershipOptions = {}) {
-    const headers = 'group_id,user_id,status';
+    const headers = SIS_CSV_HEADERS.group_memberships;
     const rows = [headers];
 
     const statuses = ['accepted', 'pending', 'deleted'];
@@ -525,7 +571,7 @@ function generateGroupMembershipsCSV(rowCount, groupMembershipOptions = {}) {
 }
 
 function generateDifferentiationTagSetsCSV(rowCount, differentiationTagSetOptions = {}) {
-    const headers = 'tag_set_id,course_id,set_name,status';
+    const headers = SIS_CSV_HEADERS.differentiation_tag_sets;
     const rows = [headers];
 
     const setNames = ['Skill Level Tags', 'Learning Style Tags', 'Assessment Tags', 'Accommodation Tags', 'Intervention Tags'];
@@ -544,7 +590,7 @@ function generateDifferentiationTagSetsCSV(rowCount, differentiationTagSetOption
 }
 
 function generateDifferentiationTagsCSV(rowCount, differentiationTagOptions = {}) {
-    const headers = 'tag_id,tag_set_id,course_id,name,status';
+    const headers = SIS_CSV_HEADERS.differentiation_tags;
     const rows = [headers];
 
     const tagNames = ['Beginner', 'Intermediate', 'Advanced', 'Visual Learner', 'Auditory Learner', 'Kinesthetic', 'Extended Time', 'Large Print', 'Audio Support'];
@@ -564,7 +610,7 @@ function generateDifferentiationTagsCSV(rowCount, differentiationTagOptions = {}
 }
 
 function generateDifferentiationTagMembershipCSV(rowCount, differentiationTagMembershipOptions = {}) {
-    const headers = 'tag_id,user_id,status';
+    const headers = SIS_CSV_HEADERS.differentiation_tag_membership;
     const rows = [headers];
 
     const statuses = ['accepted', 'pending', 'deleted'];
@@ -582,7 +628,7 @@ function generateDifferentiationTagMembershipCSV(rowCount, differentiationTagMem
 }
 
 function generateXlistsCSV(rowCount, crossListingOptions = {}) {
-    const headers = 'xlist_course_id,section_id,status';
+    const headers = SIS_CSV_HEADERS.xlists;
     const rows = [headers];
 
     for (let i = 0; i < rowCount; i++) {
@@ -603,7 +649,7 @@ function generateXlistsCSV(rowCount, crossListingOptions = {}) {
 }
 
 function generateUserObserversCSV(rowCount, userObserverOptions = {}) {
-    const headers = 'observer_id,student_id,status';
+    const headers = SIS_CSV_HEADERS.user_observers;
     const rows = [headers];
 
     for (let i = 0; i < rowCount; i++) {
@@ -624,7 +670,7 @@ function generateUserObserversCSV(rowCount, userObserverOptions = {}) {
 }
 
 function generateLoginsCSV(rowCount, emailDomain = '@school.edu', authProviderId = '', loginOptions = {}) {
-    const headers = 'user_id,login_id,authentication_provider_id,password,existing_user_id,existing_integration_id,existing_canvas_user_id,email';
+    const headers = SIS_CSV_HEADERS.logins;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -671,7 +717,7 @@ function generateLoginsCSV(rowCount, emailDomain = '@school.edu', authProviderId
 }
 
 function generateChangeSisIdCSV(rowCount, changeSisIdOptions = {}) {
-    const headers = 'old_id,new_id,old_integration_id,new_integration_id,type';
+    const headers = SIS_CSV_HEADERS.change_sis_id;
     const rows = [headers];
 
     // If search data is available, use it instead of generating random data
@@ -1202,6 +1248,486 @@ async function createBulkSISImport(fileTypes, rowCounts, outputPath, emailDomain
     return createdFiles;
 }
 
+// File types of a coherent dataset, in the order their rows reference each other
+const COHERENT_FILE_TYPES = ['accounts', 'terms', 'users', 'courses', 'sections', 'enrollments', 'group_categories', 'groups', 'group_memberships'];
+
+// Files that can't be generated without the rows they reference
+const COHERENT_DEPENDENCIES = {
+    sections: ['courses'],
+    enrollments: ['users', 'courses'],
+    group_memberships: ['users', 'groups']
+};
+
+/**
+ * Generate a referentially consistent SIS dataset. All files share one pool of
+ * IDs: courses belong to the generated accounts and terms, sections to the
+ * generated courses, enrollments put generated users in generated sections, and
+ * group memberships put students in groups of courses they are enrolled in.
+ * IDs carry a per-run tag, so the dataset imports cleanly into a fresh sandbox
+ * and can be generated again without colliding with an earlier run.
+ *
+ * @param {Object} rowCounts - Rows per file type, e.g. { users: 50, courses: 10, enrollments: 200 }
+ * @param {Object} [options]
+ * @param {string} [options.emailDomain='@school.edu']
+ * @param {string} [options.authProviderId='']
+ * @param {string} [options.runTag] - Tag in every generated ID; random by default
+ * @returns {Object} { runTag, files: { [fileType]: csv }, counts: { [fileType]: rows }, warnings: string[] }
+ */
+function generateCoherentDataset(rowCounts = {}, options = {}) {
+    const counts = {};
+    Object.entries(rowCounts).forEach(([fileType, count]) => {
+        if (!COHERENT_FILE_TYPES.includes(fileType)) {
+            throw new Error(`${fileType}.csv can't be part of a coherent dataset`);
+        }
+        counts[fileType] = Math.max(0, parseInt(count, 10) || 0);
+    });
+    Object.entries(COHERENT_DEPENDENCIES).forEach(([fileType, dependencies]) => {
+        if (!counts[fileType]) return;
+        const missing = dependencies.filter(dependency => !counts[dependency]);
+        if (missing.length > 0) {
+            throw new Error(`${fileType}.csv needs ${missing.map(m => `${m}.csv`).join(' and ')} in the same dataset`);
+        }
+    });
+
+    const runTag = (options.runTag || generateRandomId('', 4)).toUpperCase();
+    const emailDomain = (options.emailDomain || '@school.edu').startsWith('@') ? (options.emailDomain || '@school.edu') : `@${options.emailDomain}`;
+    const authProviderId = options.authProviderId || '';
+    const makeId = (prefix, index, count) => `${prefix}${runTag}${String(index + 1).padStart(Math.max(3, String(count).length), '0')}`;
+    const warnings = [];
+
+    // Parents come first, and the first quarter of the accounts are top-level
+    const accounts = [];
+    const departments = ['Humanities', 'Sciences', 'Engineering', 'Business', 'Arts', 'Social Sciences'];
+    const topLevel = Math.max(1, Math.ceil((counts.accounts || 0) / 4));
+    for (let i = 0; i < (counts.accounts || 0); i++) {
+        accounts.push({
+            account_id: makeId('A', i, counts.accounts),
+            parent_account_id: i < topLevel ? '' : accounts[(i - topLevel) % topLevel].account_id,
+            name: `${departments[i % departments.length]}${i >= departments.length ? ` ${Math.floor(i / departments.length) + 1}` : ''}`,
+            status: 'active'
+        });
+    }
+
+    const terms = [];
+    const seasons = ['Fall', 'Spring', 'Summer', 'Winter'];
+    const currentYear = new Date().getFullYear();
+    const seasonDates = {
+        Fall: year => [`${year}-08-15 00:00:00`, `${year}-12-15 00:00:00`],
+        Spring: year => [`${year}-01-15 00:00:00`, `${year}-05-15 00:00:00`],
+        Summer: year => [`${year}-06-01 00:00:00`, `${year}-08-01 00:00:00`],
+        Winter: year => [`${year}-12-20 00:00:00`, `${year + 1}-01-10 00:00:00`]
+    };
+    for (let i = 0; i < (counts.terms || 0); i++) {
+        const season = seasons[i % seasons.length];
+        const year = currentYear + Math.floor(i / seasons.length);
+        const [startDate, endDate] = seasonDates[season](year);
+        terms.push({ term_id: makeId('T', i, counts.terms), name: `${season} ${year}`, status: 'active', start_date: startDate, end_date: endDate });
+    }
+
+    // Login IDs and emails carry the user's number so they are unique too
+    const users = [];
+    for (let i = 0; i < (counts.users || 0); i++) {
+        const { firstName, lastName } = generateRandomName();
+        const userId = makeId('U', i, counts.users);
+        const loginId = `${firstName}.${lastName}.${userId}`.toLowerCase();
+        users.push({
+            user_id: userId,
+            login_id: loginId,
+            authentication_provider_id: authProviderId,
+            password: authProviderId ? '' : 'temppass123',
+            first_name: firstName,
+            last_name: lastName,
+            full_name: `${firstName} ${lastName}`,
+            sortable_name: `${lastName}, ${firstName}`,
+            short_name: `${firstName} ${lastName.charAt(0)}.`,
+            email: `${loginId}${emailDomain}`,
+            status: 'active'
+        });
+    }
+
+    const courses = [];
+    for (let i = 0; i < (counts.courses || 0); i++) {
+        const subject = subjects[i % subjects.length];
+        const courseNumber = 100 + i;
+        const shortName = `${subject.replace(/\s+/g, '').toUpperCase()}${courseNumber}`;
+        courses.push({
+            course_id: makeId('C', i, counts.courses),
+            short_name: shortName,
+            long_name: `${subject} ${courseNumber}: Introduction to ${subject}`,
+            account_id: accounts.length > 0 ? accounts[i % accounts.length].account_id : '',
+            term_id: terms.length > 0 ? terms[i % terms.length].term_id : '',
+            status: 'active'
+        });
+    }
+
+    // Every course gets a section before any course gets a second one
+    const sections = [];
+    for (let i = 0; i < (counts.sections || 0); i++) {
+        const course = courses[i % courses.length];
+        sections.push({
+            section_id: makeId('S', i, counts.sections),
+            course_id: course.course_id,
+            name: `${course.short_name} Section ${Math.floor(i / courses.length) + 1}`,
+            status: 'active'
+        });
+    }
+
+    // Each section (or course, when there are no sections) gets a teacher, then
+    // students are spread across them; no student is enrolled twice in a course
+    const enrollments = [];
+    if (counts.enrollments) {
+        const targets = sections.length > 0
+            ? sections.map(s => ({ course_id: s.course_id, section_id: s.section_id }))
+            : courses.map(c => ({ course_id: c.course_id, section_id: '' }));
+        const teacherCount = users.length > 1 ? Math.max(1, Math.round(users.length / 10)) : users.length;
+        const teachers = users.slice(0, teacherCount);
+        const students = users.slice(teacherCount);
+        targets.slice(0, counts.enrollments).forEach((target, i) => {
+            enrollments.push({ ...target, user_id: teachers[i % teachers.length].user_id, role: 'teacher', status: 'active' });
+        });
+
+        const enrolledPerCourse = new Map(); // course_id -> students enrolled so far
+        const courseIndex = new Map(courses.map((c, i) => [c.course_id, i]));
+        let added = true;
+        while (enrollments.length < counts.enrollments && added) {
+            added = false;
+            for (let t = 0; t < targets.length && enrollments.length < counts.enrollments; t++) {
+                const { course_id: courseId } = targets[t];
+                const enrolled = enrolledPerCourse.get(courseId) || 0;
+                if (enrolled >= students.length) continue;
+                // Courses start at different students so classes don't all look alike
+                const student = students[(courseIndex.get(courseId) + enrolled) % students.length];
+                enrolledPerCourse.set(courseId, enrolled + 1);
+                enrollments.push({ ...targets[t], user_id: student.user_id, role: 'student', status: 'active' });
+                added = true;
+            }
+        }
+        if (enrollments.length < counts.enrollments) {
+            warnings.push(`Only ${enrollments.length} of ${counts.enrollments} enrollments could be generated without enrolling a student twice in the same course`);
+        }
+    }
+
+    // Categories live in courses (or accounts when the dataset has no courses)
+    const contextFor = (i) => courses.length > 0
+        ? { account_id: '', course_id: courses[i % courses.length].course_id }
+        : { account_id: accounts.length > 0 ? accounts[i % accounts.length].account_id : '', course_id: '' };
+    const groupCategories = [];
+    const categoryNames = ['Project Groups', 'Study Groups', 'Lab Groups', 'Discussion Groups', 'Presentation Groups'];
+    for (let i = 0; i < (counts.group_categories || 0); i++) {
+        groupCategories.push({
+            group_category_id: makeId('GC', i, counts.group_categories),
+            ...contextFor(i),
+            category_name: categoryNames[i % categoryNames.length],
+            status: 'active'
+        });
+    }
+
+    // A group is in the same course or account as its category
+    const groups = [];
+    for (let i = 0; i < (counts.groups || 0); i++) {
+        const category = groupCategories.length > 0 ? groupCategories[i % groupCategories.length] : null;
+        const context = category ? { account_id: category.account_id, course_id: category.course_id } : contextFor(i);
+        groups.push({
+            group_id: makeId('G', i, counts.groups),
+            group_category_id: category ? category.group_category_id : '',
+            ...context,
+            name: `${category ? category.category_name.replace(/s$/, '') : 'Group'} ${Math.floor(i / Math.max(1, groupCategories.length)) + 1}`,
+            status: 'available'
+        });
+    }
+
+    // Course groups take students enrolled in the course; nobody joins two groups of one category
+    const groupMemberships = [];
+    if (counts.group_memberships) {
+        const studentsByCourse = new Map();
+        enrollments.filter(e => e.role === 'student').forEach(e => {
+            if (!studentsByCourse.has(e.course_id)) studentsByCourse.set(e.course_id, []);
+            const list = studentsByCourse.get(e.course_id);
+            if (!list.includes(e.user_id)) list.push(e.user_id);
+        });
+        const candidates = groups.map(g => (g.course_id ? (studentsByCourse.get(g.course_id) || []) : users.map(u => u.user_id)));
+        const taken = new Map(); // category or group -> Set<user_id>
+        const next = groups.map(() => 0);
+        let added = true;
+        while (groupMemberships.length < counts.group_memberships && added) {
+            added = false;
+            for (let g = 0; g < groups.length && groupMemberships.length < counts.group_memberships; g++) {
+                const scope = groups[g].group_category_id || groups[g].group_id;
+                if (!taken.has(scope)) taken.set(scope, new Set());
+                while (next[g] < candidates[g].length && taken.get(scope).has(candidates[g][next[g]])) next[g]++;
+                if (next[g] >= candidates[g].length) continue;
+                const userId = candidates[g][next[g]++];
+                taken.get(scope).add(userId);
+                groupMemberships.push({ group_id: groups[g].group_id, user_id: userId, status: 'accepted' });
+                added = true;
+            }
+        }
+        if (groupMemberships.length < counts.group_memberships) {
+            warnings.push(`Only ${groupMemberships.length} of ${counts.group_memberships} group memberships could be generated; course groups only take students enrolled in the course, once per group category`);
+        }
+    }
+
+    const rowsByType = {
+        accounts, terms, users, courses, sections, enrollments,
+        group_categories: groupCategories, groups, group_memberships: groupMemberships
+    };
+    const files = {};
+    const generatedCounts = {};
+    COHERENT_FILE_TYPES.filter(fileType => fileType in counts).forEach(fileType => {
+        const columns = SIS_CSV_HEADERS[fileType].split(',');
+        const rows = rowsByType[fileType].map(row => columns.map(column => escapeCSVValue(row[column] ?? '')).join(','));
+        files[fileType] = [SIS_CSV_HEADERS[fileType], ...rows].join('\n');
+        generatedCounts[fileType] = rows.length;
+    });
+
+    return { runTag, files, counts: generatedCounts, warnings };
+}
+
+/**
+ * Write a coherent dataset (see generateCoherentDataset) as one CSV per file type
+ * @param {Object} rowCounts - Rows per file type
+ * @param {string} outputPath - Folder for the CSV files
+ * @param {Object} [options] - As for generateCoherentDataset
+ * @returns {Promise<Object>} { runTag, files: string[] (paths), counts, warnings }
+ */
+async function createCoherentSISImport(rowCounts, outputPath, options = {}) {
+    const dataset = generateCoherentDataset(rowCounts, options);
+    if (!fs.existsSync(outputPath)) {
+        fs.mkdirSync(outputPath, { recursive: true });
+    }
+
+    const BOM = '\uFEFF';
+    const files = Object.entries(dataset.files).map(([fileType, csvContent]) => {
+        const filePath = path.join(outputPath, `${fileType}.csv`);
+        fs.writeFileSync(filePath, BOM + csvContent, 'utf8');
+        return filePath;
+    });
+
+    return { runTag: dataset.runTag, files, counts: dataset.counts, warnings: dataset.warnings };
+}
+
+// SIS import workflow states that are still changing
+const SIS_IMPORT_PENDING_STATES = ['created', 'initializing', 'importing', 'cleanup_batch', 'restoring'];
+
+// Start a SIS import from a CSV or ZIP buffer.
+// data: { domain, token, account_id, buffer, file_name, batch_mode, batch_mode_term_id,
+//   diffing_data_set_identifier, diffing_remaster_data_set, override_sis_stickiness,
+//   add_sis_stickiness, clear_sis_stickiness, change_threshold }
+async function createSisImport(data) {
+    // POST /api/v1/accounts/:account_id/sis_imports
+    const isZip = /\.zip$/i.test(data.file_name);
+    const form = new FormData();
+    form.append('import_type', 'instructure_csv');
+    form.append('extension', isZip ? 'zip' : 'csv');
+    if (data.batch_mode) {
+        form.append('batch_mode', 'true');
+        if (data.batch_mode_term_id) form.append('batch_mode_term_id', data.batch_mode_term_id);
+    }
+    if (data.diffing_data_set_identifier) {
+        form.append('diffing_data_set_identifier', data.diffing_data_set_identifier);
+        if (data.diffing_remaster_data_set) form.append('diffing_remaster_data_set', 'true');
+    }
+    if (data.override_sis_stickiness) {
+        form.append('override_sis_stickiness', 'true');
+        if (data.add_sis_stickiness) form.append('add_sis_stickiness', 'true');
+        if (data.clear_sis_stickiness) form.append('clear_sis_stickiness', 'true');
+    }
+    // Canvas only applies the threshold to batch mode and diffing imports
+    if (data.change_threshold && (data.batch_mode || data.diffing_data_set_identifier)) {
+        form.append('change_threshold', String(data.change_threshold));
+    }
+    form.append('attachment', new Blob([data.buffer], { type: isZip ? 'application/zip' : 'text/csv' }), data.file_name);
+
+    const axiosConfig = {
+        method: 'post',
+        url: `https://${data.domain}/api/v1/accounts/${data.account_id}/sis_imports`,
+        headers: {
+            'Authorization': `Bearer ${data.token}`
+        },
+        data: form
+    };
+
+    try {
+        const request = async () => axios(axiosConfig);
+        const response = await errorCheck(request);
+        return response.data;
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Fetch one SIS import
+async function getSisImport(data) {
+    // GET /api/v1/accounts/:account_id/sis_imports/:id
+    const axiosConfig = {
+        method: 'get',
+        url: `https://${data.domain}/api/v1/accounts/${data.account_id}/sis_imports/${data.import_id}`,
+        headers: {
+            'Authorization': `Bearer ${data.token}`
+        }
+    };
+
+    try {
+        const request = async () => axios(axiosConfig);
+        const response = await errorCheck(request);
+        return response.data;
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Start a SIS import and wait for Canvas to finish it.
+// data: createSisImport's fields plus { poll_interval, timeout, isCancelled }
+// onProgress({ workflowState, progress }) reports each poll.
+// Returns the finished SIS import, whatever its final state. When isCancelled()
+// turns true it stops waiting and returns the import as last polled; Canvas
+// carries on with the import either way.
+async function submitSisImport(data, onProgress = () => { }) {
+    const pollInterval = data.poll_interval ?? 2000;
+    const timeout = data.timeout ?? 60 * 60 * 1000;
+    const isCancelled = typeof data.isCancelled === 'function' ? data.isCancelled : () => false;
+
+    let sisImport = await createSisImport(data);
+    onProgress({ workflowState: sisImport.workflow_state, progress: sisImport.progress || 0 });
+
+    const startedAt = Date.now();
+    while (SIS_IMPORT_PENDING_STATES.includes(sisImport.workflow_state)) {
+        if (isCancelled()) break;
+        if (Date.now() - startedAt > timeout) {
+            throw new Error(`SIS import ${sisImport.id} is still ${sisImport.workflow_state} after ${Math.round(timeout / 60000)} minutes; check the account's SIS Import page for its result`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, pollInterval));
+        if (isCancelled()) break;
+        sisImport = await getSisImport({ ...data, import_id: sisImport.id });
+        onProgress({ workflowState: sisImport.workflow_state, progress: sisImport.progress || 0 });
+    }
+    return sisImport;
+}
+
+// List an account's SIS imports, newest first.
+// data: { domain, token, account_id, created_since, created_before, workflow_state, max }
+// Stops after max imports (default 50); workflow_state may be a string or an array.
+async function listSisImports(data) {
+    // GET /api/v1/accounts/:account_id/sis_imports
+    const max = data.max ?? 50;
+    const params = new URLSearchParams({ per_page: String(Math.min(100, max)) });
+    if (data.created_since) params.append('created_since', data.created_since);
+    if (data.created_before) params.append('created_before', data.created_before);
+    [].concat(data.workflow_state || []).forEach(state => params.append('workflow_state[]', state));
+
+    let url = `https://${data.domain}/api/v1/accounts/${data.account_id}/sis_imports?${params.toString()}`;
+    const sisImports = [];
+    try {
+        while (url && sisImports.length < max) {
+            const axiosConfig = {
+                method: 'get',
+                url,
+                headers: {
+                    'Authorization': `Bearer ${data.token}`
+                }
+            };
+            const request = async () => axios(axiosConfig);
+            const response = await errorCheck(request);
+            sisImports.push(...(response.data.sis_imports || []));
+            url = getNextPage(response.headers.link || response.headers.get?.('link'));
+        }
+        return sisImports.slice(0, max);
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Download a file attached to a SIS import (a csv_attachments entry or the
+// errors_attachment) from its url. Returns the file as a Buffer.
+async function downloadSisImportAttachment(data) {
+    const axiosConfig = {
+        method: 'get',
+        url: data.url,
+        headers: {
+            'Authorization': `Bearer ${data.token}`
+        },
+        responseType: 'arraybuffer'
+    };
+
+    try {
+        const request = async () => axios(axiosConfig);
+        const response = await errorCheck(request);
+        return Buffer.from(response.data);
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Columns holding SIS IDs, which Canvas quotes in its import messages
+const isSisIdColumn = (column) => /(^|_)id$/.test(column) && !['authentication_provider_id', 'role_id'].includes(column);
+
+/**
+ * Link SIS import messages back to the CSV rows they are about. Canvas reports
+ * [file, message] pairs; the row is found from a "row N"/"line N" in the
+ * message or, failing that, from the row whose SIS IDs the message mentions.
+ *
+ * @param {Array<Array<string>>} messages - processing_errors or processing_warnings
+ * @param {Object} csvFiles - { 'users.csv': csvText, ... } as submitted
+ * @returns {Array<Object>} { file, message, line, row } - line and row are null when no row matches
+ */
+function locateSisImportMessages(messages = [], csvFiles = {}) {
+    const parsed = new Map();
+    const fileFor = (name) => {
+        const key = Object.keys(csvFiles).find(f => f === name) ||
+            Object.keys(csvFiles).find(f => path.posix.basename(f.replace(/\\/g, '/')) === path.posix.basename(String(name || '').replace(/\\/g, '/')));
+        if (!key) return null;
+        if (!parsed.has(key)) {
+            const csv = parseCsv(csvFiles[key], { withLines: true });
+            // SIS ID -> indexes of the rows it appears in
+            const index = new Map();
+            csv.rows.forEach((row, i) => {
+                Object.entries(row.values).forEach(([column, value]) => {
+                    if (!value || !isSisIdColumn(column)) return;
+                    if (!index.has(value)) index.set(value, new Set());
+                    index.get(value).add(i);
+                });
+            });
+            parsed.set(key, { ...csv, index });
+        }
+        return parsed.get(key);
+    };
+
+    return messages.map((entry) => {
+        const [file, message] = Array.isArray(entry) ? entry : [entry.file, entry.message];
+        const result = { file: file || '', message: String(message ?? ''), line: null, row: null };
+        const csv = fileFor(file);
+        if (!csv) return result;
+
+        const explicit = result.message.match(/\b(?:row|line)\s*#?\s*(\d+)/i);
+        if (explicit) {
+            // The row whose lines (quoted fields may span several) include the one named
+            const target = Number(explicit[1]);
+            const match = csv.rows.find((r, i) => {
+                const lastLine = i + 1 < csv.rows.length
+                    ? csv.rows[i + 1].line - 1
+                    : r.line + Object.values(r.values).join(',').split('\n').length - 1;
+                return target >= r.line && target <= lastLine;
+            });
+            if (match) return { ...result, line: match.line, row: match.values };
+        }
+
+        // The row matching the most IDs in the message; ties go to the earliest row
+        const tokens = new Set([
+            ...[...result.message.matchAll(/"([^"]+)"|'([^']+)'/g)].map(m => m[1] || m[2]),
+            ...(result.message.match(/[\w.@-]+/g) || []).map(t => t.replace(/\.+$/, ''))
+        ]);
+        const scores = new Map();
+        tokens.forEach(token => {
+            (csv.index.get(token) || []).forEach(i => scores.set(i, (scores.get(i) || 0) + 1));
+        });
+        let best = null;
+        scores.forEach((score, i) => {
+            if (best === null || score > scores.get(best) || (score === scores.get(best) && i < best)) best = i;
+        });
+        return best === null ? result : { ...result, line: csv.rows[best].line, row: csv.rows[best].values };
+    });
+}
+
 // Authentication Provider functions
 async function fetchAuthenticationProviders(domain, token, accountId = 1) {
     try {
@@ -1492,6 +2018,17 @@ async function searchEnrollmentsByUser(userId) {
 module.exports = {
     createSISImportFile,
     createBulkSISImport,
+    generateCoherentDataset,
+    createCoherentSISImport,
+    COHERENT_FILE_TYPES,
+    createSisImport,
+    getSisImport,
+    submitSisImport,
+    listSisImports,
+    downloadSisImportAttachment,
+    locateSisImportMessages,
+    SIS_CSV_HEADERS,
+    SIS_IMPORT_PENDING_STATES,
     generateUsersCSV,
     generateAccountsCSV,
     generateTermsCSV,
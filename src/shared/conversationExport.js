@@ -0,0 +1,235 @@
+// conversationExport.js - Formats Canvas conversations as EML, MBOX and HTML transcripts
+//
+// Works on the normalized conversations returned by
+// conversations.getConversationsForExport:
+//
+//   { id, subject, workflowState, participants: [{ id, name }],
+//     messages: [{ id, createdAt, authorId, recipientIds, body, attachments: [{ id, name, contentType, size, url }] }] }
+//
+// Canvas does not share participants' email addresses, so each person gets a
+// stand-in address at the Canvas domain (user-<id>@<domain>) and an
+// X-Canvas-User-Id header. Attachments are not embedded; they are downloaded
+// next to the export and each message lists the relative path in an
+// X-Canvas-Attachment header. Nothing here touches the filesystem.
+
+const CRLF = '\r\n';
+
+/**
+ * Make a string safe to use as one path segment on Windows, macOS and Linux
+ * @param {string} name
+ * @param {string} [fallback='untitled']
+ * @returns {string}
+ */
+function safeFileName(name, fallback = 'untitled') {
+    const cleaned = String(name ?? '')
+        .replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[. ]+$/, '')
+        .slice(0, 80);
+    return cleaned || fallback;
+}
+
+/**
+ * Relative path (forward slashes) an attachment is saved to inside the export folder
+ * @param {string|number} conversationId
+ * @param {{ id: string|number, name: string }} attachment
+ * @returns {string}
+ */
+function attachmentPath(conversationId, attachment) {
+    return `attachments/${safeFileName(String(conversationId))}/${attachment.id}-${safeFileName(attachment.name, 'file')}`;
+}
+
+// RFC 2047 encoded-word for header text that is not plain ASCII
+function encodeHeader(value) {
+    const text = String(value ?? '').replace(/[\r\n]+/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+    return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function participantName(conversation, userId) {
+    const participant = conversation.participants.find(p => String(p.id) === String(userId));
+    return participant?.name || `User ${userId}`;
+}
+
+function formatAddress(conversation, userId, domain) {
+    const name = participantName(conversation, userId);
+    const encoded = encodeHeader(name);
+    // Encoded-words are not allowed inside a quoted string
+    const display = encoded === name ? `"${name.replace(/["\\]/g, '')}"` : encoded;
+    return `${display} <user-${userId}@${domain}>`;
+}
+
+// RFC 5322 date, always in UTC
+function formatDate(value) {
+    return new Date(value).toUTCString().replace(/GMT$/, '+0000');
+}
+
+function messageId(message, domain) {
+    return `<canvas-message-${message.id}@${domain}>`;
+}
+
+function recipientsOf(conversation, message) {
+    const ids = Array.isArray(message.recipientIds) && message.recipientIds.length > 0
+        ? message.recipientIds
+        : conversation.participants.map(p => p.id);
+    return ids.filter(id => String(id) !== String(message.authorId));
+}
+
+/**
+ * Build one message as an RFC 5322 (.eml) document with CRLF line endings
+ * @param {Object} conversation - Normalized conversation
+ * @param {Object} message - One of conversation.messages
+ * @param {Object} options
+ * @param {string} options.domain - Canvas domain used for stand-in addresses and Message-IDs
+ * @returns {string}
+ */
+function toEml(conversation, message, { domain }) {
+    const index = conversation.messages.indexOf(message);
+    const earlier = index > 0 ? conversation.messages.slice(0, index) : [];
+    const recipients = recipientsOf(conversation, message);
+
+    const headers = [
+        `From: ${formatAddress(conversation, message.authorId, domain)}`,
+        `To: ${recipients.length > 0 ? recipients.map(id => formatAddress(conversation, id, domain)).join(', ') : 'undisclosed-recipients:;'}`,
+        `Subject: ${encodeHeader(conversation.subject || '(no subject)')}`,
+        `Date: ${formatDate(message.createdAt)}`,
+        `Message-ID: ${messageId(message, domain)}`
+    ];
+    if (earlier.length > 0) {
+        headers.push(`In-Reply-To: ${messageId(earlier[earlier.length - 1], domain)}`);
+        headers.push(`References: ${earlier.map(m => messageId(m, domain)).join(' ')}`);
+    }
+    headers.push(
+        `X-Canvas-Conversation-Id: ${conversation.id}`,
+        `X-Canvas-Message-Id: ${message.id}`,
+        `X-Canvas-User-Id: ${message.authorId}`
+    );
+    for (const attachment of message.attachments) {
+        headers.push(`X-Canvas-Attachment: ${encodeHeader(attachment.name)}; path=${attachmentPath(conversation.id, attachment)}`);
+    }
+    headers.push(
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    );
+
+    const body = Buffer.from(String(message.body ?? '').replace(/\r?\n/g, CRLF), 'utf8')
+        .toString('base64')
+        .match(/.{1,76}/g) || [];
+    return [...headers, '', ...body, ''].join(CRLF);
+}
+
+/**
+ * Build an mboxrd mailbox holding every message of every conversation, oldest first per conversation
+ * @param {Object[]} conversations - Normalized conversations
+ * @param {Object} options
+ * @param {string} options.domain
+ * @returns {string} Mailbox text with LF line endings
+ */
+function toMbox(conversations, { domain }) {
+    const parts = [];
+    for (const conversation of conversations) {
+        for (const message of conversation.messages) {
+            const date = new Date(message.createdAt);
+            // asctime() style: "Mon Oct  5 14:03:00 2026"
+            const utc = date.toUTCString();
+            const [weekday, month, day, time, year] = [
+                utc.slice(0, 3),
+                utc.slice(8, 11),
+                String(date.getUTCDate()).padStart(2, ' '),
+                date.toISOString().slice(11, 19),
+                date.getUTCFullYear()
+            ];
+            const eml = toEml(conversation, message, { domain })
+                .split(CRLF)
+                .map(line => (/^>*From /.test(line) ? `>${line}` : line))
+                .join('\n');
+            parts.push(`From user-${message.authorId}@${domain} ${weekday} ${month} ${day} ${time} ${year}\n${eml}\n`);
+        }
+    }
+    return parts.join('');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatSize(bytes) {
+    const size = Number(bytes);
+    if (!Number.isFinite(size) || size <= 0) return '';
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Build a printable HTML transcript of one conversation (rendered to PDF by the main process)
+ * @param {Object} conversation - Normalized conversation
+ * @param {Object} options
+ * @param {string} options.domain
+ * @param {string} [options.exportedAt] - ISO timestamp shown in the header
+ * @returns {string}
+ */
+function toTranscriptHtml(conversation, { domain, exportedAt = new Date().toISOString() }) {
+    const participants = conversation.participants
+        .map(p => `${escapeHtml(p.name || `User ${p.id}`)} (${escapeHtml(p.id)})`)
+        .join(', ');
+
+    const messages = conversation.messages.map(message => {
+        const recipients = recipientsOf(conversation, message).map(id => escapeHtml(participantName(conversation, id))).join(', ');
+        const attachments = message.attachments.length === 0 ? '' : `
+            <ul class="attachments">
+                ${message.attachments.map(a => `<li>${escapeHtml(a.name)}${formatSize(a.size) ? ` (${formatSize(a.size)})` : ''} &mdash; <code>${escapeHtml(attachmentPath(conversation.id, a))}</code></li>`).join('')}
+            </ul>`;
+        return `
+        <div class="message">
+            <div class="meta">
+                <strong>${escapeHtml(participantName(conversation, message.authorId))}</strong> (${escapeHtml(message.authorId)})
+                to ${recipients || '&mdash;'}
+                <span class="date">${escapeHtml(new Date(message.createdAt).toISOString())}</span>
+            </div>
+            <div class="body">${escapeHtml(message.body)}</div>${attachments}
+        </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(conversation.subject || '(no subject)')}</title>
+    <style>
+        body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; margin: 0; }
+        h1 { font-size: 15pt; margin: 0 0 4px; }
+        .header { border-bottom: 2px solid #333; padding-bottom: 8px; margin-bottom: 12px; font-size: 9pt; color: #333; }
+        .message { border-bottom: 1px solid #ccc; padding: 8px 0; page-break-inside: avoid; }
+        .meta { font-size: 9pt; color: #333; margin-bottom: 4px; }
+        .date { float: right; color: #666; }
+        .body { white-space: pre-wrap; word-wrap: break-word; }
+        .attachments { font-size: 9pt; margin: 6px 0 0; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${escapeHtml(conversation.subject || '(no subject)')}</h1>
+        <div>Conversation ${escapeHtml(conversation.id)} on ${escapeHtml(domain)} &middot; ${conversation.messages.length} message(s)</div>
+        <div>Participants: ${participants}</div>
+        <div>Exported ${escapeHtml(exportedAt)} (times are UTC)</div>
+    </div>${messages}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    safeFileName,
+    attachmentPath,
+    toEml,
+    toMbox,
+    toTranscriptHtml
+};
@@ -0,0 +1,177 @@
+// conversationSearch.js - Match a sender's conversations by content for spam and phishing cleanups
+//
+// Criteria (all that are given must match the same message, sent by the sender):
+//   bodyText        case-insensitive text the body contains
+//   bodyPattern     regular expression source tested against the body
+//   patternFlags    flags for bodyPattern (default 'i')
+//   subjectText     case-insensitive text the conversation subject contains
+//   attachmentName  attachment display name; case-insensitive, * matches any run of characters
+//   minRecipients / maxRecipients   recipients on the message, not counting the sender
+//   sentOnOrAfter / sentBefore      YYYY-MM-DD (UTC)
+//
+// At least one content criterion (text, pattern, attachment or recipient
+// count) is required so a date range alone can never select every sent message.
+
+const CONTENT_CRITERIA = ['bodyText', 'bodyPattern', 'subjectText', 'attachmentName', 'minRecipients', 'maxRecipients'];
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+function parseDate(value, label) {
+    if (!hasValue(value)) return null;
+    const date = new Date(`${String(value).trim()}T00:00:00.000Z`);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${label} must be a date (YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+function parseCount(value, label) {
+    if (!hasValue(value)) return null;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${label} must be a whole number`);
+    }
+    return count;
+}
+
+function wildcardToRegExp(text) {
+    const source = String(text).trim().split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(text.includes('*') ? `^${source}$` : source, 'i');
+}
+
+/**
+ * Validate search criteria and compile them into a message matcher
+ * @param {Object} criteria - See the module comment
+ * @returns {{ criteria: Object, test: Function }} test(conversation, message) returns the reasons the message matched, or null
+ * @throws {Error} When no content criterion is given, or a value is invalid
+ */
+function compileCriteria(criteria = {}) {
+    if (!CONTENT_CRITERIA.some(key => hasValue(criteria[key]))) {
+        throw new Error('Enter body text, a pattern, a subject, an attachment name or a recipient count to search for');
+    }
+
+    let pattern = null;
+    if (hasValue(criteria.bodyPattern)) {
+        try {
+            pattern = new RegExp(criteria.bodyPattern, hasValue(criteria.patternFlags) ? criteria.patternFlags : 'i');
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`);
+        }
+    }
+    const bodyText = hasValue(criteria.bodyText) ? String(criteria.bodyText).toLowerCase() : null;
+    const subjectText = hasValue(criteria.subjectText) ? String(criteria.subjectText).toLowerCase() : null;
+    const attachmentName = hasValue(criteria.attachmentName) ? wildcardToRegExp(String(criteria.attachmentName)) : null;
+    const minRecipients = parseCount(criteria.minRecipients, 'Minimum recipients');
+    const maxRecipients = parseCount(criteria.maxRecipients, 'Maximum recipients');
+    if (minRecipients !== null && maxRecipients !== null && minRecipients > maxRecipients) {
+        throw new Error('Minimum recipients cannot be more than maximum recipients');
+    }
+    const from = parseDate(criteria.sentOnOrAfter, 'Sent on or after');
+    const before = parseDate(criteria.sentBefore, 'Sent before');
+
+    const test = (conversation, message) => {
+        const reasons = [];
+        const createdAt = new Date(message.createdAt);
+        if (from && !(createdAt >= from)) return null;
+        if (before && !(createdAt < before)) return null;
+
+        const body = String(message.body ?? '');
+        if (bodyText !== null) {
+            if (!body.toLowerCase().includes(bodyText)) return null;
+            reasons.push('body text');
+        }
+        if (pattern) {
+            pattern.lastIndex = 0;
+            if (!pattern.test(body)) return null;
+            reasons.push('pattern');
+        }
+        if (subjectText !== null) {
+            if (!String(conversation.subject ?? '').toLowerCase().includes(subjectText)) return null;
+            reasons.push('subject');
+        }
+        if (attachmentName) {
+            const names = (message.attachments || []).map(a => a.name).filter(name => attachmentName.test(name));
+            if (names.length === 0) return null;
+            reasons.push(`attachment ${names.join(', ')}`);
+        }
+        const recipients = recipientCount(conversation, message);
+        if (minRecipients !== null && recipients < minRecipients) return null;
+        if (maxRecipients !== null && recipients > maxRecipients) return null;
+        if (minRecipients !== null || maxRecipients !== null) reasons.push(`${recipients} recipient(s)`);
+        return reasons;
+    };
+
+    return {
+        criteria: { ...criteria, bodyPattern: pattern ? pattern.source : null, patternFlags: pattern ? pattern.flags : null },
+        test
+    };
+}
+
+// Recipients on the message, or the other participants when Canvas did not list them
+function recipientCount(conversation, message) {
+    const ids = Array.isArray(message.recipientIds) && message.recipientIds.length > 0
+        ? message.recipientIds
+        : (conversation.participants || []).map(p => p.id);
+    return new Set(ids.map(String).filter(id => id !== String(message.authorId))).size;
+}
+
+/**
+ * Short excerpt of the body around the first match, for the review table
+ * @param {string} body
+ * @param {{ bodyText?: string, bodyPattern?: string, patternFlags?: string }} criteria - Compiled criteria
+ * @param {number} [length=160]
+ * @returns {string}
+ */
+function excerpt(body, criteria = {}, length = 160) {
+    const text = String(body ?? '').replace(/\s+/g, ' ').trim();
+    let index = -1;
+    if (criteria.bodyPattern) {
+        const match = new RegExp(criteria.bodyPattern, String(criteria.patternFlags || '').replace(/[gy]/g, '')).exec(text);
+        if (match) index = match.index;
+    }
+    if (index < 0 && criteria.bodyText) {
+        index = text.toLowerCase().indexOf(String(criteria.bodyText).toLowerCase());
+    }
+    const start = Math.max(0, Math.min(index - 40, text.length - length));
+    const slice = text.slice(start, start + length);
+    return `${start > 0 ? '…' : ''}${slice}${start + length < text.length ? '…' : ''}`;
+}
+
+/**
+ * Find the sender's messages that match, one result per conversation
+ * @param {Object[]} conversations - { id, subject, participants, messages: [{ id, createdAt, authorId, recipientIds, body, attachments }] }
+ * @param {string|number} senderId - Only messages by this user are tested
+ * @param {{ criteria: Object, test: Function }} compiled - From compileCriteria
+ * @returns {Object[]} { id, subject, messageId, createdAt, recipientCount, attachments, excerpt, reasons, matchedMessages }
+ */
+function findMatches(conversations, senderId, compiled) {
+    const matches = [];
+    for (const conversation of conversations) {
+        const hits = [];
+        for (const message of conversation.messages || []) {
+            if (String(message.authorId) !== String(senderId)) continue;
+            const reasons = compiled.test(conversation, message);
+            if (reasons) hits.push({ message, reasons });
+        }
+        if (hits.length === 0) continue;
+        const { message, reasons } = hits[0];
+        matches.push({
+            id: conversation.id,
+            subject: conversation.subject || '',
+            messageId: message.id,
+            createdAt: message.createdAt,
+            recipientCount: recipientCount(conversation, message),
+            attachments: (message.attachments || []).map(a => a.name),
+            excerpt: excerpt(message.body, compiled.criteria),
+            reasons,
+            matchedMessages: hits.length
+        });
+    }
+    return matches;
+}
+
+module.exports = {
+    compileCriteria,
+    findMatches,
+    excerpt
+};
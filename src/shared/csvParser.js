@@ -0,0 +1,87 @@
+// csvParser.js - Parse CSV text with a header row into objects keyed by column
+//
+// Quoted fields may hold commas, doubled quotes and line breaks. A leading BOM
+// and blank lines are ignored, headers are lowercased and every value is
+// trimmed. Used by the QTI bank reader and the SIS validator, import diff and
+// import-message linking.
+
+/**
+ * Split CSV text into records, keeping the line each record starts on
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>}
+ */
+function parseRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ line: recordLine, fields: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, fields: record });
+    }
+    return records;
+}
+
+/**
+ * Parse CSV text with a header row
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.withLines=false] - Also return the headers and, per row, the
+ *   line it starts on and its field count (to point at rows in messages)
+ * @returns {Object[]|{ headers: string[], rows: Array<{ line: number, fieldCount: number, values: Object }> }}
+ *   One object per row keyed by header, or with withLines the headers and located rows
+ */
+function parseCsv(text, { withLines = false } = {}) {
+    const nonEmpty = parseRecords(text).filter(record => record.fields.some(value => value.trim() !== ''));
+    const headers = nonEmpty.length > 0 ? nonEmpty[0].fields.map(h => h.trim().toLowerCase()) : [];
+    const toValues = (fields) => Object.fromEntries(headers.map((h, i) => [h, (fields[i] ?? '').trim()]));
+
+    if (!withLines) {
+        return nonEmpty.slice(1).map(record => toValues(record.fields));
+    }
+    return {
+        headers,
+        rows: nonEmpty.slice(1).map(record => ({
+            line: record.line,
+            fieldCount: record.fields.length,
+            values: toValues(record.fields)
+        }))
+    };
+}
+
+module.exports = {
+    parseCsv
+};
@@ -0,0 +1,80 @@
+// domainOverride.js - Send every Canvas API request to another base URL
+//
+// The canvas-api modules build absolute URLs from the domain the user typed
+// (https://<domain>/api/v1/..., https://<domain>/api/graphql). With an override
+// set, those requests go to the override origin instead, e.g. the local mock
+// Canvas server in tests/mock-canvas, while the modules stay unchanged.
+//
+// Set CANVAS_DOMAIN_OVERRIDE=http://127.0.0.1:4010 (in the environment or .env)
+// or call setDomainOverride(). Only Canvas paths are rewritten, so other
+// services (e.g. Slack webhooks) are never redirected.
+
+const CANVAS_PATH = /^\/(api|courses|login)(\/|$)/;
+
+let override = parseOverride(process.env.CANVAS_DOMAIN_OVERRIDE);
+
+function parseOverride(value) {
+    if (!value) return null;
+    const url = new URL(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+    return url.origin;
+}
+
+/**
+ * Point Canvas requests at another origin
+ * @param {string|null} target - e.g. 'http://127.0.0.1:4010'; null turns the override off
+ */
+function setDomainOverride(target) {
+    override = parseOverride(target);
+}
+
+/**
+ * @returns {string|null} Origin requests are sent to, or null when off
+ */
+function getDomainOverride() {
+    return override;
+}
+
+/**
+ * URL a Canvas request is actually sent to
+ * @param {string} url - Absolute URL
+ * @returns {string} URL on the override origin, or the URL unchanged
+ */
+function rewriteUrl(url) {
+    if (!override || typeof url !== 'string') return url;
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url; // relative URL; its baseURL is rewritten instead
+    }
+    if (parsed.origin === override || !CANVAS_PATH.test(parsed.pathname)) return url;
+    return `${override}${parsed.pathname}${parsed.search}`;
+}
+
+const installedInstances = new WeakSet();
+
+/**
+ * Attach the override to an axios instance. Safe to call more than once.
+ * @param {import('axios').AxiosInstance} axiosInstance
+ */
+function installDomainOverride(axiosInstance) {
+    if (!axiosInstance || installedInstances.has(axiosInstance)) return;
+    installedInstances.add(axiosInstance);
+
+    axiosInstance.interceptors.request.use((config) => {
+        if (!override) return config;
+        if (config.baseURL && !/^https?:\/\//i.test(config.url || '')) {
+            config.baseURL = rewriteUrl(config.baseURL);
+        } else {
+            config.url = rewriteUrl(config.url);
+        }
+        return config;
+    });
+}
+
+module.exports = {
+    setDomainOverride,
+    getDomainOverride,
+    rewriteUrl,
+    installDomainOverride
+};
@@ -4,6 +4,8 @@
  * performance, authentication flows, and potential issues.
  */
 
+const { analyzeAuthArtifacts } = require('./authAssertions');
+
 class HARAnalyzer {
     constructor(harData) {
         this.har = harData;
@@ -182,12 +184,96 @@ class HARAnalyzer {
             .slice(0, limit);
     }
 
+    /**
+     * Build a waterfall of every request on a shared time axis.
+     *
+     * Offsets are milliseconds from the earliest request. Phases follow the
+     * browser's order (blocked, dns, connect, ssl, send, wait, receive); -1
+     * ("not applicable") becomes 0, and ssl is taken out of connect because
+     * HAR 1.2 counts it in both. Row ids are 1-based entry indexes, matching
+     * the flat entries returned by har:analyze.
+     * @returns {{ totalDuration: number, pages: Array<Object>, rows: Array<Object> }}
+     */
+    getWaterfall() {
+        const normalizeTiming = value => (typeof value === 'number' && value >= 0) ? value : 0;
+        const starts = this.entries.map(entry => Date.parse(entry.startedDateTime));
+        const origin = starts.reduce((min, start) => (Number.isNaN(start) ? min : Math.min(min, start)), Infinity);
+
+        const rows = this.entries.map((entry, i) => {
+            const timings = entry.timings || {};
+            const ssl = normalizeTiming(timings.ssl);
+            const phases = {
+                blocked: normalizeTiming(timings.blocked),
+                dns: normalizeTiming(timings.dns),
+                connect: Math.max(0, normalizeTiming(timings.connect) - ssl),
+                ssl,
+                send: normalizeTiming(timings.send),
+                wait: normalizeTiming(timings.wait),
+                receive: normalizeTiming(timings.receive)
+            };
+            const phaseTotal = Object.values(phases).reduce((sum, value) => sum + value, 0);
+            let domain = '';
+            try {
+                domain = new URL(entry.request.url).hostname;
+            } catch (e) {
+                // Invalid URL
+            }
+
+            return {
+                id: i + 1,
+                pageref: entry.pageref || null,
+                method: entry.request.method,
+                url: entry.request.url,
+                domain,
+                status: entry.response.status,
+                mimeType: (entry.response.content?.mimeType || '').split(';')[0].trim(),
+                startOffset: Number.isNaN(starts[i]) ? 0 : starts[i] - origin,
+                duration: (typeof entry.time === 'number' && entry.time >= 0) ? entry.time : phaseTotal,
+                phases
+            };
+        });
+
+        const pages = this.pages.map(page => {
+            const start = Date.parse(page.startedDateTime);
+            const pageTimings = page.pageTimings || {};
+            return {
+                id: page.id,
+                title: page.title || '',
+                startOffset: Number.isNaN(start) || origin === Infinity ? 0 : start - origin,
+                onContentLoad: (typeof pageTimings.onContentLoad === 'number' && pageTimings.onContentLoad >= 0) ? pageTimings.onContentLoad : null,
+                onLoad: (typeof pageTimings.onLoad === 'number' && pageTimings.onLoad >= 0) ? pageTimings.onLoad : null
+            };
+        });
+
+        // reduce rather than Math.max(...rows) so very large HAR files don't overflow the call stack
+        const totalDuration = [
+            ...rows.map(row => row.startOffset + row.duration),
+            ...pages.map(page => page.startOffset + (page.onLoad || 0))
+        ].reduce((max, end) => Math.max(max, end), 0);
+
+        return { totalDuration, pages, rows };
+    }
+
+    /**
+     * Decode SAML messages, OAuth parameters and JWTs (see authAssertions.js).
+     * Cached, since the diagnosis and the report both need it.
+     */
+    getAuthAssertions() {
+        if (!this._authAssertions) {
+            this._authAssertions = analyzeAuthArtifacts(this.entries);
+        }
+        return this._authAssertions;
+    }
+
     /**
      * Detect authentication flow
      */
     detectAuthFlow() {
         const authKeywords = ['oauth', 'saml', 'login', 'auth', 'sso', 'token', 'callback'];
-        const authRequests = this.entries.filter(entry =>
+        const assertions = this.getAuthAssertions();
+        const decodedEntries = new Set([...assertions.saml, ...assertions.oauth].map(item => item.entryId));
+        const authRequests = this.entries.filter((entry, index) =>
+            decodedEntries.has(index + 1) ||
             authKeywords.some(keyword => entry.request.url.toLowerCase().includes(keyword))
         );
 
@@ -200,19 +286,23 @@ class HARAnalyzer {
                 status: entry.response.status,
                 time: entry.startedDateTime
             })),
-            type: this._detectAuthType(authRequests)
+            type: this._detectAuthType(authRequests, assertions),
+            assertions
         };
 
         return flow;
     }
 
-    _detectAuthType(authRequests) {
+    _detectAuthType(authRequests, assertions = { saml: [], oauth: [], jwt: [] }) {
         const types = [];
         const urls = authRequests.map(r => r.request.url.toLowerCase()).join(' ');
+        // Decoded messages are conclusive; URL keywords are the fallback
+        const hasOidc = assertions.oauth.some(o => /\bopenid\b/.test(o.params.scope || '')) ||
+            assertions.jwt.some(j => j.source.includes('id_token'));
 
-        if (urls.includes('oauth')) types.push('OAuth 2.0');
-        if (urls.includes('saml')) types.push('SAML 2.0');
-        if (urls.includes('openid')) types.push('OpenID Connect');
+        if (assertions.oauth.length > 0 || urls.includes('oauth')) types.push('OAuth 2.0');
+        if (assertions.saml.length > 0 || urls.includes('saml')) types.push('SAML 2.0');
+        if (hasOidc || urls.includes('openid')) types.push('OpenID Connect');
         if (urls.includes('duo')) types.push('Duo 2FA');
 
         return types.length > 0 ? types : ['Unknown'];
@@ -496,6 +586,7 @@ class HARAnalyzer {
      *   1. Backend service auth failures (401 on API endpoints)
      *   2. Stuck on "in-progress" page
      *   3. Auth endpoint HTTP errors
+     *   3b. Errors in decoded SAML/OAuth messages (status, clock skew, audience…)
      *   4. Network is healthy → likely a client-side (JS/DOM) crash
      *   5. Incomplete OAuth callback (only when auth actually errored)
      *   6. Cookie issues (only when auth actually errored)
@@ -618,6 +709,50 @@ class HARAnalyzer {
             return diagnosis;
         }
 
+        // ── PRIORITY 3b: Decoded SAML/OAuth failures ─────────────────────────
+        // A rejected assertion or an OAuth error usually comes back as a
+        // 200/302 login page, so it has to be read from the messages themselves.
+        const assertionErrors = [
+            ...authFlow.assertions.saml.map(item => ({ item, protocol: 'SAML' })),
+            ...authFlow.assertions.oauth.map(item => ({ item, protocol: 'OAuth' }))
+        ].flatMap(({ item, protocol }) => item.issues.filter(i => i.severity === 'error').map(i => ({ item, protocol, issue: i })));
+
+        if (assertionErrors.length > 0) {
+            const isSaml = assertionErrors.some(e => e.protocol === 'SAML');
+            diagnosis.isIncomplete = true;
+            diagnosis.severity = 'critical';
+            diagnosis.rootCause = isSaml ? 'saml_assertion_failure' : 'oauth_error';
+            diagnosis.reasons.push(`${isSaml ? 'SAML' : 'OAuth'} problems found in the decoded authentication messages:`);
+            assertionErrors.slice(0, 5).forEach(({ item, issue }) => {
+                diagnosis.reasons.push(`  • Request #${item.entryId}: ${issue.message}`);
+            });
+
+            const codes = new Set(assertionErrors.map(e => e.issue.code));
+            if (codes.has('not_yet_valid') || codes.has('expired') || codes.has('subject_expired')) {
+                diagnosis.recommendations.push('Check the clocks on the IdP server and this computer (NTP); assertions are only valid for a short window');
+            }
+            if (codes.has('audience_mismatch')) {
+                diagnosis.recommendations.push('Set the audience (SP entity ID) at the IdP to the one in Canvas\'s SAML metadata');
+            }
+            if (codes.has('saml_status') || codes.has('missing_name_id') || codes.has('missing_assertion')) {
+                diagnosis.recommendations.push('Review the IdP logs for this user; the IdP refused or could not complete the login');
+            }
+            if (codes.has('unsigned')) {
+                diagnosis.recommendations.push('Enable signing of the response or assertion at the IdP');
+            }
+            if (codes.has('state_mismatch')) {
+                diagnosis.recommendations.push('Start the login again in one tab; a stale or repeated login page sends an old state');
+            }
+            if (codes.has('oauth_error')) {
+                diagnosis.recommendations.push('Check the OAuth client (client ID, redirect URI and scopes) configured at the provider');
+            }
+            if (diagnosis.recommendations.length === 0) {
+                diagnosis.recommendations.push('Review the decoded messages in the Authentication section of the report');
+            }
+
+            return diagnosis;
+        }
+
         // ── PRIORITY 4: Network is healthy → client-side crash ───────────────
         // If every non-Sentry request succeeded (2xx/3xx) the problem is
         // not the network at all. Surface that clearly and give actionable
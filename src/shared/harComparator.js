@@ -0,0 +1,289 @@
+/**
+ * HAR Comparator
+ * Lines up the requests of two HAR captures of the same workflow (e.g. Chrome
+ * vs Safari, or yesterday vs today) and reports what changed between them:
+ * requests only one side made, status codes, headers, cookies, timing
+ * regressions and, on request, response bodies.
+ *
+ * Requests are matched by method + host + path + query parameter names, with
+ * ids, UUIDs and asset fingerprints in the path replaced by placeholders. When
+ * a pattern occurs several times, the nth occurrence on one side is paired
+ * with the nth on the other. Sentry calls are left out, as in HARAnalyzer.
+ */
+
+const { HARAnalyzer } = require('./harAnalyzer');
+const { DiffChecker } = require('./diffChecker');
+
+// Headers that differ on every capture and would hide the differences that matter
+const VOLATILE_HEADERS = new Set([
+    'date', 'age', 'expires', 'last-modified', 'etag', 'if-none-match', 'if-modified-since',
+    'content-length', 'x-request-id', 'x-request-context-id', 'x-runtime', 'x-request-cost',
+    'x-rate-limit-remaining', 'x-session-id', 'x-canvas-meta', 'x-csrf-token', 'authorization',
+    'cf-ray', 'x-amz-cf-id', 'x-amz-cf-pop', 'x-amzn-trace-id', 'server-timing', 'report-to', 'nel',
+    // Compared separately, by cookie name
+    'cookie', 'set-cookie'
+]);
+
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{20,}|[A-Za-z0-9_-]{32,})$/i;
+const TEXT_MIME = /json|text|html|xml|javascript|x-www-form-urlencoded/i;
+
+class HARComparator {
+    /**
+     * @param {Object} harA - Parsed HAR of the first capture (e.g. the one that works)
+     * @param {Object} harB - Parsed HAR of the second capture
+     * @param {Object} [options]
+     * @param {number} [options.timingThresholdMs=200] - Minimum slowdown reported as a regression
+     * @param {number} [options.timingRatio=1.5] - ...and it must also be this many times slower
+     */
+    constructor(harA, harB, options = {}) {
+        this.a = new HARAnalyzer(harA);
+        this.b = new HARAnalyzer(harB);
+        this.options = {
+            timingThresholdMs: options.timingThresholdMs ?? 200,
+            timingRatio: options.timingRatio ?? 1.5
+        };
+        this._result = null;
+    }
+
+    /**
+     * The key two requests are matched on
+     * @param {string} method
+     * @param {string} url
+     * @returns {string} e.g. "GET school.instructure.com/api/v1/courses/:id/users?include[]&per_page"
+     */
+    static requestPattern(method, url) {
+        try {
+            const parsed = new URL(url);
+            const path = parsed.pathname.split('/').map(segment => {
+                if (ID_SEGMENT.test(segment)) return ':id';
+                // Fingerprinted assets, e.g. main-7a3f9c2b1e.js
+                return segment.replace(/([-_.])[0-9a-f]{8,}(?=\.)/gi, '$1:hash');
+            }).join('/');
+            const keys = [...new Set(parsed.searchParams.keys())].sort();
+            return `${method} ${parsed.host}${path}${keys.length > 0 ? `?${keys.join('&')}` : ''}`;
+        } catch (e) {
+            return `${method} ${url}`;
+        }
+    }
+
+    /**
+     * Compare the two captures (cached)
+     * @returns {Object} { sides: { a, b }, summary, pairs, onlyA, onlyB }
+     */
+    compare() {
+        if (this._result) return this._result;
+
+        const groupsA = this._group(this.a);
+        const groupsB = this._group(this.b);
+        const pairs = [];
+        const onlyA = [];
+        const onlyB = [];
+
+        groupsA.forEach((itemsA, key) => {
+            const itemsB = groupsB.get(key) || [];
+            itemsA.forEach((itemA, i) => {
+                if (i < itemsB.length) {
+                    pairs.push(this._comparePair(pairs.length + 1, key, itemA, itemsB[i]));
+                } else {
+                    onlyA.push(this._describe(key, itemA));
+                }
+            });
+            itemsB.slice(itemsA.length).forEach(itemB => onlyB.push(this._describe(key, itemB)));
+        });
+        groupsB.forEach((itemsB, key) => {
+            if (!groupsA.has(key)) itemsB.forEach(itemB => onlyB.push(this._describe(key, itemB)));
+        });
+
+        pairs.sort((x, y) => x.a.id - y.a.id);
+        onlyB.sort((x, y) => x.id - y.id);
+
+        this._result = {
+            sides: { a: this._sideSummary(this.a), b: this._sideSummary(this.b) },
+            summary: {
+                matched: pairs.length,
+                onlyA: onlyA.length,
+                onlyB: onlyB.length,
+                statusChanged: pairs.filter(p => p.statusChanged).length,
+                headersChanged: pairs.filter(p => p.headers.length > 0).length,
+                cookiesChanged: pairs.filter(p => p.cookies.length > 0).length,
+                timingRegressions: pairs.filter(p => p.timing.regression).length,
+                bodiesChanged: pairs.filter(p => p.bodyChanged).length
+            },
+            pairs,
+            onlyA,
+            onlyB
+        };
+        return this._result;
+    }
+
+    /**
+     * Line diff of a matched pair's response bodies, via DiffChecker. JSON is
+     * pretty-printed first so changes show up line by line.
+     * @param {number} pairId - pairs[].id from compare()
+     * @returns {Object} DiffChecker.compareText result plus { pairId, mimeTypes }
+     */
+    compareBodies(pairId) {
+        const pair = this.compare().pairs.find(p => p.id === Number(pairId));
+        if (!pair) {
+            throw new Error('Request pair not found; compare the HAR files again');
+        }
+        const bodyA = this._body(this.a.entries[pair.a.id - 1]);
+        const bodyB = this._body(this.b.entries[pair.b.id - 1]);
+        if (bodyA === null && bodyB === null) {
+            throw new Error('Neither capture recorded a text response body for this request');
+        }
+        return {
+            ...DiffChecker.compareText(bodyA ?? '', bodyB ?? '', { contextLines: 3 }),
+            pairId: pair.id,
+            mimeTypes: { a: pair.a.mimeType, b: pair.b.mimeType }
+        };
+    }
+
+    _group(analyzer) {
+        const groups = new Map();
+        analyzer.entries.forEach((entry, index) => {
+            if (analyzer._isSentryRequest(entry.request.url)) return;
+            const key = HARComparator.requestPattern(entry.request.method, entry.request.url);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ id: index + 1, entry });
+        });
+        return groups;
+    }
+
+    _describe(key, { id, entry }) {
+        return {
+            id,
+            key,
+            method: entry.request.method,
+            url: entry.request.url,
+            status: entry.response.status,
+            statusText: entry.response.statusText || '',
+            mimeType: (entry.response.content?.mimeType || '').split(';')[0].trim(),
+            time: Math.round(entry.time > 0 ? entry.time : 0)
+        };
+    }
+
+    _sideSummary(analyzer) {
+        const browser = analyzer.getBrowserInfo();
+        const health = analyzer.getNetworkHealth();
+        return {
+            totalRequests: analyzer.entries.length,
+            failedRequests: health.failedRequests,
+            redirectRequests: health.redirectRequests,
+            browser: browser.fullBrowserString,
+            os: browser.fullOSString,
+            startTime: analyzer.entries[0]?.startedDateTime || null,
+            totalDuration: Math.round(analyzer.getWaterfall().totalDuration),
+            authType: analyzer.detectAuthFlow().type
+        };
+    }
+
+    _comparePair(id, key, itemA, itemB) {
+        const a = this._describe(key, itemA);
+        const b = this._describe(key, itemB);
+        const slower = b.time - a.time;
+        const bodyA = this._body(itemA.entry);
+        const bodyB = this._body(itemB.entry);
+
+        return {
+            id,
+            key,
+            a,
+            b,
+            statusChanged: a.status !== b.status,
+            headers: [
+                ...this._headerDiff('request', itemA.entry.request.headers, itemB.entry.request.headers),
+                ...this._headerDiff('response', itemA.entry.response.headers, itemB.entry.response.headers)
+            ],
+            cookies: [
+                ...this._cookieDiff('sent', this._sentCookies(itemA.entry), this._sentCookies(itemB.entry)),
+                ...this._cookieDiff('set', this._setCookies(itemA.entry), this._setCookies(itemB.entry))
+            ],
+            timing: {
+                a: a.time,
+                b: b.time,
+                delta: slower,
+                regression: slower >= this.options.timingThresholdMs && b.time >= a.time * this.options.timingRatio
+            },
+            hasBodies: bodyA !== null || bodyB !== null,
+            bodyChanged: (bodyA !== null || bodyB !== null) && bodyA !== bodyB
+        };
+    }
+
+    // Header differences by lowercase name; repeated headers are joined
+    _headerDiff(side, headersA = [], headersB = []) {
+        const collect = headers => {
+            const map = new Map();
+            headers.forEach(h => {
+                const name = String(h.name).toLowerCase();
+                // HTTP/2 pseudo-headers depend on the protocol, not the app
+                if (name.startsWith(':') || VOLATILE_HEADERS.has(name)) return;
+                map.set(name, map.has(name) ? `${map.get(name)}, ${h.value}` : String(h.value));
+            });
+            return map;
+        };
+        const mapA = collect(headersA);
+        const mapB = collect(headersB);
+        const names = [...new Set([...mapA.keys(), ...mapB.keys()])].sort();
+        return names
+            .filter(name => mapA.get(name) !== mapB.get(name))
+            .map(name => ({ side, name, a: mapA.get(name) ?? null, b: mapB.get(name) ?? null }));
+    }
+
+    // Cookie names the browser sent; values are session-specific and not compared
+    _sentCookies(entry) {
+        const cookies = new Map();
+        (entry.request.cookies || []).forEach(c => cookies.set(c.name, 'sent'));
+        (entry.request.headers || [])
+            .filter(h => h.name.toLowerCase() === 'cookie')
+            .forEach(h => h.value.split(/;\s*/).forEach(pair => {
+                const name = pair.split('=')[0].trim();
+                if (name) cookies.set(name, 'sent');
+            }));
+        return cookies;
+    }
+
+    // Cookies the server set, with their attributes (SameSite, Secure, Path...) but not values or expiry
+    _setCookies(entry) {
+        const cookies = new Map();
+        (entry.response.headers || [])
+            .filter(h => h.name.toLowerCase() === 'set-cookie')
+            .flatMap(h => String(h.value).split('\n'))
+            .forEach(line => {
+                const [pair, ...attrs] = line.split(';').map(part => part.trim());
+                const name = pair.split('=')[0].trim();
+                if (!name) return;
+                const kept = attrs
+                    .filter(attr => !/^(expires|max-age)\s*=/i.test(attr) && attr)
+                    .map(attr => attr.replace(/^(\w[\w-]*)/, m => m.toLowerCase()))
+                    .sort();
+                cookies.set(name, kept.join('; '));
+            });
+        return cookies;
+    }
+
+    _cookieDiff(kind, cookiesA, cookiesB) {
+        const names = [...new Set([...cookiesA.keys(), ...cookiesB.keys()])].sort();
+        return names
+            .filter(name => cookiesA.get(name) !== cookiesB.get(name))
+            .map(name => ({ kind, name, a: cookiesA.get(name) ?? null, b: cookiesB.get(name) ?? null }));
+    }
+
+    // Text response body, JSON pretty-printed; null when not recorded or binary
+    _body(entry) {
+        const content = entry.response.content || {};
+        if (typeof content.text !== 'string' || content.text === '' || !TEXT_MIME.test(content.mimeType || '')) return null;
+        const text = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+        if (/json/i.test(content.mimeType)) {
+            const prefix = text.startsWith('while(1);') ? 'while(1);' : '';
+            try {
+                return prefix + JSON.stringify(JSON.parse(text.slice(prefix.length)), null, 2);
+            } catch (e) {
+                return text;
+            }
+        }
+        return text;
+    }
+}
+
+module.exports = { HARComparator };
@@ -0,0 +1,379 @@
+// harSanitizer.js - Redact secrets and personal data from a HAR file before it is shared
+//
+// sanitizeHar(harData, rules) returns a sanitized copy plus a report of every
+// value it replaced. Each rule category has an action: 'redact' (replace with
+// [REDACTED]), 'hash' (replace with a short keyed hash, so the same session or
+// user can still be followed across requests) or 'keep':
+//
+//   cookies     request/response cookies and the Cookie and Set-Cookie headers
+//               (_normandy_session, _csrf_token, log_session_id, ...)
+//   headers     named headers such as Authorization; the auth scheme is kept
+//   parameters  named query, fragment, form and JSON fields such as
+//               access_token or authenticity_token, in every URL and body
+//   saml        SAMLRequest/SAMLResponse parameters and IdP auto-post forms
+//   jwt         JWTs anywhere else in header values, URLs and bodies
+//   pii         email addresses and named fields (name, login_id, ...) in bodies
+//
+// Hashes are HMAC-SHA256 with a random key per run: they can't be reversed by
+// guessing common values and don't match between two sanitized files. Binary
+// bodies are left alone. The copy is then run back through HARAnalyzer, and any
+// SAML message or JWT it can still decode is listed in report.residual.
+
+const crypto = require('crypto');
+const { HARAnalyzer } = require('./harAnalyzer');
+
+const ACTIONS = ['redact', 'hash', 'keep'];
+const CATEGORIES = ['cookies', 'headers', 'parameters', 'saml', 'jwt', 'pii'];
+const REDACTED = '[REDACTED]';
+const SAML_PARAMS = ['samlrequest', 'samlresponse'];
+const URL_HEADERS = ['location', 'referer', 'content-location'];
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const TEXT_MIME = /json|text|html|xml|javascript|x-www-form-urlencoded/i;
+// Canvas prefixes JSON responses with this to prevent JSON hijacking
+const JSON_PREFIX = 'while(1);';
+
+const DEFAULT_RULES = {
+    cookies: { action: 'hash' },
+    headers: {
+        action: 'redact',
+        names: ['authorization', 'proxy-authorization', 'x-csrf-token', 'x-api-key', 'x-auth-token']
+    },
+    parameters: {
+        action: 'redact',
+        names: [
+            'access_token', 'refresh_token', 'id_token', 'token', 'client_secret', 'code', 'password',
+            '_csrf_token', 'authenticity_token', 'api_key', 'session_token', 'ticket', 'otp'
+        ]
+    },
+    saml: { action: 'redact' },
+    jwt: { action: 'redact' },
+    pii: {
+        action: 'hash',
+        names: [
+            'name', 'sortable_name', 'short_name', 'display_name', 'first_name', 'last_name', 'email',
+            'primary_email', 'login_id', 'unique_id', 'sis_user_id', 'integration_id', 'avatar_url', 'phone'
+        ]
+    }
+};
+
+/**
+ * Fill in missing rule settings from DEFAULT_RULES and drop anything invalid
+ * @param {Object} [rules] - { [category]: { action, names? } }
+ * @returns {Object} Complete rules
+ */
+function normalizeRules(rules = {}) {
+    const normalized = {};
+    for (const category of CATEGORIES) {
+        const given = (rules && rules[category]) || {};
+        const defaults = DEFAULT_RULES[category];
+        normalized[category] = { action: ACTIONS.includes(given.action) ? given.action : defaults.action };
+        if (defaults.names) {
+            const names = Array.isArray(given.names) ? given.names : defaults.names;
+            normalized[category].names = [...new Set(names.map(n => String(n).trim().toLowerCase()).filter(Boolean))];
+        }
+    }
+    return normalized;
+}
+
+// ---- replacing values -------------------------------------------------------
+
+function createContext(rules) {
+    return {
+        rules,
+        key: crypto.randomBytes(32),
+        headerNames: new Set(rules.headers.names),
+        parameterNames: new Set(rules.parameters.names),
+        piiNames: new Set(rules.pii.names),
+        redactions: new Map() // `${category}|${location}|${name}` -> count, for the current entry
+    };
+}
+
+// The replacement for value under a category's action, recording it; unchanged when the action is 'keep'
+function replace(ctx, category, location, name, value) {
+    const action = ctx.rules[category].action;
+    if (action === 'keep' || value === undefined || value === null || value === '') return value;
+    const key = `${category}|${location}|${name}`;
+    ctx.redactions.set(key, (ctx.redactions.get(key) || 0) + 1);
+    if (action === 'hash') {
+        return `[hash:${crypto.createHmac('sha256', ctx.key).update(String(value)).digest('hex').slice(0, 12)}]`;
+    }
+    return REDACTED;
+}
+
+// JWTs, email addresses and "field":"value" pairs inside free text (HTML, scripts, error pages)
+function sanitizeText(ctx, location, text) {
+    if (typeof text !== 'string' || text === '') return text;
+    return text
+        .replace(JWT_PATTERN, token => replace(ctx, 'jwt', location, 'token', token))
+        .replace(/"([\w-]+)"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g, (match, name, separator, value) => {
+            const category = fieldCategory(ctx, name);
+            return category && value ? `"${name}"${separator}"${replace(ctx, category, location, name, value)}"` : match;
+        })
+        .replace(EMAIL_PATTERN, email => replace(ctx, 'pii', location, 'email address', email));
+}
+
+// Which rule covers a named parameter or field, if any
+function fieldCategory(ctx, name) {
+    const lower = String(name).toLowerCase();
+    if (SAML_PARAMS.includes(lower)) return 'saml';
+    if (ctx.parameterNames.has(lower)) return 'parameters';
+    if (ctx.piiNames.has(lower)) return 'pii';
+    return null;
+}
+
+// Parameters match saml and parameters rules by name; pii names only apply to bodies
+function sanitizeParam(ctx, location, name, value) {
+    const category = fieldCategory(ctx, name);
+    if (category && category !== 'pii') return replace(ctx, category, location, name, value);
+    return sanitizeText(ctx, location, value);
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+        return value;
+    }
+}
+
+// Rewrite a=b&c=d, leaving the raw encoding of untouched pairs as it was
+function sanitizeEncodedParams(ctx, location, encoded) {
+    return encoded.split('&').map(pair => {
+        const eq = pair.indexOf('=');
+        if (eq === -1) return pair;
+        const name = safeDecode(pair.slice(0, eq));
+        const value = safeDecode(pair.slice(eq + 1));
+        const sanitized = sanitizeParam(ctx, location, name, value);
+        return sanitized === value ? pair : `${pair.slice(0, eq)}=${encodeURIComponent(sanitized)}`;
+    }).join('&');
+}
+
+function sanitizeUrl(ctx, location, url) {
+    if (typeof url !== 'string' || url === '') return url;
+    const match = /^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(url);
+    let result = match[1];
+    if (match[2] !== undefined) result += `?${sanitizeEncodedParams(ctx, `${location} query`, match[2])}`;
+    if (match[3] !== undefined) {
+        result += `#${match[3].includes('=') ? sanitizeEncodedParams(ctx, `${location} fragment`, match[3]) : match[3]}`;
+    }
+    return sanitizeText(ctx, location, result);
+}
+
+// ---- headers and cookies ----------------------------------------------------
+
+function sanitizeCookies(ctx, location, cookies) {
+    (cookies || []).forEach(cookie => {
+        cookie.value = replace(ctx, 'cookies', location, cookie.name, cookie.value);
+    });
+}
+
+function sanitizeHeaders(ctx, side, headers) {
+    (headers || []).forEach(header => {
+        const lower = String(header.name).toLowerCase();
+        const value = String(header.value ?? '');
+        const location = `${side} header`;
+        if (lower === 'cookie') {
+            header.value = value.split(/;\s*/).map(pair => {
+                const eq = pair.indexOf('=');
+                return eq === -1 ? pair : `${pair.slice(0, eq)}=${replace(ctx, 'cookies', location, pair.slice(0, eq), pair.slice(eq + 1))}`;
+            }).join('; ');
+        } else if (lower === 'set-cookie') {
+            // Browsers export several Set-Cookie headers joined by newlines; attributes are kept
+            header.value = value.split('\n').map(line => {
+                const end = line.indexOf(';') === -1 ? line.length : line.indexOf(';');
+                const eq = line.indexOf('=');
+                if (eq === -1 || eq > end) return line;
+                return `${line.slice(0, eq)}=${replace(ctx, 'cookies', location, line.slice(0, eq), line.slice(eq + 1, end))}${line.slice(end)}`;
+            }).join('\n');
+        } else if (ctx.headerNames.has(lower)) {
+            const scheme = /^(Bearer|Basic|Digest|Token|Negotiate)\s+(.+)$/i.exec(value);
+            header.value = scheme
+                ? `${scheme[1]} ${replace(ctx, 'headers', location, header.name, scheme[2])}`
+                : replace(ctx, 'headers', location, header.name, value);
+        } else if (URL_HEADERS.includes(lower)) {
+            header.value = sanitizeUrl(ctx, location, value);
+        } else {
+            header.value = sanitizeText(ctx, location, value);
+        }
+    });
+}
+
+// ---- bodies -----------------------------------------------------------------
+
+function sanitizeJsonValue(ctx, location, value, name) {
+    if (Array.isArray(value)) return value.map(item => sanitizeJsonValue(ctx, location, item, name));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, sanitizeJsonValue(ctx, location, child, key)]));
+    }
+    if (typeof value === 'string' || typeof value === 'number') {
+        const category = name === undefined ? null : fieldCategory(ctx, name);
+        if (category) return replace(ctx, category, location, name, value);
+        return typeof value === 'string' ? sanitizeText(ctx, location, value) : value;
+    }
+    return value;
+}
+
+function countRedactions(ctx) {
+    let total = 0;
+    ctx.redactions.forEach(count => { total += count; });
+    return total;
+}
+
+// Parsed and walked when it is JSON, so pii names also match numbers and nested fields
+function sanitizeJson(ctx, location, text) {
+    const prefix = text.startsWith(JSON_PREFIX) ? JSON_PREFIX : '';
+    let parsed;
+    try {
+        parsed = JSON.parse(text.slice(prefix.length));
+    } catch {
+        return sanitizeText(ctx, location, text);
+    }
+    const before = countRedactions(ctx);
+    const sanitized = sanitizeJsonValue(ctx, location, parsed);
+    // Untouched bodies keep their original formatting
+    return countRedactions(ctx) === before ? text : prefix + JSON.stringify(sanitized);
+}
+
+// Hidden form fields, e.g. the IdP's SAMLResponse auto-post form or Canvas' authenticity_token
+function sanitizeHtml(ctx, location, html) {
+    const withInputs = html.replace(/<input\b[^>]*>/gi, input => {
+        const name = /\bname\s*=\s*["']([^"']*)["']/i.exec(input);
+        const category = name && fieldCategory(ctx, name[1]);
+        if (!category || category === 'pii') return input;
+        return input.replace(/(\bvalue\s*=\s*)(["'])([\s\S]*?)\2/i, (match, attr, quote, value) =>
+            `${attr}${quote}${replace(ctx, category, location, name[1], value)}${quote}`);
+    });
+    return sanitizeText(ctx, location, withInputs);
+}
+
+function sanitizeBody(ctx, location, text, mimeType) {
+    if (typeof text !== 'string' || text === '') return text;
+    if (/x-www-form-urlencoded/i.test(mimeType)) return sanitizeEncodedParams(ctx, location, text);
+    if (/json/i.test(mimeType) || text.startsWith(JSON_PREFIX)) return sanitizeJson(ctx, location, text);
+    if (/html/i.test(mimeType)) return sanitizeHtml(ctx, location, text);
+    return sanitizeText(ctx, location, text);
+}
+
+function sanitizeContent(ctx, content) {
+    if (!content || typeof content.text !== 'string' || !TEXT_MIME.test(content.mimeType || '')) return;
+    const base64 = content.encoding === 'base64';
+    const text = base64 ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+    const sanitized = sanitizeBody(ctx, 'response body', text, content.mimeType);
+    if (sanitized !== text) {
+        content.text = base64 ? Buffer.from(sanitized, 'utf8').toString('base64') : sanitized;
+    }
+}
+
+// ---- all together -------------------------------------------------------------
+
+// Sanitize without adding to the report, for HAR fields that repeat another one
+function uncounted(ctx, fn) {
+    const counted = ctx.redactions;
+    ctx.redactions = new Map();
+    fn();
+    ctx.redactions = counted;
+}
+
+function sanitizeEntry(ctx, entry) {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const post = request.postData;
+
+    request.url = sanitizeUrl(ctx, 'request URL', request.url);
+    // queryString is the URL's query again, and form params the body text again when both are exported
+    uncounted(ctx, () => (request.queryString || []).forEach(p => {
+        p.value = sanitizeParam(ctx, 'request URL query', p.name, p.value);
+    }));
+    sanitizeHeaders(ctx, 'request', request.headers);
+    sanitizeCookies(ctx, 'request cookie', request.cookies);
+    if (post) {
+        const sanitizeParams = () => (post.params || []).forEach(p => {
+            p.value = sanitizeParam(ctx, 'request body', p.name, p.value);
+        });
+        if (post.text) {
+            uncounted(ctx, sanitizeParams);
+            post.text = sanitizeBody(ctx, 'request body', post.text, post.mimeType || '');
+        } else {
+            sanitizeParams();
+        }
+    }
+
+    sanitizeHeaders(ctx, 'response', response.headers);
+    sanitizeCookies(ctx, 'response cookie', response.cookies);
+    response.redirectURL = sanitizeUrl(ctx, 'redirect URL', response.redirectURL);
+    sanitizeContent(ctx, response.content);
+}
+
+function takeRedactions(ctx) {
+    const redactions = [...ctx.redactions].map(([key, count]) => {
+        const [category, location, name] = key.split('|');
+        return { category, location, name, count };
+    });
+    ctx.redactions = new Map();
+    return redactions;
+}
+
+/**
+ * Sanitize a parsed HAR file
+ * @param {Object} harData - Parsed HAR; not modified
+ * @param {Object} [rules] - See normalizeRules; missing settings use DEFAULT_RULES
+ * @returns {{ har: Object, report: Object }} The sanitized copy and
+ *   { sanitizedAt, rules, totals: { [category]: number }, totalRedactions,
+ *     entries: [{ entryId, url, redactions: [{ category, location, name, count }] }],
+ *     pages: [{ pageId, redactions }], residual: [{ entryId, kind, source, message }] }
+ */
+function sanitizeHar(harData, rules) {
+    const normalized = normalizeRules(rules);
+    const ctx = createContext(normalized);
+    const har = structuredClone(harData);
+    const log = har.log || {};
+
+    const pages = (log.pages || []).map(page => {
+        page.title = /^https?:\/\//i.test(page.title || '')
+            ? sanitizeUrl(ctx, 'page title', page.title)
+            : sanitizeText(ctx, 'page title', page.title);
+        return { pageId: page.id, redactions: takeRedactions(ctx) };
+    }).filter(page => page.redactions.length > 0);
+
+    const entries = (log.entries || []).map((entry, index) => {
+        sanitizeEntry(ctx, entry);
+        return { entryId: index + 1, url: entry.request?.url || '', redactions: takeRedactions(ctx) };
+    }).filter(entry => entry.redactions.length > 0);
+
+    const totals = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+    [...pages, ...entries].forEach(item => item.redactions.forEach(r => { totals[r.category] += r.count; }));
+    const totalRedactions = Object.values(totals).reduce((sum, count) => sum + count, 0);
+
+    // Anything HARAnalyzer can still decode was missed (or kept on purpose)
+    const { saml, jwt } = new HARAnalyzer(har).getAuthAssertions();
+    const residual = [
+        ...(normalized.saml.action === 'keep' ? [] : saml.filter(item => item.type !== 'Unknown').map(item => ({
+            entryId: item.entryId, kind: 'saml', source: `${item.location} ${item.parameter}`,
+            message: `A SAML ${item.type} can still be decoded`
+        }))),
+        ...(normalized.jwt.action === 'keep' ? [] : jwt.map(item => ({
+            entryId: item.entryId, kind: 'jwt', source: item.source,
+            message: 'A JWT can still be decoded'
+        })))
+    ];
+
+    const sanitizedAt = new Date().toISOString();
+    if (har.log) {
+        const note = `Sanitized ${sanitizedAt}: ${totalRedactions} value(s) redacted or hashed`;
+        har.log.comment = har.log.comment ? `${har.log.comment}\n${note}` : note;
+    }
+
+    return {
+        har,
+        report: { sanitizedAt, rules: normalized, totals, totalRedactions, entries, pages, residual }
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    ACTIONS,
+    CATEGORIES,
+    normalizeRules,
+    sanitizeHar
+};
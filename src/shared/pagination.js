@@ -1,5 +1,13 @@
 const axios = require('axios');
 const { errorCheck, getNextPage } = require('./utilities.js');
+const { installRateLimiter } = require('./rateLimiter.js');
+const { installDomainOverride } = require('./domainOverride.js');
+
+// Every page request waits on the per-domain rate limiter and reports its
+// X-Rate-Limit-Remaining / X-Request-Cost headers back to it
+installRateLimiter(axios);
+// CANVAS_DOMAIN_OVERRIDE sends requests to a local mock Canvas instead
+installDomainOverride(axios);
 
 /**
  * Get all pages from a REST API endpoint using Link header pagination
@@ -534,16 +534,90 @@ class QTIAnalyzer {
     }
 
     parseItem12(item) {
+        const type = this.detectQuestionType12(item);
         return {
             id: item['@_ident'],
             title: item['@_title'],
-            type: this.detectQuestionType12(item),
+            type,
             points: this.extractPoints12(item),
             hasFeedback: this.hasFeedback12(item),
-            hasMedia: this.hasMedia(JSON.stringify(item))
+            hasMedia: this.hasMedia(JSON.stringify(item)),
+            ...this.extractContent12(item, type)
         };
     }
 
+    /**
+     * Question text, answers and feedback of a QTI 1.2 item, so it can be
+     * written out again (see qtiWriter.js). Matching answers carry the text
+     * of their correct match; numerical answers carry a tolerance.
+     */
+    extractContent12(item, type) {
+        const asArray = (value) => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+        const text = (node) => {
+            const mattext = asArray(node?.material).flatMap(m => asArray(m.mattext))[0];
+            if (mattext === undefined) return '';
+            const value = String(typeof mattext === 'object' ? (mattext['#text'] ?? '') : mattext);
+            // Content is returned as HTML; plain text is escaped
+            const isHtml = /html/i.test(mattext?.['@_texttype'] || '') || /<[a-z][^>]*>/i.test(value);
+            return isHtml ? value : value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        };
+        const presentation = item.presentation || {};
+        const conditions = asArray(item.resprocessing).flatMap(r => asArray(r.respcondition));
+        const scoring = conditions.filter(c => asArray(c.setvar).some(v => Number(v['#text'] ?? v) > 0));
+        const valuesOf = (node, tag) => {
+            const found = [];
+            const visit = (n, negated) => {
+                if (!n || typeof n !== 'object') return;
+                Object.entries(n).forEach(([key, child]) => {
+                    if (key === tag && !negated) {
+                        asArray(child).forEach(v => found.push({ respident: String(v?.['@_respident'] ?? ''), value: String(v?.['#text'] ?? v) }));
+                    } else if (typeof child === 'object') {
+                        asArray(child).forEach(c => visit(c, negated || key === 'not'));
+                    }
+                });
+            };
+            visit(node, false);
+            return found;
+        };
+        const correctValues = scoring.flatMap(c => valuesOf(c.conditionvar, 'varequal'));
+
+        const content = { text: text(presentation), answers: [] };
+        const lids = asArray(presentation.response_lid);
+        if (type === 'Matching') {
+            content.answers = lids.map(lid => {
+                const ident = String(lid['@_ident']);
+                const labels = asArray(lid.render_choice?.response_label);
+                const correct = correctValues.find(v => v.respident === ident);
+                const match = labels.find(l => correct && String(l['@_ident']) === correct.value);
+                return { id: ident.replace(/^response_/, ''), text: text(lid), correct: true, match: match ? text(match) : '' };
+            });
+        } else if (lids.length > 0) {
+            content.answers = asArray(lids[0].render_choice?.response_label).map(label => ({
+                id: String(label['@_ident']),
+                text: text(label),
+                correct: correctValues.some(v => v.value === String(label['@_ident']))
+            }));
+        } else if (type === 'Numerical') {
+            // Exact answers with a margin, or a range (Canvas exports both)
+            const low = valuesOf(scoring[0]?.conditionvar, 'vargte')[0]?.value;
+            const high = valuesOf(scoring[0]?.conditionvar, 'varlte')[0]?.value;
+            const exact = correctValues[0]?.value ?? (low !== undefined && high !== undefined ? (Number(low) + Number(high)) / 2 : undefined);
+            content.answers = exact === undefined ? [] : [{ id: 'answer1', text: String(exact), correct: true }];
+            content.tolerance = low === undefined || exact === undefined ? 0 : Math.round(Math.abs(Number(exact) - Number(low)) * 1e6) / 1e6;
+        } else if (presentation.response_str && type !== 'Essay') {
+            content.answers = correctValues.map((v, i) => ({ id: `answer${i + 1}`, text: v.value, correct: true }));
+        }
+
+        const feedback = {};
+        asArray(item.itemfeedback).forEach(fb => {
+            const key = { general_fb: 'general', correct_fb: 'correct', general_incorrect_fb: 'incorrect' }[String(fb['@_ident'])];
+            const value = text(fb.flow_mat || fb);
+            if (key && value) feedback[key] = value;
+        });
+        if (Object.keys(feedback).length > 0) content.feedback = feedback;
+        return content;
+    }
+
     detectQuestionType12(item) {
         const metadataType = this.getQuestionTypeFromMetadata12(item);
         if (metadataType) {
@@ -699,6 +773,12 @@ class QTIAnalyzer {
     }
 
     extractPoints12(item) {
+        // Canvas records the question's points in its metadata; its SCORE decvar is always 0-100
+        const pointsField = this.extractMetadataFields12(item).find(field => field.fieldlabel.toLowerCase() === 'points_possible');
+        if (pointsField && Number.isFinite(parseFloat(pointsField.fieldentry))) {
+            return parseFloat(pointsField.fieldentry);
+        }
+
         // Try to find in resprocessing
         if (item.resprocessing && item.resprocessing.outcomes && item.resprocessing.outcomes.decvar) {
             const decvar = item.resprocessing.outcomes.decvar;
@@ -716,7 +796,8 @@ class QTIAnalyzer {
     extractQuestions21(data, questions) {
         // If this is a single assessment item
         if (data.assessmentItem) {
-            questions.push(this.parseItem21(data.assessmentItem));
+            const items = Array.isArray(data.assessmentItem) ? data.assessmentItem : [data.assessmentItem];
+            items.forEach(item => questions.push(this.parseItem21(item)));
             return;
         }
 
@@ -761,37 +842,120 @@ class QTIAnalyzer {
     }
 
     parseItem21(item) {
+        const type = this.detectQuestionType21(item);
         return {
             id: item['@_identifier'],
             title: item['@_title'],
-            type: this.detectQuestionType21(item),
+            type,
             points: this.extractPoints21(item),
             hasFeedback: this.hasFeedback21(item),
-            hasMedia: this.hasMedia(JSON.stringify(item))
+            hasMedia: this.hasMedia(JSON.stringify(item)),
+            ...this.extractContent21(type)
         };
     }
 
+    /**
+     * Question text, answers and feedback of a QTI 2.1 item (same shape as
+     * extractContent12). Read from the raw XML, as the item body is mixed
+     * content; items are one per file, so the file is the item.
+     */
+    extractContent21(type) {
+        const xml = this.rawXml || '';
+        const decode = (value) => String(value).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+        const inner = (tag, source) => {
+            const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`).exec(source);
+            return match ? match[1].trim() : '';
+        };
+        const choices = (tag, source) => [...source.matchAll(new RegExp(`<${tag}\\b[^>]*identifier="([^"]+)"[^>]*>([\\s\\S]*?)</${tag}>`, 'g'))]
+            .map(match => ({ id: match[1], text: match[2].trim() }));
+
+        const body = inner('itemBody', xml);
+        const prompts = [...body.matchAll(/<prompt\b[^>]*>([\s\S]*?)<\/prompt>/g)].map(match => match[1].trim());
+        let text = body
+            .replace(/<(\w+Interaction)\b[^>]*\/>/g, '')
+            .replace(/<(\w+Interaction)\b[\s\S]*?<\/\1>/g, '')
+            .replace(/<p>\s*<\/p>/g, '')
+            .trim();
+        // qtiWriter wraps the question text in a plain <div>
+        const wrapped = /^<div>([\s\S]*)<\/div>$/.exec(text);
+        if (wrapped && !/<\/?div\b/.test(wrapped[1])) text = wrapped[1].trim();
+        text = [text, ...prompts].filter(Boolean).join('\n');
+
+        const correct = [...inner('correctResponse', xml).matchAll(/<value\b[^>]*>([\s\S]*?)<\/value>/g)].map(match => decode(match[1].trim()));
+        const content = { text, answers: [] };
+        if (type === 'Matching') {
+            const [lefts = [], rights = []] = [...xml.matchAll(/<simpleMatchSet\b[^>]*>([\s\S]*?)<\/simpleMatchSet>/g)]
+                .map(match => choices('simpleAssociableChoice', match[1]));
+            content.answers = lefts.map(left => {
+                const pair = correct.map(value => value.split(/\s+/)).find(([from]) => from === left.id);
+                const right = pair && rights.find(r => r.id === pair[1]);
+                return { id: left.id, text: left.text, correct: true, match: right ? right.text : '' };
+            });
+        } else if (/<simpleChoice\b/.test(xml)) {
+            content.answers = choices('simpleChoice', xml).map(choice => ({ ...choice, correct: correct.includes(choice.id) }));
+        } else if (type === 'Numerical') {
+            const tolerance = /<equal\b[^>]*tolerance="([^"]+)"/.exec(xml);
+            content.answers = correct.slice(0, 1).map(value => ({ id: 'answer1', text: value, correct: true }));
+            content.tolerance = tolerance ? Math.abs(Number(tolerance[1].split(/\s+/)[0])) || 0 : 0;
+        } else if (type === 'Fill in Blank') {
+            const mapped = [...xml.matchAll(/<mapEntry\b[^>]*mapKey="([^"]*)"/g)].map(match => decode(match[1]));
+            content.answers = [...new Set([...correct, ...mapped])].map((value, i) => ({ id: `answer${i + 1}`, text: value, correct: true }));
+        }
+
+        const feedback = {};
+        choices('modalFeedback', xml).forEach(fb => {
+            if (['general', 'correct', 'incorrect'].includes(fb.id) && fb.text) feedback[fb.id] = fb.text;
+        });
+        if (Object.keys(feedback).length > 0) content.feedback = feedback;
+        return content;
+    }
+
     detectQuestionType21(item) {
         const body = item.itemBody;
         if (!body) return 'unknown';
 
         // Check for interaction types
         const bodyStr = JSON.stringify(body);
-        if (bodyStr.includes('choiceInteraction')) return 'Multiple Choice';
-        if (bodyStr.includes('textEntryInteraction')) return 'Fill in Blank';
+        if (bodyStr.includes('choiceInteraction')) {
+            const interaction = this.findNode21(body, 'choiceInteraction') || {};
+            if (interaction['@_maxChoices'] !== undefined && Number(interaction['@_maxChoices']) !== 1) return 'Multiple Answers';
+            const labels = [].concat(interaction.simpleChoice || []).map(c => String(c['#text'] ?? c['@_identifier'] ?? c).trim().toLowerCase());
+            if (labels.length === 2 && labels.includes('true') && labels.includes('false')) return 'True/False';
+            return 'Multiple Choice';
+        }
+        if (bodyStr.includes('textEntryInteraction')) {
+            const declarations = [].concat(item.responseDeclaration || []);
+            if (declarations.some(d => ['float', 'integer'].includes(d['@_baseType']))) return 'Numerical';
+            return 'Fill in Blank';
+        }
         if (bodyStr.includes('extendedTextInteraction')) return 'Essay';
         if (bodyStr.includes('matchInteraction')) return 'Matching';
         if (bodyStr.includes('associateInteraction')) return 'Matching';
         if (bodyStr.includes('hotspotInteraction')) return 'Hotspot';
         if (bodyStr.includes('orderInteraction')) return 'Ordering';
         if (bodyStr.includes('inlineChoiceInteraction')) return 'Inline Choice';
+        if (bodyStr.includes('uploadInteraction')) return 'File Upload';
+        if (!bodyStr.includes('Interaction')) return 'Stimulus';
 
         return 'unknown';
     }
 
+    // First element with this name anywhere below node
+    findNode21(node, name) {
+        if (!node || typeof node !== 'object') return null;
+        if (node[name]) return [].concat(node[name])[0];
+        for (const child of Object.values(node)) {
+            const found = this.findNode21(child, name);
+            if (found) return found;
+        }
+        return null;
+    }
+
     extractPoints21(item) {
-        // QTI 2.1 may not embed scoring in items
-        return 1; // default
+        // QTI 2.1 may not embed scoring in items; MAXSCORE is the common convention
+        const maxScore = [].concat(item.outcomeDeclaration || []).find(d => d['@_identifier'] === 'MAXSCORE');
+        const value = parseFloat(maxScore?.defaultValue?.value);
+        return Number.isFinite(value) ? value : 1; // default
     }
 
     hasFeedback21(item) {
@@ -0,0 +1,640 @@
+/**
+ * QTI Writer
+ * Builds QTI packages from a list of questions: a Canvas-flavoured QTI 1.2
+ * package or an IMS QTI 2.1 package, each with imsmanifest.xml and its media
+ * files.
+ *
+ * Questions use the shape QTIAnalyzer.extractAllQuestions returns:
+ *   { id, title, type, points, text, answers: [{ id, text, correct, match }], tolerance, feedback }
+ * where text is HTML and media is referenced by package path (e.g. media/cell.png).
+ * readQuestions turns an existing QTI file/package, or a CSV/JSON question
+ * bank, into that shape, so packages can be converted between versions and
+ * banks built from spreadsheets.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { XMLValidator } = require('fast-xml-parser');
+const { QTIParser, QTIAnalyzer, QTIPackageExtractor } = require('./qtiAnalyzer');
+const { parseCsv } = require('./csvParser');
+
+// Question types that can be written, by QTIAnalyzer type label, with their Canvas question_type
+const QUESTION_TYPES = {
+    'Multiple Choice': 'multiple_choice_question',
+    'True/False': 'true_false_question',
+    'Multiple Answers': 'multiple_answers_question',
+    'Short Answer': 'short_answer_question',
+    'Fill in Blank': 'short_answer_question',
+    'Essay': 'essay_question',
+    'File Upload': 'file_upload_question',
+    'Numerical': 'numerical_question',
+    'Matching': 'matching_question',
+    'Stimulus': 'text_only_question'
+};
+
+// Spellings accepted in the type column of a CSV/JSON bank
+const TYPE_ALIASES = {
+    mc: 'Multiple Choice',
+    multiple_choice: 'Multiple Choice',
+    tf: 'True/False',
+    true_false: 'True/False',
+    ma: 'Multiple Answers',
+    multiple_answers: 'Multiple Answers',
+    sa: 'Short Answer',
+    short_answer: 'Short Answer',
+    fill_in_blank: 'Short Answer',
+    essay: 'Essay',
+    file_upload: 'File Upload',
+    numerical: 'Numerical',
+    numeric: 'Numerical',
+    matching: 'Matching',
+    text_only: 'Stimulus',
+    stimulus: 'Stimulus'
+};
+
+const CHOICE_TYPES = new Set(['Multiple Choice', 'True/False', 'Multiple Answers']);
+
+const QTI12_NAMESPACE = 'http://www.imsglobal.org/xsd/ims_qtiasiv1p2';
+const QTI21_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+
+// HTML entities that are not XML entities, for XHTML output
+const HTML_ENTITIES = {
+    nbsp: 160, copy: 169, reg: 174, deg: 176, plusmn: 177, middot: 183, times: 215, divide: 247,
+    ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, ldquo: 8220, rdquo: 8221, hellip: 8230, trade: 8482
+};
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function cdata(value) {
+    return `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function stripTags(html) {
+    return String(html ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Plain text of an HTML answer, e.g. for matching typed responses
+function htmlToText(html) {
+    return stripTags(html)
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+        .replace(/&(lt|gt|quot|apos|nbsp);/g, (m, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' })[name])
+        .replace(/&amp;/g, '&');
+}
+
+// Bank cells are plain text unless they already contain HTML
+function escapeText(value) {
+    const text = String(value ?? '');
+    return /<[a-z][^>]*>/i.test(text) ? text : escapeXml(text).replace(/\r?\n/g, '<br/>');
+}
+
+function formatNumber(value) {
+    return String(Math.round(Number(value) * 10000) / 10000);
+}
+
+/**
+ * HTML as well-formed XHTML for QTI 2.1 item bodies, or null when it can't be made well-formed
+ * @param {string} html
+ * @returns {string|null}
+ */
+function toXhtml(html) {
+    const text = String(html ?? '').trim();
+    if (!/[<&]/.test(text)) return text;
+    const xhtml = text
+        .replace(/<(br|hr|img|input|col|area|source|wbr)\b([^>]*?)\s*\/?>/gi, (m, tag, attrs) => `<${tag.toLowerCase()}${attrs}/>`)
+        .replace(/&([a-z]+);/gi, (m, name) => {
+            if (['amp', 'lt', 'gt', 'quot', 'apos'].includes(name)) return m;
+            return HTML_ENTITIES[name.toLowerCase()] ? `&#${HTML_ENTITIES[name.toLowerCase()]};` : `&amp;${name};`;
+        })
+        .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z]+);)/gi, '&amp;');
+    return XMLValidator.validate(`<div>${xhtml}</div>`) === true ? xhtml : null;
+}
+
+// An XML identifier (QTI 2.1 identifiers must start with a letter or underscore)
+function toIdentifier(value, fallback) {
+    const cleaned = String(value ?? '').trim().replace(/[^A-Za-z0-9_.-]/g, '_');
+    if (!cleaned) return fallback;
+    return /^[A-Za-z_]/.test(cleaned) ? cleaned : `i${cleaned}`;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+class QTIWriter {
+    /**
+     * Resolve a type label, Canvas question_type or CSV alias to a QTIAnalyzer type label
+     * @param {string} rawType
+     * @returns {string|null} null when the type can't be written
+     */
+    static resolveType(rawType) {
+        const value = String(rawType ?? '').trim();
+        if (QUESTION_TYPES[value]) return value;
+        const key = value.toLowerCase().replace(/[\s/-]+/g, '_').replace(/_question$/, '');
+        const label = TYPE_ALIASES[key] || QTIAnalyzer.prototype.normalizeQuestionType(`${key}_question`);
+        return QUESTION_TYPES[label] ? label : null;
+    }
+
+    /**
+     * Turn CSV/JSON bank rows into questions.
+     *
+     * Columns: type, title, points, question, answer_1..answer_N, correct,
+     * match_1..match_N (Matching), tolerance (Numerical), feedback,
+     * correct_feedback, incorrect_feedback, image, id. `correct` lists the
+     * correct answer numbers or letters ("2", "1;3", "B,D"), true/false for
+     * True/False, or the number for Numerical. Every answer of a Short Answer
+     * question is accepted. `image` names a media file that is shown after the
+     * question text.
+     *
+     * @param {Object[]} rows
+     * @returns {{ questions: Object[], mediaFiles: string[] }} mediaFiles are the image names, without folders
+     */
+    static fromRows(rows) {
+        const mediaFiles = new Set();
+        const questions = rows.map((raw, index) => {
+            const row = Object.fromEntries(Object.entries(raw).map(([key, value]) => [String(key).trim().toLowerCase(), value]));
+            const type = QTIWriter.resolveType(row.type) || row.type || '';
+            const answerKeys = Object.keys(row)
+                .filter(key => /^answer_?\d+$/.test(key) && String(row[key] ?? '').trim() !== '')
+                .sort((a, b) => Number(a.replace(/\D/g, '')) - Number(b.replace(/\D/g, '')));
+            const correctTokens = String(row.correct ?? '').split(/[;,|\s]+/).map(t => t.trim().toLowerCase()).filter(Boolean);
+            const isCorrect = (position) => correctTokens.includes(String(position)) ||
+                correctTokens.includes(String.fromCharCode(96 + position));
+
+            let text = escapeText(row.question ?? row.text ?? '');
+            if (row.image) {
+                const name = path.basename(String(row.image).replace(/\\/g, '/'));
+                mediaFiles.add(name);
+                text += `<p><img src="media/${encodeURI(name)}" alt="${escapeXml(name)}"/></p>`;
+            }
+
+            let answers = answerKeys.map((key, i) => ({
+                id: `answer${i + 1}`,
+                text: escapeText(row[key]),
+                correct: type === 'Short Answer' || type === 'Matching' || isCorrect(i + 1),
+                ...(type === 'Matching' ? { match: escapeText(row[key.replace('answer', 'match')] ?? '') } : {})
+            }));
+            if (type === 'True/False' && answers.length === 0) {
+                const isTrue = correctTokens[0] === 'true' || correctTokens[0] === 't';
+                answers = [
+                    { id: 'true', text: 'True', correct: isTrue },
+                    { id: 'false', text: 'False', correct: !isTrue && correctTokens.length > 0 }
+                ];
+            }
+            if (type === 'Numerical' && answers.length === 0 && correctTokens.length > 0) {
+                answers = [{ id: 'answer1', text: correctTokens[0], correct: true }];
+            }
+
+            const feedback = {};
+            if (row.feedback) feedback.general = escapeText(row.feedback);
+            if (row.correct_feedback) feedback.correct = escapeText(row.correct_feedback);
+            if (row.incorrect_feedback) feedback.incorrect = escapeText(row.incorrect_feedback);
+
+            return {
+                id: row.id || `q${index + 1}`,
+                title: row.title || `Question ${index + 1}`,
+                type,
+                points: row.points === undefined || row.points === '' ? 1 : Number(row.points),
+                text,
+                answers,
+                tolerance: Number(row.tolerance) || 0,
+                ...(Object.keys(feedback).length > 0 ? { feedback } : {})
+            };
+        });
+        return { questions, mediaFiles: [...mediaFiles] };
+    }
+
+    /**
+     * Read the questions of a QTI file or package, or a CSV/JSON question bank
+     * @param {Buffer} buffer - File contents
+     * @param {string} filename - Used to tell the formats apart
+     * @returns {Promise<Object>} { title, sourceVersion, questions, media: [{ path, data }], mediaFiles }
+     */
+    static async readQuestions(buffer, filename) {
+        const ext = path.extname(filename).toLowerCase();
+        const baseTitle = path.basename(filename, path.extname(filename));
+
+        if (ext === '.csv') {
+            return { title: baseTitle, sourceVersion: 'csv', media: [], ...QTIWriter.fromRows(parseCsv(buffer.toString('utf8'))) };
+        }
+        if (ext === '.json') {
+            const parsed = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+            const list = Array.isArray(parsed) ? parsed : (parsed.questions || []);
+            // Questions already in the normalized shape have an answers array; anything else is a bank row
+            const isNormalized = list.every(q => Array.isArray(q.answers) || ['Essay', 'File Upload', 'Stimulus'].includes(q.type));
+            const result = isNormalized ? { questions: list, mediaFiles: [] } : QTIWriter.fromRows(list);
+            return { title: parsed.title || baseTitle, sourceVersion: 'json', media: [], ...result };
+        }
+
+        const sources = [];
+        const media = [];
+        let title = null;
+        if (ext === '.zip') {
+            const extractor = new QTIPackageExtractor(buffer);
+            const packageData = await extractor.extract();
+            sources.push(...packageData.assessmentFiles);
+            const zip = await JSZip.loadAsync(buffer);
+            const files = [];
+            zip.forEach((relativePath, file) => {
+                if (!file.dir && !/\.xml$/i.test(relativePath)) files.push({ relativePath, file });
+            });
+            for (const { relativePath, file } of files) {
+                // Canvas keeps media under web_resources/ and refers to it as $IMS-CC-FILEBASE$/
+                media.push({ path: relativePath.replace(/^web_resources\//, ''), data: await file.async('nodebuffer') });
+            }
+        } else {
+            sources.push({ filename, content: buffer.toString('utf8') });
+        }
+
+        const questions = [];
+        let sourceVersion = null;
+        for (const source of sources) {
+            const parseResult = new QTIParser(source.content).parse();
+            if (!parseResult.success) {
+                throw new Error(`${source.filename}: ${parseResult.errors.map(e => e.message).join(', ')}`);
+            }
+            const analyzer = new QTIAnalyzer(parseResult);
+            sourceVersion = sourceVersion || parseResult.version;
+            const dir = path.posix.dirname(source.filename.replace(/\\/g, '/'));
+            const test = analyzer.data.questestinterop?.assessment || analyzer.data.assessmentTest;
+            title = title || test?.['@_title'] || null;
+            analyzer.extractAllQuestions()
+                // A 2.1 test only references its items; they are read from their own files
+                .filter(q => q.type !== 'Referenced Item')
+                .forEach(q => questions.push({ ...q, text: QTIWriter._packagePaths(q.text, dir), answers: (q.answers || []).map(a => ({ ...a, text: QTIWriter._packagePaths(a.text, dir) })) }));
+        }
+
+        return { title: title || baseTitle, sourceVersion, questions, media, mediaFiles: [] };
+    }
+
+    // Media references as package paths: strip Canvas's $IMS-CC-FILEBASE$ and resolve relative 2.1 paths
+    static _packagePaths(html, dir) {
+        return String(html ?? '').replace(/(src|href)="([^"]+)"/g, (m, attr, ref) => {
+            if (ref.startsWith('$IMS-CC-FILEBASE$/')) return `${attr}="${ref.slice('$IMS-CC-FILEBASE$/'.length)}"`;
+            if (/^([a-z]+:|\/|#)/i.test(ref) || dir === '.') return m;
+            return `${attr}="${path.posix.normalize(path.posix.join(dir, ref))}"`;
+        });
+    }
+
+    /**
+     * Check and normalize questions before writing
+     * @param {Object[]} questions
+     * @returns {{ questions: Object[], skipped: Object[] }} skipped: { index, id, title, reason }
+     */
+    static normalizeQuestions(questions) {
+        const usedIds = new Set();
+        const skipped = [];
+        const normalized = [];
+
+        questions.forEach((q, index) => {
+            const type = QTIWriter.resolveType(q.type);
+            const skip = (reason) => skipped.push({ index, id: q.id ?? null, title: q.title ?? null, reason });
+            if (!type) return skip(`Question type "${q.type || 'unknown'}" can't be written`);
+
+            const answers = (q.answers || []).map((a, i) => ({
+                id: String(a.id ?? `answer${i + 1}`),
+                text: String(a.text ?? ''),
+                correct: Boolean(a.correct),
+                match: String(a.match ?? '')
+            }));
+            if (CHOICE_TYPES.has(type) && answers.length < 2) return skip('Needs at least two answers');
+            if (CHOICE_TYPES.has(type) && !answers.some(a => a.correct)) return skip('No answer is marked correct');
+            if (type === 'Multiple Choice' || type === 'True/False') {
+                if (answers.filter(a => a.correct).length > 1) return skip('More than one correct answer; use Multiple Answers');
+            }
+            if (type === 'Short Answer' || type === 'Fill in Blank') {
+                if (answers.length === 0) return skip('Needs at least one accepted answer');
+            }
+            if (type === 'Numerical' && !Number.isFinite(Number(htmlToText(answers[0]?.text)))) return skip('Needs a numeric answer');
+            if (type === 'Matching' && (answers.length === 0 || answers.some(a => !a.match))) return skip('Every answer needs a match');
+
+            let id = toIdentifier(q.id, `q${index + 1}`);
+            while (usedIds.has(id)) id = `${id}_${index + 1}`;
+            usedIds.add(id);
+            const answerIds = new Set();
+            answers.forEach((a, i) => {
+                a.id = toIdentifier(a.id, `${id}_a${i + 1}`);
+                while (answerIds.has(a.id)) a.id = `${a.id}_${i + 1}`;
+                answerIds.add(a.id);
+            });
+
+            normalized.push({
+                id,
+                title: String(q.title || `Question ${index + 1}`),
+                type: type === 'Fill in Blank' ? 'Short Answer' : type,
+                points: Number.isFinite(Number(q.points)) && Number(q.points) >= 0 ? Number(q.points) : 1,
+                text: String(q.text ?? ''),
+                answers,
+                tolerance: Math.abs(Number(q.tolerance) || 0),
+                feedback: q.feedback || {}
+            });
+        });
+
+        return { questions: normalized, skipped };
+    }
+
+    /**
+     * Write a QTI package
+     * @param {Object[]} questions
+     * @param {Object} [options]
+     * @param {string} [options.version='1.2'] - '1.2' (Canvas-flavoured) or '2.1'
+     * @param {string} [options.title='Question Bank']
+     * @param {Array<{path: string, data: Buffer}>} [options.media] - Files referenced from question HTML by package path
+     * @returns {Promise<Object>} { buffer, version, questionCount, skipped, warnings, missingMedia, files }
+     */
+    static async buildPackage(questions, options = {}) {
+        const version = options.version === '2.1' ? '2.1' : '1.2';
+        const title = options.title || 'Question Bank';
+        const { questions: items, skipped } = QTIWriter.normalizeQuestions(questions);
+        if (items.length === 0) {
+            throw new Error('None of the questions can be written to QTI');
+        }
+
+        // Only the media the questions use is packaged
+        const mediaByPath = new Map((options.media || []).map(m => [safeDecode(m.path.replace(/\\/g, '/')), m]));
+        const usedMedia = new Map();
+        const missingMedia = new Set();
+        const collectMedia = (html) => {
+            const refs = [];
+            for (const match of String(html).matchAll(/(?:src|href)="([^"]+)"/g)) {
+                if (/^([a-z]+:|\/|#|\$)/i.test(match[1])) continue;
+                const ref = safeDecode(match[1]);
+                if (mediaByPath.has(ref)) {
+                    usedMedia.set(ref, mediaByPath.get(ref));
+                    refs.push(ref);
+                } else {
+                    missingMedia.add(ref);
+                }
+            }
+            return refs;
+        };
+        items.forEach(q => {
+            q.media = [...new Set([q.text, ...q.answers.flatMap(a => [a.text, a.match]), ...Object.values(q.feedback)].flatMap(collectMedia))];
+        });
+
+        const zip = new JSZip();
+        const identifier = toIdentifier(options.identifier, `g${Date.now().toString(36)}`);
+        const warnings = [];
+        if (version === '1.2') {
+            const quizFile = `${identifier}.xml`;
+            zip.file(quizFile, QTIWriter.writeQti12(items, { title, identifier }));
+            usedMedia.forEach((m, ref) => zip.file(`web_resources/${ref}`, m.data));
+            zip.file('imsmanifest.xml', QTIWriter._manifest12(title, identifier, quizFile, [...usedMedia.keys()]));
+        } else {
+            items.forEach(q => {
+                const { xml, warning } = QTIWriter.writeQti21Item(q);
+                if (warning) warnings.push({ id: q.id, title: q.title, warning });
+                zip.file(`${q.id}.xml`, xml);
+            });
+            zip.file('assessment.xml', QTIWriter.writeQti21Test(items, { title, identifier }));
+            usedMedia.forEach((m, ref) => zip.file(ref, m.data));
+            zip.file('imsmanifest.xml', QTIWriter._manifest21(title, identifier, items));
+        }
+
+        const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+        return {
+            buffer,
+            version,
+            questionCount: items.length,
+            skipped,
+            warnings,
+            missingMedia: [...missingMedia],
+            files: Object.keys(zip.files).filter(name => !zip.files[name].dir)
+        };
+    }
+
+    /**
+     * Canvas-flavoured QTI 1.2 assessment with one section
+     * @param {Object[]} items - normalizeQuestions output
+     * @param {Object} options - { title, identifier }
+     * @returns {string}
+     */
+    static writeQti12(items, { title, identifier }) {
+        const filebase = (html) => String(html).replace(/(src|href)="([^"]+)"/g, (m, attr, ref) =>
+            /^([a-z]+:|\/|#|\$)/i.test(ref) ? m : `${attr}="$IMS-CC-FILEBASE$/${ref}"`);
+        const material = (html) => /<[a-z][^>]*>|&/i.test(html)
+            ? `<material><mattext texttype="text/html">${cdata(filebase(html))}</mattext></material>`
+            : `<material><mattext texttype="text/plain">${escapeXml(html)}</mattext></material>`;
+        const field = (label, entry) => `<qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${escapeXml(entry)}</fieldentry></qtimetadatafield>`;
+        const score = (value, action = 'Set') => `<setvar action="${action}" varname="SCORE">${value}</setvar>`;
+        const showFeedback = (q, key) => q.feedback[key]
+            ? `<displayfeedback feedbacktype="Response" linkrefid="${{ general: 'general_fb', correct: 'correct_fb', incorrect: 'general_incorrect_fb' }[key]}"/>`
+            : '';
+
+        const writeItem = (q) => {
+            const questionType = QUESTION_TYPES[q.type];
+            let response = '';
+            const conditions = [];
+            if (q.feedback.general) {
+                conditions.push(`<respcondition continue="Yes"><conditionvar><other/></conditionvar>${showFeedback(q, 'general')}</respcondition>`);
+            }
+
+            if (CHOICE_TYPES.has(q.type)) {
+                const cardinality = q.type === 'Multiple Answers' ? 'Multiple' : 'Single';
+                response = `<response_lid ident="response1" rcardinality="${cardinality}"><render_choice>${q.answers.map(a =>
+                    `<response_label ident="${escapeXml(a.id)}">${material(a.text)}</response_label>`).join('')}</render_choice></response_lid>`;
+                const condition = q.type === 'Multiple Answers'
+                    ? `<and>${q.answers.map(a => a.correct
+                        ? `<varequal respident="response1">${escapeXml(a.id)}</varequal>`
+                        : `<not><varequal respident="response1">${escapeXml(a.id)}</varequal></not>`).join('')}</and>`
+                    : `<varequal respident="response1">${escapeXml(q.answers.find(a => a.correct).id)}</varequal>`;
+                conditions.push(`<respcondition continue="No"><conditionvar>${condition}</conditionvar>${score(100)}${showFeedback(q, 'correct')}</respcondition>`);
+            } else if (q.type === 'Short Answer') {
+                response = '<response_str ident="response1" rcardinality="Single"><render_fib><response_label ident="answer1" rshuffle="No"/></render_fib></response_str>';
+                conditions.push(`<respcondition continue="No"><conditionvar>${q.answers.map(a =>
+                    `<varequal respident="response1">${escapeXml(htmlToText(a.text))}</varequal>`).join('')}</conditionvar>${score(100)}${showFeedback(q, 'correct')}</respcondition>`);
+            } else if (q.type === 'Numerical') {
+                const exact = Number(htmlToText(q.answers[0].text));
+                response = '<response_str ident="response1" rcardinality="Single"><render_fib fibtype="Decimal"><response_label ident="answer1"/></render_fib></response_str>';
+                conditions.push(`<respcondition continue="No"><conditionvar><or><varequal respident="response1">${formatNumber(exact)}</varequal><and><vargte respident="response1">${formatNumber(exact - q.tolerance)}</vargte><varlte respident="response1">${formatNumber(exact + q.tolerance)}</varlte></and></or></conditionvar>${score(100)}${showFeedback(q, 'correct')}</respcondition>`);
+            } else if (q.type === 'Matching') {
+                const matches = [...new Set(q.answers.map(a => a.match))];
+                const matchId = (text) => `${q.id}_m${matches.indexOf(text) + 1}`;
+                const share = formatNumber(100 / q.answers.length);
+                response = q.answers.map(a => `<response_lid ident="response_${escapeXml(a.id)}">${material(a.text)}<render_choice>${matches.map(m =>
+                    `<response_label ident="${matchId(m)}">${material(m)}</response_label>`).join('')}</render_choice></response_lid>`).join('');
+                q.answers.forEach(a => conditions.push(`<respcondition><conditionvar><varequal respident="response_${escapeXml(a.id)}">${matchId(a.match)}</varequal></conditionvar>${score(share, 'Add')}</respcondition>`));
+            } else if (q.type === 'Essay') {
+                response = '<response_str ident="response1" rcardinality="Single"><render_fib><response_label ident="answer1" rshuffle="No"/></render_fib></response_str>';
+                conditions.push('<respcondition continue="No"><conditionvar><other/></conditionvar></respcondition>');
+            }
+
+            if (q.feedback.incorrect && !['Essay', 'File Upload', 'Stimulus'].includes(q.type)) {
+                conditions.push(`<respcondition continue="Yes"><conditionvar><other/></conditionvar>${showFeedback(q, 'incorrect')}</respcondition>`);
+            }
+            const resprocessing = q.type === 'Stimulus' ? '' : `
+      <resprocessing>
+        <outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>
+        ${conditions.join('\n        ')}
+      </resprocessing>`;
+            const feedback = Object.entries(q.feedback).filter(([key, value]) => value && ['general', 'correct', 'incorrect'].includes(key)).map(([key, value]) =>
+                `<itemfeedback ident="${{ general: 'general_fb', correct: 'correct_fb', incorrect: 'general_incorrect_fb' }[key]}"><flow_mat>${material(value)}</flow_mat></itemfeedback>`);
+            const answerIds = CHOICE_TYPES.has(q.type) ? field('original_answer_ids', q.answers.map(a => a.id).join(',')) : '';
+
+            return `    <item ident="${escapeXml(q.id)}" title="${escapeXml(q.title)}">
+      <itemmetadata>
+        <qtimetadata>
+          ${field('question_type', questionType)}${field('points_possible', formatNumber(q.points))}${answerIds}
+        </qtimetadata>
+      </itemmetadata>
+      <presentation>
+        ${material(q.text)}${response}
+      </presentation>${resprocessing}${feedback.length > 0 ? `\n      ${feedback.join('\n      ')}` : ''}
+    </item>`;
+        };
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="${QTI12_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI12_NAMESPACE} http://www.imsglobal.org/xsd/ims_qtiasiv1p2p1.xsd">
+  <assessment ident="${escapeXml(identifier)}" title="${escapeXml(title)}">
+    <qtimetadata>
+      <qtimetadatafield><fieldlabel>cc_maxattempts</fieldlabel><fieldentry>1</fieldentry></qtimetadatafield>
+    </qtimetadata>
+    <section ident="root_section">
+${items.map(writeItem).join('\n')}
+    </section>
+  </assessment>
+</questestinterop>
+`;
+    }
+
+    /**
+     * One IMS QTI 2.1 assessmentItem
+     * @param {Object} q - A normalizeQuestions question
+     * @returns {{ xml: string, warning: string|null }} warning when HTML had to be flattened to text
+     */
+    static writeQti21Item(q) {
+        let warning = null;
+        const xhtml = (html) => {
+            const result = toXhtml(html);
+            if (result !== null) return result;
+            warning = 'Some HTML was not well-formed and was written as plain text';
+            return escapeXml(stripTags(html));
+        };
+        const value = (v) => `<value>${escapeXml(v)}</value>`;
+        const feedbackKeys = ['general', 'correct', 'incorrect'].filter(key => q.feedback[key]);
+        const setFeedback = (keys) => keys.length === 0 ? '' : `<setOutcomeValue identifier="FEEDBACK"><multiple>${keys.map(k => `<baseValue baseType="identifier">${k}</baseValue>`).join('')}</multiple></setOutcomeValue>`;
+        const general = feedbackKeys.includes('general') ? ['general'] : [];
+        const setScore = `<setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>`;
+        const scored = (condition) => `
+    <responseCondition>
+      <responseIf>${condition}${setScore}${setFeedback([...general, ...(q.feedback.correct ? ['correct'] : [])])}</responseIf>
+      <responseElse>${setFeedback([...general, ...(q.feedback.incorrect ? ['incorrect'] : [])])}</responseElse>
+    </responseCondition>`;
+
+        let declaration = '';
+        let interaction = '';
+        let processing = '';
+        if (CHOICE_TYPES.has(q.type)) {
+            const multiple = q.type === 'Multiple Answers';
+            declaration = `<responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier"><correctResponse>${q.answers.filter(a => a.correct).map(a => value(a.id)).join('')}</correctResponse></responseDeclaration>`;
+            interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">${q.answers.map(a =>
+                `<simpleChoice identifier="${escapeXml(a.id)}">${xhtml(a.text)}</simpleChoice>`).join('')}</choiceInteraction>`;
+            processing = scored('<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>');
+        } else if (q.type === 'Short Answer') {
+            const accepted = [...new Set(q.answers.map(a => htmlToText(a.text)))];
+            declaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse>${value(accepted[0])}</correctResponse><mapping defaultValue="0">${accepted.map(a =>
+                `<mapEntry mapKey="${escapeXml(a)}" mappedValue="1" caseSensitive="false"/>`).join('')}</mapping></responseDeclaration>`;
+            interaction = '<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="40"/></p>';
+            processing = scored('<gt><mapResponse identifier="RESPONSE"/><baseValue baseType="float">0</baseValue></gt>');
+        } else if (q.type === 'Numerical') {
+            declaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float"><correctResponse>${value(formatNumber(htmlToText(q.answers[0].text)))}</correctResponse></responseDeclaration>`;
+            interaction = '<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/></p>';
+            const tolerance = formatNumber(q.tolerance);
+            processing = scored(`<equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`);
+        } else if (q.type === 'Matching') {
+            const matches = [...new Set(q.answers.map(a => a.match))];
+            const matchId = (text) => `${q.id}_m${matches.indexOf(text) + 1}`;
+            declaration = `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair"><correctResponse>${q.answers.map(a =>
+                value(`${a.id} ${matchId(a.match)}`)).join('')}</correctResponse></responseDeclaration>`;
+            interaction = `<matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${q.answers.length}"><simpleMatchSet>${q.answers.map(a =>
+                `<simpleAssociableChoice identifier="${escapeXml(a.id)}" matchMax="1">${xhtml(a.text)}</simpleAssociableChoice>`).join('')}</simpleMatchSet><simpleMatchSet>${matches.map(m =>
+                `<simpleAssociableChoice identifier="${matchId(m)}" matchMax="${q.answers.length}">${xhtml(m)}</simpleAssociableChoice>`).join('')}</simpleMatchSet></matchInteraction>`;
+            processing = scored('<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>');
+        } else if (q.type === 'Essay') {
+            declaration = '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>';
+            interaction = '<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>';
+            processing = general.length > 0 ? setFeedback(general) : '';
+        } else if (q.type === 'File Upload') {
+            declaration = '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="file"/>';
+            interaction = '<uploadInteraction responseIdentifier="RESPONSE"/>';
+            processing = general.length > 0 ? setFeedback(general) : '';
+        }
+
+        const feedbackDeclaration = feedbackKeys.length > 0 ? '\n  <outcomeDeclaration identifier="FEEDBACK" cardinality="multiple" baseType="identifier"/>' : '';
+        const modalFeedback = feedbackKeys.map(key =>
+            `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="${key}" showHide="show">${xhtml(q.feedback[key])}</modalFeedback>`).join('');
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI21_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI21_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="${escapeXml(q.id)}" title="${escapeXml(q.title)}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${formatNumber(q.points)}</value></defaultValue></outcomeDeclaration>${feedbackDeclaration}
+  <itemBody><div>${xhtml(q.text)}</div>${interaction}</itemBody>${processing ? `\n  <responseProcessing>${processing}</responseProcessing>` : ''}${modalFeedback}
+</assessmentItem>
+`;
+        return { xml, warning };
+    }
+
+    /**
+     * IMS QTI 2.1 assessmentTest referencing every item in one section
+     * @param {Object[]} items
+     * @param {Object} options - { title, identifier }
+     * @returns {string}
+     */
+    static writeQti21Test(items, { title, identifier }) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI21_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI21_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="${escapeXml(identifier)}" title="${escapeXml(title)}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section1" title="${escapeXml(title)}" visible="true">
+${items.map(q => `      <assessmentItemRef identifier="${escapeXml(q.id)}" href="${escapeXml(q.id)}.xml"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+    }
+
+    static _manifest12(title, identifier, quizFile, mediaPaths) {
+        const mediaResources = mediaPaths.map((ref, i) => {
+            const href = escapeXml(`web_resources/${ref}`);
+            return `    <resource identifier="${identifier}_media${i + 1}" type="webcontent" href="${href}">
+      <file href="${href}"/>
+    </resource>`;
+        });
+        return QTIAnalyzer.generateCanvasManifest(escapeXml(title), quizFile, identifier)
+            .replace('  </resources>', `${mediaResources.map(r => `${r}\n`).join('')}  </resources>`);
+    }
+
+    static _manifest21(title, identifier, items) {
+        const itemResources = items.map(q => `    <resource identifier="RES-${escapeXml(q.id)}" type="imsqti_item_xmlv2p1" href="${escapeXml(q.id)}.xml">
+      <file href="${escapeXml(q.id)}.xml"/>${q.media.map(ref => `\n      <file href="${escapeXml(ref)}"/>`).join('')}
+    </resource>`);
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="MANIFEST-${escapeXml(identifier)}" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+    <imsmd:lom><imsmd:general><imsmd:title><imsmd:langstring xml:lang="en-US">${escapeXml(title)}</imsmd:langstring></imsmd:title></imsmd:general></imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="RES-${escapeXml(identifier)}" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${items.map(q => `      <dependency identifierref="RES-${escapeXml(q.id)}"/>`).join('\n')}
+    </resource>
+${itemResources.join('\n')}
+  </resources>
+</manifest>
+`;
+    }
+}
+
+module.exports = { QTIWriter, QUESTION_TYPES };
@@ -0,0 +1,304 @@
+// rateLimiter.js - Adaptive per-domain rate limiting for Canvas API requests
+//
+// Canvas meters API usage with a leaky bucket per user/token. Every response
+// carries X-Rate-Limit-Remaining (what is left in the bucket) and
+// X-Request-Cost (what the request just spent). Instead of firing fixed-size
+// batches and waiting for 403s, the limiter reads those headers on every
+// response and adjusts how many requests may be in flight for that domain.
+
+const getEnvNumber = (name, fallback) => {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Canvas starts every bucket at 700 units and leaks back roughly 10 units/sec
+const DEFAULT_OPTIONS = {
+    maxConcurrency: getEnvNumber('BATCH_CONCURRENCY', 35),
+    minConcurrency: 1,
+    reserve: getEnvNumber('RATE_LIMIT_RESERVE', 150),       // never plan to spend below this
+    lowWater: getEnvNumber('RATE_LIMIT_LOW_WATER', 350),    // start slowing down below this
+    leakRate: getEnvNumber('RATE_LIMIT_LEAK_RATE', 10),     // units regained per second
+    throttleCooldown: 2000,                                   // ms to pause after a 403/429
+    activeWindow: 60000                                       // ms a domain counts as "active"
+};
+
+class RateLimiter {
+    /**
+     * @param {string} domain - Canvas host this limiter tracks
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(domain, options = {}) {
+        this.domain = domain;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.concurrency = this.options.maxConcurrency;
+        this.inFlight = 0;
+        this.remaining = null;
+        this.averageCost = null;
+        this.cooldownUntil = 0;
+        this.lastUpdated = 0;
+        this.waiters = [];
+        this.timer = null;
+    }
+
+    /**
+     * Wait for a free request slot. Resolves once the request may be sent.
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        return new Promise((resolve) => {
+            this.waiters.push(resolve);
+            this._drain();
+        });
+    }
+
+    /**
+     * Give back a slot taken with acquire()
+     */
+    release() {
+        this.inFlight = Math.max(0, this.inFlight - 1);
+        this._drain();
+    }
+
+    /**
+     * Record the rate limit headers from a Canvas response
+     * @param {Object} headers - Response headers (axios lower-cases the names)
+     */
+    update(headers) {
+        if (!headers) return;
+        const remaining = parseFloat(readHeader(headers, 'x-rate-limit-remaining'));
+        const cost = parseFloat(readHeader(headers, 'x-request-cost'));
+
+        if (Number.isFinite(cost) && cost >= 0) {
+            // Exponential moving average so one expensive request doesn't dominate
+            this.averageCost = this.averageCost === null ? cost : (this.averageCost * 0.8) + (cost * 0.2);
+        }
+        if (!Number.isFinite(remaining)) return;
+
+        this.remaining = remaining;
+        this.lastUpdated = Date.now();
+
+        const { reserve, minConcurrency, leakRate } = this.options;
+        if (remaining <= reserve) {
+            // Bucket is nearly empty: drop to a single request and let it refill
+            this.concurrency = minConcurrency;
+            const refillMs = Math.ceil(((reserve - remaining) / leakRate) * 1000);
+            this.cooldownUntil = Math.max(this.cooldownUntil, Date.now() + refillMs);
+        } else {
+            const target = this.getTargetConcurrency();
+            if (target < this.concurrency) {
+                // Back off immediately
+                this.concurrency = target;
+            } else if (target > this.concurrency) {
+                // Ramp up gradually
+                this.concurrency = Math.min(target, this.concurrency + Math.max(1, Math.ceil((target - this.concurrency) / 4)));
+            }
+        }
+        this._drain();
+    }
+
+    /**
+     * Canvas rejected a request as throttled (403 "Rate Limit Exceeded" or 429)
+     */
+    throttled() {
+        this.concurrency = this.options.minConcurrency;
+        this.cooldownUntil = Math.max(this.cooldownUntil, Date.now() + this.options.throttleCooldown);
+        this.lastUpdated = Date.now();
+        this._drain();
+    }
+
+    /**
+     * How many concurrent requests the current bucket level can afford
+     * @returns {number}
+     */
+    getTargetConcurrency() {
+        const { maxConcurrency, minConcurrency, reserve } = this.options;
+        if (this.remaining === null) return maxConcurrency;
+        const cost = Math.max(this.averageCost || 1, 1);
+        const affordable = Math.floor((this.remaining - reserve) / cost);
+        return Math.max(minConcurrency, Math.min(maxConcurrency, affordable));
+    }
+
+    /**
+     * Suggested pause between batches given the current bucket level
+     * @param {number} fallback - Delay to use when no headers have been seen yet
+     * @returns {number} Delay in milliseconds
+     */
+    getSuggestedDelay(fallback) {
+        if (this.remaining === null) return fallback;
+        const cooldown = this.cooldownUntil - Date.now();
+        if (cooldown > 0) return cooldown;
+
+        const { lowWater, reserve } = this.options;
+        if (this.remaining >= lowWater) return 0;
+        const pressure = (lowWater - this.remaining) / (lowWater - reserve);
+        return Math.round(fallback * Math.min(1, Math.max(0, pressure)));
+    }
+
+    /**
+     * @returns {boolean} True if the domain received a response recently
+     */
+    isActive() {
+        return this.lastUpdated > 0 && Date.now() - this.lastUpdated < this.options.activeWindow;
+    }
+
+    /**
+     * Snapshot of the limiter for logging and progress displays
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            domain: this.domain,
+            concurrency: this.concurrency,
+            inFlight: this.inFlight,
+            queued: this.waiters.length,
+            remaining: this.remaining,
+            averageCost: this.averageCost,
+            coolingDown: this.cooldownUntil > Date.now()
+        };
+    }
+
+    _drain() {
+        const wait = this.cooldownUntil - Date.now();
+        if (wait > 0) {
+            // Only let requests through once the cooldown is over
+            if (!this.timer && this.waiters.length > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this._drain();
+                }, wait);
+            }
+            return;
+        }
+        while (this.waiters.length > 0 && this.inFlight < this.concurrency) {
+            this.inFlight++;
+            this.waiters.shift()();
+        }
+    }
+}
+
+function readHeader(headers, name) {
+    if (typeof headers.get === 'function') {
+        const value = headers.get(name);
+        if (value !== undefined && value !== null) return value;
+    }
+    return headers[name];
+}
+
+// ==================== Per-domain registry ====================
+
+const limiters = new Map(); // domain -> RateLimiter
+
+/**
+ * Get (or create) the limiter for a Canvas domain
+ * @param {string} domain - Canvas host, e.g. school.instructure.com
+ * @returns {RateLimiter}
+ */
+function getLimiter(domain) {
+    const key = String(domain || '').toLowerCase();
+    if (!limiters.has(key)) {
+        limiters.set(key, new RateLimiter(key));
+    }
+    return limiters.get(key);
+}
+
+/**
+ * Limiters relevant to a batch: the given domain, or every recently active one
+ * @param {string} [domain]
+ * @returns {RateLimiter[]}
+ */
+function resolveLimiters(domain) {
+    if (domain) return [getLimiter(domain)];
+    return Array.from(limiters.values()).filter(limiter => limiter.isActive());
+}
+
+/**
+ * Batch size to use for the next batch against a domain
+ * @param {string|null} domain - Canvas domain, or null to consider all active domains
+ * @param {number} maxBatchSize - Configured batch size upper bound
+ * @returns {number}
+ */
+function getAdaptiveBatchSize(domain, maxBatchSize) {
+    const active = resolveLimiters(domain);
+    if (active.length === 0) return maxBatchSize;
+    return Math.max(1, Math.min(maxBatchSize, ...active.map(limiter => limiter.concurrency)));
+}
+
+/**
+ * Delay to wait before the next batch against a domain
+ * @param {string|null} domain - Canvas domain, or null to consider all active domains
+ * @param {number} fallback - Configured delay when no rate limit data is known
+ * @returns {number} Delay in milliseconds
+ */
+function getAdaptiveDelay(domain, fallback) {
+    const active = resolveLimiters(domain);
+    if (active.length === 0) return fallback;
+    return Math.max(...active.map(limiter => limiter.getSuggestedDelay(fallback)));
+}
+
+function getRequestDomain(config) {
+    try {
+        return new URL(config.url, config.baseURL).host.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+function isThrottleError(error) {
+    const status = error?.response?.status;
+    if (status === 429) return true;
+    if (status !== 403) return false;
+    const body = error.response.data;
+    const text = typeof body === 'string' ? body : JSON.stringify(body || '');
+    return /rate limit exceeded/i.test(text);
+}
+
+const installedInstances = new WeakSet();
+
+/**
+ * Attach the limiter to an axios instance. Every request waits for a slot on
+ * its domain's limiter and every response feeds the rate limit headers back.
+ * Safe to call more than once.
+ * @param {import('axios').AxiosInstance} axiosInstance
+ */
+function installRateLimiter(axiosInstance) {
+    if (!axiosInstance || installedInstances.has(axiosInstance)) return;
+    installedInstances.add(axiosInstance);
+
+    axiosInstance.interceptors.request.use(async (config) => {
+        const domain = getRequestDomain(config);
+        if (!domain) return config;
+        const limiter = getLimiter(domain);
+        await limiter.acquire();
+        config.rateLimiter = limiter;
+        return config;
+    });
+
+    const settle = (config) => {
+        const limiter = config?.rateLimiter;
+        if (!limiter) return null;
+        delete config.rateLimiter;
+        limiter.release();
+        return limiter;
+    };
+
+    axiosInstance.interceptors.response.use((response) => {
+        const limiter = settle(response.config);
+        if (limiter) limiter.update(response.headers);
+        return response;
+    }, (error) => {
+        const limiter = settle(error?.config);
+        if (limiter) {
+            limiter.update(error.response?.headers);
+            if (isThrottleError(error)) limiter.throttled();
+        }
+        return Promise.reject(error);
+    });
+}
+
+module.exports = {
+    RateLimiter,
+    getLimiter,
+    getAdaptiveBatchSize,
+    getAdaptiveDelay,
+    installRateLimiter
+};
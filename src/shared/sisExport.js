@@ -0,0 +1,320 @@
+/**
+ * SIS Export
+ * The reverse of a SIS import: reads a live course or account through the
+ * search modules - each course, its sections and enrollments, the enrolled
+ * users and the courses' terms - and writes them back out with the SIS CSV
+ * generators, so the files have the same column layouts as generated ones.
+ * They can be imported into a sandbox to reproduce a customer's structure,
+ * or handed back as a template filled in with their real data.
+ *
+ * A CSV row can only point at another object by its SIS ID, so courses,
+ * sections, users and terms without one are left out and listed in warnings.
+ */
+
+const axios = require('axios');
+const { searchUsers } = require('./canvas-api/users');
+const { searchTerms } = require('./canvas-api/terms');
+const { searchCourses, listAccountCourses, getCourseInfo } = require('./canvas-api/courses');
+const { searchCourseSections } = require('./canvas-api/sections');
+const { getCourseEnrollments } = require('./canvas-api/enrollments');
+const sisImports = require('./canvas-api/sis_imports');
+
+// Files in the order Canvas imports them
+const SIS_EXPORT_FILE_TYPES = ['terms', 'courses', 'sections', 'users', 'enrollments'];
+
+// Canvas role names of the base roles -> SIS role column
+const BASE_ROLES = {
+    StudentEnrollment: 'student',
+    TeacherEnrollment: 'teacher',
+    TaEnrollment: 'ta',
+    DesignerEnrollment: 'designer',
+    ObserverEnrollment: 'observer'
+};
+
+// Canvas enrollment states -> SIS enrollment status. Pending invitations are
+// exported as active, since a SIS import can't create an invitation.
+const ENROLLMENT_STATUSES = {
+    active: 'active',
+    invited: 'active',
+    creation_pending: 'active',
+    inactive: 'inactive',
+    completed: 'completed',
+    deleted: 'deleted'
+};
+
+/**
+ * Convert curly/smart quotes to straight quotes
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeQuotes(text) {
+    if (!text) return text;
+    return text
+        .replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"')  // curly double quotes
+        .replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'"); // curly single quotes
+}
+
+/**
+ * Split a full name into first and last name, keeping quoted parts
+ * (e.g. a nickname in quotes) together
+ * @param {string} fullName
+ * @returns {{ firstName: string, lastName: string }}
+ */
+function splitNameWithQuotes(fullName) {
+    const name = normalizeQuotes((fullName || '').trim());
+    if (!name) return { firstName: '', lastName: '' };
+
+    // Find all quoted sections
+    const quotedSections = [];
+    const quoteRegex = /"[^"]*"/g;
+    let match;
+    while ((match = quoteRegex.exec(name)) !== null) {
+        quotedSections.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            text: match[0]
+        });
+    }
+
+    // If no quotes, use simple split
+    if (quotedSections.length === 0) {
+        const parts = name.split(/\s+/);
+        return {
+            firstName: parts[0] || '',
+            lastName: parts.slice(1).join(' ') || ''
+        };
+    }
+
+    // Replace quoted sections with placeholders to split safely
+    let safeName = name;
+    const placeholders = [];
+    quotedSections.reverse().forEach((section, index) => {
+        const placeholder = `__QUOTE_${index}__`;
+        placeholders.push({ placeholder, text: section.text });
+        safeName = safeName.substring(0, section.start) + placeholder + safeName.substring(section.end);
+    });
+
+    // Split on whitespace
+    const parts = safeName.split(/\s+/);
+
+    // Restore quoted sections
+    const restoredParts = parts.map(part => {
+        const placeholderMatch = placeholders.find(p => part.includes(p.placeholder));
+        if (placeholderMatch) {
+            return part.replace(placeholderMatch.placeholder, placeholderMatch.text);
+        }
+        return part;
+    });
+
+    return {
+        firstName: restoredParts[0] || '',
+        lastName: restoredParts.slice(1).join(' ') || ''
+    };
+}
+
+/**
+ * Map a Canvas user (from searchUsers) to a users.csv row
+ * @param {Object} user - Canvas user object
+ * @returns {Object} Row keyed by SIS column
+ */
+function mapUserToSis(user) {
+    const { firstName, lastName } = splitNameWithQuotes(user.name);
+    return {
+        user_id: user.sis_user_id || '',
+        login_id: user.login_id || '',
+        first_name: firstName,
+        last_name: lastName,
+        full_name: normalizeQuotes(user.name || ''),
+        sortable_name: normalizeQuotes(user.sortable_name || ''),
+        short_name: normalizeQuotes(user.short_name || ''),
+        email: user.email || '',
+        status: 'active',
+        integration_id: user.integration_id || ''
+    };
+}
+
+/**
+ * Map an enrollment (from getCourseEnrollments) to an enrollments.csv row.
+ * Base roles go out by name (student, teacher, ...) and custom roles by their
+ * name too, rather than role_id: role IDs differ from one Canvas to the next.
+ * @param {Object} enrollment
+ * @returns {Object} Row keyed by SIS column
+ */
+function mapEnrollmentToSis(enrollment) {
+    return {
+        course_id: enrollment.course_id,
+        user_id: enrollment.user_id,
+        role: BASE_ROLES[enrollment.role_name] || enrollment.role_name || BASE_ROLES[enrollment.type] || '',
+        section_id: enrollment.section_id,
+        status: ENROLLMENT_STATUSES[enrollment.status] || 'active',
+        user_integration_id: enrollment.integration_id
+    };
+}
+
+// Add one warning per kind of skipped object, with a few example IDs
+function summarizeSkipped(warnings, skipped) {
+    Object.entries(skipped).forEach(([message, ids]) => {
+        if (ids.length === 0) return;
+        const distinct = [...new Set(ids)];
+        const examples = distinct.slice(0, 5).join(', ');
+        warnings.push(`${ids.length} ${message}${examples ? ` (e.g. ${examples}${distinct.length > 5 ? ', ...' : ''})` : ''}`);
+    });
+}
+
+/**
+ * Read a course or account from Canvas and build SIS CSVs from it
+ * @param {Object} options
+ * @param {string} options.domain - Canvas domain
+ * @param {string} options.token - API token
+ * @param {Array<string|number>} [options.courseIds] - Courses to export (Canvas IDs or sis_course_id:...)
+ * @param {string|number} [options.accountId] - Export every course in this account instead
+ * @param {string|number} [options.enrollmentTermId] - With accountId, only courses in this term
+ * @param {boolean} [options.includeDeleted=false] - Also export deleted enrollments
+ * @param {Function} [options.onProgress] - Called with { step, current, total }
+ * @returns {Promise<Object>} { files: [{ fileType, fileName, rowCount, content }], counts, warnings }
+ */
+async function exportSisFromCanvas(options = {}) {
+    const { domain, token, accountId, includeDeleted = false } = options;
+    const progress = options.onProgress || (() => { });
+    const warnings = [];
+    const skipped = {
+        'courses have no SIS ID and were left out with their sections and enrollments': [],
+        'sections have no SIS ID and were left out; their enrollments go to the default section': [],
+        'enrollments were left out because the user has no SIS ID': [],
+        'deleted enrollments were left out': []
+    };
+
+    // searchUsers, searchTerms and searchCourses request through the axios defaults
+    axios.defaults.baseURL = `https://${domain}/api/v1`;
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+    let courseIds = (options.courseIds || []).map(id => String(id).trim()).filter(Boolean);
+    if (accountId) {
+        progress({ step: 'Listing courses' });
+        const courses = await listAccountCourses(domain, token, accountId, { enrollmentTermId: options.enrollmentTermId });
+        courseIds = courses.map(course => String(course.id));
+    }
+    if (courseIds.length === 0) {
+        throw new Error(accountId ? `Account ${accountId} has no courses to export` : 'Enter at least one course ID or an account ID');
+    }
+
+    const courseRows = [];
+    const sectionRows = [];
+    const enrollmentRows = [];
+    for (let i = 0; i < courseIds.length; i++) {
+        const courseId = courseIds[i];
+        progress({ step: 'Reading courses', current: i + 1, total: courseIds.length });
+
+        // A course that can't be read is left out whole, so its rows never go out half-read
+        let course;
+        let sections;
+        let enrollments;
+        try {
+            // The GraphQL course lookups take only Canvas IDs, so SIS IDs are resolved through REST first
+            const canvasId = courseId.startsWith('sis_course_id:')
+                ? String((await getCourseInfo({ domain, token, bpCourseID: courseId })).id)
+                : courseId;
+            [course] = await searchCourses(canvasId);
+            if (!course?.course_id) {
+                skipped['courses have no SIS ID and were left out with their sections and enrollments'].push(courseId);
+                continue;
+            }
+            ({ data: sections } = await searchCourseSections(domain, token, canvasId));
+            ({ enrollments } = await getCourseEnrollments(domain, token, canvasId));
+        } catch (error) {
+            // getCourseEnrollments rejects with { error } rather than an Error
+            warnings.push(`Course ${courseId} could not be read: ${error.message || error.error}`);
+            continue;
+        }
+        courseRows.push(course);
+
+        sections.forEach(section => {
+            if (!section.section_id) {
+                skipped['sections have no SIS ID and were left out; their enrollments go to the default section'].push(`${section.name} in ${course.course_id}`);
+                return;
+            }
+            sectionRows.push({ ...section, course_id: section.course_id || course.course_id });
+        });
+
+        enrollments.forEach(enrollment => {
+            if (!enrollment.user_id) {
+                skipped['enrollments were left out because the user has no SIS ID'].push(course.course_id);
+                return;
+            }
+            if (enrollment.status === 'deleted' && !includeDeleted) {
+                skipped['deleted enrollments were left out'].push(`${enrollment.user_id} in ${course.course_id}`);
+                return;
+            }
+            enrollmentRows.push(mapEnrollmentToSis(enrollment));
+        });
+    }
+
+    // Each enrolled user once, looked up by SIS ID
+    const userIds = [...new Set(enrollmentRows.map(row => row.user_id))];
+    const userRows = [];
+    for (let i = 0; i < userIds.length; i++) {
+        progress({ step: 'Reading users', current: i + 1, total: userIds.length });
+        try {
+            const users = await searchUsers(userIds[i], ['email']);
+            const user = users.find(u => u.sis_user_id === userIds[i]);
+            if (user) {
+                userRows.push(mapUserToSis(user));
+            } else {
+                warnings.push(`User ${userIds[i]} is enrolled but was not found by a user search`);
+            }
+        } catch (error) {
+            warnings.push(`User ${userIds[i]} could not be read: ${error.message}`);
+        }
+    }
+
+    // Each course's term once; courses in the default term have no term_id
+    const termIds = [...new Set(courseRows.map(row => row.term_id).filter(Boolean))];
+    const termRows = [];
+    for (let i = 0; i < termIds.length; i++) {
+        progress({ step: 'Reading terms', current: i + 1, total: termIds.length });
+        try {
+            const [term] = await searchTerms(`sis_term_id:${encodeURIComponent(termIds[i])}`);
+            termRows.push({
+                term_id: term.sis_term_id || termIds[i],
+                name: term.name || '',
+                status: 'active',
+                start_date: term.start_at || '',
+                end_date: term.end_at || '',
+                integration_id: term.integration_id || ''
+            });
+        } catch (error) {
+            warnings.push(`Term ${termIds[i]} could not be read: ${error.message}`);
+        }
+    }
+
+    summarizeSkipped(warnings, skipped);
+
+    const rowsByType = { terms: termRows, courses: courseRows, sections: sectionRows, users: userRows, enrollments: enrollmentRows };
+    const generators = {
+        terms: (searchData) => sisImports.generateTermsCSV(0, { searchData }),
+        courses: (searchData) => sisImports.generateCoursesCSV(0, { searchData }),
+        sections: (searchData) => sisImports.generateSectionsCSV(0, { searchData }),
+        users: (searchData) => sisImports.generateUsersCSV(0, '', '', { searchData }),
+        enrollments: (searchData) => sisImports.generateEnrollmentsCSV(0, { searchData })
+    };
+    const files = SIS_EXPORT_FILE_TYPES
+        .filter(fileType => rowsByType[fileType].length > 0)
+        .map(fileType => ({
+            fileType,
+            fileName: `${fileType}.csv`,
+            rowCount: rowsByType[fileType].length,
+            content: generators[fileType](rowsByType[fileType])
+        }));
+    const counts = Object.fromEntries(SIS_EXPORT_FILE_TYPES.map(fileType => [fileType, rowsByType[fileType].length]));
+
+    return { files, counts, warnings };
+}
+
+module.exports = {
+    exportSisFromCanvas,
+    mapUserToSis,
+    mapEnrollmentToSis,
+    normalizeQuotes,
+    splitNameWithQuotes,
+    SIS_EXPORT_FILE_TYPES
+};
@@ -0,0 +1,140 @@
+/**
+ * SIS Import Diff
+ * Compares the CSVs of two SIS imports, file type by file type. Rows are
+ * matched on the keys SIS_FILE_SPECS declares unique (user_id, the course /
+ * section / user / role of an enrollment, ...), so the report lists the rows
+ * that dropped out between import A and import B - the objects a batch-mode
+ * run of B would delete - along with the rows B adds or changes. A line diff
+ * from DiffChecker, over the rows sorted by key, shows the same changes as text.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { DiffChecker } = require('./diffChecker');
+const { SIS_FILE_SPECS, detectSisFileType } = require('./sisValidator');
+const { parseCsv } = require('./csvParser');
+
+// Statuses that remove the object in Canvas
+const DELETED_STATUSES = ['deleted', 'deleted_last_completed'];
+
+/**
+ * Expand downloaded SIS import attachments into CSV texts
+ * @param {Array<{ name: string, buffer: Buffer }>} attachments - CSVs and/or ZIPs
+ * @returns {Promise<Array<{ name: string, content: string }>>}
+ */
+async function unpackSisFiles(attachments) {
+    const files = [];
+    for (const attachment of attachments) {
+        const isZip = attachment.buffer[0] === 0x50 && attachment.buffer[1] === 0x4b; // PK
+        if (!isZip) {
+            files.push({ name: attachment.name, content: attachment.buffer.toString('utf8') });
+            continue;
+        }
+        const zip = await JSZip.loadAsync(attachment.buffer);
+        const names = Object.keys(zip.files).filter(name => /\.csv$/i.test(name) && !zip.files[name].dir && !/(^|\/)__MACOSX\//.test(name));
+        for (const name of names) {
+            files.push({ name, content: await zip.file(name).async('string') });
+        }
+    }
+    return files;
+}
+
+// Quote a value for the line diff's CSV text
+const csvValue = (value = '') => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// File type -> { fileNames, headers, rows } for one import; files of the same type are merged
+function groupByType(files) {
+    const types = new Map();
+    files.forEach(file => {
+        const csv = parseCsv(file.content, { withLines: true });
+        const fileType = detectSisFileType(csv.headers, file.name);
+        if (!fileType) return;
+        if (!types.has(fileType)) types.set(fileType, { fileNames: [], headers: [], rows: [] });
+        const group = types.get(fileType);
+        group.fileNames.push(path.posix.basename(file.name.replace(/\\/g, '/')));
+        csv.headers.forEach(header => {
+            if (!group.headers.includes(header)) group.headers.push(header);
+        });
+        group.rows.push(...csv.rows.map(row => row.values));
+    });
+    return types;
+}
+
+/**
+ * Compare two SIS imports' CSVs
+ * @param {Array<{ name: string, content: string }>} filesA - The earlier import
+ * @param {Array<{ name: string, content: string }>} filesB - The later import
+ * @param {Object} [options]
+ * @param {number} [options.maxRows=500] - Rows listed per type and change kind; counts cover all of them
+ * @param {number} [options.contextLines=1] - Context lines in the line diff
+ * @returns {Object} { types: [{ fileType, fileNamesA, fileNamesB, keyColumns, rowCountA, rowCountB, counts, dropped, added, changed, deleted, diff }], counts }
+ */
+function diffSisImports(filesA, filesB, options = {}) {
+    const maxRows = options.maxRows ?? 500;
+    const checker = new DiffChecker({ contextLines: options.contextLines ?? 1 });
+    const typesA = groupByType(filesA);
+    const typesB = groupByType(filesB);
+    const empty = { fileNames: [], headers: [], rows: [] };
+    const totals = { dropped: 0, added: 0, changed: 0, deleted: 0 };
+
+    const types = Object.keys(SIS_FILE_SPECS)
+        .filter(fileType => typesA.has(fileType) || typesB.has(fileType))
+        .map(fileType => {
+            const a = typesA.get(fileType) || empty;
+            const b = typesB.get(fileType) || empty;
+            const headers = [...a.headers, ...b.headers.filter(h => !a.headers.includes(h))];
+            const keyColumns = SIS_FILE_SPECS[fileType].unique[0].filter(c => headers.includes(c));
+            const keyOf = (row) => keyColumns.map(c => row[c] || '').join(' / ');
+            const rowsA = new Map(a.rows.map(row => [keyOf(row), row]));
+            const rowsB = new Map(b.rows.map(row => [keyOf(row), row]));
+
+            const dropped = [...rowsA].filter(([key]) => !rowsB.has(key)).map(([key, row]) => ({ key, row }));
+            const added = [...rowsB].filter(([key]) => !rowsA.has(key)).map(([key, row]) => ({ key, row }));
+            const changed = [];
+            rowsB.forEach((after, key) => {
+                const before = rowsA.get(key);
+                if (!before) return;
+                // Only columns both imports sent; a column B leaves out isn't a change
+                const columns = headers.filter(c => c in before && c in after && before[c] !== after[c]);
+                if (columns.length > 0) changed.push({ key, columns, before, after });
+            });
+            // Still in B, but B deletes them
+            const deleted = changed.filter(c => c.columns.includes('status') &&
+                DELETED_STATUSES.includes((c.after.status || '').toLowerCase()) &&
+                !DELETED_STATUSES.includes((c.before.status || '').toLowerCase()));
+
+            // Rows sorted by key, so the line diff isn't thrown by reordering
+            const text = (rows) => [headers.join(','), ...[...rows.keys()].sort().map(key => headers.map(c => csvValue(rows.get(key)[c])).join(','))].join('\n');
+            const textA = text(rowsA);
+            const textB = text(rowsB);
+            const comparison = checker.compare(textA, textB);
+            const { changedLines, ...stats } = comparison.stats;
+
+            const counts = { dropped: dropped.length, added: added.length, changed: changed.length, deleted: deleted.length };
+            Object.keys(totals).forEach(kind => { totals[kind] += counts[kind]; });
+            return {
+                fileType,
+                fileNamesA: a.fileNames,
+                fileNamesB: b.fileNames,
+                keyColumns,
+                rowCountA: a.rows.length,
+                rowCountB: b.rows.length,
+                counts,
+                dropped: dropped.slice(0, maxRows),
+                added: added.slice(0, maxRows),
+                changed: changed.slice(0, maxRows),
+                deleted: deleted.slice(0, maxRows),
+                diff: {
+                    identical: comparison.identical,
+                    summary: comparison.summary,
+                    stats,
+                    hunks: comparison.hunks,
+                    unifiedDiff: checker.generateUnifiedDiff(`A/${fileType}.csv`, `B/${fileType}.csv`, textA, textB)
+                }
+            };
+        });
+
+    return { types, counts: totals };
+}
+
+module.exports = { unpackSisFiles, diffSisImports };
@@ -0,0 +1,472 @@
+/**
+ * SIS CSV Validator
+ * Checks SIS import CSVs before they are sent to Canvas: file type, required
+ * headers, allowed status and enumeration values, date formats, duplicate IDs,
+ * row widths and encoding, plus references between the files of one package
+ * (a ZIP or several CSVs checked together).
+ *
+ * Known columns come from the generator layouts in SIS_CSV_HEADERS, so a file
+ * this app generates and a file a customer sends are held to the same
+ * definitions. Canvas tells file types apart by their headers, not their names,
+ * and so does the validator.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { UTF8Checker } = require('./utf8Checker');
+const { SIS_CSV_HEADERS } = require('./canvas-api/sis_imports');
+const { parseCsv } = require('./csvParser');
+
+const ACTIVE_DELETED = ['active', 'deleted'];
+const AVAILABLE_DELETED = ['available', 'deleted'];
+const ACCEPTED_DELETED = ['accepted', 'deleted'];
+
+/**
+ * What Canvas expects of each SIS CSV type.
+ *  required   - columns that must be present and filled; an array lists alternatives
+ *  blankable  - required columns that may be left empty
+ *  extra      - documented columns the generators don't write
+ *  enums      - allowed values per column (compared case-insensitively)
+ *  dates      - columns holding ISO 8601 dates
+ *  booleans   - columns holding true/false
+ *  unique     - column sets that must not repeat within the file
+ *  id         - the column other files reference rows of this type by
+ *  references - column -> file type whose id it refers to
+ */
+const SIS_FILE_SPECS = {
+    users: {
+        required: ['user_id', 'login_id', 'status'],
+        extra: ['sortable_name'],
+        enums: {
+            status: ['active', 'suspended', 'deleted'],
+            declared_user_type: ['administrative', 'observer', 'staff', 'student', 'student_other', 'teacher']
+        },
+        booleans: ['canvas_password_notification'],
+        unique: [['user_id'], ['login_id', 'authentication_provider_id']],
+        id: 'user_id'
+    },
+    accounts: {
+        required: ['account_id', 'parent_account_id', 'name', 'status'],
+        blankable: ['parent_account_id'],
+        extra: ['integration_id'],
+        enums: { status: ACTIVE_DELETED },
+        unique: [['account_id']],
+        id: 'account_id',
+        references: { parent_account_id: 'accounts' }
+    },
+    terms: {
+        required: ['term_id', 'name', 'status'],
+        enums: {
+            status: ACTIVE_DELETED,
+            date_override_enrollment_type: ['StudentEnrollment', 'TeacherEnrollment', 'TaEnrollment', 'DesignerEnrollment']
+        },
+        dates: ['start_date', 'end_date'],
+        // Override rows repeat the term_id, once per enrollment type
+        unique: [['term_id', 'date_override_enrollment_type']],
+        id: 'term_id'
+    },
+    courses: {
+        required: ['course_id', 'short_name', 'long_name', 'status'],
+        enums: {
+            status: ['active', 'deleted', 'completed', 'published'],
+            course_format: ['online', 'on_campus', 'blended'],
+            grade_passback_setting: ['nightly_sync', 'disabled']
+        },
+        dates: ['start_date', 'end_date'],
+        booleans: ['homeroom_course'],
+        unique: [['course_id']],
+        id: 'course_id',
+        references: { account_id: 'accounts', term_id: 'terms', blueprint_course_id: 'courses' }
+    },
+    sections: {
+        required: ['section_id', 'course_id', 'name', 'status'],
+        enums: { status: ACTIVE_DELETED },
+        dates: ['start_date', 'end_date'],
+        unique: [['section_id']],
+        id: 'section_id',
+        references: { course_id: 'courses' }
+    },
+    enrollments: {
+        required: [['course_id', 'section_id'], ['user_id', 'user_integration_id'], ['role', 'role_id'], 'status'],
+        extra: ['associated_user_id', 'start_date', 'end_date', 'limit_section_privileges', 'notify'],
+        enums: { status: ['active', 'deleted', 'completed', 'inactive', 'deleted_last_completed'] },
+        dates: ['start_date', 'end_date'],
+        booleans: ['limit_section_privileges', 'notify'],
+        unique: [['course_id', 'section_id', 'user_id', 'user_integration_id', 'role', 'role_id', 'associated_user_id']],
+        references: { course_id: 'courses', section_id: 'sections', user_id: 'users', associated_user_id: 'users' }
+    },
+    group_categories: {
+        required: ['group_category_id', 'category_name', 'status'],
+        enums: { status: ACTIVE_DELETED },
+        unique: [['group_category_id']],
+        id: 'group_category_id',
+        references: { account_id: 'accounts', course_id: 'courses' }
+    },
+    groups: {
+        required: ['group_id', 'name', 'status'],
+        enums: { status: AVAILABLE_DELETED },
+        unique: [['group_id']],
+        id: 'group_id',
+        references: { group_category_id: 'group_categories', account_id: 'accounts', course_id: 'courses' }
+    },
+    group_memberships: {
+        required: ['group_id', 'user_id', 'status'],
+        enums: { status: ACCEPTED_DELETED },
+        unique: [['group_id', 'user_id']],
+        references: { group_id: 'groups', user_id: 'users' }
+    },
+    admins: {
+        required: ['user_id', 'account_id', ['role', 'role_id'], 'status'],
+        blankable: ['account_id'],
+        extra: ['role_id', 'root_account'],
+        enums: { status: ACTIVE_DELETED },
+        unique: [['user_id', 'account_id', 'role', 'role_id']],
+        references: { user_id: 'users', account_id: 'accounts' }
+    },
+    logins: {
+        required: ['user_id', 'login_id', ['existing_user_id', 'existing_integration_id', 'existing_canvas_user_id']],
+        extra: ['integration_id', 'ssha_password', 'root_account'],
+        unique: [['login_id', 'authentication_provider_id']],
+        references: { existing_user_id: 'users' }
+    },
+    xlists: {
+        required: ['xlist_course_id', 'section_id', 'status'],
+        enums: { status: ACTIVE_DELETED },
+        // A section can only be cross-listed into one course
+        unique: [['section_id']],
+        references: { xlist_course_id: 'courses', section_id: 'sections' }
+    },
+    user_observers: {
+        required: ['observer_id', 'student_id', 'status'],
+        enums: { status: ACTIVE_DELETED },
+        unique: [['observer_id', 'student_id']],
+        references: { observer_id: 'users', student_id: 'users' }
+    },
+    change_sis_id: {
+        required: [['old_id', 'old_integration_id'], ['new_id', 'new_integration_id'], 'type'],
+        enums: { type: ['account', 'term', 'course', 'section', 'group', 'group_category', 'user', 'differentiation_tag_set', 'differentiation_tag'] },
+        unique: [['type', 'old_id', 'old_integration_id']]
+    },
+    differentiation_tag_sets: {
+        required: ['tag_set_id', 'course_id', 'set_name', 'status'],
+        enums: { status: ACTIVE_DELETED },
+        unique: [['tag_set_id']],
+        id: 'tag_set_id',
+        references: { course_id: 'courses' }
+    },
+    differentiation_tags: {
+        required: ['tag_id', ['tag_set_id', 'course_id'], 'name', 'status'],
+        enums: { status: AVAILABLE_DELETED },
+        unique: [['tag_id']],
+        id: 'tag_id',
+        references: { tag_set_id: 'differentiation_tag_sets', course_id: 'courses' }
+    },
+    differentiation_tag_membership: {
+        required: ['tag_id', 'user_id', 'status'],
+        enums: { status: ACCEPTED_DELETED },
+        unique: [['tag_id', 'user_id']],
+        references: { tag_id: 'differentiation_tags', user_id: 'users' }
+    }
+};
+
+// Header signatures Canvas uses to recognise each file, most specific first
+const FILE_TYPE_SIGNATURES = [
+    ['change_sis_id', h => h.has('old_id') || h.has('old_integration_id')],
+    ['logins', h => h.has('user_id') && h.has('login_id') && ['existing_user_id', 'existing_integration_id', 'existing_canvas_user_id'].some(c => h.has(c))],
+    ['users', h => h.has('user_id') && h.has('login_id')],
+    ['user_observers', h => h.has('observer_id') && h.has('student_id')],
+    ['xlists', h => h.has('xlist_course_id')],
+    ['differentiation_tag_membership', h => h.has('tag_id') && h.has('user_id')],
+    ['differentiation_tags', h => h.has('tag_id')],
+    ['differentiation_tag_sets', h => h.has('tag_set_id')],
+    ['group_memberships', h => h.has('group_id') && h.has('user_id')],
+    ['groups', h => h.has('group_id')],
+    ['group_categories', h => h.has('group_category_id')],
+    ['enrollments', h => (h.has('user_id') || h.has('user_integration_id')) && (h.has('course_id') || h.has('section_id'))],
+    ['admins', h => h.has('user_id') && h.has('account_id')],
+    ['sections', h => h.has('section_id')],
+    ['courses', h => h.has('course_id')],
+    ['terms', h => h.has('term_id')],
+    ['accounts', h => h.has('account_id')]
+];
+
+// File name spellings that aren't the type name itself
+const FILE_NAME_ALIASES = {
+    cross_listings: 'xlists',
+    change_sis_ids: 'change_sis_id',
+    differentiation_tag_memberships: 'differentiation_tag_membership'
+};
+
+// YYYY-MM-DD, optionally followed by a time and zone
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Encoding problems reported one by one before they are summarised
+const MAX_ENCODING_ISSUES = 10;
+
+/**
+ * Work out which SIS file type a CSV is, from its headers or, failing that, its name
+ * @param {string[]} headers - Lowercased header row
+ * @param {string} [fileName]
+ * @returns {string|null} A SIS_FILE_SPECS key
+ */
+function detectSisFileType(headers, fileName = '') {
+    const present = new Set(headers);
+    const signature = FILE_TYPE_SIGNATURES.find(([, matches]) => matches(present));
+    if (signature) return signature[0];
+
+    const base = path.basename(String(fileName).replace(/\\/g, '/'), path.extname(fileName)).toLowerCase();
+    const type = FILE_NAME_ALIASES[base] || base;
+    return SIS_FILE_SPECS[type] ? type : null;
+}
+
+/**
+ * Check a date value the way Canvas parses SIS dates
+ * @param {string} value
+ * @returns {Date|null} The parsed date, or null if Canvas would reject it
+ */
+function parseSisDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(v => v === undefined ? undefined : Number(v));
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    // Date.UTC rolls 2025-02-30 over to March; Canvas rejects it
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date;
+}
+
+/**
+ * Validate one SIS CSV
+ * @param {Buffer|string} input - File contents
+ * @param {Object} [options]
+ * @param {string} [options.fileName='file.csv']
+ * @param {string} [options.fileType] - Skip detection and validate as this type
+ * @param {number} [options.maxIssues=500] - Issues kept per file; the counts include the rest
+ * @returns {Object} { fileName, fileType, encoding, headers, rowCount, issues: [{ severity, line, column, message }], errorCount, warningCount, truncated, rows }
+ */
+function validateSisCsv(input, options = {}) {
+    const fileName = options.fileName || 'file.csv';
+    const maxIssues = options.maxIssues || 500;
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+    const result = {
+        fileName,
+        fileType: null,
+        encoding: null,
+        headers: [],
+        rowCount: 0,
+        issues: [],
+        errorCount: 0,
+        warningCount: 0,
+        truncated: false,
+        rows: []
+    };
+    const add = (severity, line, column, message) => {
+        if (severity === 'error') result.errorCount++;
+        else result.warningCount++;
+        if (result.issues.length < maxIssues) {
+            result.issues.push({ severity, line, column, message });
+        } else {
+            result.truncated = true;
+        }
+    };
+
+    // Encoding: Canvas reads SIS files as UTF-8; a UTF-8 BOM is fine
+    const checker = new UTF8Checker();
+    const bom = checker.detectBOM(buffer);
+    result.encoding = { type: bom.type, hasBOM: bom.hasBOM };
+    if (bom.hasBOM && bom.type !== 'UTF-8') {
+        add('error', null, null, `File is ${bom.type} encoded; Canvas needs UTF-8. Re-save it as "CSV UTF-8".`);
+        return result;
+    }
+    const utf8 = checker.validate(buffer);
+    if (!utf8.valid) {
+        utf8.issues.slice(0, MAX_ENCODING_ISSUES).forEach(issue => {
+            add('error', issue.row, null, `Invalid UTF-8 byte ${issue.invalidByteHex} at character ${issue.col}: ${issue.description}`);
+        });
+        const { possibleEncodings } = checker.analyzeEncodingIssues(buffer);
+        const more = utf8.issueCount - MAX_ENCODING_ISSUES;
+        add('error', null, null, `${more > 0 ? `${more} more invalid bytes. ` : ''}The file is not valid UTF-8${possibleEncodings.length > 0 ? ` (it looks like ${possibleEncodings.join(' or ')})` : ''}; fix it with the UTF-8 Checker or re-save it as "CSV UTF-8".`);
+    }
+
+    const csv = parseCsv(buffer.toString('utf8'), { withLines: true });
+    result.headers = csv.headers;
+    result.rowCount = csv.rows.length;
+    result.rows = csv.rows;
+    if (csv.headers.length === 0) {
+        add('error', null, null, 'File is empty');
+        return result;
+    }
+
+    const fileType = options.fileType || detectSisFileType(csv.headers, fileName);
+    result.fileType = fileType;
+    if (!fileType || !SIS_FILE_SPECS[fileType]) {
+        add('error', 1, null, `Canvas can't tell which SIS file this is from its headers (${csv.headers.join(', ')})`);
+        return result;
+    }
+    const spec = SIS_FILE_SPECS[fileType];
+
+    // Headers
+    const present = new Set(csv.headers);
+    const known = new Set([...SIS_CSV_HEADERS[fileType].split(','), ...spec.required.flat(), ...(spec.extra || [])]);
+    csv.headers.forEach((header, i) => {
+        if (header === '') {
+            add('error', 1, null, `Header ${i + 1} is blank`);
+        } else if (csv.headers.indexOf(header) !== i) {
+            add('error', 1, header, `Column ${header} appears more than once`);
+        } else if (!known.has(header)) {
+            add('warning', 1, header, `Canvas ignores the column ${header} in ${fileType} files`);
+        }
+    });
+    const missing = spec.required.filter(req => ![].concat(req).some(c => present.has(c)));
+    missing.forEach(req => {
+        add('error', 1, [].concat(req).join('/'), Array.isArray(req)
+            ? `Missing a required column: one of ${req.join(', ')}`
+            : `Missing the required column ${req}`);
+    });
+    if (csv.rows.length === 0) {
+        add('warning', null, null, 'File has a header but no rows');
+    }
+
+    const blankable = new Set(spec.blankable || []);
+    const seen = (spec.unique || []).map(() => new Map());
+    csv.rows.forEach(({ line, fieldCount, values }) => {
+        if (fieldCount > csv.headers.length) {
+            add('error', line, null, `Row has ${fieldCount} values but the header has ${csv.headers.length} columns; quote values that contain commas`);
+        } else if (fieldCount < csv.headers.length) {
+            add('warning', line, null, `Row has ${fieldCount} values but the header has ${csv.headers.length} columns`);
+        }
+
+        spec.required.forEach(req => {
+            const columns = [].concat(req).filter(c => present.has(c));
+            if (columns.length === 0 || columns.some(c => blankable.has(c))) return;
+            if (columns.every(c => !values[c])) {
+                add('error', line, columns.join('/'), columns.length > 1
+                    ? `One of ${columns.join(', ')} is required`
+                    : `${columns[0]} is required`);
+            }
+        });
+
+        Object.entries(spec.enums || {}).forEach(([column, allowed]) => {
+            const value = values[column];
+            if (value && !allowed.some(a => a.toLowerCase() === value.toLowerCase())) {
+                add('error', line, column, `${column} "${value}" is not allowed; use ${allowed.join(', ')}`);
+            }
+        });
+
+        (spec.booleans || []).forEach(column => {
+            const value = values[column];
+            if (value && !/^(true|false)$/i.test(value)) {
+                add('error', line, column, `${column} "${value}" must be true or false`);
+            }
+        });
+
+        const dates = {};
+        (spec.dates || []).forEach(column => {
+            const value = values[column];
+            if (!value || value === '<delete>') return;
+            dates[column] = parseSisDate(value);
+            if (!dates[column]) {
+                add('error', line, column, `${column} "${value}" is not an ISO 8601 date (e.g. 2025-08-25 or 2025-08-25T08:00:00Z)`);
+            }
+        });
+        if (dates.start_date && dates.end_date && dates.end_date < dates.start_date) {
+            add('warning', line, 'end_date', 'end_date is before start_date');
+        }
+
+        (spec.unique || []).forEach((columns, i) => {
+            const used = columns.filter(c => present.has(c));
+            if (used.every(c => !values[c])) return;
+            const key = used.map(c => values[c].toLowerCase()).join('\u0000');
+            const firstLine = seen[i].get(key);
+            if (firstLine === undefined) {
+                seen[i].set(key, line);
+            } else {
+                const label = used.filter(c => values[c]).map(c => `${c} "${values[c]}"`).join(', ');
+                add('error', line, used[0], `Duplicate ${label}; first used on line ${firstLine}`);
+            }
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Validate the CSVs of one SIS import together. Each file is validated on its
+ * own, then IDs that point at another file of the package (a course's term, an
+ * enrollment's section, ...) are checked against that file's rows. References
+ * to types the package doesn't include are left alone: those objects may
+ * already exist in Canvas.
+ *
+ * @param {Array<{ name: string, content: Buffer|string }>} files
+ * @param {Object} [options]
+ * @param {number} [options.maxIssues=500] - Issues kept per file
+ * @returns {Object} { files: [validateSisCsv results without rows], errorCount, warningCount, valid }
+ */
+function validateSisFiles(files, options = {}) {
+    const results = files.map(file => validateSisCsv(file.content, { maxIssues: options.maxIssues, fileName: file.name }));
+
+    // File type -> IDs defined by the package
+    const ids = {};
+    results.forEach(result => {
+        const idColumn = SIS_FILE_SPECS[result.fileType]?.id;
+        if (!idColumn) return;
+        ids[result.fileType] = ids[result.fileType] || new Set();
+        result.rows.forEach(({ values }) => {
+            if (values[idColumn]) ids[result.fileType].add(values[idColumn]);
+        });
+    });
+
+    results.forEach(result => {
+        const spec = SIS_FILE_SPECS[result.fileType];
+        if (!spec || !spec.references) return;
+        result.rows.forEach(({ line, values }) => {
+            Object.entries(spec.references).forEach(([column, targetType]) => {
+                const value = values[column];
+                if (!value || !ids[targetType] || ids[targetType].has(value)) return;
+                result.warningCount++;
+                if (result.issues.length < (options.maxIssues || 500)) {
+                    result.issues.push({
+                        severity: 'warning',
+                        line,
+                        column,
+                        message: `${column} "${value}" is not in the package's ${targetType} file; the import fails for this row unless it already exists in Canvas`
+                    });
+                } else {
+                    result.truncated = true;
+                }
+            });
+        });
+    });
+
+    const summaries = results.map(({ rows, ...summary }) => summary);
+    const errorCount = summaries.reduce((sum, r) => sum + r.errorCount, 0);
+    const warningCount = summaries.reduce((sum, r) => sum + r.warningCount, 0);
+    return { files: summaries, errorCount, warningCount, valid: errorCount === 0 };
+}
+
+/**
+ * Validate a SIS import ZIP
+ * @param {Buffer} buffer - ZIP contents
+ * @param {Object} [options] - As validateSisFiles
+ * @returns {Promise<Object>} As validateSisFiles
+ */
+async function validateSisZip(buffer, options = {}) {
+    const zip = await JSZip.loadAsync(buffer);
+    const names = Object.keys(zip.files).filter(name => /\.csv$/i.test(name) && !zip.files[name].dir && !/(^|\/)__MACOSX\//.test(name));
+    if (names.length === 0) {
+        throw new Error('The ZIP has no CSV files');
+    }
+    const files = [];
+    for (const name of names) {
+        files.push({ name, content: await zip.file(name).async('nodebuffer') });
+    }
+    return validateSisFiles(files, options);
+}
+
+module.exports = {
+    SIS_FILE_SPECS,
+    detectSisFileType,
+    validateSisCsv,
+    validateSisFiles,
+    validateSisZip
+};
@@ -0,0 +1,279 @@
+// snapshotStore.js - Local copies of Canvas content captured right before it is deleted
+//
+// Canvas can only undelete through the course restore endpoint, which brings
+// back everything deleted in the course at once. Instead, the delete helpers
+// (assignments.deleteAssignments, pages.deletePage) capture the full object
+// here first so a single operation can be recreated later.
+//
+// Each operation is a JSON Lines file in the snapshot directory:
+//
+//   {"type":"operation", id, label, domain, course_id, createdAt}
+//   {"type":"snapshot", key, kind, domain, course_id, objectId, object, capturedAt}
+//   {"type":"deleted", key, at}                  // the delete request succeeded
+//   {"type":"restored", key, newId, at}          // recreated by undo
+//   {"type":"restoreFailed", key, error, at}
+//   {"type":"undone", at}                         // undo finished for the operation
+//
+// Only snapshots with a "deleted" line are restored. The store is disabled
+// until init() is called, so helpers used outside the app never write to disk.
+// The file is only created by the first capture, so runs that delete nothing
+// leave no file behind to count toward MAX_OPERATIONS.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_OPERATIONS = Math.max(1, Number(process.env.UNDO_SNAPSHOT_LIMIT) || 50);
+
+let directory = null;
+let sequence = 0;
+const pendingHeaders = new Map(); // operation ID -> header line not written yet
+
+function toFileName(operationId) {
+    return `${String(operationId).replace(/[^A-Za-z0-9_.-]/g, '_')}.jsonl`;
+}
+
+function operationPath(operationId) {
+    return path.join(directory, toFileName(operationId));
+}
+
+function append(operationId, entry) {
+    fs.appendFileSync(operationPath(operationId), JSON.stringify(entry) + '\n');
+}
+
+function newId(prefix) {
+    sequence = (sequence + 1) % 1000;
+    return `${prefix}-${Date.now()}-${String(sequence).padStart(3, '0')}`;
+}
+
+/**
+ * Set the directory snapshots are written to. Snapshots are disabled until this is called.
+ * @param {string} dir - Absolute path, created if missing
+ */
+function init(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    directory = dir;
+    pendingHeaders.clear();
+}
+
+/**
+ * @returns {boolean} True once init() has been called
+ */
+function isEnabled() {
+    return directory !== null;
+}
+
+/**
+ * Start a group of snapshots that is undone together
+ * @param {Object} details
+ * @param {string} details.label - Shown in the undo list, e.g. 'Delete assignments'
+ * @param {string} details.domain - Canvas domain
+ * @param {string|number} [details.course_id] - Course the content belongs to
+ * @returns {string|null} Operation ID, or null when snapshots are disabled
+ */
+function beginOperation({ label, domain, course_id = null }) {
+    if (!isEnabled()) return null;
+    const id = newId('undo');
+    pendingHeaders.set(id, { type: 'operation', id, label, domain, course_id, createdAt: new Date().toISOString() });
+    return id;
+}
+
+/**
+ * Save an object that is about to be deleted
+ * @param {string|null} operationId - From beginOperation; a single-item operation is started when omitted
+ * @param {Object} snapshot
+ * @param {string} snapshot.kind - 'assignment' or 'page'
+ * @param {string} snapshot.domain - Canvas domain
+ * @param {string|number} snapshot.course_id - Course ID
+ * @param {Object} snapshot.object - Full Canvas object as returned by the API
+ * @returns {{ operationId: string, key: string }|null} Handle for markDeleted, or null when disabled
+ */
+function capture(operationId, { kind, domain, course_id, object }) {
+    if (!isEnabled()) return null;
+    const opId = operationId || beginOperation({ label: `Delete ${kind}`, domain, course_id });
+    const objectId = object?.id ?? object?.page_id ?? object?.url ?? null;
+    const key = `${kind}:${objectId}`;
+    const header = pendingHeaders.get(opId);
+    if (header) {
+        pendingHeaders.delete(opId);
+        append(opId, header);
+        prune();
+    }
+    append(opId, { type: 'snapshot', key, kind, domain, course_id, objectId, object, capturedAt: new Date().toISOString() });
+    return { operationId: opId, key };
+}
+
+/**
+ * Record that the delete for a captured snapshot went through
+ * @param {{ operationId: string, key: string }|null} handle - Returned by capture()
+ */
+function markDeleted(handle) {
+    if (!handle || !isEnabled()) return;
+    append(handle.operationId, { type: 'deleted', key: handle.key, at: new Date().toISOString() });
+}
+
+/**
+ * Record the outcome of recreating one snapshot
+ * @param {string} operationId - Operation ID
+ * @param {string} key - Snapshot key
+ * @param {{ newId?: string|number, error?: string }} outcome
+ */
+function markRestored(operationId, key, { newId: createdId, error } = {}) {
+    if (!isEnabled()) return;
+    const at = new Date().toISOString();
+    append(operationId, error
+        ? { type: 'restoreFailed', key, error: String(error), at }
+        : { type: 'restored', key, newId: createdId ?? null, at });
+}
+
+/**
+ * Record that undo has finished for an operation
+ * @param {string} operationId - Operation ID
+ */
+function markUndone(operationId) {
+    if (!isEnabled()) return;
+    append(operationId, { type: 'undone', at: new Date().toISOString() });
+}
+
+/**
+ * Replay an operation file
+ * @param {string} operationId - Operation ID
+ * @returns {Object|null} Operation with items, or null if it does not exist
+ */
+function getOperation(operationId) {
+    if (!isEnabled()) return null;
+
+    let lines;
+    try {
+        lines = fs.readFileSync(operationPath(operationId), 'utf8').split('\n').filter(Boolean);
+    } catch {
+        return null;
+    }
+
+    let header = null;
+    let undoneAt = null;
+    const items = new Map(); // key -> item
+
+    for (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue; // partial last line from a crash
+        }
+        const item = items.get(entry.key);
+        if (entry.type === 'operation') {
+            header = entry;
+        } else if (entry.type === 'snapshot') {
+            items.set(entry.key, {
+                key: entry.key,
+                kind: entry.kind,
+                domain: entry.domain,
+                course_id: entry.course_id,
+                objectId: entry.objectId,
+                object: entry.object,
+                capturedAt: entry.capturedAt,
+                deleted: false,
+                restored: false,
+                newId: null,
+                error: null
+            });
+        } else if (entry.type === 'deleted' && item) {
+            item.deleted = true;
+        } else if (entry.type === 'restored' && item) {
+            item.restored = true;
+            item.newId = entry.newId;
+            item.error = null;
+        } else if (entry.type === 'restoreFailed' && item) {
+            item.error = entry.error;
+        } else if (entry.type === 'undone') {
+            undoneAt = entry.at;
+        }
+    }
+    if (!header) return null;
+
+    const all = Array.from(items.values());
+    const deleted = all.filter(item => item.deleted);
+    return {
+        id: header.id,
+        label: header.label,
+        domain: header.domain,
+        course_id: header.course_id,
+        createdAt: header.createdAt,
+        undoneAt,
+        deletedCount: deleted.length,
+        restoredCount: deleted.filter(item => item.restored).length,
+        items: all
+    };
+}
+
+/**
+ * Operations that deleted at least one captured item, newest first
+ * @returns {Array<Object>} Operation summaries without items
+ */
+function listOperations() {
+    if (!isEnabled()) return [];
+
+    let files = [];
+    try {
+        files = fs.readdirSync(directory).filter(name => name.endsWith('.jsonl'));
+    } catch {
+        return [];
+    }
+
+    return files
+        .map(name => getOperation(name.replace(/\.jsonl$/, '')))
+        .filter(op => op && op.deletedCount > 0)
+        .map(({ items, ...summary }) => summary)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * The most recent operation that has not been undone yet
+ * @returns {Object|null} Operation with items
+ */
+function getLastOperation() {
+    const last = listOperations().find(op => !op.undoneAt);
+    return last ? getOperation(last.id) : null;
+}
+
+/**
+ * Delete an operation's snapshots
+ * @param {string} operationId - Operation ID
+ * @returns {boolean} True if the file was removed
+ */
+function discardOperation(operationId) {
+    if (!isEnabled()) return false;
+    try {
+        fs.unlinkSync(operationPath(operationId));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Keep only the newest MAX_OPERATIONS files
+function prune() {
+    try {
+        const files = fs.readdirSync(directory)
+            .filter(name => name.endsWith('.jsonl'))
+            .map(name => ({ name, mtime: fs.statSync(path.join(directory, name)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime);
+        files.slice(MAX_OPERATIONS).forEach(file => fs.unlinkSync(path.join(directory, file.name)));
+    } catch (error) {
+        console.error('Failed to prune undo snapshots:', error.message);
+    }
+}
+
+module.exports = {
+    init,
+    isEnabled,
+    beginOperation,
+    capture,
+    markDeleted,
+    markRestored,
+    markUndone,
+    getOperation,
+    listOperations,
+    getLastOperation,
+    discardOperation
+};
@@ -134,7 +134,7 @@ class IntegrationTests {
             const { registerSISHandlers } = require('../src/main/ipc/sisHandlers');
 
             const logDebug = () => { };
-            registerSISHandlers(ipcMain, logDebug);
+            registerSISHandlers(ipcMain, logDebug, new MockWindow());
 
             const expectedHandlers = [
                 'sis:previewData',
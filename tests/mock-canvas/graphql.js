@@ -0,0 +1,305 @@
+// graphql.js - Minimal GraphQL executor for the mock Canvas server
+//
+// Parses the queries the canvas-api modules send (operations, variables,
+// aliases, arguments, inline fragments and named fragments) and projects the
+// selection set over plain resolver objects. A field whose value is a function
+// is called with its arguments, so connections like
+// assignmentsConnection(first:, after:) are just functions on the course object.
+// There is no schema: unknown fields resolve to null, as a nullable field would.
+
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\s+|,|#[^\n]*|(\.\.\.)|([{}()[\]:!$=@|])|("""[\s\S]*?"""|"(?:\\.|[^"\\])*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z][_0-9A-Za-z]*)/y;
+    let index = 0;
+    while (index < source.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(source);
+        if (!match) throw new Error(`Syntax Error: Unexpected character "${source[index]}"`);
+        index = pattern.lastIndex;
+        const [, spread, punct, string, number, name] = match;
+        if (spread) tokens.push({ kind: 'punct', value: '...' });
+        else if (punct) tokens.push({ kind: 'punct', value: punct });
+        else if (string) tokens.push({ kind: 'string', value: string.startsWith('"""') ? string.slice(3, -3) : JSON.parse(string) });
+        else if (number) tokens.push({ kind: 'number', value: Number(number) });
+        else if (name) tokens.push({ kind: 'name', value: name });
+    }
+    return tokens;
+}
+
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+    }
+
+    peek(value) {
+        const token = this.tokens[this.pos];
+        return token && (value === undefined || token.value === value) ? token : null;
+    }
+
+    next() {
+        const token = this.tokens[this.pos++];
+        if (!token) throw new Error('Syntax Error: Unexpected end of query');
+        return token;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value) throw new Error(`Syntax Error: Expected "${value}", found "${token.value}"`);
+        return token;
+    }
+
+    name() {
+        const token = this.next();
+        if (token.kind !== 'name') throw new Error(`Syntax Error: Expected name, found "${token.value}"`);
+        return token.value;
+    }
+
+    document() {
+        const operations = [];
+        const fragments = {};
+        while (this.pos < this.tokens.length) {
+            if (this.peek('fragment')) {
+                this.next();
+                const name = this.name();
+                this.expect('on');
+                const typeCondition = this.name();
+                this.directives();
+                fragments[name] = { typeCondition, selectionSet: this.selectionSet() };
+            } else {
+                operations.push(this.operation());
+            }
+        }
+        return { operations, fragments };
+    }
+
+    operation() {
+        if (this.peek('{')) {
+            return { type: 'query', name: null, variableDefaults: {}, selectionSet: this.selectionSet() };
+        }
+        const type = this.name();
+        const name = this.peek()?.kind === 'name' ? this.name() : null;
+        const variableDefaults = {};
+        if (this.peek('(')) {
+            this.next();
+            while (!this.peek(')')) {
+                this.expect('$');
+                const variable = this.name();
+                this.expect(':');
+                this.type();
+                if (this.peek('=')) {
+                    this.next();
+                    variableDefaults[variable] = this.value({});
+                }
+                this.directives();
+            }
+            this.next();
+        }
+        this.directives();
+        return { type, name, variableDefaults, selectionSet: this.selectionSet() };
+    }
+
+    type() {
+        if (this.peek('[')) {
+            this.next();
+            this.type();
+            this.expect(']');
+        } else {
+            this.name();
+        }
+        if (this.peek('!')) this.next();
+    }
+
+    directives() {
+        while (this.peek('@')) {
+            this.next();
+            this.name();
+            if (this.peek('(')) this.arguments();
+        }
+    }
+
+    selectionSet() {
+        this.expect('{');
+        const selections = [];
+        while (!this.peek('}')) {
+            selections.push(this.selection());
+        }
+        this.next();
+        return selections;
+    }
+
+    selection() {
+        if (this.peek('...')) {
+            this.next();
+            if (this.peek('on')) {
+                this.next();
+                const typeCondition = this.name();
+                this.directives();
+                return { kind: 'inline', typeCondition, selectionSet: this.selectionSet() };
+            }
+            if (this.peek('{') || this.peek('@')) {
+                this.directives();
+                return { kind: 'inline', typeCondition: null, selectionSet: this.selectionSet() };
+            }
+            return { kind: 'spread', name: this.name() };
+        }
+
+        let name = this.name();
+        let alias = null;
+        if (this.peek(':')) {
+            this.next();
+            alias = name;
+            name = this.name();
+        }
+        const args = this.peek('(') ? this.arguments() : [];
+        this.directives();
+        const selectionSet = this.peek('{') ? this.selectionSet() : null;
+        return { kind: 'field', name, alias, args, selectionSet };
+    }
+
+    arguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.peek(')')) {
+            const name = this.name();
+            this.expect(':');
+            args.push({ name, value: this.valueNode() });
+        }
+        this.next();
+        return args;
+    }
+
+    // Values are kept as nodes until execution so variables can be substituted
+    valueNode() {
+        const token = this.next();
+        if (token.value === '$' && token.kind === 'punct') return { variable: this.name() };
+        if (token.kind === 'string' || token.kind === 'number') return { literal: token.value };
+        if (token.value === '[') {
+            const items = [];
+            while (!this.peek(']')) items.push(this.valueNode());
+            this.next();
+            return { list: items };
+        }
+        if (token.value === '{') {
+            const fields = [];
+            while (!this.peek('}')) {
+                const name = this.name();
+                this.expect(':');
+                fields.push({ name, value: this.valueNode() });
+            }
+            this.next();
+            return { object: fields };
+        }
+        if (token.kind === 'name') {
+            if (token.value === 'true') return { literal: true };
+            if (token.value === 'false') return { literal: false };
+            if (token.value === 'null') return { literal: null };
+            return { literal: token.value }; // enum value
+        }
+        throw new Error(`Syntax Error: Unexpected "${token.value}"`);
+    }
+
+    value(variables) {
+        return evaluate(this.valueNode(), variables);
+    }
+}
+
+function evaluate(node, variables) {
+    if ('variable' in node) return variables[node.variable] ?? null;
+    if ('literal' in node) return node.literal;
+    if ('list' in node) return node.list.map(item => evaluate(item, variables));
+    return Object.fromEntries(node.object.map(field => [field.name, evaluate(field.value, variables)]));
+}
+
+/**
+ * Execute a GraphQL request against resolver objects
+ * @param {Object} roots - { query: Object, mutation: Object } root resolver objects
+ * @param {Object} request - { query, variables, operationName }
+ * @returns {Promise<Object>} { data, errors? } as Canvas returns it
+ */
+async function execute(roots, { query, variables = {}, operationName } = {}) {
+    let document;
+    try {
+        document = new Parser(String(query || '')).document();
+    } catch (error) {
+        return { errors: [{ message: error.message }] };
+    }
+
+    const operation = operationName
+        ? document.operations.find(op => op.name === operationName)
+        : document.operations[0];
+    if (!operation) {
+        return { errors: [{ message: 'No operation found in query' }] };
+    }
+
+    const vars = { ...operation.variableDefaults, ...(variables || {}) };
+    const errors = [];
+
+    async function resolveSelections(source, selectionSet, path) {
+        const result = {};
+        for (const selection of selectionSet) {
+            if (selection.kind === 'field') {
+                const key = selection.alias || selection.name;
+                result[key] = await resolveField(source, selection, [...path, key]);
+            } else {
+                const fragment = selection.kind === 'spread' ? document.fragments[selection.name] : selection;
+                if (!fragment) continue;
+                if (fragment.typeCondition && source.__typename && fragment.typeCondition !== source.__typename) continue;
+                Object.assign(result, await resolveSelections(source, fragment.selectionSet, path));
+            }
+        }
+        return result;
+    }
+
+    async function resolveField(source, field, path) {
+        if (field.name === '__typename') return source.__typename ?? null;
+        let value;
+        try {
+            value = source[field.name];
+            if (typeof value === 'function') {
+                const args = Object.fromEntries(field.args.map(arg => [arg.name, evaluate(arg.value, vars)]));
+                value = await value.call(source, args);
+            }
+        } catch (error) {
+            errors.push({ message: error.message, path });
+            return null;
+        }
+        if (value === undefined || value === null) return null;
+        if (!field.selectionSet) return value;
+        if (Array.isArray(value)) {
+            return Promise.all(value.map((item, index) => (item === null ? null : resolveSelections(item, field.selectionSet, [...path, index]))));
+        }
+        return resolveSelections(value, field.selectionSet, path);
+    }
+
+    const root = operation.type === 'mutation' ? roots.mutation : roots.query;
+    const data = await resolveSelections(root || {}, operation.selectionSet, []);
+    return errors.length > 0 ? { data, errors } : { data };
+}
+
+/**
+ * Relay-style connection over an array. Cursors are base64 offsets like Canvas uses.
+ * @param {Array} items - All items
+ * @param {Object} args - { first, after }
+ * @param {Function} toNode - Maps an item to its GraphQL object
+ * @returns {Object} { nodes, edges, pageInfo }
+ */
+function connection(items, { first, after } = {}, toNode = (item) => item) {
+    const start = after ? Number(Buffer.from(String(after), 'base64').toString()) + 1 : 0;
+    const size = Math.max(1, Math.min(Number(first) || 100, 100));
+    const page = items.slice(start, start + size);
+    const cursor = (index) => Buffer.from(String(index)).toString('base64');
+    const nodes = page.map(toNode);
+    return {
+        nodes,
+        edges: nodes.map((node, i) => ({ node, cursor: cursor(start + i) })),
+        pageInfo: {
+            hasNextPage: start + size < items.length,
+            hasPreviousPage: start > 0,
+            startCursor: page.length ? cursor(start) : null,
+            endCursor: page.length ? cursor(start + page.length - 1) : null
+        }
+    };
+}
+
+module.exports = { execute, connection };
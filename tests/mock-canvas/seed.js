@@ -0,0 +1,168 @@
+// seed.js - Default data for the mock Canvas server
+//
+// One root account with a few users and courses. Course 101 has more
+// assignments than fit on one page so pagination is always exercised.
+
+const ISO = (day) => new Date(Date.UTC(2026, 0, day, 12)).toISOString();
+
+/**
+ * Fresh in-memory database. Every call returns new objects, so tests can mutate freely.
+ * @returns {Object} Collections keyed by resource name, plus a nextId counter
+ */
+function createSeed() {
+    const db = {
+        nextId: 1000,
+        accounts: [{ id: 1, name: 'Mock University', parent_account_id: null, root_account_id: null, sis_account_id: 'ROOT' }],
+        terms: [{ id: 1, name: 'Default Term', sis_term_id: null, workflow_state: 'active' }],
+        users: [],
+        courses: [],
+        sections: [],
+        enrollments: [],
+        assignmentGroups: [],
+        assignments: [],
+        modules: [],
+        pages: [],
+        quizzes: [],
+        conversations: [],
+        communicationChannels: [],
+        sisImports: [],
+        progress: [],
+        contentMigrations: []
+    };
+
+    const people = [
+        ['Ada Teacher', 'teacher'], ['Grace Student', 'student'], ['Alan Student', 'student'],
+        ['Katherine Student', 'student'], ['Edsger Ta', 'ta'], ['Barbara Observer', 'observer']
+    ];
+    people.forEach(([name, role], i) => {
+        const id = i + 1;
+        const login = name.toLowerCase().replace(' ', '.');
+        db.users.push({
+            id,
+            name,
+            sortable_name: name.split(' ').reverse().join(', '),
+            short_name: name.split(' ')[0],
+            sis_user_id: `U${String(id).padStart(3, '0')}`,
+            integration_id: null,
+            login_id: login,
+            email: `${login}@example.edu`,
+            role
+        });
+    });
+
+    [101, 102, 103].forEach((id, i) => {
+        db.courses.push({
+            id,
+            name: `Mock Course ${i + 1}`,
+            course_code: `MOCK${i + 1}`,
+            sis_course_id: `C${id}`,
+            account_id: 1,
+            enrollment_term_id: 1,
+            workflow_state: i === 2 ? 'unpublished' : 'available',
+            blueprint: false,
+            created_at: ISO(1)
+        });
+        db.sections.push({
+            id: id * 10,
+            course_id: id,
+            name: `Mock Course ${i + 1} Section`,
+            sis_section_id: `S${id}`,
+            integration_id: null
+        });
+    });
+
+    let enrollmentId = 1;
+    db.courses.forEach(course => {
+        db.users.forEach(user => {
+            db.enrollments.push({
+                id: enrollmentId++,
+                course_id: course.id,
+                course_section_id: course.id * 10,
+                user_id: user.id,
+                type: `${user.role[0].toUpperCase()}${user.role.slice(1)}Enrollment`,
+                role: `${user.role[0].toUpperCase()}${user.role.slice(1)}Enrollment`,
+                role_id: ['student', 'teacher', 'ta', 'designer', 'observer'].indexOf(user.role) + 3,
+                enrollment_state: 'active',
+                limit_privileges_to_course_section: false,
+                associated_user_id: user.role === 'observer' ? 2 : null,
+                start_at: null,
+                end_at: null
+            });
+        });
+    });
+
+    db.assignmentGroups.push(
+        { id: 1, course_id: 101, name: 'Assignments', position: 1, group_weight: 0 },
+        { id: 2, course_id: 101, name: 'Quizzes', position: 2, group_weight: 0 },
+        { id: 3, course_id: 101, name: 'Empty Group', position: 3, group_weight: 0 },
+        { id: 4, course_id: 102, name: 'Assignments', position: 1, group_weight: 0 }
+    );
+
+    for (let n = 1; n <= 25; n++) {
+        db.assignments.push({
+            id: n,
+            course_id: 101,
+            name: `Assignment ${n}`,
+            assignment_group_id: n % 5 === 0 ? 2 : 1,
+            published: n % 3 !== 0,
+            due_at: n % 4 === 0 ? null : ISO(n),
+            created_at: ISO(1),
+            points_possible: 10,
+            submission_types: ['online_upload'],
+            has_submitted_submissions: n % 7 === 0,
+            graded_submissions_exist: n % 7 === 0,
+            position: n
+        });
+    }
+    db.assignments.push({
+        id: 26, course_id: 102, name: 'Essay', assignment_group_id: 4, published: true, due_at: null,
+        created_at: ISO(1), points_possible: 100, submission_types: ['online_text_entry'],
+        has_submitted_submissions: false, graded_submissions_exist: false, position: 1
+    });
+
+    db.modules.push(
+        { id: 1, course_id: 101, name: 'Week 1', position: 1, published: true, items: [
+            { id: 1, type: 'Assignment', content_id: 1, title: 'Assignment 1' },
+            { id: 2, type: 'Page', page_url: 'welcome', title: 'Welcome' }
+        ] },
+        { id: 2, course_id: 101, name: 'Week 2', position: 2, published: false, items: [] }
+    );
+
+    db.pages.push(
+        { page_id: 1, course_id: 101, url: 'welcome', title: 'Welcome', body: '<p>Hello</p>', published: true, front_page: true, created_at: ISO(1), updated_at: ISO(2) },
+        { page_id: 2, course_id: 101, url: 'syllabus-notes', title: 'Syllabus Notes', body: '<p>Notes</p>', published: false, front_page: false, created_at: ISO(1), updated_at: ISO(3) }
+    );
+
+    db.quizzes.push(
+        { id: 1, course_id: 101, title: 'Quiz 1', quiz_type: 'assignment', published: true, assignment_id: 5, questions: [] },
+        { id: 2, course_id: 101, title: 'Practice Quiz', quiz_type: 'practice_quiz', published: false, assignment_id: null, questions: [] }
+    );
+
+    db.conversations.push(
+        {
+            id: 1, subject: 'Welcome to the course', workflow_state: 'read', participants: [1, 2],
+            updated_at: ISO(2), deleted: false, deleted_at: null,
+            messages: [{ id: 1, author_id: 1, body: 'Welcome aboard!', created_at: ISO(2), attachments: [] }]
+        },
+        {
+            id: 2, subject: 'Missing homework', workflow_state: 'unread', participants: [1, 3],
+            updated_at: ISO(4), deleted: false, deleted_at: null,
+            messages: [{ id: 2, author_id: 1, body: 'Please turn in Assignment 3.', created_at: ISO(4), attachments: [{ id: 1, display_name: 'rubric.pdf' }] }]
+        },
+        {
+            id: 3, subject: 'Old announcement', workflow_state: 'read', participants: [1, 2],
+            updated_at: ISO(1), deleted: true, deleted_at: ISO(5),
+            messages: [{ id: 3, author_id: 1, body: 'This was removed.', created_at: ISO(1), attachments: [] }]
+        }
+    );
+
+    db.communicationChannels.push(
+        { id: 1, user_id: 2, path: 'grace.student@example.edu', path_type: 'email', workflow_state: 'active', bounce_count: 3, last_bounce_at: ISO(6), last_bounce_summary: 'Mailbox full' },
+        { id: 2, user_id: 3, path: 'alan.student@example.edu', path_type: 'email', workflow_state: 'unconfirmed', bounce_count: 0, last_bounce_at: null, last_bounce_summary: null },
+        { id: 3, user_id: 4, path: 'katherine.student@example.edu', path_type: 'email', workflow_state: 'active', bounce_count: 0, last_bounce_at: null, last_bounce_summary: null }
+    );
+
+    return db;
+}
+
+module.exports = { createSeed };
@@ -0,0 +1,1246 @@
+// server.js - Local mock Canvas server for offline testing
+//
+// Implements the REST and GraphQL endpoints the canvas-api modules call, with
+// Canvas-style behaviour where it matters to the app:
+//   - Link header pagination (rel="current", "next", "prev", "first", "last")
+//   - per-token leaky bucket with X-Rate-Limit-Remaining / X-Request-Cost headers
+//     and "403 Forbidden (Rate Limit Exceeded)" when it runs dry
+//   - Canvas error bodies: { errors: [{ message }] }
+//
+// Point the app at it with the domain override:
+//   node tests/mock-canvas/server.js --port 4010
+//   CANVAS_DOMAIN_OVERRIDE=http://127.0.0.1:4010 npm start
+// Any domain typed in the app is then answered by this server.
+
+const http = require('http');
+const { URL } = require('url');
+const { execute, connection } = require('./graphql');
+const { createSeed } = require('./seed');
+
+const ERRORS = {
+    unauthenticated: { status: 401, body: { errors: [{ message: 'user authorization required' }], status: 'unauthenticated' } },
+    invalidToken: { status: 401, body: { errors: [{ message: 'Invalid access token.' }] } },
+    notFound: { status: 404, body: { errors: [{ message: 'The specified resource does not exist.' }] } }
+};
+
+const RATE_LIMITED = '403 Forbidden (Rate Limit Exceeded)';
+
+class MockCanvasError extends Error {
+    constructor(status, body) {
+        super(body?.errors?.[0]?.message || `HTTP ${status}`);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+const notFound = () => new MockCanvasError(ERRORS.notFound.status, ERRORS.notFound.body);
+
+// Canvas returns 400 with field errors for invalid input
+const invalid = (attribute, message) => new MockCanvasError(400, {
+    errors: { [attribute]: [{ attribute, type: 'invalid', message }] }
+});
+
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n') + '\n';
+}
+
+// Canvas pattern matching on communication channels uses * as the wildcard
+function matchesPattern(pattern, value) {
+    if (!pattern) return true;
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+    return regex.test(value);
+}
+
+/**
+ * Parse a request body as JSON, form-urlencoded (with a[b][] nesting) or multipart
+ * @returns {Promise<{ body: Object, files: Array }>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            const type = String(req.headers['content-type'] || '');
+            try {
+                if (raw.length === 0) return resolve({ body: {}, files: [] });
+                if (type.includes('application/json')) return resolve({ body: JSON.parse(raw.toString('utf8')), files: [] });
+                if (type.includes('multipart/form-data')) return resolve(parseMultipart(raw, type));
+                if (type.includes('application/x-www-form-urlencoded')) return resolve({ body: parseForm(new URLSearchParams(raw.toString('utf8'))), files: [] });
+                // SIS imports send the raw zip/csv with its own content type
+                return resolve({ body: {}, files: [{ field: 'attachment', filename: null, contentType: type, data: raw }] });
+            } catch (error) {
+                reject(new MockCanvasError(400, { errors: [{ message: `Could not parse request body: ${error.message}` }] }));
+            }
+        });
+    });
+}
+
+function setNested(target, key, value) {
+    const parts = key.replace(/\]/g, '').split('[');
+    const isArray = parts[parts.length - 1] === '';
+    if (isArray) parts.pop();
+    let node = target;
+    parts.slice(0, -1).forEach(part => {
+        node[part] = node[part] || {};
+        node = node[part];
+    });
+    const last = parts[parts.length - 1];
+    if (isArray) {
+        node[last] = node[last] || [];
+        node[last].push(value);
+    } else {
+        node[last] = value;
+    }
+}
+
+function parseForm(params) {
+    const body = {};
+    for (const [key, value] of params) setNested(body, key, value);
+    return body;
+}
+
+function parseMultipart(raw, type) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(type);
+    if (!boundary) throw new Error('missing multipart boundary');
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const body = {};
+    const files = [];
+    let start = raw.indexOf(delimiter) + delimiter.length;
+    while (start > delimiter.length - 1) {
+        const end = raw.indexOf(delimiter, start);
+        if (end === -1) break;
+        const part = raw.subarray(start + 2, end - 2); // strip CRLF after delimiter and before next
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const data = part.subarray(headerEnd + 4);
+            const name = /name="([^"]*)"/.exec(headers)?.[1];
+            const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+            if (filename !== undefined) {
+                files.push({ field: name, filename, contentType: /content-type:\s*(.+)/i.exec(headers)?.[1]?.trim() || null, data });
+            } else if (name) {
+                setNested(body, name, data.toString('utf8'));
+            }
+        }
+        start = end + delimiter.length;
+    }
+    return { body, files };
+}
+
+/**
+ * Create a mock Canvas server
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.token] - Only accept this token; any token is accepted when unset
+ * @param {number} [options.perPage=10] - Default page size (Canvas uses 10)
+ * @param {number} [options.bucketSize=700] - Leaky bucket size per token
+ * @param {number} [options.leakRate=10] - Units regained per second
+ * @param {number} [options.requestCost=1] - Units each request spends
+ * @param {number} [options.sisImportSteps=2] - Progress polls before a SIS import finishes
+ * @returns {Object} { start, stop, url, db, reset, throttleNext, requests }
+ */
+function createMockCanvasServer(options = {}) {
+    const config = {
+        port: 0,
+        host: '127.0.0.1',
+        token: null,
+        perPage: 10,
+        bucketSize: 700,
+        leakRate: 10,
+        requestCost: 1,
+        sisImportSteps: 2,
+        ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    };
+
+    let db = createSeed();
+    const buckets = new Map();
+    const requests = [];
+    let forcedThrottles = 0;
+    let server = null;
+    let baseUrl = null;
+
+    const nextId = () => ++db.nextId;
+    const now = () => new Date().toISOString();
+
+    // ---- lookups ---------------------------------------------------------
+
+    const find = (collection, predicate) => {
+        const item = db[collection].find(predicate);
+        if (!item) throw notFound();
+        return item;
+    };
+    const course = (id) => find('courses', c => String(c.id) === String(id) || `sis_course_id:${c.sis_course_id}` === String(id));
+    const account = (id) => find('accounts', a => String(id) === 'self' ? a.parent_account_id === null : String(a.id) === String(id));
+    const user = (id) => find('users', u => String(id) === 'self' ? u.id === 1 : String(u.id) === String(id));
+
+    // ---- rate limiting ---------------------------------------------------
+
+    function spend(token) {
+        const cost = config.requestCost;
+        const bucket = buckets.get(token) || { used: 0, at: Date.now() };
+        bucket.used = Math.max(0, bucket.used - ((Date.now() - bucket.at) / 1000) * config.leakRate);
+        bucket.at = Date.now();
+        buckets.set(token, bucket);
+
+        if (forcedThrottles > 0 || bucket.used + cost > config.bucketSize) {
+            if (forcedThrottles > 0) forcedThrottles--;
+            return { throttled: true, remaining: Math.max(0, config.bucketSize - bucket.used), cost: 0 };
+        }
+        bucket.used += cost;
+        return { throttled: false, remaining: config.bucketSize - bucket.used, cost };
+    }
+
+    // ---- pagination ------------------------------------------------------
+
+    function paginate(ctx, items) {
+        const perPage = Math.max(1, Math.min(Number(ctx.query.get('per_page')) || config.perPage, 100));
+        const lastPage = Math.max(1, Math.ceil(items.length / perPage));
+        const page = Math.max(1, Number(ctx.query.get('page')) || 1);
+
+        const pageUrl = (n) => {
+            const url = new URL(ctx.url.pathname, baseUrl);
+            ctx.query.forEach((value, key) => {
+                if (key !== 'page' && key !== 'per_page') url.searchParams.append(key, value);
+            });
+            url.searchParams.set('page', String(n));
+            url.searchParams.set('per_page', String(perPage));
+            return url.toString();
+        };
+
+        const links = [`<${pageUrl(page)}>; rel="current"`];
+        if (page < lastPage) links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+        if (page > 1) links.push(`<${pageUrl(page - 1)}>; rel="prev"`);
+        links.push(`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(lastPage)}>; rel="last"`);
+        ctx.headers.Link = links.join(',');
+
+        return items.slice((page - 1) * perPage, page * perPage);
+    }
+
+    // ---- REST representations --------------------------------------------
+
+    const restAssignment = (a) => ({
+        id: a.id,
+        course_id: a.course_id,
+        name: a.name,
+        assignment_group_id: a.assignment_group_id,
+        published: a.published,
+        workflow_state: a.published ? 'published' : 'unpublished',
+        due_at: a.due_at,
+        created_at: a.created_at,
+        points_possible: a.points_possible,
+        submission_types: a.submission_types,
+        has_submitted_submissions: a.has_submitted_submissions,
+        graded_submissions_exist: a.graded_submissions_exist,
+        position: a.position,
+        html_url: `${baseUrl}/courses/${a.course_id}/assignments/${a.id}`
+    });
+
+    const restModule = (m) => ({
+        id: m.id, name: m.name, position: m.position, published: m.published,
+        items_count: m.items.length, items_url: `${baseUrl}/api/v1/courses/${m.course_id}/modules/${m.id}/items`
+    });
+
+    const restPage = (p) => ({
+        page_id: p.page_id, url: p.url, title: p.title, body: p.body, published: p.published,
+        front_page: p.front_page, created_at: p.created_at, updated_at: p.updated_at
+    });
+
+    const restQuiz = (q) => ({
+        id: q.id, title: q.title, quiz_type: q.quiz_type, published: q.published,
+        assignment_id: q.assignment_id, question_count: q.questions.length
+    });
+
+    const restSection = (s) => ({ ...s, sis_course_id: db.courses.find(c => c.id === s.course_id)?.sis_course_id ?? null });
+
+    const restUser = (u) => ({
+        id: u.id, name: u.name, sortable_name: u.sortable_name, short_name: u.short_name,
+        sis_user_id: u.sis_user_id, integration_id: u.integration_id, login_id: u.login_id, email: u.email
+    });
+
+    const restSisAttachment = (att) => ({
+        id: att.id, display_name: att.display_name, filename: att.display_name, 'content-type': 'text/csv',
+        size: att.content.length, url: `${baseUrl}/files/${att.id}/download?download_frd=1&verifier=mock`
+    });
+
+    const restSisImport = (imp) => ({
+        id: imp.id,
+        created_at: imp.created_at,
+        ended_at: imp.ended_at,
+        updated_at: imp.updated_at,
+        workflow_state: imp.workflow_state,
+        progress: imp.progress,
+        data: imp.data,
+        statistics: imp.statistics,
+        processing_warnings: imp.processing_warnings,
+        processing_errors: imp.processing_errors,
+        batch_mode: imp.batch_mode,
+        batch_mode_term_id: imp.batch_mode_term_id,
+        override_sis_stickiness: imp.override_sis_stickiness,
+        diffing_data_set_identifier: imp.diffing_data_set_identifier,
+        change_threshold: imp.change_threshold,
+        errors_attachment: imp.errors_attachment ? restSisAttachment(imp.errors_attachment) : null,
+        csv_attachments: imp.csv_attachments.map(restSisAttachment)
+    });
+
+    // SIS imports move forward each time they are polled, like a job queue would
+    function advanceSisImport(imp) {
+        if (imp.workflow_state.startsWith('imported') || imp.workflow_state.startsWith('failed') || imp.workflow_state === 'aborted') return;
+        imp.polls++;
+        if (imp.polls >= config.sisImportSteps) {
+            const messages = [...imp.processing_errors, ...imp.processing_warnings];
+            imp.workflow_state = messages.length > 0 ? 'imported_with_messages' : 'imported';
+            imp.progress = 100;
+            if (messages.length > 0) {
+                // Canvas lists every message in a CSV; the API fields are truncated
+                const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+                imp.errors_attachment = {
+                    id: nextId(),
+                    display_name: `sis_errors_attachment_${imp.id}.csv`,
+                    content: ['file,message', ...messages.map(([file, message]) => `${quote(file)},${quote(message)}`)].join('\n') + '\n'
+                };
+            }
+            imp.ended_at = now();
+        } else {
+            imp.workflow_state = 'importing';
+            imp.progress = Math.round((imp.polls / config.sisImportSteps) * 100);
+        }
+        imp.updated_at = now();
+    }
+
+    // Rows of a CSV as objects keyed by lowercase header
+    function csvRecords(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') { field += '"'; i++; } else if (char === '"') quoted = false; else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field); field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field); records.push(record); record = []; field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) { record.push(field); records.push(record); }
+        const [header = [], ...rows] = records.filter(r => r.some(f => f.trim() !== ''));
+        const keys = header.map(h => h.trim().toLowerCase());
+        return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+    }
+
+    // A few of the reference checks Canvas makes while importing a ZIP of CSVs,
+    // reported with Canvas's wording
+    function checkSisZip(csvs, imp) {
+        const ids = (type, column) => new Set((csvs.get(type) || []).map(r => r[column]));
+        const userIds = new Set([...ids('users', 'user_id'), ...db.users.map(u => u.sis_user_id).filter(Boolean)]);
+        const courseIds = new Set([...ids('courses', 'course_id'), ...db.courses.map(c => c.sis_course_id).filter(Boolean)]);
+        const sectionIds = ids('sections', 'section_id');
+        (csvs.get('sections') || []).forEach(r => {
+            if (!courseIds.has(r.course_id)) imp.processing_warnings.push([csvs.fileNames.sections, `Course ${r.course_id} didn't exist for section ${r.section_id}`]);
+        });
+        (csvs.get('enrollments') || []).forEach(r => {
+            if (!userIds.has(r.user_id)) {
+                imp.processing_warnings.push([csvs.fileNames.enrollments, `User not found for enrollment (User ID: ${r.user_id}, Course ID: ${r.course_id}, Section ID: ${r.section_id}, Role: ${r.role})`]);
+            } else if (r.section_id && !sectionIds.has(r.section_id)) {
+                imp.processing_warnings.push([csvs.fileNames.enrollments, `An enrollment referenced a non-existent section ${r.section_id}`]);
+            }
+        });
+    }
+
+    async function createSisImport(accountId, body, files) {
+        const file = files[0];
+        if (!file || file.data.length === 0) {
+            throw new MockCanvasError(400, { errors: [{ message: 'No SIS import file was attached' }] });
+        }
+        const contentType = file.contentType || '';
+        const isZip = file.data[0] === 0x50 && file.data[1] === 0x4b; // PK
+        const csvFiles = isZip ? [] : [file.filename || 'upload.csv'];
+        const processingErrors = [];
+        const counts = {};
+        if (!isZip) {
+            const header = file.data.toString('utf8').split(/\r?\n/)[0].toLowerCase();
+            if (!/(user_id|course_id|section_id|term_id|account_id|group_id)/.test(header)) {
+                processingErrors.push([csvFiles[0], "Couldn't find Canvas CSV import headers"]);
+            }
+        }
+        const imp = {
+            id: nextId(),
+            account_id: account(accountId).id,
+            created_at: now(),
+            updated_at: now(),
+            ended_at: null,
+            workflow_state: 'created',
+            progress: 0,
+            polls: 0,
+            data: { import_type: body.import_type || 'instructure_csv', supplied_batches: [], content_type: contentType, counts },
+            statistics: null,
+            processing_warnings: [],
+            processing_errors: processingErrors,
+            batch_mode: body.batch_mode === 'true' || body.batch_mode === true,
+            batch_mode_term_id: body.batch_mode_term_id || null,
+            override_sis_stickiness: body.override_sis_stickiness === 'true' || body.override_sis_stickiness === true,
+            diffing_data_set_identifier: body.diffing_data_set_identifier || null,
+            change_threshold: body.change_threshold ? Number(body.change_threshold) : null,
+            errors_attachment: null,
+            csv_attachments: csvFiles.map(name => ({ id: nextId(), display_name: name, content: file.data.toString('utf8') })),
+            file: file.data
+        };
+
+        if (isZip) {
+            const JSZip = require('jszip');
+            try {
+                const zip = await JSZip.loadAsync(file.data);
+                const csvs = new Map();
+                csvs.fileNames = {};
+                for (const name of Object.keys(zip.files).filter(n => /\.csv$/i.test(n) && !zip.files[n].dir)) {
+                    const content = await zip.file(name).async('string');
+                    const rows = csvRecords(content);
+                    const type = ['users', 'accounts', 'terms', 'courses', 'sections', 'enrollments', 'group_categories', 'groups', 'group_memberships', 'xlists', 'logins', 'admins']
+                        .find(t => name.toLowerCase().replace(/^.*\//, '').startsWith(t));
+                    imp.csv_attachments.push({ id: nextId(), display_name: name, content });
+                    if (!type) {
+                        processingErrors.push([name, "Couldn't find Canvas CSV import headers"]);
+                        continue;
+                    }
+                    csvs.set(type, rows);
+                    csvs.fileNames[type] = name;
+                    counts[type] = (counts[type] || 0) + rows.length;
+                }
+                if (csvs.size === 0 && processingErrors.length === 0) {
+                    processingErrors.push([file.filename || 'upload.zip', 'No CSV files were found in the zip']);
+                }
+                checkSisZip(csvs, imp);
+            } catch (error) {
+                processingErrors.push([file.filename || 'upload.zip', 'Error while importing CSV. Please make sure it is a valid zip file']);
+            }
+        }
+        db.sisImports.push(imp);
+        return imp;
+    }
+
+    // ---- GraphQL objects -------------------------------------------------
+
+    function gqlAssignment(a) {
+        const group = db.assignmentGroups.find(g => g.id === a.assignment_group_id);
+        const modules = db.modules
+            .filter(m => m.course_id === a.course_id && m.items.some(item => item.type === 'Assignment' && item.content_id === a.id))
+            .map(m => ({ _id: String(m.id), id: `Module-${m.id}`, name: m.name }));
+        const quiz = db.quizzes.find(q => q.assignment_id === a.id);
+        return {
+            __typename: 'Assignment',
+            _id: String(a.id),
+            id: `Assignment-${a.id}`,
+            name: a.name,
+            published: a.published,
+            state: a.published ? 'published' : 'unpublished',
+            dueAt: a.due_at,
+            createdAt: a.created_at,
+            pointsPossible: a.points_possible,
+            hasSubmittedSubmissions: a.has_submitted_submissions,
+            gradedSubmissionsExist: a.graded_submissions_exist,
+            submissionTypes: a.submission_types,
+            htmlUrl: `${baseUrl}/courses/${a.course_id}/assignments/${a.id}`,
+            assignmentGroup: group ? { _id: String(group.id), name: group.name } : null,
+            modules,
+            quiz: quiz ? { _id: String(quiz.id), modules } : null,
+            discussion: null
+        };
+    }
+
+    function gqlAssignmentGroup(g) {
+        const assignments = () => db.assignments.filter(a => a.assignment_group_id === g.id);
+        return {
+            __typename: 'AssignmentGroup',
+            _id: String(g.id),
+            id: `AssignmentGroup-${g.id}`,
+            name: g.name,
+            position: g.position,
+            groupWeight: g.group_weight,
+            state: 'available',
+            assignmentsConnection: (args) => connection(assignments(), args, gqlAssignment)
+        };
+    }
+
+    function gqlUser(u) {
+        return {
+            __typename: 'User',
+            _id: String(u.id),
+            id: `User-${u.id}`,
+            name: u.name,
+            sortableName: u.sortable_name,
+            shortName: u.short_name,
+            email: u.email,
+            loginId: u.login_id,
+            sisId: u.sis_user_id,
+            integrationId: u.integration_id,
+            enrollments: () => db.enrollments.filter(e => e.user_id === u.id).map(gqlEnrollment),
+            conversationsConnection: (args) => {
+                const scope = args.scope || 'inbox';
+                const items = db.conversations.filter(c => !c.deleted && c.participants.includes(u.id)
+                    && (scope !== 'sent' || c.messages.some(m => m.author_id === u.id)));
+                return connection(items, args, c => ({
+                    conversation: { _id: String(c.id), subject: c.subject, updatedAt: c.updated_at, workflowState: c.workflow_state },
+                    messages: (messageArgs) => connection(c.messages, messageArgs, m => ({
+                        _id: String(m.id),
+                        body: m.body,
+                        createdAt: m.created_at,
+                        author: { _id: String(m.author_id) },
+                        recipients: c.participants.filter(id => id !== m.author_id).map(id => ({ _id: String(id) })),
+                        attachments: m.attachments.map(att => ({ _id: String(att.id), displayName: att.display_name }))
+                    }))
+                }));
+            }
+        };
+    }
+
+    function gqlSection(s) {
+        return {
+            __typename: 'Section',
+            _id: String(s.id),
+            id: `Section-${s.id}`,
+            name: s.name,
+            sisId: s.sis_section_id,
+            integrationId: s.integration_id,
+            enrollmentsConnection: (args) => connection(db.enrollments.filter(e => e.course_section_id === s.id), args, gqlEnrollment)
+        };
+    }
+
+    function gqlEnrollment(e) {
+        const section = db.sections.find(s => s.id === e.course_section_id);
+        const enrolledCourse = db.courses.find(c => c.id === e.course_id);
+        const associated = db.users.find(u => u.id === e.associated_user_id);
+        return {
+            __typename: 'Enrollment',
+            _id: String(e.id),
+            id: `Enrollment-${e.id}`,
+            type: e.type,
+            state: e.enrollment_state,
+            enrollmentState: e.enrollment_state,
+            limitPrivilegesToCourseSection: e.limit_privileges_to_course_section,
+            startAt: e.start_at,
+            endAt: e.end_at,
+            role: { _id: String(e.role_id), name: e.role },
+            user: () => gqlUser(db.users.find(u => u.id === e.user_id)),
+            associatedUser: associated ? { _id: String(associated.id), sisId: associated.sis_user_id } : null,
+            section: section ? { _id: String(section.id), name: section.name, sisId: section.sis_section_id } : null,
+            course: enrolledCourse ? { _id: String(enrolledCourse.id), name: enrolledCourse.name, sisId: enrolledCourse.sis_course_id } : null
+        };
+    }
+
+    function gqlCourse(c) {
+        const inCourse = (collection) => db[collection].filter(item => item.course_id === c.id);
+        return {
+            __typename: 'Course',
+            _id: String(c.id),
+            id: `Course-${c.id}`,
+            name: c.name,
+            courseCode: c.course_code,
+            sisId: c.sis_course_id,
+            state: c.workflow_state,
+            account: { sisId: db.accounts.find(a => a.id === c.account_id)?.sis_account_id ?? null },
+            term: { sisId: db.terms.find(t => t.id === c.enrollment_term_id)?.sis_term_id ?? null },
+            assignmentsConnection: (args) => connection(inCourse('assignments'), args, gqlAssignment),
+            assignmentGroupsConnection: (args) => connection(inCourse('assignmentGroups'), args, gqlAssignmentGroup),
+            modulesConnection: (args) => connection(inCourse('modules'), args, m => ({
+                _id: String(m.id),
+                id: `Module-${m.id}`,
+                name: m.name,
+                position: m.position,
+                published: m.published,
+                moduleItems: m.items.map(item => ({ _id: String(item.id), content: { title: item.title, type: item.type } }))
+            })),
+            pagesConnection: (args) => {
+                const search = String(args.filter?.searchTerm || '').toLowerCase();
+                const pages = inCourse('pages').filter(p => !search || p.title.toLowerCase().includes(search));
+                return connection(pages, args, p => ({
+                    _id: String(p.page_id), id: `Page-${p.page_id}`, title: p.title, url: p.url,
+                    published: p.published, createdAt: p.created_at, updatedAt: p.updated_at
+                }));
+            },
+            quizzesConnection: (args) => connection(inCourse('quizzes'), args, q => ({
+                _id: String(q.id), id: `Quiz-${q.id}`, title: q.title, type: q.quiz_type, published: q.published
+            })),
+            discussionsConnection: (args) => connection([], args),
+            sectionsConnection: (args) => connection(inCourse('sections'), args, gqlSection),
+            enrollmentsConnection: (args) => connection(inCourse('enrollments'), args, gqlEnrollment)
+        };
+    }
+
+    const graphqlRoots = {
+        query: {
+            // Like Canvas, course(id:) takes only Canvas IDs and is null for anything else
+            course: ({ id }) => {
+                const c = db.courses.find(c => String(c.id) === String(id));
+                return c ? gqlCourse(c) : null;
+            },
+            assignmentGroup: ({ id }) => gqlAssignmentGroup(find('assignmentGroups', g => String(g.id) === String(id))),
+            assignment: ({ id }) => gqlAssignment(find('assignments', a => String(a.id) === String(id))),
+            account: ({ id }) => {
+                const a = account(id);
+                return { __typename: 'Account', _id: String(a.id), id: `Account-${a.id}`, name: a.name, sisId: a.sis_account_id };
+            },
+            legacyNode: ({ _id, type }) => {
+                if (type === 'User') return gqlUser(user(_id));
+                if (type === 'Section') return gqlSection(find('sections', s => String(s.id) === String(_id)));
+                if (type === 'Course') return gqlCourse(course(_id));
+                if (type === 'Assignment') return gqlAssignment(find('assignments', a => String(a.id) === String(_id)));
+                return null;
+            }
+        },
+        mutation: {
+            createAssignment: ({ input = {} }) => {
+                if (!input.name) return { assignment: null, errors: [{ attribute: 'name', message: 'name is required' }] };
+                const created = {
+                    id: nextId(), course_id: Number(course(input.courseId).id), name: input.name,
+                    assignment_group_id: input.assignmentGroupId ? Number(input.assignmentGroupId) : null,
+                    published: input.state === 'published', due_at: input.dueAt || null, created_at: now(),
+                    points_possible: input.pointsPossible ?? 0, submission_types: input.submissionTypes || ['none'],
+                    has_submitted_submissions: false, graded_submissions_exist: false, position: 0
+                };
+                db.assignments.push(created);
+                return { assignment: gqlAssignment(created), errors: null };
+            },
+            createDiscussionTopic: ({ input = {} }) => ({
+                discussionTopic: { _id: String(nextId()), title: input.title || '' }, errors: null
+            }),
+            deleteDiscussionTopic: ({ id }) => ({ discussionTopicId: String(id), errors: null })
+        }
+    };
+
+    // ---- routes ----------------------------------------------------------
+
+    const routes = [];
+    const route = (method, pattern, handler) => {
+        const keys = [];
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, key) => { keys.push(key); return '([^/]+)'; })}/?$`);
+        routes.push({ method, regex, keys, handler });
+    };
+
+    route('POST', '/api/graphql', async (ctx) => execute(graphqlRoots, ctx.body));
+
+    // accounts, courses, sections
+    route('GET', '/api/v1/accounts/:account_id', (ctx) => account(ctx.params.account_id));
+    route('GET', '/api/v1/accounts/:account_id/courses', (ctx) => {
+        const a = account(ctx.params.account_id);
+        const search = String(ctx.query.get('search_term') || '').toLowerCase();
+        const termId = ctx.query.get('enrollment_term_id');
+        return paginate(ctx, db.courses.filter(c => c.account_id === a.id && (!search || c.name.toLowerCase().includes(search))
+            && (!termId || String(c.enrollment_term_id) === termId)));
+    });
+    route('POST', '/api/v1/accounts/:account_id/courses', (ctx) => {
+        const a = account(ctx.params.account_id);
+        const input = ctx.body.course || {};
+        if (!input.name) throw invalid('name', 'name is required');
+        const created = {
+            id: nextId(), name: input.name, course_code: input.course_code || input.name, sis_course_id: input.sis_course_id || null,
+            account_id: a.id, enrollment_term_id: 1, workflow_state: 'unpublished', blueprint: false, created_at: now()
+        };
+        db.courses.push(created);
+        return created;
+    });
+    route('GET', '/api/v1/accounts/:account_id/courses/:course_id', (ctx) => course(ctx.params.course_id));
+    route('GET', '/api/v1/courses/:course_id', (ctx) => course(ctx.params.course_id));
+    route('PUT', '/api/v1/courses/:course_id', (ctx) => Object.assign(course(ctx.params.course_id), ctx.body.course || {}));
+    route('DELETE', '/api/v1/courses/:course_id', (ctx) => {
+        const c = course(ctx.params.course_id);
+        c.workflow_state = 'deleted';
+        return { delete: true };
+    });
+    route('GET', '/api/v1/courses/:course_id/sections', (ctx) => paginate(ctx, db.sections.filter(s => s.course_id === course(ctx.params.course_id).id).map(restSection)));
+    route('POST', '/api/v1/courses/:course_id/sections', (ctx) => {
+        const input = ctx.body.course_section || {};
+        if (!input.name) throw invalid('name', 'name is required');
+        const created = { id: nextId(), course_id: course(ctx.params.course_id).id, name: input.name, sis_section_id: input.sis_section_id || null, integration_id: null };
+        db.sections.push(created);
+        return created;
+    });
+    route('GET', '/api/v1/sections/:section_id', (ctx) => restSection(find('sections', s => String(s.id) === ctx.params.section_id)));
+
+    // account users and terms
+    route('GET', '/api/v1/accounts/:account_id/users', (ctx) => {
+        account(ctx.params.account_id);
+        const search = String(ctx.query.get('search_term') || '').toLowerCase();
+        return paginate(ctx, db.users.filter(u => !search || [u.name, u.login_id, u.sis_user_id, u.email]
+            .some(value => String(value || '').toLowerCase().includes(search))).map(restUser));
+    });
+    route('GET', '/api/v1/accounts/:account_id/terms/:term_id', (ctx) => {
+        account(ctx.params.account_id);
+        const id = decodeURIComponent(ctx.params.term_id);
+        return find('terms', t => String(t.id) === id || (t.sis_term_id && `sis_term_id:${t.sis_term_id}` === id));
+    });
+    route('DELETE', '/api/v1/sections/:section_id', (ctx) => {
+        const section = find('sections', s => String(s.id) === ctx.params.section_id);
+        if (db.enrollments.some(e => e.course_section_id === section.id)) {
+            throw new MockCanvasError(400, { errors: { base: [{ attribute: 'base', type: 'invalid', message: 'Sections with enrollments cannot be deleted' }] } });
+        }
+        db.sections = db.sections.filter(s => s !== section);
+        return section;
+    });
+
+    // enrollments
+    route('GET', '/api/v1/courses/:course_id/enrollments', (ctx) => paginate(ctx, db.enrollments.filter(e => e.course_id === course(ctx.params.course_id).id)));
+    route('GET', '/api/v1/users/:user_id/enrollments', (ctx) => {
+        const states = ctx.query.getAll('state[]');
+        const u = user(ctx.params.user_id);
+        return paginate(ctx, db.enrollments.filter(e => e.user_id === u.id && (states.length === 0 || states.includes(e.enrollment_state))));
+    });
+    route('POST', '/api/v1/courses/:course_id/enrollments', (ctx) => {
+        const input = ctx.body.enrollment || {};
+        const c = course(ctx.params.course_id);
+        const u = user(input.user_id);
+        const created = {
+            id: nextId(), course_id: c.id, course_section_id: Number(input.course_section_id) || c.id * 10, user_id: u.id,
+            type: input.type || 'StudentEnrollment', role: input.type || 'StudentEnrollment', role_id: Number(input.role_id) || 3,
+            enrollment_state: input.enrollment_state || 'invited', limit_privileges_to_course_section: false,
+            associated_user_id: null, start_at: null, end_at: null
+        };
+        db.enrollments.push(created);
+        return created;
+    });
+    route('DELETE', '/api/v1/courses/:course_id/enrollments/:enrollment_id', (ctx) => {
+        const enrollment = find('enrollments', e => String(e.id) === ctx.params.enrollment_id);
+        const task = ctx.query.get('task') || 'conclude';
+        if (task === 'delete') db.enrollments = db.enrollments.filter(e => e !== enrollment);
+        else enrollment.enrollment_state = task === 'inactivate' ? 'inactive' : 'completed';
+        return { ...enrollment, enrollment_state: task === 'delete' ? 'deleted' : enrollment.enrollment_state };
+    });
+
+    // assignment groups
+    route('GET', '/api/v1/courses/:course_id/assignment_groups', (ctx) => {
+        const groups = db.assignmentGroups.filter(g => g.course_id === course(ctx.params.course_id).id);
+        const include = ctx.query.getAll('include[]');
+        return paginate(ctx, groups.map(g => include.includes('assignments')
+            ? { ...g, assignments: db.assignments.filter(a => a.assignment_group_id === g.id).map(restAssignment) }
+            : g));
+    });
+    route('POST', '/api/v1/courses/:course_id/assignment_groups', (ctx) => {
+        const c = course(ctx.params.course_id);
+        const name = ctx.body.name || ctx.body.assignment_group?.name;
+        if (!name) throw invalid('name', 'name is required');
+        const created = { id: nextId(), course_id: c.id, name, position: db.assignmentGroups.filter(g => g.course_id === c.id).length + 1, group_weight: Number(ctx.body.group_weight) || 0 };
+        db.assignmentGroups.push(created);
+        return created;
+    });
+    route('GET', '/api/v1/courses/:course_id/assignment_groups/:group_id', (ctx) => find('assignmentGroups', g => String(g.id) === ctx.params.group_id));
+    route('DELETE', '/api/v1/courses/:course_id/assignment_groups/:group_id', (ctx) => {
+        const group = find('assignmentGroups', g => String(g.id) === ctx.params.group_id);
+        const moveTo = ctx.query.get('move_assignments_to') || ctx.body.move_assignments_to;
+        db.assignments = moveTo
+            ? db.assignments.map(a => (a.assignment_group_id === group.id ? { ...a, assignment_group_id: Number(moveTo) } : a))
+            : db.assignments.filter(a => a.assignment_group_id !== group.id);
+        db.assignmentGroups = db.assignmentGroups.filter(g => g !== group);
+        return group;
+    });
+
+    // assignments
+    route('GET', '/api/v1/courses/:course_id/assignments', (ctx) => paginate(ctx, db.assignments.filter(a => a.course_id === course(ctx.params.course_id).id).map(restAssignment)));
+    route('POST', '/api/v1/courses/:course_id/assignments', (ctx) => {
+        const c = course(ctx.params.course_id);
+        const input = ctx.body.assignment || {};
+        if (!input.name) throw invalid('name', 'name is required');
+        const created = {
+            id: nextId(), course_id: c.id, name: input.name,
+            assignment_group_id: Number(input.assignment_group_id) || db.assignmentGroups.find(g => g.course_id === c.id)?.id || null,
+            published: input.published === true || input.published === 'true', due_at: input.due_at || null, created_at: now(),
+            points_possible: Number(input.points_possible) || 0, submission_types: input.submission_types || ['none'],
+            has_submitted_submissions: false, graded_submissions_exist: false, position: 0
+        };
+        db.assignments.push(created);
+        return restAssignment(created);
+    });
+    route('GET', '/api/v1/courses/:course_id/assignments/:assignment_id', (ctx) => restAssignment(find('assignments', a => String(a.id) === ctx.params.assignment_id && a.course_id === course(ctx.params.course_id).id)));
+    route('PUT', '/api/v1/courses/:course_id/assignments/:assignment_id', (ctx) => {
+        const assignment = find('assignments', a => String(a.id) === ctx.params.assignment_id);
+        const input = ctx.body.assignment || {};
+        if (input.assignment_group_id !== undefined) assignment.assignment_group_id = Number(input.assignment_group_id);
+        ['name', 'due_at', 'points_possible'].forEach(key => { if (input[key] !== undefined) assignment[key] = input[key]; });
+        if (input.published !== undefined) assignment.published = input.published === true || input.published === 'true';
+        return restAssignment(assignment);
+    });
+    route('DELETE', '/api/v1/courses/:course_id/assignments/:assignment_id', (ctx) => {
+        const assignment = find('assignments', a => String(a.id) === ctx.params.assignment_id && a.course_id === course(ctx.params.course_id).id);
+        db.assignments = db.assignments.filter(a => a !== assignment);
+        return { ...restAssignment(assignment), workflow_state: 'deleted' };
+    });
+
+    // modules
+    route('GET', '/api/v1/courses/:course_id/modules', (ctx) => paginate(ctx, db.modules.filter(m => m.course_id === course(ctx.params.course_id).id).map(restModule)));
+    route('POST', '/api/v1/courses/:course_id/modules', (ctx) => {
+        const c = course(ctx.params.course_id);
+        const input = ctx.body.module || {};
+        if (!input.name) throw invalid('name', 'name is required');
+        const created = { id: nextId(), course_id: c.id, name: input.name, position: db.modules.filter(m => m.course_id === c.id).length + 1, published: false, items: [] };
+        db.modules.push(created);
+        return restModule(created);
+    });
+    route('DELETE', '/api/v1/courses/:course_id/modules/:module_id', (ctx) => {
+        const mod = find('modules', m => String(m.id) === ctx.params.module_id);
+        db.modules = db.modules.filter(m => m !== mod);
+        return restModule(mod);
+    });
+    route('PUT', '/api/v1/courses/:course_id/modules/:module_id/relock', (ctx) => restModule(find('modules', m => String(m.id) === ctx.params.module_id)));
+    route('GET', '/api/v1/courses/:course_id/modules/:module_id/items', (ctx) => paginate(ctx, find('modules', m => String(m.id) === ctx.params.module_id).items));
+    route('POST', '/api/v1/courses/:course_id/modules/:module_id/items', (ctx) => {
+        const mod = find('modules', m => String(m.id) === ctx.params.module_id);
+        const input = ctx.body.module_item || {};
+        if (!input.type) throw invalid('type', 'type is required');
+        const item = { id: nextId(), type: input.type, content_id: Number(input.content_id) || null, page_url: input.page_url || null, title: input.title || '' };
+        mod.items.push(item);
+        return item;
+    });
+
+    // pages
+    route('GET', '/api/v1/courses/:course_id/pages', (ctx) => paginate(ctx, db.pages.filter(p => p.course_id === course(ctx.params.course_id).id).map(restPage)));
+    route('POST', '/api/v1/courses/:course_id/pages', (ctx) => {
+        const c = course(ctx.params.course_id);
+        const input = ctx.body.wiki_page || {};
+        if (!input.title) throw invalid('title', 'title is required');
+        const created = {
+            page_id: nextId(), course_id: c.id, url: input.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'), title: input.title,
+            body: input.body || '', published: input.published === true || input.published === 'true', front_page: false,
+            created_at: now(), updated_at: now()
+        };
+        db.pages.push(created);
+        return restPage(created);
+    });
+    const findPage = (ctx) => find('pages', p => p.course_id === course(ctx.params.course_id).id
+        && (p.url === ctx.params.page || String(p.page_id) === ctx.params.page || `page_id:${p.page_id}` === ctx.params.page));
+    route('GET', '/api/v1/courses/:course_id/pages/:page', (ctx) => restPage(findPage(ctx)));
+    route('DELETE', '/api/v1/courses/:course_id/pages/:page', (ctx) => {
+        const page = findPage(ctx);
+        if (page.front_page) throw new MockCanvasError(400, { errors: { published: [{ attribute: 'published', type: 'invalid', message: 'The front page cannot be deleted' }] } });
+        db.pages = db.pages.filter(p => p !== page);
+        return restPage(page);
+    });
+
+    // classic quizzes
+    route('GET', '/api/v1/courses/:course_id/quizzes', (ctx) => paginate(ctx, db.quizzes.filter(q => q.course_id === course(ctx.params.course_id).id).map(restQuiz)));
+    route('POST', '/api/v1/courses/:course_id/quizzes', (ctx) => {
+        const c = course(ctx.params.course_id);
+        const input = ctx.body.quiz || {};
+        if (!input.title) throw invalid('title', 'title is required');
+        const created = { id: nextId(), course_id: c.id, title: input.title, quiz_type: input.quiz_type || 'assignment', published: false, assignment_id: null, questions: [] };
+        db.quizzes.push(created);
+        return restQuiz(created);
+    });
+    const findQuiz = (ctx) => find('quizzes', q => String(q.id) === ctx.params.quiz_id && q.course_id === course(ctx.params.course_id).id);
+    route('GET', '/api/v1/courses/:course_id/quizzes/:quiz_id', (ctx) => restQuiz(findQuiz(ctx)));
+    route('PUT', '/api/v1/courses/:course_id/quizzes/:quiz_id', (ctx) => {
+        const quiz = findQuiz(ctx);
+        const input = ctx.body.quiz || {};
+        if (input.title !== undefined) quiz.title = input.title;
+        if (input.published !== undefined) quiz.published = input.published === true || input.published === 'true';
+        return restQuiz(quiz);
+    });
+    route('DELETE', '/api/v1/courses/:course_id/quizzes/:quiz_id', (ctx) => {
+        const quiz = findQuiz(ctx);
+        db.quizzes = db.quizzes.filter(q => q !== quiz);
+        return restQuiz(quiz);
+    });
+    route('GET', '/api/v1/courses/:course_id/quizzes/:quiz_id/questions', (ctx) => paginate(ctx, findQuiz(ctx).questions));
+    route('POST', '/api/v1/courses/:course_id/quizzes/:quiz_id/questions', (ctx) => {
+        const quiz = findQuiz(ctx);
+        const question = { id: nextId(), quiz_id: quiz.id, ...(ctx.body.question || {}) };
+        quiz.questions.push(question);
+        return question;
+    });
+
+    // conversations
+    const messageFor = (c, m, userId) => ({
+        id: m.id, conversation_id: c.id, author_id: m.author_id, user_id: userId, body: m.body,
+        created_at: m.created_at, deleted_at: c.deleted_at, attachments: m.attachments
+    });
+    route('GET', '/api/v1/conversations', (ctx) => {
+        const userId = Number(ctx.query.get('as_user_id')) || 1;
+        const scope = ctx.query.get('scope');
+        return paginate(ctx, db.conversations
+            .filter(c => !c.deleted && c.participants.includes(userId) && (scope !== 'sent' || c.messages.some(m => m.author_id === userId)))
+            .map(c => ({ id: c.id, subject: c.subject, workflow_state: c.workflow_state, last_message_at: c.updated_at, message_count: c.messages.length, participants: c.participants.map(id => ({ id })) })));
+    });
+    route('GET', '/api/v1/conversations/deleted', (ctx) => {
+        const userIds = ctx.query.getAll('user_id[]').map(Number);
+        if (userIds.length === 0) throw invalid('user_id', 'user_id is required');
+        const before = ctx.query.get('deleted_before');
+        const after = ctx.query.get('deleted_after');
+        const rows = [];
+        db.conversations.filter(c => c.deleted).forEach(c => {
+            if (before && c.deleted_at >= new Date(before).toISOString()) return;
+            if (after && c.deleted_at <= new Date(after).toISOString()) return;
+            c.participants.filter(id => userIds.includes(id)).forEach(userId => {
+                c.messages.forEach(m => rows.push(messageFor(c, m, userId)));
+            });
+        });
+        return paginate(ctx, rows);
+    });
+    route('PUT', '/api/v1/conversations/restore', (ctx) => {
+        const conversation = find('conversations', c => String(c.id) === String(ctx.body.conversation_id ?? ctx.query.get('conversation_id')));
+        const messageId = String(ctx.body.message_id ?? ctx.query.get('message_id'));
+        if (!conversation.messages.some(m => String(m.id) === messageId)) throw notFound();
+        conversation.deleted = false;
+        conversation.deleted_at = null;
+        return { id: conversation.id, subject: conversation.subject, workflow_state: conversation.workflow_state };
+    });
+    route('GET', '/api/v1/conversations/:conversation_id', (ctx) => {
+        const conversation = find('conversations', c => String(c.id) === ctx.params.conversation_id && !c.deleted);
+        return {
+            id: conversation.id, subject: conversation.subject, workflow_state: conversation.workflow_state,
+            participants: conversation.participants.map(id => ({ id, name: db.users.find(u => u.id === id)?.name || '' })),
+            messages: conversation.messages.map(m => ({ ...m, participating_user_ids: conversation.participants }))
+        };
+    });
+    route('PUT', '/api/v1/conversations/:conversation_id', (ctx) => {
+        const conversation = find('conversations', c => String(c.id) === ctx.params.conversation_id);
+        const input = ctx.body.conversation || {};
+        if (input.workflow_state) conversation.workflow_state = input.workflow_state;
+        return { id: conversation.id, subject: conversation.subject, workflow_state: conversation.workflow_state };
+    });
+    route('DELETE', '/api/v1/conversations/:conversation_id/delete_for_all', (ctx) => {
+        const conversation = find('conversations', c => String(c.id) === ctx.params.conversation_id && !c.deleted);
+        conversation.deleted = true;
+        conversation.deleted_at = now();
+        return {};
+    });
+
+    // communication channels (these reports return rows with a header row first, as Canvas does)
+    const bounced = (pattern) => db.communicationChannels.filter(ch => ch.bounce_count > 0 && matchesPattern(pattern, ch.path));
+    const unconfirmed = (pattern) => db.communicationChannels.filter(ch => ch.workflow_state === 'unconfirmed' && matchesPattern(pattern, ch.path));
+    const channelRow = (ch) => {
+        const owner = db.users.find(u => u.id === ch.user_id);
+        return [ch.user_id, owner?.name || '', ch.id, ch.path, ch.last_bounce_at, ch.last_bounce_summary];
+    };
+    const channelHeader = ['User ID', 'Name', 'Communication channel ID', 'Path', 'Date of most recent bounce', 'Bounce reason'];
+    route('GET', '/api/v1/accounts/:account_id/bounced_communication_channels', (ctx) => {
+        account(ctx.params.account_id);
+        return [channelHeader, ...bounced(ctx.query.get('pattern')).map(channelRow)];
+    });
+    route('GET', '/api/v1/accounts/:account_id/bounced_communication_channels.csv', (ctx) => {
+        account(ctx.params.account_id);
+        ctx.type = 'text/csv';
+        return toCsv([channelHeader, ...bounced(ctx.query.get('pattern')).map(channelRow)]);
+    });
+    route('POST', '/api/v1/accounts/:account_id/bounced_communication_channels/reset', (ctx) => {
+        account(ctx.params.account_id);
+        const channels = bounced(ctx.query.get('pattern'));
+        channels.forEach(ch => { ch.bounce_count = 0; ch.last_bounce_at = null; ch.last_bounce_summary = null; });
+        return { scheduled_reset_approximate_count: channels.length };
+    });
+    route('GET', '/api/v1/accounts/:account_id/unconfirmed_communication_channels.csv', (ctx) => {
+        account(ctx.params.account_id);
+        ctx.type = 'text/csv';
+        return toCsv([['User ID', 'Name', 'Communication channel ID', 'Type', 'Path'],
+            ...unconfirmed(ctx.query.get('pattern')).map(ch => [ch.user_id, db.users.find(u => u.id === ch.user_id)?.name || '', ch.id, ch.path_type, ch.path])]);
+    });
+    route('POST', '/api/v1/accounts/:account_id/unconfirmed_communication_channels/confirm', (ctx) => {
+        account(ctx.params.account_id);
+        const channels = unconfirmed(ctx.query.get('pattern'));
+        channels.forEach(ch => { ch.workflow_state = 'active'; });
+        return { scheduled_confirmation_count: channels.length };
+    });
+    route('GET', '/api/v1/users/:user_id/communication_channels', (ctx) => paginate(ctx, db.communicationChannels.filter(ch => ch.user_id === user(ctx.params.user_id).id)));
+
+    // SIS imports
+    route('GET', '/api/v1/accounts/:account_id/sis_imports', (ctx) => {
+        const a = account(ctx.params.account_id);
+        const imports = db.sisImports.filter(imp => imp.account_id === a.id).slice().reverse();
+        imports.forEach(advanceSisImport);
+        return { sis_imports: paginate(ctx, imports.map(restSisImport)) };
+    });
+    route('POST', '/api/v1/accounts/:account_id/sis_imports', async (ctx) => restSisImport(await createSisImport(ctx.params.account_id, { ...Object.fromEntries(ctx.query), ...ctx.body }, ctx.files)));
+    route('GET', '/api/v1/accounts/:account_id/sis_imports/:import_id', (ctx) => {
+        const imp = find('sisImports', i => String(i.id) === ctx.params.import_id);
+        advanceSisImport(imp);
+        return restSisImport(imp);
+    });
+    route('PUT', '/api/v1/accounts/:account_id/sis_imports/:import_id/abort', (ctx) => {
+        const imp = find('sisImports', i => String(i.id) === ctx.params.import_id);
+        imp.workflow_state = 'aborted';
+        return restSisImport(imp);
+    });
+
+    // files (conversation attachments)
+    const findAttachment = (fileId) => {
+        for (const c of db.conversations) {
+            for (const m of c.messages) {
+                const att = m.attachments.find(a => String(a.id) === String(fileId) && !a.deleted);
+                if (att) return att;
+            }
+        }
+        throw notFound();
+    };
+    route('GET', '/api/v1/files/:file_id', (ctx) => {
+        const att = findAttachment(ctx.params.file_id);
+        const content = `Mock content of ${att.display_name}`;
+        return {
+            id: att.id, display_name: att.display_name, filename: att.display_name, 'content-type': 'application/octet-stream',
+            size: content.length, url: `${baseUrl}/files/${att.id}/download?download_frd=1&verifier=mock`
+        };
+    });
+    route('GET', '/files/:file_id/download', (ctx) => {
+        // SIS import files (the CSVs imported and the errors attachment)
+        for (const imp of db.sisImports) {
+            const att = [...imp.csv_attachments, imp.errors_attachment].find(a => a && String(a.id) === ctx.params.file_id);
+            if (att) {
+                ctx.type = 'text/csv';
+                return att.content;
+            }
+        }
+        ctx.type = 'application/octet-stream';
+        return `Mock content of ${findAttachment(ctx.params.file_id).display_name}`;
+    });
+    route('DELETE', '/api/v1/files/:file_id', (ctx) => {
+        const att = findAttachment(ctx.params.file_id);
+        att.deleted = true;
+        return { id: att.id, display_name: att.display_name };
+    });
+
+    // progress (content migrations and course copies report through these)
+    route('GET', '/api/v1/progress/:progress_id', (ctx) => {
+        const progress = find('progress', p => String(p.id) === ctx.params.progress_id);
+        if (progress.workflow_state !== 'completed' && progress.workflow_state !== 'failed') {
+            progress.completion = Math.min(100, progress.completion + 50);
+            progress.workflow_state = progress.completion >= 100 ? 'completed' : 'running';
+        }
+        return progress;
+    });
+    route('POST', '/api/v1/progress/:progress_id/cancel', (ctx) => {
+        const progress = find('progress', p => String(p.id) === ctx.params.progress_id);
+        progress.workflow_state = 'failed';
+        progress.message = 'canceled';
+        return progress;
+    });
+
+    // content migrations (QTI imports); the package is uploaded to pre_attachment.upload_url
+    const restMigration = (m) => {
+        const progress = db.progress.find(p => p.id === m.progress_id);
+        const state = m.workflow_state === 'running' && progress
+            ? { completed: 'completed', failed: 'failed' }[progress.workflow_state] || 'running'
+            : m.workflow_state;
+        return {
+            id: m.id, migration_type: m.migration_type, workflow_state: state, settings: m.settings,
+            created_at: m.created_at, started_at: m.started_at, finished_at: state === 'completed' || state === 'failed' ? now() : null,
+            progress_url: `${baseUrl}/api/v1/progress/${m.progress_id}`,
+            migration_issues_url: `${baseUrl}/api/v1/courses/${m.course_id}/content_migrations/${m.id}/migration_issues`,
+            migration_issues_count: m.issues.length,
+            attachment: m.attachment ? { id: m.attachment.id, display_name: m.attachment.display_name, size: m.attachment.size } : null
+        };
+    };
+    const findMigration = (ctx) => {
+        const c = course(ctx.params.course_id);
+        return find('contentMigrations', m => String(m.id) === ctx.params.migration_id && m.course_id === c.id);
+    };
+    route('POST', '/api/v1/courses/:course_id/content_migrations', (ctx) => {
+        const c = course(ctx.params.course_id);
+        const body = ctx.body;
+        if (body.migration_type !== 'qti_converter') throw invalid('migration_type', 'only qti_converter is supported by the mock');
+        if (!body.pre_attachment?.name) throw invalid('pre_attachment', 'pre_attachment[name] is required');
+        const migration = {
+            id: nextId(), course_id: c.id, migration_type: body.migration_type, workflow_state: 'pre_processing',
+            settings: body.settings || {}, created_at: now(), started_at: null, issues: [], attachment: null,
+            progress_id: nextId()
+        };
+        db.progress.push({ id: migration.progress_id, workflow_state: 'queued', completion: 0, message: null, tag: 'content_migration' });
+        db.contentMigrations.push(migration);
+        return {
+            ...restMigration(migration),
+            pre_attachment: {
+                upload_url: `${baseUrl}/files_api/upload/${migration.id}`,
+                upload_params: { filename: body.pre_attachment.name, content_type: body.pre_attachment.content_type || 'application/zip' },
+                file_param: 'file'
+            }
+        };
+    });
+    route('GET', '/api/v1/courses/:course_id/content_migrations/:migration_id', (ctx) => restMigration(findMigration(ctx)));
+    route('GET', '/api/v1/courses/:course_id/content_migrations/:migration_id/migration_issues', (ctx) => paginate(ctx, findMigration(ctx).issues));
+    route('POST', '/files_api/upload/:migration_id', async (ctx) => {
+        const migration = find('contentMigrations', m => String(m.id) === ctx.params.migration_id && m.workflow_state === 'pre_processing');
+        const file = ctx.files.find(f => f.field === 'file');
+        if (!file) throw new MockCanvasError(400, { errors: [{ message: 'No file was attached' }] });
+        migration.attachment = { id: nextId(), display_name: ctx.body.filename || file.filename, size: file.data.length };
+        migration.workflow_state = 'running';
+        migration.started_at = now();
+
+        const issue = (issueType, description, errorMessage = null) => migration.issues.push({
+            id: nextId(), issue_type: issueType, description, error_message: errorMessage, workflow_state: 'active',
+            fix_issue_html_url: null, created_at: now()
+        });
+        const JSZip = require('jszip');
+        let zip = null;
+        try {
+            zip = await JSZip.loadAsync(file.data);
+        } catch {
+            issue('error', 'The uploaded file is not a valid zip package', 'Zip::Error');
+        }
+        if (zip && !zip.file('imsmanifest.xml')) {
+            issue('error', 'No imsmanifest.xml was found in the QTI package', 'Canvas::Migration::Error');
+        }
+        if (migration.issues.length > 0) {
+            Object.assign(db.progress.find(p => p.id === migration.progress_id), { workflow_state: 'failed', completion: 0, message: 'Import failed' });
+        }
+        return { id: migration.attachment.id, display_name: migration.attachment.display_name, size: migration.attachment.size };
+    });
+
+    // ---- request handling ------------------------------------------------
+
+    function send(res, status, headers, payload) {
+        const isText = typeof payload === 'string';
+        const body = isText ? payload : JSON.stringify(payload);
+        res.writeHead(status, {
+            'Content-Type': headers['Content-Type'] || (isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8'),
+            ...headers
+        });
+        res.end(body);
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, baseUrl);
+        const entry = { method: req.method, path: url.pathname, query: url.search, status: null };
+        requests.push(entry);
+        const headers = {};
+        const reply = (status, payload) => {
+            entry.status = status;
+            send(res, status, headers, payload);
+        };
+
+        // File uploads (like inst-fs) are authorized by their upload_params, not the token
+        if (!url.pathname.startsWith('/files_api/')) {
+            const auth = String(req.headers.authorization || '');
+            const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+            if (!token) return reply(ERRORS.unauthenticated.status, ERRORS.unauthenticated.body);
+            if (config.token && token !== config.token) return reply(ERRORS.invalidToken.status, ERRORS.invalidToken.body);
+
+            const budget = spend(token);
+            headers['X-Rate-Limit-Remaining'] = budget.remaining.toFixed(3);
+            headers['X-Request-Cost'] = budget.cost.toFixed(3);
+            if (budget.throttled) return reply(403, RATE_LIMITED);
+        }
+
+        const candidates = routes.filter(r => r.regex.test(url.pathname));
+        const matched = candidates.find(r => r.method === req.method);
+        if (!matched) {
+            return candidates.length > 0
+                ? reply(405, { errors: [{ message: `${req.method} is not allowed on ${url.pathname}` }] })
+                : reply(ERRORS.notFound.status, ERRORS.notFound.body);
+        }
+
+        const values = matched.regex.exec(url.pathname).slice(1);
+        const ctx = {
+            url,
+            query: url.searchParams,
+            params: Object.fromEntries(matched.keys.map((key, i) => [key, decodeURIComponent(values[i])])),
+            headers,
+            type: null,
+            body: {},
+            files: []
+        };
+
+        try {
+            Object.assign(ctx, await readBody(req));
+            const result = await matched.handler(ctx);
+            if (ctx.type) headers['Content-Type'] = ctx.type;
+            return reply(200, result ?? {});
+        } catch (error) {
+            if (error instanceof MockCanvasError) return reply(error.status, error.body);
+            return reply(500, { errors: [{ message: error.message }] });
+        }
+    }
+
+    return {
+        /**
+         * Start listening
+         * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:4010
+         */
+        start() {
+            return new Promise((resolve, reject) => {
+                server = http.createServer((req, res) => {
+                    handle(req, res).catch(error => send(res, 500, {}, { errors: [{ message: error.message }] }));
+                });
+                server.once('error', reject);
+                server.listen(config.port, config.host, () => {
+                    baseUrl = `http://${config.host}:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        /**
+         * Stop listening and close open connections
+         * @returns {Promise<void>}
+         */
+        stop() {
+            return new Promise((resolve) => {
+                if (!server) return resolve();
+                server.closeAllConnections?.();
+                server.close(() => resolve());
+                server = null;
+            });
+        },
+
+        get url() { return baseUrl; },
+        get db() { return db; },
+        requests,
+
+        /**
+         * Restore the seed data and refill every rate limit bucket
+         */
+        reset() {
+            db = createSeed();
+            buckets.clear();
+            requests.length = 0;
+            forcedThrottles = 0;
+        },
+
+        /**
+         * Answer the next n requests with a rate limit 403
+         * @param {number} [count=1]
+         */
+        throttleNext(count = 1) {
+            forcedThrottles += count;
+        },
+
+        /**
+         * Add a Progress object, e.g. for a content migration the test started
+         * @param {Object} [fields]
+         * @returns {Object} The progress record
+         */
+        addProgress(fields = {}) {
+            const progress = { id: nextId(), workflow_state: 'queued', completion: 0, message: null, tag: 'content_migration', ...fields };
+            db.progress.push(progress);
+            return progress;
+        }
+    };
+}
+
+module.exports = { createMockCanvasServer, MockCanvasError };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? undefined : args[index + 1];
+    };
+    const mock = createMockCanvasServer({
+        port: Number(option('port') || process.env.MOCK_CANVAS_PORT || 4010),
+        token: option('token'),
+        perPage: Number(option('per-page')) || undefined
+    });
+    mock.start().then((url) => {
+        console.log(`Mock Canvas listening on ${url}`);
+        console.log(`Start the app with CANVAS_DOMAIN_OVERRIDE=${url} to use it.`);
+    });
+    const shutdown = () => mock.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}